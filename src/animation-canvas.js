@@ -1,6 +1,7 @@
 'use strict';
 
-import { Element, Path, Box, Link, AnimationFramework } from './animation.js';
+import { Element, Path, Box, Text, Link, Timeline, AnimationFramework } from './animation.js';
+import { sceneToSVG, normalizeSnapshotOptions } from './animation-snapshot.js';
 
 /**
  * Canvas渲染的动画框架实现
@@ -9,13 +10,18 @@ import { Element, Path, Box, Link, AnimationFramework } from './animation.js';
 class CanvasAnimationFramework extends AnimationFramework {
     /**
      * 创建Canvas动画框架实例
-     * @param {string} canvasId - HTML Canvas元素的ID
+     * @param {string|Object} canvasId - HTML Canvas元素的ID，也可以直接传入Canvas对象（例如Node中canvas包创建的画布）
      * @throws {Error} 如果找不到指定ID的Canvas元素
      */
     constructor(canvasId) {
         super();
-        this.canvasId = canvasId;
-        this.canvas = document.getElementById(canvasId);
+        if (typeof canvasId === 'string') {
+            this.canvasId = canvasId;
+            this.canvas = document.getElementById(canvasId);
+        } else {
+            this.canvasId = null;
+            this.canvas = canvasId;
+        }
 
         if (!this.canvas) {
             throw new Error(`无法找到ID为 "${canvasId}" 的Canvas元素`);
@@ -25,6 +31,7 @@ class CanvasAnimationFramework extends AnimationFramework {
         this.lastFrameTime = 0;
         this.fps = 60;
         this.frameInterval = 1000 / this.fps;
+        this.inheritedOpacity = 1; // 绘制分组子元素时叠加的透明度
     }
 
     /**
@@ -40,32 +47,62 @@ class CanvasAnimationFramework extends AnimationFramework {
         this.moveTo(path.getStartPoint().x, path.getStartPoint().y);
 
         for (let i = 1; i < path.points.length; i++) {
-            this.lineTo(path.points[i].x, path.points[i].y);
+            this.drawSegment(path.segments[i - 1], path.points[i]);
         }
 
-        this.drawArrows(link, path);
         this.stroke();
+        this.drawArrows(link);
     }
 
     /**
-     * 绘制箭头（私有方法）
-     * @param {Link} link - 链接元素
-     * @param {Path} path - 路径对象
+     * 绘制路径中的一段（私有方法）
+     * @param {Object} segment - 段描述
+     * @param {Object} end - 段终点
      */
-    drawArrows(link, path) {
-        if (link.startArrow) {
-            this.moveTo(path.getStartPoint().x, path.getStartPoint().y);
-            this.lineTo(path.getStartPoint().x + 10, path.getStartPoint().y + 5);
-            this.lineTo(path.getStartPoint().x + 10, path.getStartPoint().y - 5);
-            this.closePath();
+    drawSegment(segment, end) {
+        switch (segment.type) {
+            case 'quadratic':
+                this.quadraticCurveTo(segment.cp.x, segment.cp.y, end.x, end.y);
+                break;
+            case 'cubic':
+                this.bezierCurveTo(segment.cp1.x, segment.cp1.y, segment.cp2.x, segment.cp2.y, end.x, end.y);
+                break;
+            case 'arc':
+                this.arc(segment.cx, segment.cy, segment.radius, segment.startAngle, segment.endAngle, segment.anticlockwise);
+                break;
+            default:
+                this.lineTo(end.x, end.y);
         }
+    }
 
-        if (link.endArrow) {
-            this.moveTo(path.getEndPoint().x, path.getEndPoint().y);
-            this.lineTo(path.getEndPoint().x - 10, path.getEndPoint().y + 5);
-            this.lineTo(path.getEndPoint().x - 10, path.getEndPoint().y - 5);
+    /**
+     * 绘制两端的箭头标记，标记总是使用实线，填充颜色与线条颜色一致（私有方法）
+     * @param {Link} link - 链接元素
+     */
+    drawArrows(link) {
+        const markers = link.getMarkers();
+        if (markers.length === 0) return;
+
+        this.context.setLineDash([]);
+        this.context.fillStyle = this.context.strokeStyle;
+
+        markers.forEach(marker => {
+            const outline = Link.getMarkerOutline(marker);
+            this.beginPath();
+            if (outline.circle) {
+                const { x, y, radius } = outline.circle;
+                this.moveTo(x + radius, y);
+                this.arc(x, y, radius, 0, Math.PI * 2, false);
+            } else {
+                this.moveTo(outline.points[0].x, outline.points[0].y);
+                outline.points.slice(1).forEach(point => this.lineTo(point.x, point.y));
+            }
             this.closePath();
-        }
+            if (outline.filled) {
+                this.context.fill();
+            }
+            this.stroke();
+        });
     }
 
     /**
@@ -75,7 +112,11 @@ class CanvasAnimationFramework extends AnimationFramework {
     drawBox(box) {
         if (!box.visible) return;
         this.beginPath();
-        this.rect(box.x, box.y, box.width, box.height);
+        if (box.style.borderRadius > 0) {
+            this.roundRect(box.x, box.y, box.width, box.height, box.style.borderRadius);
+        } else {
+            this.rect(box.x, box.y, box.width, box.height);
+        }
         this.activeDrawStyle(box, box.style);
 
         // 处理填充样式
@@ -85,6 +126,82 @@ class CanvasAnimationFramework extends AnimationFramework {
         }
 
         this.stroke();
+
+        // 标签居中绘制在方框内
+        if (box.text !== '') {
+            this.drawTextLine(box.text, box.x + box.width / 2, box.y + box.height / 2, 'center', 'middle', box.style);
+        }
+    }
+
+    /**
+     * 绘制文本元素
+     * @param {Text} text - 要绘制的文本元素
+     */
+    drawText(text) {
+        if (!text.visible) return;
+        this.activeDrawStyle(text, text.style);
+        this.drawTextLine(text.text, text.x, text.y, text.align, text.baseline, text.style);
+    }
+
+    /**
+     * 绘制分组，子元素在分组的局部坐标系中绘制
+     * @param {Group} group - 要绘制的分组
+     */
+    drawGroup(group) {
+        if (!group.visible) return;
+        const parentOpacity = this.inheritedOpacity;
+
+        this.save();
+        this.translate(group.x, group.y);
+        this.rotate(group.rotation * Math.PI / 180);
+        this.scale(group.scaleX, group.scaleY);
+        // 分组的透明度叠加到所有子元素上
+        this.inheritedOpacity = parentOpacity * (group.style.opacity === undefined ? 1 : group.style.opacity);
+
+        group.children.forEach(child => {
+            this.activeDrawStyle(child, child.style);
+            child.draw(this);
+        });
+
+        this.inheritedOpacity = parentOpacity;
+        this.restore();
+    }
+
+    /**
+     * 按元素的字体样式绘制一行文本（私有方法）
+     * @param {string} content - 文本内容
+     * @param {number} x - 锚点横坐标
+     * @param {number} y - 锚点纵坐标
+     * @param {string} align - 水平对齐
+     * @param {string} baseline - 垂直基线
+     * @param {Object} style - 样式对象
+     */
+    drawTextLine(content, x, y, align, baseline, style) {
+        const textSize = style.textSize || 16;
+        this.context.font = `${textSize}px ${style.fontName || 'Arial'}`;
+        this.context.fillStyle = style.textColor || 'black';
+        this.context.textAlign = align;
+        this.context.textBaseline = baseline;
+        this.context.fillText(content, x, y);
+
+        // Canvas不支持文本装饰，下划线和删除线需要手动绘制
+        const decoration = style.textDecoration;
+        if (decoration === 'underline' || decoration === 'line-through') {
+            const width = this.context.measureText(content).width;
+            const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+            // 先换算出文本顶部，再定位装饰线
+            const top = baseline === 'middle' ? y - textSize / 2
+                : baseline === 'bottom' || baseline === 'alphabetic' ? y - textSize : y;
+            const lineY = decoration === 'underline' ? top + textSize : top + textSize / 2;
+
+            this.beginPath();
+            this.context.strokeStyle = style.textColor || 'black';
+            this.context.lineWidth = Math.max(1, textSize / 16);
+            this.context.setLineDash([]);
+            this.moveTo(left, lineY);
+            this.lineTo(left + width, lineY);
+            this.stroke();
+        }
     }
 
     /**
@@ -93,8 +210,10 @@ class CanvasAnimationFramework extends AnimationFramework {
      * @param {Path} path - 移动路径
      * @param {number} duration - 动画持续时间（毫秒）
      * @param {function} [completeCallback] - 动画完成回调
+     * @param {Object} [options] - 移动选项，包括easing、segmentEasing和timing
+     * @returns {AnimationHandle} 动画句柄
      */
-    moveBy(element, path, duration, completeCallback) {
+    moveBy(element, path, duration, completeCallback, options = {}) {
         if (!(element instanceof Element) || !(path instanceof Path)) {
             throw new TypeError('moveBy参数类型错误');
         }
@@ -103,18 +222,18 @@ class CanvasAnimationFramework extends AnimationFramework {
         }
 
         // 使用followPath方法实现移动
-        this.followPath(
+        return this.followPath(
             path,
             (x, y, stepIndex, segmentIndex, loopCount, direction) => {
-                // 更新元素位置
+                // 更新元素位置，画布由时间轴负责重绘
                 element.moveTo(x, y);
-
-                // 更新Canvas渲染
-                this.render();
             },
             'forward',
             duration,
-            completeCallback
+            completeCallback,
+            false,
+            false,
+            options
         );
     }
 
@@ -128,15 +247,17 @@ class CanvasAnimationFramework extends AnimationFramework {
         let borderWidth = style.borderWidth;
         let borderStyle = style.borderStyle;
 
-        // 处理闪烁效果
-        if (this.flashingElements.includes(element)) {
+        // 处理闪烁效果，固定步长模式下按时间轴时间闪烁，保证每次绘制的结果相同
+        if (this.isFlashing(element)) {
             const flashInterval = 500; // 闪烁间隔
-            const flashState = Math.floor((Date.now() % (2 * flashInterval)) / flashInterval);
+            const now = this.timeline.fixedStep > 0 ? this.timeline.now() : Date.now();
+            const flashState = Math.floor((now % (2 * flashInterval)) / flashInterval);
             borderColor = flashState === 0 ? 'red' : style.borderColor;
         }
 
         this.context.strokeStyle = borderColor;
         this.context.lineWidth = borderWidth;
+        this.context.globalAlpha = (style.opacity === undefined ? 1 : style.opacity) * this.inheritedOpacity;
 
         // 应用线条样式
         if (borderStyle === 'dashed') {
@@ -149,22 +270,28 @@ class CanvasAnimationFramework extends AnimationFramework {
     }
 
     /**
-     * 更新画布内容（带节流控制）
-     * @param {number} [timestamp] - 动画时间戳
+     * 立即重绘画布，之后的刷新由时间轴驱动
      */
-    update(timestamp = performance.now()) {
-        // 实现节流，控制帧率
-        if (timestamp - this.lastFrameTime < this.frameInterval) {
-            requestAnimationFrame(this.update.bind(this));
+    update() {
+        this.lastFrameTime = performance.now();
+        this.doUpdate();
+        this.timeline.requestFrame();
+    }
+
+    /**
+     * 时间轴每帧回调（带节流控制）
+     * 固定步长模式或时间轴即将空闲时总是绘制，保证结果确定且最后一帧不被丢弃
+     * @param {number} time - 时间轴当前时间
+     */
+    renderFrame(time) {
+        const now = performance.now();
+        const throttled = this.timeline.fixedStep === 0 && !this.timeline.isIdle();
+        if (throttled && now - this.lastFrameTime < this.frameInterval) {
             return;
         }
 
-        this.lastFrameTime = timestamp;
-
-        // 清除画布
+        this.lastFrameTime = now;
         this.doUpdate();
-
-        requestAnimationFrame(this.update.bind(this));
     }
 
     doUpdate() {
@@ -183,6 +310,62 @@ class CanvasAnimationFramework extends AnimationFramework {
         });
     }
 
+    /**
+     * 生成当前场景的静态快照，参见AnimationFramework.snapshot
+     * PNG快照绘制在单独的画布上，不影响当前画布；options.canvas可以指定这块画布（例如Node中canvas包创建的画布）
+     * @param {Object} [options] 选项
+     * @returns {string} SVG文件内容或PNG的data URL
+     */
+    snapshot(options = {}) {
+        if (options.format === 'png') {
+            return CanvasAnimationFramework.renderSnapshot(this, options);
+        }
+        return sceneToSVG(this, options);
+    }
+
+    /**
+     * 在单独的画布上绘制任意框架的场景，生成PNG快照，DOM渲染器也使用这个方法
+     * @param {AnimationFramework} framework 场景所在的框架
+     * @param {Object} [options] 选项，参见AnimationFramework.snapshot，另外支持canvas
+     * @returns {string} PNG的data URL
+     */
+    static renderSnapshot(framework, options = {}) {
+        const { width, height, background, flashPhase, canvas: target } = normalizeSnapshotOptions(framework, options);
+        const canvas = target || (typeof document !== 'undefined' ? document.createElement('canvas') : null);
+        if (!canvas) {
+            throw new Error('当前环境无法创建Canvas，请通过options.canvas指定画布');
+        }
+        canvas.width = width;
+        canvas.height = height;
+
+        // 固定步长的时间轴停在指定的闪烁相位上
+        const renderer = new CanvasAnimationFramework(canvas);
+        const timeline = new Timeline({ fixedStep: 1 });
+        timeline.time = flashPhase === 'on' ? 0 : 500;
+        renderer.setTimeline(timeline);
+        renderer.elements = framework.elements;
+        renderer.temporaryObjects = framework.temporaryObjects;
+        renderer.flashingElements = framework.flashingElements;
+        renderer.doUpdate();
+        renderer.fillBackground(background);
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * 在已绘制的内容下方填充背景色，用于导出图片
+     * @param {string} color - 背景颜色，'transparent'或空值时不填充
+     */
+    fillBackground(color) {
+        if (!color || color === 'transparent') return;
+        const context = this.context;
+        context.save();
+        context.globalCompositeOperation = 'destination-over';
+        context.globalAlpha = 1;
+        context.fillStyle = color;
+        context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        context.restore();
+    }
+
     // Canvas上下文代理方法
     beginPath() {
         this.context.beginPath();
@@ -200,6 +383,21 @@ class CanvasAnimationFramework extends AnimationFramework {
         this.context.stroke();
     }
 
+    // 圆角矩形路径，半径不超过宽高的一半
+    roundRect(x, y, width, height, radius) {
+        const r = Math.min(radius, width / 2, height / 2);
+        this.moveTo(x + r, y);
+        this.lineTo(x + width - r, y);
+        this.arc(x + width - r, y + r, r, -Math.PI / 2, 0, false);
+        this.lineTo(x + width, y + height - r);
+        this.arc(x + width - r, y + height - r, r, 0, Math.PI / 2, false);
+        this.lineTo(x + r, y + height);
+        this.arc(x + r, y + height - r, r, Math.PI / 2, Math.PI, false);
+        this.lineTo(x, y + r);
+        this.arc(x + r, y + r, r, Math.PI, Math.PI * 1.5, false);
+        this.closePath();
+    }
+
     moveTo(x, y) {
         this.context.moveTo(x, y);
     }
@@ -208,6 +406,38 @@ class CanvasAnimationFramework extends AnimationFramework {
         this.context.lineTo(x, y);
     }
 
+    quadraticCurveTo(cpx, cpy, x, y) {
+        this.context.quadraticCurveTo(cpx, cpy, x, y);
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        this.context.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y);
+    }
+
+    arc(x, y, radius, startAngle, endAngle, anticlockwise) {
+        this.context.arc(x, y, radius, startAngle, endAngle, anticlockwise);
+    }
+
+    save() {
+        this.context.save();
+    }
+
+    restore() {
+        this.context.restore();
+    }
+
+    translate(x, y) {
+        this.context.translate(x, y);
+    }
+
+    rotate(angle) {
+        this.context.rotate(angle);
+    }
+
+    scale(x, y) {
+        this.context.scale(x, y);
+    }
+
     /**
      * 设置动画帧率
      * @param {number} fps - 帧率（帧/秒）
@@ -0,0 +1,247 @@
+'use strict';
+import { PlaybackController } from './animation-playback.js';
+
+// 控制条的样式，第一次创建控制条时添加到页面中
+const CONTROLS_STYLES = `
+    .playback-controls {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+        font-size: 14px;
+    }
+
+    .playback-controls button {
+        min-width: 64px;
+    }
+
+    .playback-progress {
+        position: relative;
+        flex: 1 1 200px;
+    }
+
+    .playback-progress input {
+        width: 100%;
+        margin: 0;
+    }
+
+    .playback-markers {
+        position: absolute;
+        left: 0;
+        right: 0;
+        bottom: -4px;
+        height: 4px;
+        pointer-events: none;
+    }
+
+    .playback-marker {
+        position: absolute;
+        width: 1px;
+        height: 4px;
+        background: #666;
+    }
+
+    .playback-label {
+        flex-basis: 100%;
+        color: #333;
+    }
+`;
+
+// 快捷键到控制器操作的映射
+const SHORTCUTS = {
+    ' ': controls => controls.togglePlay(),
+    'ArrowRight': controls => controls.perform(controller => controller.stepForward()),
+    'ArrowLeft': controls => controls.perform(controller => controller.stepBack()),
+    'Home': controls => controls.perform(controller => controller.seek(0)),
+    'End': controls => controls.perform(controller => controller.seek(controller.steps.length))
+};
+
+/**
+ * 回放控制条，挂载到任意容器中，与渲染框架无关，Canvas和DOM页面都可以使用
+ * 包含播放/暂停、上一步/下一步按钮，带步骤刻度的进度条，步数计数，速度滑块和当前步骤的说明
+ * 快捷键：空格播放/暂停，左右方向键单步后退/前进，Home和End跳转到开头和结尾
+ * @param {string|HTMLElement} container 容器元素或其id
+ * @param {PlaybackController} controller 回放控制器
+ * @param {Object} [options] 选项
+ * @param {boolean} [options.keyboard=true] 是否启用快捷键
+ * @param {EventTarget} [options.keyboardTarget=document] 监听快捷键的对象
+ * @param {Array<number>} [options.speedRange=[0.25, 4]] 速度滑块的范围
+ * @param {function(Error)} [options.onError] 按钮、进度条和快捷键触发的操作失败时调用，
+ *     例如动作抛出异常；不提供时错误作为未处理的Promise拒绝抛出
+ */
+class PlaybackControls {
+    constructor(container, controller, { keyboard = true, keyboardTarget = null, speedRange = [0.25, 4], onError = null } = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        if (!this.container) {
+            throw new Error(`Container element "${container}" not found`);
+        }
+        if (!(controller instanceof PlaybackController)) {
+            throw new TypeError('controller必须为PlaybackController实例');
+        }
+
+        if (onError !== null && typeof onError !== 'function') {
+            throw new TypeError('onError必须为函数');
+        }
+
+        this.controller = controller;
+        this.onError = onError;
+        this.markerCount = -1;
+        PlaybackControls.installStyles();
+        this.build(speedRange);
+
+        this.unsubscribe = controller.on('change', () => this.update());
+        this.keyboardTarget = keyboard ? (keyboardTarget || document) : null;
+        this.onKeyDown = event => this.handleKey(event);
+        if (this.keyboardTarget) {
+            this.keyboardTarget.addEventListener('keydown', this.onKeyDown);
+        }
+        this.update();
+    }
+
+    // 添加控制条的样式，每个页面只添加一次
+    static installStyles() {
+        if (!document.querySelector('#playback-controls-styles')) {
+            const style = document.createElement('style');
+            style.id = 'playback-controls-styles';
+            style.textContent = CONTROLS_STYLES;
+            document.head.appendChild(style);
+        }
+    }
+
+    // 创建带class的子元素
+    createChild(parent, tag, className, text = '') {
+        const node = document.createElement(tag);
+        node.className = className;
+        if (text) node.textContent = text;
+        parent.appendChild(node);
+        return node;
+    }
+
+    // 创建控制条的DOM结构
+    build([minSpeed, maxSpeed]) {
+        const root = this.createChild(this.container, 'div', 'playback-controls');
+        this.root = root;
+
+        this.stepBackButton = this.createChild(root, 'button', 'playback-step-back', '上一步');
+        this.stepBackButton.title = '上一步（←）';
+        this.playButton = this.createChild(root, 'button', 'playback-play', '播放');
+        this.playButton.title = '播放/暂停（空格）';
+        this.stepForwardButton = this.createChild(root, 'button', 'playback-step-forward', '下一步');
+        this.stepForwardButton.title = '下一步（→）';
+        [this.stepBackButton, this.playButton, this.stepForwardButton].forEach(button => {
+            button.type = 'button';
+        });
+
+        const progress = this.createChild(root, 'div', 'playback-progress');
+        this.progressInput = this.createChild(progress, 'input', 'playback-scrubber');
+        this.progressInput.type = 'range';
+        this.progressInput.min = 0;
+        this.progressInput.step = 1;
+        this.progressInput.setAttribute('aria-label', '进度');
+        this.markers = this.createChild(progress, 'div', 'playback-markers');
+
+        this.counter = this.createChild(root, 'span', 'playback-counter');
+
+        const speed = this.createChild(root, 'label', 'playback-speed', '速度');
+        this.speedInput = this.createChild(speed, 'input', 'playback-speed-input');
+        this.speedInput.type = 'range';
+        this.speedInput.min = minSpeed;
+        this.speedInput.max = maxSpeed;
+        this.speedInput.step = minSpeed;
+        this.speedInput.value = this.controller.framework.timeline.playbackRate;
+        this.speedValue = this.createChild(speed, 'span', 'playback-speed-value');
+
+        this.label = this.createChild(root, 'div', 'playback-label');
+
+        this.stepBackButton.addEventListener('click', () => this.perform(controller => controller.stepBack()));
+        this.playButton.addEventListener('click', () => this.togglePlay());
+        this.stepForwardButton.addEventListener('click', () => this.perform(controller => controller.stepForward()));
+        this.progressInput.addEventListener('input', () => this.perform(controller => controller.seek(Number(this.progressInput.value))));
+        this.speedInput.addEventListener('input', () => this.controller.setSpeed(Number(this.speedInput.value)));
+    }
+
+    /**
+     * 切换播放和暂停
+     */
+    togglePlay() {
+        if (this.controller.playing) {
+            this.controller.pause();
+        } else {
+            this.perform(controller => controller.play());
+        }
+    }
+
+    /**
+     * 执行控制器的操作，同步抛出的错误和被拒绝的Promise都交给onError处理
+     * @param {function(PlaybackController): (Promise|*)} operation 操作
+     * @returns {Promise} 操作的结果；失败时如果有onError，在onError处理后兑现，否则以原来的错误拒绝
+     */
+    perform(operation) {
+        const result = new Promise(resolve => resolve(operation(this.controller)));
+        if (!this.onError) return result;
+        return result.catch(error => this.onError(error));
+    }
+
+    // 处理快捷键，输入框中的按键和按钮上的空格（由按钮自己的click处理）不处理
+    handleKey(event) {
+        const action = SHORTCUTS[event.key];
+        const target = event.target;
+        if (!action || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) return;
+        if (event.key === ' ' && target && target.tagName === 'BUTTON') return;
+
+        event.preventDefault();
+        action(this);
+    }
+
+    /**
+     * 按控制器的状态刷新控制条
+     */
+    update() {
+        const { position, length, playing, label } = this.controller.getState();
+        const running = this.controller.current !== null;
+
+        this.playButton.textContent = playing ? '暂停' : '播放';
+        this.playButton.classList.toggle('playing', playing);
+        this.playButton.disabled = !playing && !running && position >= length;
+        this.stepBackButton.disabled = position <= 0 && !running;
+        this.stepForwardButton.disabled = position >= length && !running;
+
+        this.progressInput.max = length;
+        this.progressInput.value = position;
+        this.progressInput.disabled = length === 0;
+        this.counter.textContent = `${position} / ${length}`;
+        this.speedValue.textContent = `${Number(this.controller.framework.timeline.playbackRate)}x`;
+        this.label.textContent = label;
+
+        if (this.markerCount !== length) {
+            this.renderMarkers();
+        }
+    }
+
+    // 在进度条下方绘制每一步的刻度，鼠标悬停显示步骤说明
+    renderMarkers() {
+        const steps = this.controller.steps;
+        this.markers.textContent = '';
+        steps.forEach((step, index) => {
+            const marker = this.createChild(this.markers, 'span', 'playback-marker');
+            marker.style.left = `${(index + 1) / steps.length * 100}%`;
+            marker.title = step.label;
+        });
+        this.markerCount = steps.length;
+    }
+
+    /**
+     * 移除控制条和快捷键监听
+     */
+    destroy() {
+        this.unsubscribe();
+        if (this.keyboardTarget) {
+            this.keyboardTarget.removeEventListener('keydown', this.onKeyDown);
+        }
+        this.root.remove();
+    }
+}
+
+// export
+export { PlaybackControls };
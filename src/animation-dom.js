@@ -1,5 +1,10 @@
 'use strict';
-import { Element, Path, Box, Link, AnimationFramework } from './animation.js';
+import { Element, Path, Box, Text, Link, Group, AnimationFramework } from './animation.js';
+import { pruneGroupNode } from './animation-nodes.js';
+import { CanvasAnimationFramework } from './animation-canvas.js';
+import { sceneToSVG } from './animation-snapshot.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
 /**
  * 使用DOM作为渲染框架，所有的元素都映射成一个DOM元素，包括动画元素和非动画元素
@@ -19,15 +24,23 @@ class DOMAnimationFramework extends AnimationFramework {
     // 创建DOM元素并应用样式
     createDOMElement(type, element) {
         const domElement = document.createElement(type);
-        this.applyStyle(domElement, element);
-        this.root.appendChild(domElement);
         this.elementMap.set(element.id, domElement);
+        this.applyStyle(domElement, element);
         return domElement;
     }
 
+    // 把DOM节点放到所属分组的节点中，不属于分组的元素放在根节点下
+    placeDOMElement(domElement, element) {
+        const container = (element.parent && this.elementMap.get(element.parent.id)) || this.root;
+        if (domElement.parentNode !== container) {
+            container.appendChild(domElement);
+        }
+    }
+
     // 应用元素样式到DOM节点
     applyStyle(domElement, element) {
         const style = element.style;
+        this.placeDOMElement(domElement, element);
         domElement.style.position = 'absolute';
         domElement.style.left = `${element.x}px`;
         domElement.style.top = `${element.y}px`;
@@ -35,10 +48,11 @@ class DOMAnimationFramework extends AnimationFramework {
         domElement.style.borderWidth = `${style.borderWidth}px`;
         domElement.style.borderStyle = style.borderStyle;
         domElement.style.backgroundColor = style.backgroundColor;
+        domElement.style.opacity = style.opacity === undefined ? 1 : style.opacity;
         domElement.style.display = element.visible ? 'block' : 'none';
 
-        // 应用闪烁效果
-        if (this.flashingElements.includes(element)) {
+        // 应用闪烁效果，分组闪烁时子元素一起闪烁
+        if (this.isFlashing(element)) {
             domElement.classList.add('flashing');
         } else {
             domElement.classList.remove('flashing');
@@ -50,16 +64,85 @@ class DOMAnimationFramework extends AnimationFramework {
         let domElement = this.elementMap.get(box.id);
         if (!domElement) {
             domElement = this.createDOMElement('div', box);
-            domElement.style.width = `${box.width}px`;
-            domElement.style.height = `${box.height}px`;
         }
         this.applyStyle(domElement, box);
+        domElement.style.width = `${box.width}px`;
+        domElement.style.height = `${box.height}px`;
+        domElement.style.borderRadius = `${box.style.borderRadius || 0}px`;
+
+        // 标签在方框内水平垂直居中
+        if (box instanceof Box) {
+            this.applyTextStyle(domElement, box.style);
+            domElement.style.textAlign = 'center';
+            domElement.style.lineHeight = `${box.height}px`;
+            domElement.style.whiteSpace = 'nowrap';
+            domElement.textContent = box.text;
+        }
+    }
+
+    // 绘制Text元素，通过transform实现相对锚点的对齐
+    drawText(text) {
+        let domElement = this.elementMap.get(text.id);
+        if (!domElement) {
+            domElement = this.createDOMElement('div', text);
+        }
+        this.applyStyle(domElement, text);
+        this.applyTextStyle(domElement, text.style);
+        domElement.style.whiteSpace = 'nowrap';
+        domElement.style.lineHeight = '1';
+
+        const translateX = { left: '0', center: '-50%', right: '-100%' }[text.align];
+        const translateY = { top: '0', middle: '-50%', bottom: '-100%', alphabetic: '-80%' }[text.baseline];
+        domElement.style.transform = `translate(${translateX}, ${translateY})`;
+        domElement.textContent = text.text;
     }
 
-    // 绘制Link元素
+    // 绘制Group元素，子元素的DOM节点嵌套在分组节点中，通过transform实现旋转和缩放
+    drawGroup(group) {
+        let domElement = this.elementMap.get(group.id);
+        if (!domElement) {
+            domElement = this.createDOMElement('div', group);
+            domElement.className = 'animation-group';
+            domElement.style.width = '0';
+            domElement.style.height = '0';
+            domElement.style.overflow = 'visible';
+            domElement.style.transformOrigin = '0 0';
+        }
+        this.applyStyle(domElement, group);
+        domElement.style.transform = `rotate(${group.rotation}deg) scale(${group.scaleX}, ${group.scaleY})`;
+
+        group.children.forEach(child => {
+            child.draw(this);
+        });
+        pruneGroupNode(domElement, group, this.elementMap);
+    }
+
+    // 应用字体样式到DOM节点
+    applyTextStyle(domElement, style) {
+        domElement.style.color = style.textColor;
+        domElement.style.fontSize = `${style.textSize}px`;
+        domElement.style.fontFamily = style.fontName;
+        domElement.style.textDecoration = style.textDecoration;
+    }
+
+    // 绘制Link元素，不带箭头的单段直线使用旋转的div，其余使用内嵌的SVG
     drawLink(link) {
-        let domElement = this.elementMap.get(link.id);
         const path = link.path;
+        const isStraight = path.points.length === 2 && !path.hasCurves() && link.getMarkers().length === 0;
+        let domElement = this.elementMap.get(link.id);
+
+        // 路径形状改变后需要更换DOM节点的类型
+        if (domElement && (domElement.tagName.toLowerCase() === 'svg') === isStraight) {
+            domElement.remove();
+            this.elementMap.delete(link.id);
+            domElement = null;
+        }
+
+        if (!isStraight) {
+            this.drawPathLink(link, domElement);
+            return;
+        }
+
         const start = path.getStartPoint();
         const end = path.getEndPoint();
 
@@ -80,15 +163,90 @@ class DOMAnimationFramework extends AnimationFramework {
         this.applyStyle(domElement, link);
         domElement.style.width = `${length}px`;
         domElement.style.transform = `rotate(${angle}deg)`;
+    }
+
+    // 使用SVG绘制折线、曲线和带箭头的链接
+    drawPathLink(link, svgElement) {
+        const path = link.path;
+        const style = link.style;
 
-        // 绘制箭头（使用伪元素）
-        if (link.startArrow || link.endArrow) {
-            domElement.dataset.arrows = `${link.startArrow},${link.endArrow}`;
+        if (!svgElement) {
+            svgElement = document.createElementNS(SVG_NS, 'svg');
+            svgElement.setAttribute('class', 'link-element');
+            svgElement.appendChild(document.createElementNS(SVG_NS, 'path'));
+            const markerGroup = document.createElementNS(SVG_NS, 'g');
+            markerGroup.setAttribute('class', 'link-markers');
+            svgElement.appendChild(markerGroup);
+            this.elementMap.set(link.id, svgElement);
         }
+        this.placeDOMElement(svgElement, link);
+
+        // SVG画布覆盖路径的包围盒，并为线宽和箭头留出边距
+        const padding = style.borderWidth + Math.max(8, style.arrowSize || 0);
+        const bounds = path.getBounds();
+        const left = bounds.x - padding;
+        const top = bounds.y - padding;
+        const width = bounds.width + padding * 2;
+        const height = bounds.height + padding * 2;
+
+        svgElement.style.position = 'absolute';
+        svgElement.style.left = `${left}px`;
+        svgElement.style.top = `${top}px`;
+        svgElement.style.overflow = 'visible';
+        svgElement.style.display = link.visible ? 'block' : 'none';
+        svgElement.style.opacity = style.opacity === undefined ? 1 : style.opacity;
+        svgElement.setAttribute('width', width);
+        svgElement.setAttribute('height', height);
+        svgElement.setAttribute('viewBox', `${left} ${top} ${width} ${height}`);
+        svgElement.classList.toggle('flashing', this.isFlashing(link));
+
+        const pathElement = svgElement.querySelector('path');
+        pathElement.setAttribute('d', path.toSVGPathData());
+        pathElement.setAttribute('fill', 'none');
+        pathElement.setAttribute('stroke', style.borderColor);
+        pathElement.setAttribute('stroke-width', style.borderWidth);
+        if (style.borderStyle === 'dashed') {
+            pathElement.setAttribute('stroke-dasharray', '5 10');
+        } else if (style.borderStyle === 'dotted') {
+            pathElement.setAttribute('stroke-dasharray', '2 5');
+        } else {
+            pathElement.removeAttribute('stroke-dasharray');
+        }
+
+        this.drawMarkers(link, svgElement.querySelector('.link-markers'));
+    }
+
+    // 绘制链接两端的箭头标记，形状与Canvas渲染器一致
+    drawMarkers(link, markerGroup) {
+        while (markerGroup.firstChild) {
+            markerGroup.removeChild(markerGroup.firstChild);
+        }
+
+        // 保留两位小数，避免三角函数的误差出现在属性中
+        const round = value => Math.round(value * 100) / 100;
+        link.getMarkers().forEach(marker => {
+            const outline = Link.getMarkerOutline(marker);
+            let shape;
+            if (outline.circle) {
+                shape = document.createElementNS(SVG_NS, 'circle');
+                shape.setAttribute('cx', round(outline.circle.x));
+                shape.setAttribute('cy', round(outline.circle.y));
+                shape.setAttribute('r', round(outline.circle.radius));
+            } else {
+                shape = document.createElementNS(SVG_NS, 'polygon');
+                shape.setAttribute('points', outline.points.map(p => `${round(p.x)},${round(p.y)}`).join(' '));
+            }
+            shape.setAttribute('class', outline.filled ? 'link-marker filled' : 'link-marker');
+            shape.setAttribute('data-marker', marker.type);
+            shape.setAttribute('stroke', link.style.borderColor);
+            shape.setAttribute('stroke-width', link.style.borderWidth);
+            shape.setAttribute('fill', outline.filled ? link.style.borderColor : 'none');
+            markerGroup.appendChild(shape);
+        });
     }
 
     // 元素沿路径移动
-    moveBy(element, path, duration, completeCallback) {
+    moveBy(element, path, duration, completeCallback, options = {}) {
         if (!(element instanceof Element) || !(path instanceof Path)) {
             throw new TypeError('moveBy参数类型错误');
         }
@@ -97,7 +255,7 @@ class DOMAnimationFramework extends AnimationFramework {
         }
 
         // 使用followPath方法实现移动
-        this.followPath(
+        return this.followPath(
             path,
             (x, y, stepIndex, segmentIndex, loopCount, direction) => {
                 // 更新元素位置
@@ -112,7 +270,10 @@ class DOMAnimationFramework extends AnimationFramework {
             },
             'forward',
             duration,
-            completeCallback
+            completeCallback,
+            false,
+            false,
+            options
         );
     }
 
@@ -134,8 +295,8 @@ class DOMAnimationFramework extends AnimationFramework {
         }
     }
 
-    // 更新所有元素
-    update() {
+    // 时间轴每帧回调，把所有元素同步到DOM
+    renderFrame(time) {
         // 绘制所有元素
         this.elements.forEach(element => {
             element.draw(this);
@@ -145,19 +306,58 @@ class DOMAnimationFramework extends AnimationFramework {
         this.temporaryObjects.forEach(element => {
             element.draw(this);
         });
+    }
 
-        requestAnimationFrame(() => this.update());
+    // 立即更新所有元素
+    update() {
+        this.renderFrame(this.timeline.now());
+    }
+
+    // 生成当前场景的静态快照，参见AnimationFramework.snapshot；PNG快照借助Canvas渲染器在单独的画布上绘制
+    snapshot(options = {}) {
+        if (options.format === 'png') {
+            return CanvasAnimationFramework.renderSnapshot(this, options);
+        }
+        return sceneToSVG(this, options);
+    }
+
+    // 移除临时元素的同时移除其DOM节点
+    removeTemporaryElement(element) {
+        const domElement = this.elementMap.get(element.id);
+        if (domElement && domElement.parentNode) {
+            domElement.parentNode.removeChild(domElement);
+        }
+        this.elementMap.delete(element.id);
+        if (element instanceof Group) {
+            this.forgetChildren(element);
+        }
+        super.removeTemporaryElement(element);
     }
 
-    // 移除元素
+    // 移除元素，分组的子元素节点一并移除
     removeElement(elementId) {
         const domElement = this.elementMap.get(elementId);
         if (domElement && domElement.parentNode) {
             domElement.parentNode.removeChild(domElement);
         }
         this.elementMap.delete(elementId);
+
+        const element = this.elements.find(e => e.id === elementId);
+        if (element instanceof Group) {
+            this.forgetChildren(element);
+        }
         super.removeElement(elementId);
     }
+
+    // 清理分组子孙元素在elementMap中的记录
+    forgetChildren(group) {
+        group.children.forEach(child => {
+            this.elementMap.delete(child.id);
+            if (child instanceof Group) {
+                this.forgetChildren(child);
+            }
+        });
+    }
 }
 
 // 添加全局样式（如果需要）
@@ -179,31 +379,22 @@ if (typeof window !== 'undefined' && typeof document !== 'undefined') {
             position: absolute;
             pointer-events: none;
         }
-        
-        .link-element[data-arrows="true,true"]::before,
-        .link-element[data-arrows="true,true"]::after,
-        .link-element[data-arrows="true,false"]::before,
-        .link-element[data-arrows="false,true"]::after {
-            content: '';
-            position: absolute;
-            top: -4px;
-            width: 0;
-            height: 0;
-            border-style: solid;
+
+        svg.link-element.flashing path,
+        svg.link-element.flashing .link-marker {
+            animation: flash-stroke 0.5s infinite alternate;
         }
-        
-        .link-element[data-arrows="true,true"]::before,
-        .link-element[data-arrows="true,false"]::before {
-            left: 0;
-            border-width: 4px 8px 4px 0;
-            border-color: transparent currentColor transparent transparent;
+
+        svg.link-element.flashing .link-marker.filled {
+            animation: flash-marker 0.5s infinite alternate;
         }
-        
-        .link-element[data-arrows="true,true"]::after,
-        .link-element[data-arrows="false,true"]::after {
-            right: 0;
-            border-width: 4px 0 4px 8px;
-            border-color: transparent transparent transparent currentColor;
+
+        @keyframes flash-stroke {
+            from { stroke: red; }
+        }
+
+        @keyframes flash-marker {
+            from { stroke: red; fill: red; }
         }
     `;
         document.head.appendChild(style);
@@ -0,0 +1,164 @@
+'use strict';
+import { writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { Timeline } from './animation.js';
+import { CanvasAnimationFramework } from './animation-canvas.js';
+import { GIFEncoder } from './gif-encoder.js';
+
+/**
+ * 动画导出器，在Node中用canvas包驱动CanvasAnimationFramework，按固定时钟逐帧截取画面
+ * 可以导出PNG序列和动画GIF，适合离线批量生成课件素材
+ *
+ * 场景脚本是一个函数 (framework) => Promise|void，负责添加元素并执行动画，例如：
+ *     await exporter.exportGIF(async framework => {
+ *         const box = new Box(0, 0, 40, 40, 1);
+ *         framework.addElement(box);
+ *         await framework.moveBy(box, path, 1000);
+ *     }, 'box.gif');
+ *
+ * @param {Object} options 选项
+ * @param {number} options.width 画面宽度
+ * @param {number} options.height 画面高度
+ * @param {number} [options.fps=20] 帧率，时间轴的固定步长为1000 / fps
+ * @param {string} [options.background='white'] 背景颜色，'transparent'表示透明
+ * @param {function} [options.createCanvas] 创建画布的函数 (width, height) => canvas，默认使用canvas包
+ */
+class FrameExporter {
+    constructor({ width, height, fps = 20, background = 'white', createCanvas = null } = {}) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+            throw new RangeError('导出的宽高必须为正整数');
+        }
+        if (typeof fps !== 'number' || !(fps > 0)) {
+            throw new RangeError('fps必须为大于0的数字');
+        }
+
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.background = background;
+        this.createCanvas = createCanvas;
+    }
+
+    // 创建画布，没有指定createCanvas时按需加载canvas包
+    async newCanvas() {
+        if (this.createCanvas) {
+            return this.createCanvas(this.width, this.height);
+        }
+        const { createCanvas } = await import('canvas');
+        return createCanvas(this.width, this.height);
+    }
+
+    /**
+     * 执行场景脚本并逐帧截取画面
+     * 第0帧为脚本完成初始设置后的画面，之后每帧推进时间轴一个步长；动画全部结束后停止
+     * @param {function} scene 场景脚本
+     * @param {function} onFrame 每帧回调 (canvas, {index, time})，可以返回Promise
+     * @param {Object} [options] 选项
+     * @param {number} [options.startFrame=0] 第一帧的序号（包含）
+     * @param {number} [options.endFrame=Infinity] 最后一帧的序号（不包含）
+     * @param {number} [options.maxFrames=3000] 最多模拟的帧数，避免闪烁等持续动画无法结束
+     * @returns {Promise<number>} 截取的帧数
+     */
+    async capture(scene, onFrame, { startFrame = 0, endFrame = Infinity, maxFrames = 3000 } = {}) {
+        if (typeof scene !== 'function' || typeof onFrame !== 'function') {
+            throw new TypeError('scene和onFrame必须为函数');
+        }
+        if (!Number.isInteger(startFrame) || startFrame < 0 || !(endFrame > startFrame)) {
+            throw new RangeError('帧范围无效');
+        }
+
+        const canvas = await this.newCanvas();
+        const framework = new CanvasAnimationFramework(canvas);
+        const timeline = new Timeline({ fixedStep: 1000 / this.fps });
+        framework.setTimeline(timeline);
+
+        // 脚本中的异常在截取结束后抛出
+        // 不等待脚本结束：存在闪烁等持续动画时脚本可能不会结束
+        let sceneError = null;
+        Promise.resolve()
+            .then(() => scene(framework))
+            .catch(error => { sceneError = error; });
+        await Promise.resolve();
+
+        let captured = 0;
+        const lastFrame = Math.min(endFrame, maxFrames);
+        for (let index = 0; index < lastFrame; index++) {
+            if (index === 0) {
+                framework.doUpdate();
+            } else {
+                // 时间轴空闲时让出一次事件循环，使await动画句柄的脚本有机会启动下一个动画
+                if (timeline.isIdle()) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (timeline.isIdle()) break;
+                }
+                timeline.step();
+            }
+            if (sceneError) break;
+
+            if (index >= startFrame) {
+                framework.fillBackground(this.background);
+                await onFrame(canvas, { index, time: timeline.now() });
+                captured++;
+            }
+        }
+
+        if (sceneError) {
+            throw sceneError;
+        }
+        return captured;
+    }
+
+    /**
+     * 导出PNG序列，文件名为 prefix + 四位帧序号 + '.png'
+     * @param {function} scene 场景脚本
+     * @param {string} directory 输出目录，不存在时自动创建
+     * @param {Object} [options] 选项，同capture，另外支持prefix（默认'frame_'）
+     * @returns {Promise<Array<string>>} 生成的文件路径
+     */
+    async exportPNGSequence(scene, directory, { prefix = 'frame_', ...options } = {}) {
+        await mkdir(directory, { recursive: true });
+        const files = [];
+
+        await this.capture(scene, async (canvas, { index }) => {
+            const file = join(directory, `${prefix}${String(index).padStart(4, '0')}.png`);
+            await writeFile(file, canvas.toBuffer('image/png'));
+            files.push(file);
+        }, options);
+
+        return files;
+    }
+
+    /**
+     * 编码动画GIF
+     * @param {function} scene 场景脚本
+     * @param {Object} [options] 选项，同capture，另外支持repeat（默认0，无限循环）
+     * @returns {Promise<Uint8Array>} GIF文件内容
+     */
+    async encodeGIF(scene, { repeat = 0, ...options } = {}) {
+        const encoder = new GIFEncoder(this.width, this.height, { repeat });
+        const delay = 1000 / this.fps;
+
+        await this.capture(scene, canvas => {
+            const imageData = canvas.getContext('2d').getImageData(0, 0, this.width, this.height);
+            encoder.addFrame(imageData.data, delay);
+        }, options);
+
+        return encoder.finish();
+    }
+
+    /**
+     * 导出动画GIF文件
+     * @param {function} scene 场景脚本
+     * @param {string} file 输出文件路径
+     * @param {Object} [options] 选项，同encodeGIF
+     * @returns {Promise<Uint8Array>} GIF文件内容
+     */
+    async exportGIF(scene, file, options = {}) {
+        const bytes = await this.encodeGIF(scene, options);
+        await writeFile(file, bytes);
+        return bytes;
+    }
+}
+
+// export
+export { FrameExporter };
@@ -0,0 +1,26 @@
+'use strict';
+
+// DOM和SVG渲染器共用的节点管理函数，两个渲染器都用elementMap记录元素id到节点的映射
+
+/**
+ * 移除已经离开分组的子元素节点，同时清理这些节点及其子孙在elementMap中的记录
+ * 子元素移到其他容器时，它的节点已经被移到新的容器中，不在分组节点里，不会被移除
+ * @param {Node} groupNode 分组的节点
+ * @param {Group} group 分组
+ * @param {Map<string, Node>} elementMap 元素id到节点的映射
+ */
+function pruneGroupNode(groupNode, group, elementMap) {
+    const current = new Set(group.children.map(child => elementMap.get(child.id)));
+    Array.from(groupNode.childNodes).forEach(node => {
+        if (current.has(node)) return;
+        node.remove();
+        for (const [id, mapped] of elementMap) {
+            if (node.contains(mapped)) {
+                elementMap.delete(id);
+            }
+        }
+    });
+}
+
+// export
+export { pruneGroupNode };
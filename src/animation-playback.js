@@ -0,0 +1,437 @@
+'use strict';
+import { Element, Path, AnimationHandle, AnimationFramework } from './animation.js';
+
+/**
+ * 逐步回放控制器
+ * 算法先运行一遍，把每一步操作记录为可逆的动作；之后由控制器播放、暂停、单步前进、单步后退或跳转到任意一步
+ *
+ * 动作是带有forward和backward方法的对象：
+ *     {
+ *         forward(framework, animated) {...},  // 执行动作，animated为true时返回AnimationHandle或Promise
+ *         backward(framework, animated) {...}  // 撤销动作，恢复到forward之前的状态
+ *     }
+ * animated为false时必须立即完成，用于跳转和中断正在播放的步骤；中断时只对还没有完成的动作调用
+ * 同一步中的动作同时执行，撤销时按相反的顺序执行；常用的动作由moveAction、animateAction等函数创建
+ *
+ * 事件（通过on监听）：
+ *     play、pause、end：开始播放、暂停、播放到最后一步
+ *     step：完成一步，参数为 {index, direction, label}，direction为1（前进）或-1（后退）
+ *     seek：跳转完成，参数为 {from, to}
+ *     record：记录了新的一步，参数为 {index, label}
+ *     speed：修改了播放速度，参数为 {rate}
+ *     change：以上任何状态变化之后触发，参数为getState()的返回值，适合界面统一刷新
+ * @param {AnimationFramework} framework 动画框架
+ */
+class PlaybackController {
+    constructor(framework) {
+        if (!(framework instanceof AnimationFramework)) {
+            throw new TypeError('PlaybackController的framework必须为AnimationFramework实例');
+        }
+
+        this.framework = framework;
+        this.steps = [];
+        this.position = 0; // 已经执行的步数，取值0到steps.length
+        this.playing = false;
+        this.current = null; // 正在执行的步骤
+        this.playToken = null; // 当前播放循环的标记，暂停或重新播放时失效
+        this.listeners = {};
+    }
+
+    /**
+     * 监听事件
+     * @param {string} event 事件名称
+     * @param {function} listener 监听函数
+     * @returns {function} 取消监听的函数
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError('listener必须为函数');
+        }
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * 取消监听事件
+     * @param {string} event 事件名称
+     * @param {function} listener 监听函数
+     */
+    off(event, listener) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+        }
+    }
+
+    // 触发事件，之后触发change事件
+    emit(event, detail) {
+        (this.listeners[event] || []).slice().forEach(listener => listener(detail));
+        if (event !== 'change') {
+            const state = this.getState();
+            (this.listeners.change || []).slice().forEach(listener => listener(state));
+        }
+    }
+
+    /**
+     * 返回当前的回放状态
+     * @returns {Object} {position, length, playing, label}，label为最近完成的一步的说明
+     */
+    getState() {
+        const last = this.steps[this.position - 1];
+        return {
+            position: this.position,
+            length: this.steps.length,
+            playing: this.playing,
+            label: last ? last.label : ''
+        };
+    }
+
+    /**
+     * 记录一步操作
+     * @param {string} label 这一步的说明，例如“交换a[1]和a[5]”
+     * @param {Object|Array<Object>} actions 一个或多个可逆动作
+     * @returns {number} 这一步的序号
+     */
+    record(label, actions) {
+        if (typeof label !== 'string') {
+            throw new TypeError('步骤说明必须为字符串');
+        }
+        actions = Array.isArray(actions) ? actions : [actions];
+        actions.forEach(action => {
+            if (!action || typeof action.forward !== 'function' || typeof action.backward !== 'function') {
+                throw new TypeError('动作必须包含forward和backward方法');
+            }
+        });
+
+        const index = this.steps.length;
+        this.steps.push({ label, actions });
+        this.emit('record', { index, label });
+        return index;
+    }
+
+    /**
+     * 清空记录的步骤，元素保持当前状态
+     */
+    clear() {
+        this.pause();
+        this.interrupt();
+        this.steps = [];
+        this.position = 0;
+        this.emit('seek', { from: 0, to: 0 });
+    }
+
+    /**
+     * 从当前位置开始连续播放，正在暂停的步骤从中断处继续
+     * @returns {Promise} 播放暂停或结束时完成
+     */
+    async play() {
+        if (this.playing || (this.position >= this.steps.length && !this.current)) return;
+
+        const token = {};
+        this.playToken = token;
+        this.playing = true;
+        this.emit('play');
+
+        if (this.current) {
+            const current = this.current;
+            current.handles.forEach(handle => handle.resume());
+            await current.finished;
+        }
+        while (this.playToken === token && this.position < this.steps.length) {
+            await this.runStep(1);
+        }
+
+        if (this.playToken === token) {
+            this.playToken = null;
+            this.playing = false;
+            this.emit('end');
+        }
+    }
+
+    /**
+     * 暂停播放，正在执行的步骤停在当前画面
+     */
+    pause() {
+        if (!this.playing) return;
+        this.playToken = null;
+        this.playing = false;
+        if (this.current) {
+            this.current.handles.forEach(handle => handle.pause());
+        }
+        this.emit('pause');
+    }
+
+    /**
+     * 暂停播放并带动画地前进一步，正在执行的步骤会先立即完成
+     * @returns {Promise<boolean>} 是否前进了一步
+     */
+    async stepForward() {
+        this.pause();
+        this.interrupt();
+        if (this.position >= this.steps.length) return false;
+        await this.runStep(1);
+        return true;
+    }
+
+    /**
+     * 暂停播放并带动画地后退一步，正在执行的步骤会先立即完成
+     * @returns {Promise<boolean>} 是否后退了一步
+     */
+    async stepBack() {
+        this.pause();
+        this.interrupt();
+        if (this.position <= 0) return false;
+        await this.runStep(-1);
+        return true;
+    }
+
+    /**
+     * 暂停播放并立即跳转到指定位置，不播放动画
+     * @param {number} stepIndex 目标位置，即跳转后已经执行的步数，取值0到步骤总数
+     */
+    seek(stepIndex) {
+        if (!Number.isInteger(stepIndex) || stepIndex < 0 || stepIndex > this.steps.length) {
+            throw new RangeError(`跳转位置必须为0到${this.steps.length}之间的整数`);
+        }
+
+        this.pause();
+        this.interrupt();
+        const from = this.position;
+        while (this.position < stepIndex) {
+            this.applyStep(this.position, 1);
+            this.position++;
+        }
+        while (this.position > stepIndex) {
+            this.position--;
+            this.applyStep(this.position, -1);
+        }
+        this.framework.timeline.requestFrame();
+        this.emit('seek', { from, to: stepIndex });
+    }
+
+    /**
+     * 设置播放速度
+     * @param {number} rate 播放速率，1为正常速度
+     */
+    setSpeed(rate) {
+        this.framework.setPlaybackRate(rate);
+        this.emit('speed', { rate });
+    }
+
+    // 立即执行或撤销一步（私有方法）
+    applyStep(index, direction) {
+        const actions = this.steps[index].actions;
+        if (direction > 0) {
+            actions.forEach(action => action.forward(this.framework, false));
+        } else {
+            actions.slice().reverse().forEach(action => action.backward(this.framework, false));
+        }
+    }
+
+    // 带动画地执行或撤销一步，完成后更新位置（私有方法）
+    async runStep(direction) {
+        const index = direction > 0 ? this.position : this.position - 1;
+        const step = this.steps[index];
+        const actions = direction > 0 ? step.actions : step.actions.slice().reverse();
+        const results = actions.map(action => direction > 0
+            ? action.forward(this.framework, true)
+            : action.backward(this.framework, true));
+
+        const current = {
+            index,
+            direction,
+            interrupted: false,
+            actions,
+            results,
+            // 每个动作是否已经完成，没有返回Promise的动作立即完成
+            settled: results.map(result => !result || typeof result.then !== 'function'),
+            handles: results.filter(result => result instanceof AnimationHandle),
+            finished: null
+        };
+        results.forEach((result, i) => {
+            if (!current.settled[i]) {
+                result.then(() => {
+                    if (!current.interrupted) current.settled[i] = true;
+                });
+            }
+        });
+        current.finished = Promise.all(results).then(() => {
+            if (!current.interrupted) this.finishStep(current);
+        });
+        this.current = current;
+        await current.finished;
+    }
+
+    // 中断正在执行的步骤，不带动画地完成还没有完成的动作，已经完成的动作不再重复执行（私有方法）
+    interrupt() {
+        const current = this.current;
+        if (!current) return;
+        current.interrupted = true;
+        current.handles.forEach(handle => handle.cancel());
+        current.actions.forEach((action, i) => {
+            const result = current.results[i];
+            // 动画结束后Promise在微任务中才兑现，此时句柄的状态已经是finished
+            if (current.settled[i] || (result instanceof AnimationHandle && result.state === 'finished')) return;
+            if (current.direction > 0) {
+                action.forward(this.framework, false);
+            } else {
+                action.backward(this.framework, false);
+            }
+        });
+        this.framework.timeline.requestFrame();
+        this.finishStep(current);
+    }
+
+    // 步骤完成后更新位置并触发step事件（私有方法）
+    finishStep(current) {
+        this.current = null;
+        this.position += current.direction;
+        this.emit('step', { index: current.index, direction: current.direction, label: this.steps[current.index].label });
+    }
+}
+
+// 读取animate作用的属性值，规则与AnimationFramework.createPropertyInterpolator一致
+function propertyTarget(element, name) {
+    return !(name in element.style) && name in element ? element : element.style;
+}
+
+/**
+ * 沿路径移动元素的动作，撤销时沿反向路径移回起点
+ * @param {Element} element 元素
+ * @param {Path} path 移动路径
+ * @param {number} [duration=500] 持续时间（毫秒）
+ * @param {Object} [options] 移动选项，参见AnimationFramework.moveAlongPath
+ * @returns {Object} 动作
+ */
+function moveAction(element, path, duration = 500, options = {}) {
+    if (!(element instanceof Element) || !(path instanceof Path)) {
+        throw new TypeError('moveAction参数类型错误');
+    }
+    const move = (framework, animated, movePath) => {
+        if (animated) {
+            return framework.moveBy(element, movePath, duration, null, options);
+        }
+        const end = movePath.getEndPoint();
+        element.moveTo(end.x, end.y);
+    };
+    return {
+        forward: (framework, animated) => move(framework, animated, path),
+        backward: (framework, animated) => move(framework, animated, path.reverse())
+    };
+}
+
+/**
+ * 属性补间动作，撤销时补间回第一次执行前的值
+ * @param {Element} element 元素
+ * @param {Object} properties 目标值，参见AnimationFramework.animate
+ * @param {number} [duration=500] 持续时间（毫秒）
+ * @param {function|string|Array} [easing='linear'] 缓动函数
+ * @returns {Object} 动作
+ */
+function animateAction(element, properties, duration = 500, easing = 'linear') {
+    if (!(element instanceof Element) || !properties || typeof properties !== 'object') {
+        throw new TypeError('animateAction参数类型错误');
+    }
+    // 回放总是按顺序执行，每次执行前的状态相同，只需记录一次
+    let before = null;
+    const apply = (framework, animated, values) => {
+        if (animated) {
+            return framework.animate(element, values, duration, easing);
+        }
+        Object.keys(values).forEach(name => {
+            propertyTarget(element, name)[name] = values[name];
+        });
+    };
+    return {
+        forward: (framework, animated) => {
+            if (!before) {
+                before = {};
+                Object.keys(properties).forEach(name => {
+                    before[name] = propertyTarget(element, name)[name];
+                });
+            }
+            return apply(framework, animated, properties);
+        },
+        backward: (framework, animated) => apply(framework, animated, before)
+    };
+}
+
+/**
+ * 开始或停止闪烁的动作
+ * @param {Element} element 元素
+ * @param {boolean} [on=true] true开始闪烁，false停止闪烁
+ * @returns {Object} 动作
+ */
+function flashAction(element, on = true) {
+    const set = (framework, flashing) => {
+        if (flashing === framework.flashingElements.includes(element)) return;
+        if (flashing) {
+            framework.addFlash(element);
+        } else {
+            framework.removeFlash(element);
+        }
+    };
+    return {
+        forward: framework => set(framework, on),
+        backward: framework => set(framework, !on)
+    };
+}
+
+/**
+ * 修改元素状态的动作，撤销时恢复第一次执行前的值，没有动画
+ * 例如 setAction(box, 'label', 5)、setAction(text, 'visible', false)
+ * @param {Element} element 元素
+ * @param {string} name 属性名，作用规则与animate相同；Box的label和Text的text通过对应的方法修改
+ * @param {*} value 新的值
+ * @returns {Object} 动作
+ */
+function setAction(element, name, value) {
+    let before;
+    let captured = false;
+    const set = (framework, newValue) => {
+        if (name === 'label' && typeof element.setLabel === 'function') {
+            element.setLabel(newValue);
+        } else if (name === 'text' && typeof element.setText === 'function') {
+            element.setText(newValue);
+        } else {
+            propertyTarget(element, name)[name] = newValue;
+        }
+        framework.timeline.requestFrame();
+    };
+    return {
+        forward: framework => {
+            if (!captured) {
+                before = propertyTarget(element, name)[name];
+                captured = true;
+            }
+            set(framework, value);
+        },
+        backward: framework => set(framework, before)
+    };
+}
+
+/**
+ * 添加临时元素的动作，撤销时移除，例如比较时的指示线和范围标记
+ * @param {Element} element 元素
+ * @returns {Object} 动作
+ */
+function addTemporaryAction(element) {
+    return {
+        forward: framework => framework.createTemporaryElement(element),
+        backward: framework => framework.removeTemporaryElement(element)
+    };
+}
+
+/**
+ * 移除临时元素的动作，撤销时重新添加
+ * @param {Element} element 元素
+ * @returns {Object} 动作
+ */
+function removeTemporaryAction(element) {
+    return {
+        forward: framework => framework.removeTemporaryElement(element),
+        backward: framework => framework.createTemporaryElement(element)
+    };
+}
+
+// export
+export { PlaybackController, moveAction, animateAction, flashAction, setAction, addTemporaryAction, removeTemporaryAction };
@@ -0,0 +1,181 @@
+'use strict';
+import { Element, Path, Box, Text, Link, Group, Timeline, AnimationFramework } from './animation.js';
+
+/**
+ * 把元素的当前状态描述为可以JSON序列化的对象
+ * @param {Element} element 元素
+ * @param {AnimationFramework} framework 用于判断闪烁状态的框架
+ * @returns {Object} 元素状态
+ */
+function describeElement(element, framework) {
+    const state = {
+        id: element.id,
+        type: element.constructor.name,
+        x: element.x,
+        y: element.y,
+        visible: element.visible,
+        flashing: framework.isFlashing(element),
+        style: { ...element.style }
+    };
+
+    if (element.parent) {
+        state.parent = element.parent.id;
+    }
+    if (typeof element.width === 'number') {
+        state.width = element.width;
+        state.height = element.height;
+    }
+    if (element instanceof Box) {
+        state.label = element.text;
+    }
+    if (element instanceof Text) {
+        state.text = element.text;
+        state.align = element.align;
+        state.baseline = element.baseline;
+    }
+    if (element instanceof Link) {
+        state.points = element.path.points.map(point => ({ x: point.x, y: point.y }));
+        state.segments = JSON.parse(JSON.stringify(element.path.segments));
+        state.startArrow = element.startArrow;
+        state.endArrow = element.endArrow;
+        if (element.source) {
+            state.source = element.source.id;
+            state.target = element.target.id;
+        }
+    }
+    if (element instanceof Group) {
+        state.rotation = element.rotation;
+        state.scaleX = element.scaleX;
+        state.scaleY = element.scaleY;
+        state.children = element.children.map(child => child.id);
+    }
+    return state;
+}
+
+/**
+ * 无界面的录制渲染器，不依赖DOM和Canvas
+ * 每次时间轴推进都会记录一帧：按绘制顺序记录的draw调用，以及每个元素在这一帧的状态
+ * 默认使用固定步长的时间轴，同样的动画脚本总是得到同样的记录，可以用于快照测试和服务端生成
+ * @param {Object} [options] 选项
+ * @param {number} [options.fixedStep=20] 时间轴的固定步长（毫秒）
+ * @param {Timeline} [options.timeline] 使用指定的时间轴，忽略fixedStep
+ */
+class RecordingAnimationFramework extends AnimationFramework {
+
+    constructor({ fixedStep = 20, timeline = null } = {}) {
+        super();
+        this.setTimeline(timeline || new Timeline({ fixedStep }));
+        this.frames = [];
+        this.currentFrame = null;
+    }
+
+    // 记录一次draw调用和元素的状态
+    record(method, element) {
+        if (!this.currentFrame) return;
+        this.currentFrame.calls.push({ method, id: element.id });
+        this.currentFrame.elements[element.id] = describeElement(element, this);
+    }
+
+    drawBox(box) {
+        this.record('drawBox', box);
+    }
+
+    drawText(text) {
+        this.record('drawText', text);
+    }
+
+    drawLink(link) {
+        this.record('drawLink', link);
+    }
+
+    drawGroup(group) {
+        this.record('drawGroup', group);
+        group.children.forEach(child => {
+            child.draw(this);
+        });
+    }
+
+    // 元素沿路径移动
+    moveBy(element, path, duration, completeCallback, options = {}) {
+        if (!(element instanceof Element) || !(path instanceof Path)) {
+            throw new TypeError('moveBy参数类型错误');
+        }
+        if (typeof duration !== 'number' || duration <= 0) {
+            throw new TypeError('duration参数类型错误');
+        }
+
+        return this.followPath(
+            path,
+            (x, y) => element.moveTo(x, y),
+            'forward',
+            duration,
+            completeCallback,
+            false,
+            false,
+            options
+        );
+    }
+
+    // 时间轴每帧回调，记录一帧
+    renderFrame(time) {
+        this.currentFrame = { index: this.frames.length, time, calls: [], elements: {} };
+
+        this.elements.forEach(element => {
+            element.draw(this);
+        });
+        this.temporaryObjects.forEach(element => {
+            element.draw(this);
+        });
+
+        this.frames.push(this.currentFrame);
+        this.currentFrame = null;
+    }
+
+    // 立即记录当前状态
+    update() {
+        this.renderFrame(this.timeline.now());
+    }
+
+    /**
+     * 推进时间轴直到所有动画结束
+     * 时间轴空闲时先让出一次事件循环，使await动画句柄的脚本有机会启动下一个动画
+     * 存在闪烁元素时时间轴不会空闲，此时在maxSteps步后停止
+     * @param {Object} [options] 选项
+     * @param {number} [options.maxSteps=10000] 最多推进的步数
+     * @returns {Promise<number>} 实际推进的步数
+     */
+    async run({ maxSteps = 10000 } = {}) {
+        let steps = 0;
+        while (steps < maxSteps) {
+            if (this.timeline.isIdle()) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (this.timeline.isIdle()) break;
+            }
+            this.timeline.step();
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * 清空已记录的帧
+     */
+    clear() {
+        this.frames = [];
+    }
+
+    /**
+     * 返回场景记录
+     * @returns {Object} {fixedStep, frames}
+     */
+    getSceneLog() {
+        return { fixedStep: this.timeline.fixedStep, frames: this.frames };
+    }
+
+    toJSON() {
+        return this.getSceneLog();
+    }
+}
+
+// export
+export { RecordingAnimationFramework, describeElement };
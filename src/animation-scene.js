@@ -0,0 +1,405 @@
+'use strict';
+import { Element, Path, Box, Text, Link, Group, AnimationFramework } from './animation.js';
+
+/**
+ * 声明式的场景描述格式，用于保存和加载场景
+ * 场景描述是可以直接JSON序列化的对象：
+ *     {
+ *         version: 1,
+ *         elements: [
+ *             {type: 'box', id: 'a', x: 0, y: 0, width: 40, height: 40, label: 3, style: {backgroundColor: 'yellow'}},
+ *             {type: 'text', id: 't', x: 20, y: 60, text: 'pivot', align: 'center'},
+ *             {type: 'group', id: 'g', x: 100, y: 0, rotation: 0, scaleX: 1, scaleY: 1, children: [...]},
+ *             {type: 'link', id: 'l', source: 'a', target: 'g', sourceAnchor: 'edge', endArrow: 'triangle'}
+ *         ],
+ *         timeline: [
+ *             {action: 'moveBy', target: 'a', path: [{x: 0, y: 0}, {x: 0, y: 100}], duration: 500},
+ *             {action: 'parallel', actions: [{action: 'flash', target: 'a'}, {action: 'wait', duration: 300}]}
+ *         ]
+ *     }
+ * 链接可以用source和target引用其他元素的id（绑定端点），也可以用path给出固定路径
+ * style只记录与该类型默认样式不同的项；timeline中的动作按顺序执行，parallel中的动作同时执行
+ */
+
+// 当前的场景格式版本
+const SCENE_VERSION = 1;
+
+// 元素类型名称
+const ELEMENT_TYPES = ['element', 'box', 'text', 'link', 'group'];
+
+/**
+ * 场景动作的执行函数，返回可以await的对象
+ * 参数为 (framework, action, elements)，elements为id到元素的映射
+ */
+const SCENE_ACTIONS = {
+    moveBy: (framework, { path, duration, easing, segmentEasing, timing }, elements, target) => {
+        const options = {};
+        if (easing !== undefined) options.easing = easing;
+        if (segmentEasing !== undefined) options.segmentEasing = segmentEasing;
+        if (timing !== undefined) options.timing = timing;
+        return framework.moveBy(target, parsePath(path), duration, null, options);
+    },
+    animate: (framework, { properties, duration, easing }, elements, target) =>
+        framework.animate(target, properties, duration, easing),
+    flash: (framework, action, elements, target) => framework.addFlash(target),
+    unflash: (framework, action, elements, target) => framework.removeFlash(target),
+    show: (framework, action, elements, target) => setVisible(framework, target, true),
+    hide: (framework, action, elements, target) => setVisible(framework, target, false),
+    setLabel: (framework, { label }, elements, target) => {
+        target.setLabel(label);
+        framework.timeline.requestFrame();
+    },
+    setText: (framework, { text }, elements, target) => {
+        target.setText(text);
+        framework.timeline.requestFrame();
+    },
+    wait: (framework, { duration }) => framework.timeline.createTween(duration, () => {}),
+    parallel: (framework, { actions }, elements) =>
+        Promise.all(actions.map(action => runAction(framework, action, elements)))
+};
+
+// 不需要target的动作
+const UNTARGETED_ACTIONS = ['wait', 'parallel'];
+
+// 修改元素的可见性
+function setVisible(framework, element, visible) {
+    element.visible = visible;
+    framework.timeline.requestFrame();
+}
+
+// 返回同类型元素的默认样式，用于只记录不同的样式项
+function defaultStyle(element) {
+    if (element instanceof Box) return new Box(0, 0, 1, 1).style;
+    if (element instanceof Text) return new Text(0, 0, '').style;
+    if (element instanceof Link) return new Link(new Path([{ x: 0, y: 0 }, { x: 0, y: 0 }]), element.style.borderStyle).style;
+    if (element instanceof Group) return new Group(0, 0).style;
+    return new Element(0, 0).style;
+}
+
+// 元素对应的类型名称
+function typeOf(element) {
+    if (element instanceof Box) return 'box';
+    if (element instanceof Text) return 'text';
+    if (element instanceof Link) return 'link';
+    if (element instanceof Group) return 'group';
+    return 'element';
+}
+
+// 深拷贝可以JSON序列化的值
+function cloneData(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 把路径描述转换为Path，路径描述可以是点数组，也可以是 {points, segments}
+ * @param {Array|Object} description 路径描述
+ * @returns {Path} 路径
+ */
+function parsePath(description) {
+    if (Array.isArray(description)) {
+        return new Path(cloneData(description));
+    }
+    if (description && Array.isArray(description.points)) {
+        return new Path(cloneData(description.points), cloneData(description.segments || []));
+    }
+    throw new TypeError('路径描述必须为点数组或包含points的对象');
+}
+
+/**
+ * 把Path转换为路径描述，只包含直线段时省略segments
+ * @param {Path} path 路径
+ * @returns {Object} {points, segments}
+ */
+function describePath(path) {
+    const description = { points: path.points.map(point => ({ x: point.x, y: point.y })) };
+    if (path.segments.some(segment => segment.type !== 'line')) {
+        description.segments = cloneData(path.segments);
+    }
+    return description;
+}
+
+/**
+ * 把元素描述为场景格式，分组的子元素递归描述
+ * @param {Element} element 元素
+ * @param {AnimationFramework} framework 用于记录闪烁状态的框架
+ * @returns {Object} 元素描述
+ */
+function describeSceneElement(element, framework) {
+    const type = typeOf(element);
+    const description = { type, id: element.id };
+
+    if (type === 'link') {
+        description.lineStyle = element.style.borderStyle;
+        if (element.source) {
+            description.source = element.source.id;
+            description.target = element.target.id;
+            description.sourceAnchor = element.sourceAnchor;
+            description.targetAnchor = element.targetAnchor;
+        } else {
+            description.path = describePath(element.path);
+        }
+        description.startArrow = element.startArrow;
+        description.endArrow = element.endArrow;
+    } else {
+        description.x = element.x;
+        description.y = element.y;
+    }
+
+    if (type === 'box') {
+        description.width = element.width;
+        description.height = element.height;
+        description.label = element.label;
+    } else if (type === 'text') {
+        description.text = element.text;
+        description.align = element.align;
+        description.baseline = element.baseline;
+    } else if (type === 'group') {
+        description.rotation = element.rotation;
+        description.scaleX = element.scaleX;
+        description.scaleY = element.scaleY;
+        description.children = element.children.map(child => describeSceneElement(child, framework));
+    }
+
+    if (!element.visible) {
+        description.visible = false;
+    }
+    if (framework.flashingElements.includes(element)) {
+        description.flashing = true;
+    }
+    if (Object.keys(element.ports).length > 0) {
+        description.ports = cloneData(element.ports);
+    }
+
+    const defaults = defaultStyle(element);
+    const style = {};
+    Object.keys(element.style).forEach(name => {
+        if (element.style[name] !== defaults[name]) {
+            style[name] = element.style[name];
+        }
+    });
+    if (Object.keys(style).length > 0) {
+        description.style = style;
+    }
+    return description;
+}
+
+/**
+ * 按描述创建元素，链接的端点在所有元素创建完成后绑定
+ * @param {Object} description 元素描述
+ * @param {Map} elements id到元素的映射，新建的元素会加入其中
+ * @param {Array} bindings 待绑定的链接 [{link, description}]
+ * @returns {Element} 元素
+ */
+function createSceneElement(description, elements, bindings) {
+    if (!description || typeof description !== 'object') {
+        throw new TypeError('元素描述必须为对象');
+    }
+    const { type, id } = description;
+    if (!ELEMENT_TYPES.includes(type)) {
+        throw new TypeError(`未知的元素类型: ${type}`);
+    }
+    if (typeof id !== 'string' || id === '') {
+        throw new TypeError('元素描述的id必须为非空字符串');
+    }
+    if (elements.has(id)) {
+        throw new Error(`元素id重复: ${id}`);
+    }
+
+    let element;
+    if (type === 'box') {
+        element = new Box(description.x, description.y, description.width, description.height, description.label);
+    } else if (type === 'text') {
+        element = new Text(description.x, description.y, description.text, description.align, description.baseline);
+    } else if (type === 'link') {
+        const bound = description.source !== undefined || description.target !== undefined;
+        // 绑定端点的链接先使用占位路径，绑定时重新计算
+        const path = bound ? new Path([{ x: 0, y: 0 }, { x: 0, y: 0 }]) : parsePath(description.path);
+        element = new Link(path, description.lineStyle, description.startArrow, description.endArrow);
+        if (bound) {
+            bindings.push({ link: element, description });
+        }
+    } else if (type === 'group') {
+        element = new Group(description.x, description.y);
+        element.rotation = description.rotation ?? 0;
+        element.setScale(description.scaleX ?? 1, description.scaleY ?? 1);
+    } else {
+        element = new Element(description.x, description.y);
+    }
+
+    element.id = id;
+    elements.set(id, element);
+    if (description.visible === false) {
+        element.visible = false;
+    }
+    Object.entries(description.ports || {}).forEach(([name, port]) => element.addPort(name, port.x, port.y));
+    Object.assign(element.style, description.style || {});
+
+    if (type === 'group') {
+        (description.children || []).forEach(child => {
+            element.add(createSceneElement(child, elements, bindings));
+        });
+    }
+    return element;
+}
+
+/**
+ * 检查动作描述，目标元素必须存在
+ * @param {Object} action 动作描述
+ * @param {Map} elements id到元素的映射
+ */
+function validateAction(action, elements) {
+    if (!action || typeof action !== 'object') {
+        throw new TypeError('动作描述必须为对象');
+    }
+    if (!Object.prototype.hasOwnProperty.call(SCENE_ACTIONS, action.action)) {
+        throw new TypeError(`未知的场景动作: ${action.action}`);
+    }
+    if (!UNTARGETED_ACTIONS.includes(action.action) && !elements.has(action.target)) {
+        throw new Error(`动作${action.action}的目标元素不存在: ${action.target}`);
+    }
+    if (action.action === 'moveBy') {
+        parsePath(action.path);
+    }
+    if (action.action === 'parallel') {
+        if (!Array.isArray(action.actions)) {
+            throw new TypeError('parallel动作的actions必须为数组');
+        }
+        action.actions.forEach(child => validateAction(child, elements));
+    }
+}
+
+/**
+ * 执行一个动作
+ * @param {AnimationFramework} framework 动画框架
+ * @param {Object} action 动作描述
+ * @param {Map} elements id到元素的映射
+ * @returns {Promise} 动作结束时完成
+ */
+function runAction(framework, action, elements) {
+    const target = elements.get(action.target);
+    return Promise.resolve(SCENE_ACTIONS[action.action](framework, action, elements, target));
+}
+
+/**
+ * 加载场景描述，替换框架中的当前场景
+ * @param {AnimationFramework} framework 动画框架
+ * @param {Object|string} scene 场景描述或其JSON字符串
+ * @returns {Map<string, Element>} id到元素的映射，包括分组中的子元素
+ */
+function loadScene(framework, scene) {
+    if (typeof scene === 'string') {
+        scene = JSON.parse(scene);
+    }
+    if (!scene || typeof scene !== 'object') {
+        throw new TypeError('场景描述必须为对象或JSON字符串');
+    }
+    if (scene.version !== undefined && scene.version !== SCENE_VERSION) {
+        throw new Error(`不支持的场景格式版本: ${scene.version}`);
+    }
+    const descriptions = scene.elements || [];
+    const actions = scene.timeline || [];
+    if (!Array.isArray(descriptions) || !Array.isArray(actions)) {
+        throw new TypeError('场景的elements和timeline必须为数组');
+    }
+
+    // 先完整解析场景，出错时不影响当前场景
+    const elements = new Map();
+    const bindings = [];
+    const roots = descriptions.map(description => createSceneElement(description, elements, bindings));
+    bindings.forEach(({ link, description }) => {
+        const source = elements.get(description.source);
+        const target = elements.get(description.target);
+        if (!source || !target) {
+            throw new Error(`链接${link.id}的端点元素不存在`);
+        }
+        link.bind(source, target, {
+            sourceAnchor: description.sourceAnchor,
+            targetAnchor: description.targetAnchor
+        });
+    });
+    actions.forEach(action => validateAction(action, elements));
+
+    [...framework.flashingElements].forEach(element => framework.removeFlash(element));
+    [...framework.temporaryObjects].forEach(element => framework.removeTemporaryElement(element));
+    [...framework.elements].forEach(element => framework.removeElement(element.id));
+
+    roots.forEach(element => framework.addElement(element));
+    const flashing = [];
+    const collectFlashing = description => {
+        if (description.flashing) flashing.push(elements.get(description.id));
+        (description.children || []).forEach(collectFlashing);
+    };
+    descriptions.forEach(collectFlashing);
+    flashing.forEach(element => framework.addFlash(element));
+
+    framework.sceneElements = elements;
+    framework.sceneActions = cloneData(actions);
+    return elements;
+}
+
+/**
+ * 把框架中的当前场景（不包括临时元素）和已加载的动作序列化为场景描述
+ * @param {AnimationFramework} framework 动画框架
+ * @returns {Object} 场景描述，可以直接JSON.stringify
+ */
+function serializeScene(framework) {
+    return {
+        version: SCENE_VERSION,
+        elements: framework.elements.map(element => describeSceneElement(element, framework)),
+        timeline: cloneData(framework.sceneActions)
+    };
+}
+
+/**
+ * 按顺序执行已加载场景的动作
+ * @param {AnimationFramework} framework 动画框架
+ * @returns {Promise} 所有动作结束时完成
+ */
+async function playScene(framework) {
+    const actions = framework.sceneActions;
+    const elements = framework.sceneElements;
+    for (const action of actions) {
+        await runAction(framework, action, elements);
+    }
+}
+
+// 场景操作同时作为AnimationFramework的方法，导入本模块后可以使用framework.loadScene(scene)等
+// 方法由本模块添加到原型上，核心模块animation.js不依赖场景格式
+const FRAMEWORK_METHODS = {
+    /**
+     * 加载声明式的场景描述，替换当前场景
+     * @param {Object|string} scene 场景描述或其JSON字符串
+     * @returns {Map<string, Element>} id到元素的映射，包括分组中的子元素
+     */
+    loadScene(scene) {
+        return loadScene(this, scene);
+    },
+
+    /**
+     * 把当前场景（不包括临时元素）和已加载的动作序列化为场景描述
+     * @returns {Object} 场景描述，可以直接JSON.stringify
+     */
+    serializeScene() {
+        return serializeScene(this);
+    },
+
+    /**
+     * 按顺序执行已加载场景中的动作
+     * @returns {Promise} 所有动作结束时完成
+     */
+    playScene() {
+        return playScene(this);
+    }
+};
+
+// 与类中定义的方法一样不可枚举
+Object.keys(FRAMEWORK_METHODS).forEach(name => {
+    Object.defineProperty(AnimationFramework.prototype, name, {
+        value: FRAMEWORK_METHODS[name],
+        writable: true,
+        configurable: true
+    });
+});
+
+// export
+export { loadScene, serializeScene, playScene, parsePath, describePath, SCENE_VERSION };
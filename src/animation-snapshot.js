@@ -0,0 +1,210 @@
+'use strict';
+import { Box, Text, Link, Group } from './animation.js';
+import { TEXT_ANCHORS, DOMINANT_BASELINES } from './animation-svg.js';
+
+/**
+ * 场景的静态快照：把当前的elements和temporaryObjects序列化为独立的SVG文件
+ * 不依赖DOM，Canvas、DOM渲染器和Node中都可以使用；PNG快照由CanvasAnimationFramework.renderSnapshot生成
+ */
+
+// 快照四周保留的边距
+const SNAPSHOT_MARGIN = 10;
+// 闪烁元素在'on'相位时的边框颜色，与渲染器的闪烁颜色一致
+const FLASH_COLOR = 'red';
+
+/**
+ * 规范化快照选项，缺省的宽高按场景的包围盒计算
+ * @param {AnimationFramework} framework 动画框架
+ * @param {Object} [options] 选项
+ * @param {string} [options.format='svg'] 'svg'或'png'
+ * @param {number} [options.width] 宽度
+ * @param {number} [options.height] 高度
+ * @param {string} [options.background='white'] 背景颜色，'transparent'表示透明
+ * @param {string} [options.flashPhase='on'] 闪烁元素冻结的相位：'on'显示为红色边框，'off'显示为原来的样式
+ * @returns {Object} 规范化后的选项
+ */
+function normalizeSnapshotOptions(framework, { format = 'svg', width, height, background = 'white', flashPhase = 'on', ...rest } = {}) {
+    if (format !== 'svg' && format !== 'png') {
+        throw new TypeError(`不支持的快照格式: ${format}`);
+    }
+    if (flashPhase !== 'on' && flashPhase !== 'off') {
+        throw new TypeError('flashPhase必须为on或off');
+    }
+
+    if (width === undefined || height === undefined) {
+        const bounds = getSceneBounds([...framework.elements, ...framework.temporaryObjects]);
+        width = width === undefined ? Math.ceil(bounds.right + SNAPSHOT_MARGIN) : width;
+        height = height === undefined ? Math.ceil(bounds.bottom + SNAPSHOT_MARGIN) : height;
+    }
+    if (!(width > 0) || !(height > 0)) {
+        throw new RangeError('快照的宽高必须大于0');
+    }
+    return { ...rest, format, width, height, background, flashPhase };
+}
+
+/**
+ * 计算可见元素在场景坐标中的右下边界
+ * @param {Array<Element>} elements 元素
+ * @returns {Object} {right, bottom}
+ */
+function getSceneBounds(elements) {
+    const bounds = { right: 0, bottom: 0 };
+    const include = (element, point) => {
+        const world = element.toWorld(point);
+        bounds.right = Math.max(bounds.right, world.x);
+        bounds.bottom = Math.max(bounds.bottom, world.y);
+    };
+
+    const visit = element => {
+        if (!element.visible) return;
+        if (element instanceof Group) {
+            element.children.forEach(visit);
+        } else if (element instanceof Link) {
+            const box = element.path.getBounds();
+            include(element, { x: box.x + box.width, y: box.y + box.height });
+        } else if (element instanceof Text) {
+            // 文本宽度按字号粗略估计
+            const size = element.style.textSize;
+            include(element, { x: element.x + element.text.length * size, y: element.y + size });
+        } else {
+            include(element, { x: element.x + (element.width || 0), y: element.y + (element.height || 0) });
+        }
+    };
+    elements.forEach(visit);
+    return bounds;
+}
+
+// 转义XML特殊字符
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 把属性对象转换为属性字符串，忽略值为null或undefined的属性
+function attributes(attrs) {
+    return Object.entries(attrs)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+        .join('');
+}
+
+// 边框样式对应的描边属性
+function strokeAttributes(style, flashing) {
+    const hasBorder = style.borderStyle !== 'none' && style.borderWidth > 0;
+    const dashes = { dashed: '5 10', dotted: '2 5' };
+    return {
+        'stroke': hasBorder ? (flashing ? FLASH_COLOR : style.borderColor) : 'none',
+        'stroke-width': style.borderWidth,
+        'stroke-dasharray': dashes[style.borderStyle]
+    };
+}
+
+// 字体样式对应的属性
+function textAttributes(style) {
+    return {
+        'fill': style.textColor,
+        'font-size': style.textSize,
+        'font-family': style.fontName,
+        'text-decoration': style.textDecoration && style.textDecoration !== 'none' ? style.textDecoration : null
+    };
+}
+
+// 序列化一个元素及其子元素
+function serializeElement(element, framework, options) {
+    if (!element.visible) return '';
+
+    const flashing = options.flashPhase === 'on' && framework.isFlashing(element);
+    const opacity = element.style.opacity === undefined || element.style.opacity === 1 ? null : element.style.opacity;
+
+    if (element instanceof Group) {
+        const transform = `translate(${element.x}, ${element.y}) rotate(${element.rotation}) scale(${element.scaleX}, ${element.scaleY})`;
+        const children = element.children.map(child => serializeElement(child, framework, options)).join('');
+        return `<g${attributes({ transform, opacity })}>${children}</g>`;
+    }
+
+    if (element instanceof Link) {
+        element.updatePath();
+        const color = flashing ? FLASH_COLOR : element.style.borderColor;
+        const round = value => Math.round(value * 100) / 100;
+        const markers = element.getMarkers().map(marker => {
+            const outline = Link.getMarkerOutline(marker);
+            const markerAttrs = {
+                'stroke': color,
+                'stroke-width': element.style.borderWidth,
+                'fill': outline.filled ? color : 'none'
+            };
+            if (outline.circle) {
+                const { x, y, radius } = outline.circle;
+                return `<circle${attributes({ cx: round(x), cy: round(y), r: round(radius), ...markerAttrs })}/>`;
+            }
+            const points = outline.points.map(p => `${round(p.x)},${round(p.y)}`).join(' ');
+            return `<polygon${attributes({ points, ...markerAttrs })}/>`;
+        }).join('');
+        const path = `<path${attributes({ d: element.path.toSVGPathData(), fill: 'none', ...strokeAttributes(element.style, flashing) })}/>`;
+        return `<g${attributes({ opacity })}>${path}${markers}</g>`;
+    }
+
+    if (element instanceof Text) {
+        return `<text${attributes({
+            'x': element.x,
+            'y': element.y,
+            'opacity': opacity,
+            'text-anchor': TEXT_ANCHORS[element.align],
+            'dominant-baseline': DOMINANT_BASELINES[element.baseline],
+            ...textAttributes(element.style)
+        })}>${escapeXML(element.text)}</text>`;
+    }
+
+    // Box以及其他带宽高的元素
+    const width = element.width || 0;
+    const height = element.height || 0;
+    const background = element.style.backgroundColor;
+    const radius = element.style.borderRadius || null;
+    const rect = `<rect${attributes({
+        width,
+        height,
+        rx: radius,
+        ry: radius,
+        fill: !background || background === 'transparent' ? 'none' : background,
+        ...strokeAttributes(element.style, flashing)
+    })}/>`;
+    let label = '';
+    if (element instanceof Box && element.text !== '') {
+        label = `<text${attributes({
+            'x': width / 2,
+            'y': height / 2,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central',
+            ...textAttributes(element.style)
+        })}>${escapeXML(element.text)}</text>`;
+    }
+    return `<g${attributes({ transform: `translate(${element.x}, ${element.y})`, opacity })}>${rect}${label}</g>`;
+}
+
+/**
+ * 把场景序列化为独立的SVG文件
+ * @param {AnimationFramework} framework 动画框架
+ * @param {Object} [options] 选项，参见normalizeSnapshotOptions
+ * @returns {string} SVG文件内容
+ */
+function sceneToSVG(framework, options = {}) {
+    const { width, height, background, flashPhase } = normalizeSnapshotOptions(framework, options);
+    const normalized = { flashPhase };
+
+    const body = [...framework.elements, ...framework.temporaryObjects]
+        .map(element => serializeElement(element, framework, normalized))
+        .join('');
+    const backgroundRect = background && background !== 'transparent'
+        ? `<rect${attributes({ width: '100%', height: '100%', fill: background })}/>`
+        : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n`
+        + `<svg${attributes({ xmlns: 'http://www.w3.org/2000/svg', width, height, viewBox: `0 0 ${width} ${height}` })}>`
+        + backgroundRect + body + '</svg>\n';
+}
+
+// export
+export { sceneToSVG, normalizeSnapshotOptions, getSceneBounds };
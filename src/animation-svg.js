@@ -0,0 +1,332 @@
+'use strict';
+import { Element, Path, Box, Text, Link, Group, AnimationFramework } from './animation.js';
+import { pruneGroupNode } from './animation-nodes.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Text的对齐方式到SVG属性的映射
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+const DOMINANT_BASELINES = { top: 'text-before-edge', middle: 'central', bottom: 'text-after-edge', alphabetic: 'alphabetic' };
+
+// 闪烁效果的样式，放在SVG内部，导出的SVG文件同样带有这些样式
+const FLASH_STYLES = `
+    .flashing rect,
+    .flashing path,
+    .flashing .link-marker {
+        animation: svg-flash-stroke 0.5s infinite alternate;
+    }
+
+    .flashing .link-marker.filled {
+        animation: svg-flash-marker 0.5s infinite alternate;
+    }
+
+    @keyframes svg-flash-stroke {
+        from { stroke: red; }
+    }
+
+    @keyframes svg-flash-marker {
+        from { stroke: red; fill: red; }
+    }
+`;
+
+/**
+ * 使用SVG作为渲染框架，每个元素映射为一个SVG节点
+ * Box映射为包含<rect>和标签<text>的<g>，Text映射为<text>，Link映射为包含<path>和箭头标记的<g>，
+ * Group映射为带transform的<g>，子元素节点嵌套在其中
+ * @param {string} rootId 根元素的id，可以是<svg>元素，也可以是容器元素（在其中创建<svg>）
+ */
+class SVGAnimationFramework extends AnimationFramework {
+
+    constructor(rootId) {
+        super();
+        const root = document.getElementById(rootId);
+        if (!root) {
+            throw new Error(`Root element with id "${rootId}" not found`);
+        }
+
+        if (root.namespaceURI === SVG_NS && root.tagName.toLowerCase() === 'svg') {
+            this.svg = root;
+        } else {
+            this.svg = document.createElementNS(SVG_NS, 'svg');
+            this.svg.setAttribute('width', '100%');
+            this.svg.setAttribute('height', '100%');
+            root.appendChild(this.svg);
+        }
+
+        if (!this.svg.querySelector('style.animation-framework-styles')) {
+            const style = document.createElementNS(SVG_NS, 'style');
+            style.setAttribute('class', 'animation-framework-styles');
+            style.textContent = FLASH_STYLES;
+            this.svg.appendChild(style);
+        }
+
+        this.elementMap = new Map();
+    }
+
+    // 创建SVG节点并记录到elementMap中
+    createSVGElement(type, element) {
+        const node = document.createElementNS(SVG_NS, type);
+        this.elementMap.set(element.id, node);
+        this.placeSVGElement(node, element);
+        return node;
+    }
+
+    // 把SVG节点放到所属分组的节点中，不属于分组的元素放在<svg>下
+    placeSVGElement(node, element) {
+        const container = (element.parent && this.elementMap.get(element.parent.id)) || this.svg;
+        if (node.parentNode !== container) {
+            container.appendChild(node);
+        }
+    }
+
+    // 应用元素的位置、可见性、透明度和闪烁状态
+    applyState(node, element) {
+        this.placeSVGElement(node, element);
+        node.setAttribute('transform', `translate(${element.x}, ${element.y})`);
+        node.setAttribute('opacity', element.style.opacity === undefined ? 1 : element.style.opacity);
+        if (element.visible) {
+            node.removeAttribute('display');
+        } else {
+            node.setAttribute('display', 'none');
+        }
+        // 分组的flashing类通过后代选择器作用到子元素
+        node.classList.toggle('flashing', this.flashingElements.includes(element));
+    }
+
+    // 应用边框样式到描边属性
+    applyStroke(node, style) {
+        const hasBorder = style.borderStyle !== 'none' && style.borderWidth > 0;
+        node.setAttribute('stroke', hasBorder ? style.borderColor : 'none');
+        node.setAttribute('stroke-width', style.borderWidth);
+        if (style.borderStyle === 'dashed') {
+            node.setAttribute('stroke-dasharray', '5 10');
+        } else if (style.borderStyle === 'dotted') {
+            node.setAttribute('stroke-dasharray', '2 5');
+        } else {
+            node.removeAttribute('stroke-dasharray');
+        }
+    }
+
+    // 应用字体样式到<text>节点
+    applyTextStyle(node, style) {
+        node.setAttribute('fill', style.textColor);
+        node.setAttribute('font-size', style.textSize);
+        node.setAttribute('font-family', style.fontName);
+        if (style.textDecoration && style.textDecoration !== 'none') {
+            node.setAttribute('text-decoration', style.textDecoration);
+        } else {
+            node.removeAttribute('text-decoration');
+        }
+    }
+
+    // 绘制Box元素，矩形和标签使用局部坐标
+    drawBox(box) {
+        let node = this.elementMap.get(box.id);
+        if (!node) {
+            node = this.createSVGElement('g', box);
+            node.setAttribute('class', 'box-element');
+            node.appendChild(document.createElementNS(SVG_NS, 'rect'));
+        }
+        this.applyState(node, box);
+
+        const rect = node.querySelector('rect');
+        rect.setAttribute('width', box.width || 0);
+        rect.setAttribute('height', box.height || 0);
+        rect.setAttribute('rx', box.style.borderRadius || 0);
+        rect.setAttribute('ry', box.style.borderRadius || 0);
+        const background = box.style.backgroundColor;
+        rect.setAttribute('fill', !background || background === 'transparent' ? 'none' : background);
+        this.applyStroke(rect, box.style);
+
+        // 标签在方框内水平垂直居中
+        let label = node.querySelector('text');
+        if (box instanceof Box && box.text !== '') {
+            if (!label) {
+                label = document.createElementNS(SVG_NS, 'text');
+                node.appendChild(label);
+            }
+            label.setAttribute('x', box.width / 2);
+            label.setAttribute('y', box.height / 2);
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('dominant-baseline', 'central');
+            this.applyTextStyle(label, box.style);
+            label.textContent = box.text;
+        } else if (label) {
+            label.remove();
+        }
+    }
+
+    // 绘制Text元素，对齐方式映射为text-anchor和dominant-baseline
+    drawText(text) {
+        let node = this.elementMap.get(text.id);
+        if (!node) {
+            node = this.createSVGElement('text', text);
+            node.setAttribute('class', 'text-element');
+        }
+        this.applyState(node, text);
+        this.applyTextStyle(node, text.style);
+        node.setAttribute('text-anchor', TEXT_ANCHORS[text.align]);
+        node.setAttribute('dominant-baseline', DOMINANT_BASELINES[text.baseline]);
+        node.textContent = text.text;
+    }
+
+    // 绘制Group元素，变换顺序与Group.localToWorld一致
+    drawGroup(group) {
+        let node = this.elementMap.get(group.id);
+        if (!node) {
+            node = this.createSVGElement('g', group);
+            node.setAttribute('class', 'animation-group');
+        }
+        this.applyState(node, group);
+        node.setAttribute('transform',
+            `translate(${group.x}, ${group.y}) rotate(${group.rotation}) scale(${group.scaleX}, ${group.scaleY})`);
+
+        group.children.forEach(child => {
+            child.draw(this);
+        });
+        pruneGroupNode(node, group, this.elementMap);
+    }
+
+    // 绘制Link元素，路径使用所在坐标系中的绝对坐标
+    drawLink(link) {
+        let node = this.elementMap.get(link.id);
+        if (!node) {
+            node = this.createSVGElement('g', link);
+            node.setAttribute('class', 'link-element');
+            node.appendChild(document.createElementNS(SVG_NS, 'path'));
+            const markerGroup = document.createElementNS(SVG_NS, 'g');
+            markerGroup.setAttribute('class', 'link-markers');
+            node.appendChild(markerGroup);
+        }
+        this.applyState(node, link);
+        node.removeAttribute('transform');
+
+        const pathNode = node.querySelector('path');
+        pathNode.setAttribute('d', link.path.toSVGPathData());
+        pathNode.setAttribute('fill', 'none');
+        this.applyStroke(pathNode, link.style);
+
+        this.drawMarkers(link, node.querySelector('.link-markers'));
+    }
+
+    // 绘制链接两端的箭头标记，标记总是使用实线
+    drawMarkers(link, markerGroup) {
+        while (markerGroup.firstChild) {
+            markerGroup.removeChild(markerGroup.firstChild);
+        }
+
+        // 保留两位小数，避免三角函数的误差出现在属性中
+        const round = value => Math.round(value * 100) / 100;
+        link.getMarkers().forEach(marker => {
+            const outline = Link.getMarkerOutline(marker);
+            let shape;
+            if (outline.circle) {
+                shape = document.createElementNS(SVG_NS, 'circle');
+                shape.setAttribute('cx', round(outline.circle.x));
+                shape.setAttribute('cy', round(outline.circle.y));
+                shape.setAttribute('r', round(outline.circle.radius));
+            } else {
+                shape = document.createElementNS(SVG_NS, 'polygon');
+                shape.setAttribute('points', outline.points.map(p => `${round(p.x)},${round(p.y)}`).join(' '));
+            }
+            shape.setAttribute('class', outline.filled ? 'link-marker filled' : 'link-marker');
+            shape.setAttribute('data-marker', marker.type);
+            shape.setAttribute('stroke', link.style.borderColor);
+            shape.setAttribute('stroke-width', link.style.borderWidth);
+            shape.setAttribute('fill', outline.filled ? link.style.borderColor : 'none');
+            markerGroup.appendChild(shape);
+        });
+    }
+
+    // 元素沿路径移动
+    moveBy(element, path, duration, completeCallback, options = {}) {
+        if (!(element instanceof Element) || !(path instanceof Path)) {
+            throw new TypeError('moveBy参数类型错误');
+        }
+        if (typeof duration !== 'number' || duration <= 0) {
+            throw new TypeError('duration参数类型错误');
+        }
+
+        return this.followPath(
+            path,
+            (x, y) => {
+                element.moveTo(x, y);
+
+                // 分组的transform包含旋转和缩放，交给下一帧的drawGroup更新
+                const node = this.elementMap.get(element.id);
+                if (node && !(element instanceof Group) && !(element instanceof Link)) {
+                    node.setAttribute('transform', `translate(${x}, ${y})`);
+                }
+            },
+            'forward',
+            duration,
+            completeCallback,
+            false,
+            false,
+            options
+        );
+    }
+
+    // 添加闪烁效果
+    addFlash(element) {
+        super.addFlash(element);
+        const node = this.elementMap.get(element.id);
+        if (node) {
+            node.classList.add('flashing');
+        }
+    }
+
+    // 移除闪烁效果
+    removeFlash(element) {
+        super.removeFlash(element);
+        const node = this.elementMap.get(element.id);
+        if (node) {
+            node.classList.remove('flashing');
+        }
+    }
+
+    // 时间轴每帧回调，把所有元素同步到SVG
+    renderFrame(time) {
+        this.elements.forEach(element => {
+            element.draw(this);
+        });
+
+        this.temporaryObjects.forEach(element => {
+            element.draw(this);
+        });
+    }
+
+    // 立即更新所有元素
+    update() {
+        this.renderFrame(this.timeline.now());
+    }
+
+    // 移除元素，分组的子元素节点一并移除
+    removeElement(elementId) {
+        const element = this.elements.find(e => e.id === elementId);
+        this.removeSVGElement(elementId, element);
+        super.removeElement(elementId);
+    }
+
+    // 移除临时元素的同时移除其SVG节点
+    removeTemporaryElement(element) {
+        this.removeSVGElement(element.id, element);
+        super.removeTemporaryElement(element);
+    }
+
+    // 移除SVG节点并清理elementMap中的记录
+    removeSVGElement(elementId, element) {
+        const node = this.elementMap.get(elementId);
+        if (node && node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+        this.elementMap.delete(elementId);
+
+        if (element instanceof Group) {
+            element.children.forEach(child => this.removeSVGElement(child.id, child));
+        }
+    }
+}
+
+// export
+export { SVGAnimationFramework, TEXT_ANCHORS, DOMINANT_BASELINES };
@@ -1,5 +1,20 @@
 'use strict';
 
+import { resolveEasing } from './easing.js';
+import { parseColor, interpolateColor } from './color.js';
+
+// 内置的链接锚点，数值为相对元素宽高的比例
+const BUILT_IN_PORTS = {
+    'top': [0.5, 0],
+    'bottom': [0.5, 1],
+    'left': [0, 0.5],
+    'right': [1, 0.5],
+    'top-left': [0, 0],
+    'top-right': [1, 0],
+    'bottom-left': [0, 1],
+    'bottom-right': [1, 1]
+};
+
 /**
  * 基础抽象元素，包含位置、可见性和样式等属性
  * @param {number} x 元素的x坐标
@@ -22,6 +37,8 @@ class Element {
         this.x = x;
         this.y = y;
         this.visible = visible;
+        this.parent = null; // 所属的分组，坐标相对于该分组
+        this.ports = {}; // 自定义的链接锚点，坐标相对于元素左上角
         this.style = {
             borderColor: 'black',
             borderWidth: 1,
@@ -30,7 +47,8 @@ class Element {
             textColor: 'black',
             textSize: 16,
             fontName: 'Arial',
-            textDecoration: 'none'
+            textDecoration: 'none',
+            opacity: 1
         };
     }
 
@@ -54,14 +72,92 @@ class Element {
         this.y = y;
     }
 
+    /**
+     * 把元素所在坐标系（父分组的局部坐标系）中的点转换为场景坐标
+     * @param {Object} point 点坐标 {x, y}
+     * @returns {Object} 场景坐标 {x, y}
+     */
+    toWorld(point) {
+        return this.parent ? this.parent.localToWorld(point) : { x: point.x, y: point.y };
+    }
+
+    /**
+     * 添加一个命名的链接锚点
+     * @param {string} name 锚点名称
+     * @param {number} x 相对元素左上角的横向偏移
+     * @param {number} y 相对元素左上角的纵向偏移
+     */
+    addPort(name, x, y) {
+        if (typeof name !== 'string' || name === '') {
+            throw new TypeError('锚点名称必须为非空字符串');
+        }
+        if (typeof x !== 'number' || typeof y !== 'number') {
+            throw new TypeError('锚点坐标必须为数字类型');
+        }
+        if (name === 'center' || name === 'edge') {
+            throw new Error(`锚点名称 "${name}" 已被保留`);
+        }
+        this.ports[name] = { x, y };
+    }
+
+    /**
+     * 计算链接锚点的场景坐标
+     * 'center'为中心点；'edge'为中心点指向toward的射线与边框（圆形元素为圆周）的交点；
+     * 其余名称为自定义锚点或内置锚点（top、bottom、left、right和四个角，例如'top-left'）
+     * @param {string} [anchor='center'] 锚点
+     * @param {Object} [toward] 'edge'锚点朝向的场景坐标
+     * @returns {Object} 场景坐标 {x, y}
+     */
+    getAnchorPoint(anchor = 'center', toward = null) {
+        const width = this.width || 0;
+        const height = this.height || 0;
+        const center = { x: this.x + width / 2, y: this.y + height / 2 };
+
+        if (anchor === 'center') {
+            return this.toWorld(center);
+        }
+        if (anchor === 'edge') {
+            if (!toward) {
+                return this.toWorld(center);
+            }
+            // 在元素所在的坐标系中求交点，分组旋转缩放后同样适用
+            const target = this.parent ? this.parent.worldToLocal(toward) : toward;
+            const dx = target.x - center.x;
+            const dy = target.y - center.y;
+            if (dx === 0 && dy === 0) {
+                return this.toWorld(center);
+            }
+            // 圆角半径不小于宽高的一半时元素显示为圆形或椭圆，取射线与椭圆的交点
+            const radius = this.style && this.style.borderRadius || 0;
+            const scale = radius * 2 >= width && radius * 2 >= height
+                ? 1 / Math.hypot(dx / (width / 2), dy / (height / 2))
+                : Math.min(
+                    dx === 0 ? Infinity : width / 2 / Math.abs(dx),
+                    dy === 0 ? Infinity : height / 2 / Math.abs(dy)
+                );
+            return this.toWorld({ x: center.x + dx * scale, y: center.y + dy * scale });
+        }
+
+        const port = this.ports[anchor];
+        if (port) {
+            return this.toWorld({ x: this.x + port.x, y: this.y + port.y });
+        }
+        const builtIn = BUILT_IN_PORTS[anchor];
+        if (builtIn) {
+            return this.toWorld({ x: this.x + width * builtIn[0], y: this.y + height * builtIn[1] });
+        }
+        throw new Error(`未知的锚点: ${anchor}`);
+    }
+
     /**
      * 沿着路径移动对象，带动画效果
      * @param {AnimationFramework} framework
      * @param {Path} path 路径对象
      * @param {number} duration 时间
+     * @returns {AnimationHandle} 动画句柄，可以await等待移动结束
      */
     moveBy(framework, path, duration) {
-        framework.moveBy(this, path, duration);
+        return framework.moveBy(this, path, duration);
     }
 
     /**
@@ -75,14 +171,16 @@ class Element {
 }
 
 /**
- * 矩形元素，继承自Element，带边框和背景颜色
+ * 矩形元素，继承自Element，带边框和背景颜色，可以在中间显示一个标签
+ * style.borderRadius为可选的圆角半径，等于宽高的一半时显示为圆形，例如树的节点
  * @param {number} x 左上角横坐标
  * @param {number} y 左上角纵坐标
  * @param {number} width 宽度
  * @param {number} height 高度
+ * @param {string|number} [label] 居中显示的标签，例如数组元素的值
  */
 class Box extends Element {
-    constructor(x, y, width, height) {
+    constructor(x, y, width, height, label = '') {
         super(x, y);
 
         // 检查宽高参数类型
@@ -96,6 +194,30 @@ class Box extends Element {
 
         this.width = width;
         this.height = height;
+        this.setLabel(label);
+    }
+
+    /**
+     * 设置标签内容
+     * @param {string|number} label 标签，null或空字符串表示不显示
+     */
+    setLabel(label) {
+        if (label !== null && typeof label !== 'string' && typeof label !== 'number') {
+            throw new TypeError('Box标签必须为字符串或数字类型');
+        }
+        this.label = label === null ? '' : label;
+    }
+
+    /**
+     * 标签的显示文本
+     * @returns {string}
+     */
+    get text() {
+        return String(this.label);
+    }
+
+    set text(value) {
+        this.setLabel(value);
     }
 
     draw(framework) {
@@ -105,11 +227,65 @@ class Box extends Element {
 }
 
 /**
- * 路径对象，包含一系列点
+ * 文本元素，继承自Element，(x, y)为锚点，对齐方式决定文本相对锚点的位置
+ * 字体使用style中的textColor、textSize、fontName和textDecoration
+ * @param {number} x 锚点横坐标
+ * @param {number} y 锚点纵坐标
+ * @param {string|number} text 文本内容
+ * @param {('left'|'center'|'right')} [align='left'] 水平对齐
+ * @param {('top'|'middle'|'bottom'|'alphabetic')} [baseline='top'] 垂直基线
+ */
+class Text extends Element {
+    constructor(x, y, text, align = 'left', baseline = 'top') {
+        super(x, y);
+
+        if (typeof text !== 'string' && typeof text !== 'number') {
+            throw new TypeError('Text内容必须为字符串或数字类型');
+        }
+        if (!['left', 'center', 'right'].includes(align)) {
+            throw new TypeError(`未知的水平对齐方式: ${align}`);
+        }
+        if (!['top', 'middle', 'bottom', 'alphabetic'].includes(baseline)) {
+            throw new TypeError(`未知的垂直基线: ${baseline}`);
+        }
+
+        this.text = String(text);
+        this.align = align;
+        this.baseline = baseline;
+        // 文本默认没有边框
+        this.style.borderStyle = 'none';
+        this.style.borderWidth = 0;
+    }
+
+    /**
+     * 修改文本内容
+     * @param {string|number} text 文本内容
+     */
+    setText(text) {
+        this.text = String(text);
+    }
+
+    draw(framework) {
+        if (!this.visible) return;
+        framework.drawText(this);
+    }
+}
+
+// 计算曲线长度和查找弧长位置时每段曲线的采样数
+const CURVE_SAMPLES = 32;
+
+/**
+ * 路径对象，包含一系列点，相邻两点之间的段默认为直线，也可以是二次/三次贝塞尔曲线或圆弧
+ * 段描述的格式：
+ *   {type: 'line'}
+ *   {type: 'quadratic', cp: {x, y}}
+ *   {type: 'cubic', cp1: {x, y}, cp2: {x, y}}
+ *   {type: 'arc', cx, cy, radius, startAngle, endAngle, anticlockwise}
  * @param {Array} points 点的数组，每个点包含x和y坐标
+ * @param {Array} [segments] 段描述数组，第i项描述points[i]到points[i+1]的段，缺省为直线
  */
 class Path {
-    constructor(points) {
+    constructor(points, segments = []) {
         // 检查points是否为数组
         if (!Array.isArray(points)) {
             throw new TypeError('Path的points必须为数组类型');
@@ -120,8 +296,55 @@ class Path {
                 throw new TypeError(`Path的点${index}必须包含x和y数字坐标`);
             }
         });
+        if (!Array.isArray(segments)) {
+            throw new TypeError('Path的segments必须为数组类型');
+        }
 
         this.points = points;
+        this.segments = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            this.segments.push(Path.validateSegment(segments[i] || { type: 'line' }, i));
+        }
+    }
+
+    /**
+     * 检查段描述的合法性
+     * @param {Object} segment 段描述
+     * @param {number} index 段索引
+     * @returns {Object} 段描述
+     */
+    static validateSegment(segment, index) {
+        const isPoint = p => p && typeof p.x === 'number' && typeof p.y === 'number';
+        const valid = {
+            line: () => true,
+            quadratic: () => isPoint(segment.cp),
+            cubic: () => isPoint(segment.cp1) && isPoint(segment.cp2),
+            arc: () => ['cx', 'cy', 'radius', 'startAngle', 'endAngle'].every(key => typeof segment[key] === 'number')
+        }[segment.type];
+
+        if (!valid || !valid()) {
+            throw new TypeError(`Path的段${index}描述无效`);
+        }
+        return segment;
+    }
+
+    /**
+     * 创建一条圆弧路径，参数含义与CanvasRenderingContext2D.arc相同
+     * @param {number} cx 圆心横坐标
+     * @param {number} cy 圆心纵坐标
+     * @param {number} radius 半径
+     * @param {number} startAngle 起始角（弧度）
+     * @param {number} endAngle 结束角（弧度）
+     * @param {boolean} [anticlockwise=false] 是否逆时针
+     * @returns {Path} 圆弧路径
+     */
+    static arc(cx, cy, radius, startAngle, endAngle, anticlockwise = false) {
+        if (typeof radius !== 'number' || radius <= 0) {
+            throw new RangeError('圆弧半径必须大于0');
+        }
+        const start = { x: cx + radius * Math.cos(startAngle), y: cy + radius * Math.sin(startAngle) };
+        const end = { x: cx + radius * Math.cos(endAngle), y: cy + radius * Math.sin(endAngle) };
+        return new Path([start, end], [{ type: 'arc', cx, cy, radius, startAngle, endAngle, anticlockwise }]);
     }
 
     /**
@@ -139,14 +362,404 @@ class Path {
     getEndPoint() {
         return this.points[this.points.length - 1];
     }
+
+    /**
+     * 添加一段直线
+     * @param {number} x 终点横坐标
+     * @param {number} y 终点纵坐标
+     * @returns {Path} 当前路径，便于链式调用
+     */
+    lineTo(x, y) {
+        return this.appendSegment({ x, y }, { type: 'line' });
+    }
+
+    /**
+     * 添加一段二次贝塞尔曲线
+     * @param {number} cpx 控制点横坐标
+     * @param {number} cpy 控制点纵坐标
+     * @param {number} x 终点横坐标
+     * @param {number} y 终点纵坐标
+     * @returns {Path} 当前路径
+     */
+    quadraticTo(cpx, cpy, x, y) {
+        return this.appendSegment({ x, y }, { type: 'quadratic', cp: { x: cpx, y: cpy } });
+    }
+
+    /**
+     * 添加一段三次贝塞尔曲线
+     * @param {number} cp1x 第一个控制点横坐标
+     * @param {number} cp1y 第一个控制点纵坐标
+     * @param {number} cp2x 第二个控制点横坐标
+     * @param {number} cp2y 第二个控制点纵坐标
+     * @param {number} x 终点横坐标
+     * @param {number} y 终点纵坐标
+     * @returns {Path} 当前路径
+     */
+    cubicTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        return this.appendSegment({ x, y }, {
+            type: 'cubic',
+            cp1: { x: cp1x, y: cp1y },
+            cp2: { x: cp2x, y: cp2y }
+        });
+    }
+
+    /**
+     * 从当前终点沿劣弧画一段圆弧到指定的点
+     * 顺时针（屏幕坐标系，y轴向下）时从左向右的圆弧向上拱起
+     * @param {number} x 终点横坐标
+     * @param {number} y 终点纵坐标
+     * @param {number} radius 半径，不能小于两点距离的一半
+     * @param {boolean} [anticlockwise=false] 是否逆时针
+     * @returns {Path} 当前路径
+     */
+    arcTo(x, y, radius, anticlockwise = false) {
+        const start = this.getEndPoint();
+        if (!start) {
+            throw new Error('arcTo之前路径必须至少包含一个点');
+        }
+
+        const dx = x - start.x;
+        const dy = y - start.y;
+        const chord = Math.hypot(dx, dy);
+        if (typeof radius !== 'number' || radius < chord / 2 || radius <= 0) {
+            throw new RangeError('圆弧半径不能小于两点距离的一半');
+        }
+
+        // 圆心位于弦的中垂线上，顺时针时在行进方向的右侧
+        const offset = Math.sqrt(Math.max(radius * radius - chord * chord / 4, 0));
+        const side = anticlockwise ? -1 : 1;
+        const cx = (start.x + x) / 2 - side * offset * dy / (chord || 1);
+        const cy = (start.y + y) / 2 + side * offset * dx / (chord || 1);
+
+        return this.appendSegment({ x, y }, {
+            type: 'arc',
+            cx,
+            cy,
+            radius,
+            startAngle: Math.atan2(start.y - cy, start.x - cx),
+            endAngle: Math.atan2(y - cy, x - cx),
+            anticlockwise
+        });
+    }
+
+    // 追加一个点和到达它的段
+    appendSegment(point, segment) {
+        if (typeof point.x !== 'number' || typeof point.y !== 'number') {
+            throw new TypeError('Path的点必须包含x和y数字坐标');
+        }
+        if (this.points.length === 0) {
+            throw new Error('添加段之前路径必须至少包含一个点');
+        }
+        this.segments.push(Path.validateSegment(segment, this.segments.length));
+        this.points.push(point);
+        return this;
+    }
+
+    /**
+     * 路径是否包含曲线段
+     * @returns {boolean}
+     */
+    hasCurves() {
+        return this.segments.some(segment => segment.type !== 'line');
+    }
+
+    /**
+     * 按参数t（0到1）计算第index段上的点，曲线段的t不是按弧长均匀分布的
+     * @param {number} index 段索引
+     * @param {number} t 段内参数
+     * @returns {Object} 点坐标 {x, y}
+     */
+    getSegmentPoint(index, t) {
+        const start = this.points[index];
+        const end = this.points[index + 1];
+        const segment = this.segments[index];
+        const u = 1 - t;
+
+        switch (segment.type) {
+            case 'quadratic': {
+                const cp = segment.cp;
+                return {
+                    x: u * u * start.x + 2 * u * t * cp.x + t * t * end.x,
+                    y: u * u * start.y + 2 * u * t * cp.y + t * t * end.y
+                };
+            }
+            case 'cubic': {
+                const { cp1, cp2 } = segment;
+                return {
+                    x: u * u * u * start.x + 3 * u * u * t * cp1.x + 3 * u * t * t * cp2.x + t * t * t * end.x,
+                    y: u * u * u * start.y + 3 * u * u * t * cp1.y + 3 * u * t * t * cp2.y + t * t * t * end.y
+                };
+            }
+            case 'arc': {
+                const angle = segment.startAngle + Path.getArcSweep(segment) * t;
+                return {
+                    x: segment.cx + segment.radius * Math.cos(angle),
+                    y: segment.cy + segment.radius * Math.sin(angle)
+                };
+            }
+            default:
+                return {
+                    x: start.x + (end.x - start.x) * t,
+                    y: start.y + (end.y - start.y) * t
+                };
+        }
+    }
+
+    /**
+     * 计算第index段在参数t处的切线方向（沿路径前进的方向）
+     * @param {number} index 段索引
+     * @param {number} t 段内参数
+     * @returns {number} 切线角度（弧度）
+     */
+    getSegmentTangent(index, t) {
+        const start = this.points[index];
+        const end = this.points[index + 1];
+        const segment = this.segments[index];
+        const u = 1 - t;
+        let dx;
+        let dy;
+
+        switch (segment.type) {
+            case 'quadratic': {
+                const cp = segment.cp;
+                dx = 2 * u * (cp.x - start.x) + 2 * t * (end.x - cp.x);
+                dy = 2 * u * (cp.y - start.y) + 2 * t * (end.y - cp.y);
+                break;
+            }
+            case 'cubic': {
+                const { cp1, cp2 } = segment;
+                dx = 3 * u * u * (cp1.x - start.x) + 6 * u * t * (cp2.x - cp1.x) + 3 * t * t * (end.x - cp2.x);
+                dy = 3 * u * u * (cp1.y - start.y) + 6 * u * t * (cp2.y - cp1.y) + 3 * t * t * (end.y - cp2.y);
+                break;
+            }
+            case 'arc': {
+                const sweep = Path.getArcSweep(segment);
+                const angle = segment.startAngle + sweep * t + (sweep >= 0 ? Math.PI / 2 : -Math.PI / 2);
+                return Math.atan2(Math.sin(angle), Math.cos(angle));
+            }
+            default:
+                dx = end.x - start.x;
+                dy = end.y - start.y;
+        }
+
+        // 控制点与端点重合时导数为0，退回使用弦的方向
+        if (dx === 0 && dy === 0) {
+            dx = end.x - start.x;
+            dy = end.y - start.y;
+        }
+        return Math.atan2(dy, dx);
+    }
+
+    /**
+     * 计算圆弧段扫过的角度，顺时针为正，逆时针为负
+     * @param {Object} segment 圆弧段描述
+     * @returns {number} 扫过的角度（弧度）
+     */
+    static getArcSweep(segment) {
+        const fullCircle = Math.PI * 2;
+        let sweep = segment.endAngle - segment.startAngle;
+        if (!segment.anticlockwise) {
+            if (sweep >= fullCircle) return fullCircle;
+            sweep = ((sweep % fullCircle) + fullCircle) % fullCircle;
+        } else {
+            if (sweep <= -fullCircle) return -fullCircle;
+            sweep = -((((-sweep) % fullCircle) + fullCircle) % fullCircle);
+        }
+        return sweep;
+    }
+
+    // 贝塞尔曲线段的累计弦长表，用于近似弧长
+    getSegmentSamples(index) {
+        const samples = [{ t: 0, length: 0, point: this.getSegmentPoint(index, 0) }];
+        for (let i = 1; i <= CURVE_SAMPLES; i++) {
+            const t = i / CURVE_SAMPLES;
+            const point = this.getSegmentPoint(index, t);
+            const previous = samples[i - 1];
+            samples.push({
+                t,
+                length: previous.length + Math.hypot(point.x - previous.point.x, point.y - previous.point.y),
+                point
+            });
+        }
+        return samples;
+    }
+
+    /**
+     * 返回每一段的长度，贝塞尔曲线段为采样近似值
+     * @returns {Array<number>} 段长度数组，长度为points.length - 1
+     */
+    getSegmentLengths() {
+        return this.segments.map((segment, index) => {
+            if (segment.type === 'line') {
+                const start = this.points[index];
+                const end = this.points[index + 1];
+                return Math.hypot(end.x - start.x, end.y - start.y);
+            }
+            if (segment.type === 'arc') {
+                return Math.abs(Path.getArcSweep(segment)) * segment.radius;
+            }
+            const samples = this.getSegmentSamples(index);
+            return samples[samples.length - 1].length;
+        });
+    }
+
+    /**
+     * 返回路径的总长度
+     * @returns {number} 总长度
+     */
+    getLength() {
+        return this.getSegmentLengths().reduce((sum, length) => sum + length, 0);
+    }
+
+    /**
+     * 按段内弧长比例获取第index段上的点，ratio可以略微超出[0,1]用于外插
+     * @param {number} index 段索引
+     * @param {number} ratio 段内弧长比例
+     * @returns {Object} 点坐标 {x, y}
+     */
+    getPointOnSegment(index, ratio) {
+        const type = this.segments[index].type;
+        // 直线和圆弧的参数本身就是按弧长均匀分布的
+        if (type === 'line' || type === 'arc' || ratio <= 0 || ratio >= 1) {
+            return this.getSegmentPoint(index, ratio);
+        }
+
+        const samples = this.getSegmentSamples(index);
+        const target = ratio * samples[samples.length - 1].length;
+        for (let i = 1; i < samples.length; i++) {
+            if (samples[i].length >= target) {
+                const previous = samples[i - 1];
+                const span = samples[i].length - previous.length;
+                const local = span > 0 ? (target - previous.length) / span : 0;
+                return this.getSegmentPoint(index, previous.t + (samples[i].t - previous.t) * local);
+            }
+        }
+        return this.getSegmentPoint(index, 1);
+    }
+
+    /**
+     * 按弧长比例获取路径上的点，t=0为起点，t=1为终点
+     * @param {number} t 弧长比例，超出[0,1]时取端点
+     * @returns {Object} 点坐标 {x, y}
+     */
+    getPointAt(t) {
+        if (typeof t !== 'number' || isNaN(t)) {
+            throw new TypeError('getPointAt参数必须为数字类型');
+        }
+        if (this.points.length < 2 || t <= 0) {
+            return { ...this.getStartPoint() };
+        }
+        if (t >= 1) {
+            return { ...this.getEndPoint() };
+        }
+
+        const lengths = this.getSegmentLengths();
+        let remaining = t * lengths.reduce((sum, length) => sum + length, 0);
+        for (let i = 0; i < lengths.length; i++) {
+            if (remaining <= lengths[i] && lengths[i] > 0) {
+                return this.getPointOnSegment(i, remaining / lengths[i]);
+            }
+            remaining -= lengths[i];
+        }
+        return { ...this.getEndPoint() };
+    }
+
+    /**
+     * 返回方向相反的新路径
+     * @returns {Path} 反向路径
+     */
+    reverse() {
+        const segments = this.segments.map(segment => {
+            switch (segment.type) {
+                case 'cubic':
+                    return { type: 'cubic', cp1: segment.cp2, cp2: segment.cp1 };
+                case 'arc':
+                    return {
+                        ...segment,
+                        startAngle: segment.endAngle,
+                        endAngle: segment.startAngle,
+                        anticlockwise: !segment.anticlockwise
+                    };
+                default:
+                    return segment;
+            }
+        }).reverse();
+        return new Path([...this.points].reverse(), segments);
+    }
+
+    /**
+     * 计算路径的包围盒，曲线段通过采样近似
+     * @returns {Object} 包围盒 {x, y, width, height}
+     */
+    getBounds() {
+        const points = [...this.points];
+        this.segments.forEach((segment, index) => {
+            if (segment.type !== 'line') {
+                this.getSegmentSamples(index).forEach(sample => points.push(sample.point));
+            }
+        });
+
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) - minX,
+            height: Math.max(...ys) - minY
+        };
+    }
+
+    /**
+     * 转换为SVG path元素的d属性
+     * @returns {string} 路径数据
+     */
+    toSVGPathData() {
+        if (this.points.length === 0) return '';
+
+        const start = this.getStartPoint();
+        const commands = [`M ${start.x} ${start.y}`];
+        this.segments.forEach((segment, index) => {
+            const end = this.points[index + 1];
+            switch (segment.type) {
+                case 'quadratic':
+                    commands.push(`Q ${segment.cp.x} ${segment.cp.y} ${end.x} ${end.y}`);
+                    break;
+                case 'cubic':
+                    commands.push(`C ${segment.cp1.x} ${segment.cp1.y} ${segment.cp2.x} ${segment.cp2.y} ${end.x} ${end.y}`);
+                    break;
+                case 'arc': {
+                    const sweep = Path.getArcSweep(segment);
+                    const sweepFlag = sweep > 0 ? 1 : 0;
+                    // SVG的A命令无法画出整圆，超过半圆时拆成两段
+                    if (Math.abs(sweep) > Math.PI) {
+                        const middle = this.getSegmentPoint(index, 0.5);
+                        commands.push(`A ${segment.radius} ${segment.radius} 0 0 ${sweepFlag} ${middle.x} ${middle.y}`);
+                    }
+                    commands.push(`A ${segment.radius} ${segment.radius} 0 0 ${sweepFlag} ${end.x} ${end.y}`);
+                    break;
+                }
+                default:
+                    commands.push(`L ${end.x} ${end.y}`);
+            }
+        });
+        return commands.join(' ');
+    }
 }
 
+// 链接两端支持的标记类型
+const MARKER_TYPES = ['triangle', 'open-triangle', 'diamond', 'circle', 'none'];
+
 /**
  * 链接元素，继承自Element，带箭头和样式
+ * 箭头可以是布尔值（true等价于'triangle'）或标记类型：
+ * 'triangle'实心三角、'open-triangle'空心三角、'diamond'菱形、'circle'圆点、'none'无
+ * 箭头大小由style.arrowSize指定
  * @param {Path} path 路径对象
  * @param {string} lineStyle 线的样式
- * @param {boolean} startArrow 是否在起点添加箭头
- * @param {boolean} endArrow 是否在终点添加箭头
+ * @param {boolean|string} startArrow 起点的箭头
+ * @param {boolean|string} endArrow 终点的箭头
  */
 class Link extends Element {
     constructor(path, lineStyle = 'solid', startArrow = false, endArrow = false) {
@@ -159,8 +772,9 @@ class Link extends Element {
             throw new TypeError('Link线样式必须为字符串类型');
         }
         // 检查箭头参数类型
-        if (typeof startArrow !== 'boolean' || typeof endArrow !== 'boolean') {
-            throw new TypeError('Link箭头参数必须为布尔类型');
+        const isMarker = value => typeof value === 'boolean' || MARKER_TYPES.includes(value);
+        if (!isMarker(startArrow) || !isMarker(endArrow)) {
+            throw new TypeError(`Link箭头参数必须为布尔类型或以下标记类型之一: ${MARKER_TYPES.join(', ')}`);
         }
 
         super(path.getStartPoint().x, path.getStartPoint().y, true);
@@ -168,18 +782,580 @@ class Link extends Element {
         this.style = {
             borderColor: 'black',
             borderWidth: 1,
-            borderStyle: lineStyle
+            borderStyle: lineStyle,
+            arrowSize: 10,
+            opacity: 1
         };
         this.startArrow = startArrow;
         this.endArrow = endArrow;
+        // 绑定的端点元素，绑定后每次绘制前都会重新计算路径
+        this.source = null;
+        this.target = null;
+        this.sourceAnchor = 'center';
+        this.targetAnchor = 'center';
+    }
+
+    /**
+     * 把链接绑定到两个端点元素上，元素移动后链接跟随移动
+     * @param {Element} source 起点元素
+     * @param {Element} target 终点元素
+     * @param {Object} [options] 选项
+     * @param {string} [options.sourceAnchor='center'] 起点锚点，见Element.getAnchorPoint
+     * @param {string} [options.targetAnchor='center'] 终点锚点
+     * @returns {Link} 当前链接
+     */
+    bind(source, target, { sourceAnchor = 'center', targetAnchor = 'center' } = {}) {
+        if (!(source instanceof Element) || !(target instanceof Element)) {
+            throw new TypeError('Link的端点必须为Element实例');
+        }
+        if (typeof sourceAnchor !== 'string' || typeof targetAnchor !== 'string') {
+            throw new TypeError('Link的锚点必须为字符串类型');
+        }
+
+        this.source = source;
+        this.target = target;
+        this.sourceAnchor = sourceAnchor;
+        this.targetAnchor = targetAnchor;
+        this.updatePath();
+        return this;
+    }
+
+    /**
+     * 解除端点绑定，路径保持当前的形状
+     */
+    unbind() {
+        this.source = null;
+        this.target = null;
+    }
+
+    /**
+     * 按端点元素的当前位置重新计算路径
+     * @returns {boolean} 是否绑定了端点
+     */
+    updatePath() {
+        if (!this.source || !this.target) {
+            return false;
+        }
+
+        // 'edge'锚点朝向另一端的参考点，另一端也是'edge'时使用其中心
+        const reference = (element, anchor) => element.getAnchorPoint(anchor === 'edge' ? 'center' : anchor);
+        let start = this.source.getAnchorPoint(this.sourceAnchor, reference(this.target, this.targetAnchor));
+        let end = this.target.getAnchorPoint(this.targetAnchor, reference(this.source, this.sourceAnchor));
+
+        // 链接本身在分组中时，转换到分组的局部坐标
+        if (this.parent) {
+            start = this.parent.worldToLocal(start);
+            end = this.parent.worldToLocal(end);
+        }
+
+        this.path = new Path([start, end]);
+        this.x = start.x;
+        this.y = start.y;
+        return true;
+    }
+
+    /**
+     * 计算两端需要绘制的标记，方向沿首段和末段的切线朝外
+     * @returns {Array<Object>} 标记列表 {type, x, y, angle, size}，(x, y)为标记的尖端
+     */
+    getMarkers() {
+        const toType = value => (value === true ? 'triangle' : value === false ? 'none' : value);
+        const path = this.path;
+        const markers = [];
+        const lastSegment = path.segments.length - 1;
+
+        const startType = toType(this.startArrow);
+        if (startType !== 'none' && lastSegment >= 0) {
+            const start = path.getStartPoint();
+            markers.push({
+                type: startType,
+                x: start.x,
+                y: start.y,
+                angle: path.getSegmentTangent(0, 0) + Math.PI,
+                size: this.style.arrowSize
+            });
+        }
+
+        const endType = toType(this.endArrow);
+        if (endType !== 'none' && lastSegment >= 0) {
+            const end = path.getEndPoint();
+            markers.push({
+                type: endType,
+                x: end.x,
+                y: end.y,
+                angle: path.getSegmentTangent(lastSegment, 1),
+                size: this.style.arrowSize
+            });
+        }
+        return markers;
+    }
+
+    /**
+     * 计算标记的轮廓，两个渲染器共用
+     * @param {Object} marker getMarkers返回的标记
+     * @returns {Object} 圆点为 {circle: {x, y, radius}}，其余为 {points: [...]} 多边形顶点；filled表示是否填充
+     */
+    static getMarkerOutline(marker) {
+        const { x, y, angle, size } = marker;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        // (along, across)为以尖端为原点、沿箭头方向为横轴的局部坐标
+        const at = (along, across) => ({
+            x: x + along * cos - across * sin,
+            y: y + along * sin + across * cos
+        });
+
+        switch (marker.type) {
+            case 'circle':
+                return { filled: true, circle: { ...at(-size / 2, 0), radius: size / 2 } };
+            case 'diamond':
+                return { filled: true, points: [at(0, 0), at(-size / 2, size / 3), at(-size, 0), at(-size / 2, -size / 3)] };
+            case 'open-triangle':
+                return { filled: false, points: [at(0, 0), at(-size, size / 2), at(-size, -size / 2)] };
+            default:
+                return { filled: true, points: [at(0, 0), at(-size, size / 2), at(-size, -size / 2)] };
+        }
     }
 
     draw(framework) {
         if (!this.visible) return;
+        this.updatePath();
         framework.drawLink(this);
     }
 }
 
+/**
+ * 分组元素，继承自Element，子元素使用分组的局部坐标系
+ * 局部坐标到父坐标的变换顺序为：缩放、旋转（绕分组原点），再平移到(x, y)
+ * 移动、闪烁和绘制分组都会作用到所有子元素
+ * @param {number} x 分组原点横坐标
+ * @param {number} y 分组原点纵坐标
+ * @param {Array<Element>} [children] 子元素
+ */
+class Group extends Element {
+    constructor(x, y, children = []) {
+        super(x, y);
+
+        if (!Array.isArray(children)) {
+            throw new TypeError('Group的children必须为数组类型');
+        }
+
+        this.children = [];
+        this.rotation = 0; // 旋转角度（度），顺时针为正
+        this.scaleX = 1;
+        this.scaleY = 1;
+        // 分组默认没有边框
+        this.style.borderStyle = 'none';
+        this.style.borderWidth = 0;
+
+        children.forEach(child => this.add(child));
+    }
+
+    /**
+     * 添加子元素，子元素如果已经属于其他分组会先从原分组中移除
+     * @param {Element} child 子元素，坐标为分组的局部坐标
+     * @returns {Group} 当前分组
+     */
+    add(child) {
+        if (!(child instanceof Element)) {
+            throw new TypeError('Group的子元素必须为Element实例');
+        }
+        // 不能把分组加入到自身或自己的子孙中
+        for (let node = this; node; node = node.parent) {
+            if (node === child) {
+                throw new Error('Group不能包含自身');
+            }
+        }
+
+        if (child.parent) {
+            child.parent.remove(child);
+        }
+        child.parent = this;
+        this.children.push(child);
+        return this;
+    }
+
+    /**
+     * 移除子元素
+     * @param {Element} child 子元素
+     * @returns {Group} 当前分组
+     */
+    remove(child) {
+        this.children = this.children.filter(c => c !== child);
+        if (child.parent === this) {
+            child.parent = null;
+        }
+        return this;
+    }
+
+    /**
+     * 设置缩放比例
+     * @param {number} scaleX 横向缩放
+     * @param {number} [scaleY=scaleX] 纵向缩放
+     */
+    setScale(scaleX, scaleY = scaleX) {
+        if (typeof scaleX !== 'number' || typeof scaleY !== 'number') {
+            throw new TypeError('Group缩放比例必须为数字类型');
+        }
+        this.scaleX = scaleX;
+        this.scaleY = scaleY;
+    }
+
+    /**
+     * 设置旋转角度
+     * @param {number} degrees 旋转角度（度），顺时针为正
+     */
+    setRotation(degrees) {
+        if (typeof degrees !== 'number') {
+            throw new TypeError('Group旋转角度必须为数字类型');
+        }
+        this.rotation = degrees;
+    }
+
+    /**
+     * 把分组局部坐标系中的点转换为场景坐标
+     * @param {Object} point 局部坐标 {x, y}
+     * @returns {Object} 场景坐标 {x, y}
+     */
+    localToWorld(point) {
+        const angle = this.rotation * Math.PI / 180;
+        const sx = point.x * this.scaleX;
+        const sy = point.y * this.scaleY;
+        return this.toWorld({
+            x: this.x + sx * Math.cos(angle) - sy * Math.sin(angle),
+            y: this.y + sx * Math.sin(angle) + sy * Math.cos(angle)
+        });
+    }
+
+    /**
+     * 把场景坐标转换为分组局部坐标系中的点
+     * @param {Object} point 场景坐标 {x, y}
+     * @returns {Object} 局部坐标 {x, y}
+     */
+    worldToLocal(point) {
+        const parentPoint = this.parent ? this.parent.worldToLocal(point) : point;
+        const angle = this.rotation * Math.PI / 180;
+        const dx = parentPoint.x - this.x;
+        const dy = parentPoint.y - this.y;
+        return {
+            x: (dx * Math.cos(angle) + dy * Math.sin(angle)) / this.scaleX,
+            y: (-dx * Math.sin(angle) + dy * Math.cos(angle)) / this.scaleY
+        };
+    }
+
+    draw(framework) {
+        if (!this.visible) return;
+        framework.drawGroup(this);
+    }
+}
+
+/**
+ * 动画句柄，用于控制一个正在执行的动画
+ * 句柄本身是thenable对象，可以直接await；finished在动画正常结束时兑现为true，被取消时兑现为false
+ * @param {Object} [hooks] 底层动画的控制钩子 {onPause, onResume, onCancel}
+ */
+class AnimationHandle {
+    constructor(hooks = {}) {
+        this.hooks = hooks;
+        this.state = 'running';
+        this.child = null;
+        this.finished = new Promise(resolve => {
+            this.resolveFinished = resolve;
+        });
+    }
+
+    /**
+     * 动画是否已经结束（正常完成或被取消）
+     * @returns {boolean}
+     */
+    isDone() {
+        return this.state === 'finished' || this.state === 'cancelled';
+    }
+
+    /**
+     * 设置当前正在执行的子动画，暂停、恢复和取消操作会转发给子动画
+     * @param {AnimationHandle} child 子动画句柄
+     * @returns {AnimationHandle} 子动画句柄
+     */
+    attach(child) {
+        this.child = child;
+        if (this.state === 'paused') {
+            child.pause();
+        } else if (this.state === 'cancelled') {
+            child.cancel();
+        }
+        return child;
+    }
+
+    /**
+     * 标记动画正常完成
+     */
+    complete() {
+        if (this.isDone()) return;
+        this.state = 'finished';
+        this.resolveFinished(true);
+    }
+
+    /**
+     * 取消动画，已经触发的位置更新不会回滚，完成回调不会再被调用
+     */
+    cancel() {
+        if (this.isDone()) return;
+        this.state = 'cancelled';
+        if (this.child) this.child.cancel();
+        if (this.hooks.onCancel) this.hooks.onCancel();
+        this.resolveFinished(false);
+    }
+
+    /**
+     * 暂停动画
+     */
+    pause() {
+        if (this.state !== 'running') return;
+        this.state = 'paused';
+        if (this.child) this.child.pause();
+        if (this.hooks.onPause) this.hooks.onPause();
+    }
+
+    /**
+     * 恢复被暂停的动画
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+        this.state = 'running';
+        if (this.child) this.child.resume();
+        if (this.hooks.onResume) this.hooks.onResume();
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.finished.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this.finished.catch(onRejected);
+    }
+
+    finally(onFinally) {
+        return this.finished.finally(onFinally);
+    }
+}
+
+/**
+ * 补间动画，由时间轴推进，在duration时间内把进度从0推进到1
+ * @param {Timeline} timeline 所属时间轴
+ * @param {number} duration 持续时间（毫秒）
+ * @param {function} updateCallback 每帧回调 (progress, stepIndex)
+ * @param {function} [completeCallback] 完成回调
+ */
+class Tween extends AnimationHandle {
+    constructor(timeline, duration, updateCallback, completeCallback = null) {
+        super({
+            // 暂停期间时间轴可能已经空闲停止，恢复时需要重新驱动
+            onResume: () => timeline.requestFrame()
+        });
+        this.timeline = timeline;
+        this.duration = duration;
+        this.updateCallback = updateCallback;
+        this.completeCallback = completeCallback;
+        this.elapsed = 0;
+        this.stepIndex = 0;
+    }
+
+    /**
+     * 推进补间动画
+     * @param {number} delta 经过的时间（毫秒，已按播放速率缩放）
+     */
+    tick(delta) {
+        if (this.state !== 'running') return;
+
+        this.elapsed += delta;
+        const progress = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+        this.updateCallback(progress, this.stepIndex++);
+
+        if (progress >= 1) {
+            this.complete();
+            if (this.completeCallback) {
+                this.completeCallback();
+            }
+        }
+    }
+}
+
+// 非浏览器环境（例如Node）没有requestAnimationFrame，退化为定时器
+function requestFrameCallback(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(performance.now()), 16);
+}
+
+function cancelFrameCallback(frameId) {
+    if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(frameId);
+    } else {
+        clearTimeout(frameId);
+    }
+}
+
+/**
+ * 时间轴，持有统一的时钟，推进所有活动的补间动画并驱动渲染
+ * 默认使用requestAnimationFrame驱动，没有活动的动画时自动停止；
+ * 设置fixedStep后进入固定步长模式，不再依赖requestAnimationFrame，由step/advance手动推进
+ * @param {Object} [options] 选项
+ * @param {number} [options.playbackRate=1] 播放速率倍数
+ * @param {number} [options.fixedStep=0] 固定步长（毫秒），0表示实时模式
+ */
+class Timeline {
+    constructor({ playbackRate = 1, fixedStep = 0 } = {}) {
+        if (typeof fixedStep !== 'number' || fixedStep < 0) {
+            throw new TypeError('fixedStep必须为非负数字');
+        }
+
+        this.time = 0;
+        this.fixedStep = fixedStep;
+        this.tweens = [];
+        this.renderers = [];
+        this.frameId = null;
+        this.lastTimestamp = 0;
+        this.loop = this.loop.bind(this);
+        this.setPlaybackRate(playbackRate);
+    }
+
+    /**
+     * 返回时间轴的当前时间（毫秒，已按播放速率缩放）
+     * @returns {number}
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * 设置播放速率，2表示两倍速，0.5表示半速
+     * @param {number} rate 播放速率
+     */
+    setPlaybackRate(rate) {
+        if (typeof rate !== 'number' || !(rate > 0)) {
+            throw new RangeError('playbackRate必须为大于0的数字');
+        }
+        this.playbackRate = rate;
+    }
+
+    /**
+     * 创建并启动一个补间动画
+     * @param {number} duration 持续时间（毫秒）
+     * @param {function} updateCallback 每帧回调 (progress, stepIndex)
+     * @param {function} [completeCallback] 完成回调
+     * @returns {Tween} 补间动画句柄
+     */
+    createTween(duration, updateCallback, completeCallback) {
+        const tween = new Tween(this, duration, updateCallback, completeCallback);
+        this.tweens.push(tween);
+        this.requestFrame();
+        return tween;
+    }
+
+    /**
+     * 注册渲染器，每次时间轴推进后调用renderer.renderFrame(time)
+     * 渲染器可以实现isAnimating()，返回true时时间轴会保持运行（例如存在闪烁元素）
+     * @param {Object} renderer 渲染器
+     */
+    addRenderer(renderer) {
+        if (!this.renderers.includes(renderer)) {
+            this.renderers.push(renderer);
+        }
+    }
+
+    /**
+     * 移除渲染器
+     * @param {Object} renderer 渲染器
+     */
+    removeRenderer(renderer) {
+        this.renderers = this.renderers.filter(r => r !== renderer);
+    }
+
+    /**
+     * 时间轴是否空闲：没有运行中的补间动画，也没有渲染器需要持续刷新
+     * @returns {boolean}
+     */
+    isIdle() {
+        return !this.tweens.some(tween => tween.state === 'running')
+            && !this.renderers.some(renderer => renderer.isAnimating && renderer.isAnimating());
+    }
+
+    /**
+     * 请求下一帧，实时模式下如果循环已停止则重新启动；固定步长模式下不做任何事
+     */
+    requestFrame() {
+        if (this.fixedStep > 0 || this.frameId !== null) return;
+
+        this.lastTimestamp = performance.now();
+        this.frameId = requestFrameCallback(this.loop);
+    }
+
+    /**
+     * 停止实时模式的帧循环
+     */
+    stop() {
+        if (this.frameId !== null) {
+            cancelFrameCallback(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    // requestAnimationFrame回调
+    loop(timestamp) {
+        this.frameId = null;
+        const delta = Math.max(timestamp - this.lastTimestamp, 0);
+        this.lastTimestamp = timestamp;
+
+        this.tick(delta);
+
+        if (!this.isIdle() && this.frameId === null) {
+            this.frameId = requestFrameCallback(this.loop);
+        }
+    }
+
+    /**
+     * 推进时间轴：更新所有补间动画，然后调用渲染器
+     * @param {number} delta 真实经过的时间（毫秒），会按播放速率缩放
+     */
+    tick(delta) {
+        const scaled = delta * this.playbackRate;
+        this.time += scaled;
+
+        // 回调中可能会创建新的补间动画，它们从下一帧开始推进
+        [...this.tweens].forEach(tween => tween.tick(scaled));
+        this.tweens = this.tweens.filter(tween => !tween.isDone());
+
+        this.renderers.forEach(renderer => renderer.renderFrame(this.time));
+    }
+
+    /**
+     * 固定步长模式下推进若干步
+     * @param {number} [count=1] 步数
+     */
+    step(count = 1) {
+        if (this.fixedStep <= 0) {
+            throw new Error('step只能在固定步长模式下使用');
+        }
+        for (let i = 0; i < count; i++) {
+            this.tick(this.fixedStep);
+        }
+    }
+
+    /**
+     * 推进指定的时间，固定步长模式下按步长拆分为多次推进
+     * @param {number} ms 时间（毫秒）
+     */
+    advance(ms) {
+        if (this.fixedStep > 0) {
+            this.step(Math.ceil(ms / this.fixedStep));
+        } else {
+            this.tick(ms);
+        }
+    }
+}
+
 /**
  * 动画框架基类，定义了动画元素的基本操作
  * 子类需要实现具体的绘制逻辑
@@ -189,6 +1365,48 @@ class AnimationFramework {
         this.elements = [];
         this.temporaryObjects = [];
         this.flashingElements = [];
+        this.sceneElements = new Map(); // 最近一次loadScene创建的元素，按id索引
+        this.sceneActions = []; // 最近一次loadScene加载的动作
+        this.timeline = null;
+        this.setTimeline(new Timeline());
+    }
+
+    /**
+     * 设置驱动动画和渲染的时间轴，多个框架可以共享同一个时间轴
+     * @param {Timeline} timeline 时间轴
+     */
+    setTimeline(timeline) {
+        if (!(timeline instanceof Timeline)) {
+            throw new TypeError('timeline必须为Timeline实例');
+        }
+        if (this.timeline) {
+            this.timeline.removeRenderer(this);
+        }
+        this.timeline = timeline;
+        this.timeline.addRenderer(this);
+    }
+
+    /**
+     * 设置动画播放速率
+     * @param {number} rate 播放速率，1为正常速度
+     */
+    setPlaybackRate(rate) {
+        this.timeline.setPlaybackRate(rate);
+    }
+
+    /**
+     * 时间轴每帧调用的渲染钩子，渲染框架子类覆盖此方法完成绘制
+     * @param {number} time 时间轴当前时间
+     */
+    renderFrame(time) {
+    }
+
+    /**
+     * 是否存在需要持续刷新的效果（例如闪烁），存在时时间轴会保持运行
+     * @returns {boolean}
+     */
+    isAnimating() {
+        return this.flashingElements.length > 0;
     }
 
     /**
@@ -197,6 +1415,7 @@ class AnimationFramework {
      */
     addElement(element) {
         this.elements.push(element);
+        this.timeline.requestFrame();
     }
 
     /**
@@ -205,14 +1424,18 @@ class AnimationFramework {
      */
     removeElement(id) {
         this.elements = this.elements.filter(e => e.id !== id);
+        this.timeline.requestFrame();
     }
 
     /**
-     * 创建一个临时元素，用于绘制一些临时性的图形
+     * 创建一个临时元素，用于绘制一些临时性的图形，已经存在的元素不会重复添加
      * @param {Element} element 
      */
     createTemporaryElement(element) {
-        this.temporaryObjects.push(element);
+        if (!this.temporaryObjects.includes(element)) {
+            this.temporaryObjects.push(element);
+        }
+        this.timeline.requestFrame();
     }
 
     /**
@@ -221,6 +1444,7 @@ class AnimationFramework {
      */
     removeTemporaryElement(element) {
         this.temporaryObjects = this.temporaryObjects.filter(e => e !== element);
+        this.timeline.requestFrame();
     }
 
     /**
@@ -230,14 +1454,15 @@ class AnimationFramework {
      * @param {string} lineStyle 线的样式
      * @param {boolean} startArrow 是否在起点添加箭头
      * @param {boolean} endArrow 是否在终点添加箭头
-     * @returns 
+     * @param {Object} [options] 锚点选项
+     * @param {string} [options.sourceAnchor='center'] 起点锚点：'center'、'edge'或锚点名称
+     * @param {string} [options.targetAnchor='center'] 终点锚点
+     * @returns {Link} 绑定到两个元素上的链接，元素移动时链接跟随
      */
-    createLink(element1, element2, lineStyle, startArrow, endArrow) {
-        const path = new Path([
-            { x: element1.x + element1.width / 2, y: element1.y + element1.height / 2 },
-            { x: element2.x + element2.width / 2, y: element2.y + element2.height / 2 }
-        ]);
+    createLink(element1, element2, lineStyle, startArrow, endArrow, options = {}) {
+        const path = new Path([element1.getAnchorPoint(), element2.getAnchorPoint()]);
         const link = new Link(path, lineStyle, startArrow, endArrow);
+        link.bind(element1, element2, options);
         return link;
     }
 
@@ -247,6 +1472,19 @@ class AnimationFramework {
      */
     addFlash(element) {
         this.flashingElements.push(element);
+        this.timeline.requestFrame();
+    }
+
+    /**
+     * 元素是否处于闪烁状态，所属分组闪烁时子元素也闪烁
+     * @param {Element} element 元素
+     * @returns {boolean}
+     */
+    isFlashing(element) {
+        for (let node = element; node; node = node.parent) {
+            if (this.flashingElements.includes(node)) return true;
+        }
+        return false;
     }
 
     /**
@@ -255,6 +1493,7 @@ class AnimationFramework {
      */
     removeFlash(element) {
         this.flashingElements = this.flashingElements.filter(e => e !== element);
+        this.timeline.requestFrame();
     }
 
     /**
@@ -264,101 +1503,160 @@ class AnimationFramework {
      * @param {number} duration - 动画持续时间（毫秒）
      * @param {function} stepCallback - 每步回调 (x, y, stepIndex)
      * @param {function} completeCallback - 完成回调
+     * @param {function|string|Array} [easing='linear'] - 缓动函数，参见resolveEasing
+     * @returns {Tween} 动画句柄
      */
-    moveBetweenPoints(startPoint, endPoint, duration, stepCallback, completeCallback) {
-        const startTime = performance.now();
-        let stepIndex = 0; // 步骤索引
-        
-        const animate = (timestamp) => {
-            const elapsed = timestamp - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // 线性插值计算当前位置
-            const x = this.calculateLinearInterpolation(startPoint.x, endPoint.x, progress);
-            const y = this.calculateLinearInterpolation(startPoint.y, endPoint.y, progress);
-            
-            // 调用步骤回调，更新参数顺序
-            if (stepCallback) {
-                stepCallback(x, y, stepIndex++);
-            }
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                // 动画完成，调用完成回调
-                if (completeCallback) {
-                    completeCallback();
+    moveBetweenPoints(startPoint, endPoint, duration, stepCallback, completeCallback, easing = 'linear') {
+        const ease = resolveEasing(easing);
+
+        return this.timeline.createTween(
+            duration,
+            (progress, stepIndex) => {
+                // 按缓动后的进度插值计算当前位置
+                const eased = ease(progress);
+                const x = this.calculateLinearInterpolation(startPoint.x, endPoint.x, eased);
+                const y = this.calculateLinearInterpolation(startPoint.y, endPoint.y, eased);
+
+                if (stepCallback) {
+                    stepCallback(x, y, stepIndex);
                 }
-            }
-        };
-        
-        requestAnimationFrame(animate);
+            },
+            completeCallback
+        );
     }
 
     /**
      * 沿路径移动（多点之间的移动）
-     * @param {Array} points - 路径点数组 [{x,y}, {x,y}, ...]
+     * 整条路径使用一个补间动画，默认时间平均分配到每一段，timing为distance时按段长度分配以保持匀速；
+     * options.easing作用于整条路径的进度，options.segmentEasing作用于每一段内部的进度
+     * @param {Array|Path} points - 路径点数组 [{x,y}, {x,y}, ...]，包含曲线段时传入Path
      * @param {number} duration - 动画持续时间（毫秒）
      * @param {function} stepCallback - 每步回调 (x, y, stepIndex, segmentIndex)
      * @param {function} segmentCompleteCallback - 每段完成回调 (segmentIndex)
      * @param {function} completeCallback - 全部完成回调
+     * @param {Object} [options] - 选项
+     * @param {function|string|Array} [options.easing='linear'] - 整条路径的缓动
+     * @param {function|string|Array} [options.segmentEasing='linear'] - 每段的缓动，为缓动数组时按移动顺序对应每一段
+     * @param {('segment'|'distance')} [options.timing='segment'] - 时间在各段之间的分配方式
+     * @returns {AnimationHandle} 动画句柄
      */
-    moveAlongPath(points, duration, stepCallback, segmentCompleteCallback, completeCallback) {
-        if (!points || points.length < 2) {
+    moveAlongPath(points, duration, stepCallback, segmentCompleteCallback, completeCallback, options = {}) {
+        if (!points || (points instanceof Path ? points.points : points).length < 2) {
+            const handle = new AnimationHandle();
+            handle.complete();
             if (completeCallback) completeCallback();
-            return;
+            return handle;
         }
         
+        // 曲线段需要Path计算位置，普通点数组按折线处理
+        const path = points instanceof Path ? points : new Path(points);
+
         // 总段数
-        const totalSegments = points.length - 1;
-        
-        // 每段的持续时间
-        const segmentDuration = duration / totalSegments;
+        const totalSegments = path.segments.length;
+
+        const pathEasing = resolveEasing(options.easing);
+        const segmentEasings = this.resolveSegmentEasings(options.segmentEasing, totalSegments);
+
+        // 每一段在整条路径进度中的起止位置
+        const boundaries = this.calculateSegmentBoundaries(path, options.timing);
         
-        // 当前段索引
+        // 当前段索引，以及段内的步骤索引
         let currentSegment = 0;
-        
-        // 递归执行每一段的移动
-        const moveNextSegment = () => {
-            if (currentSegment >= totalSegments) {
-                // 所有段都完成了
-                if (completeCallback) completeCallback();
-                return;
+        let stepIndex = 0;
+
+        // 依次结束已经走过的段：先以该段终点回调一次步骤，再触发段完成回调
+        const completeSegmentsBefore = (segment) => {
+            while (currentSegment < segment) {
+                const endPoint = path.points[currentSegment + 1];
+                if (stepCallback) {
+                    stepCallback(endPoint.x, endPoint.y, stepIndex, currentSegment);
+                }
+                if (segmentCompleteCallback) {
+                    segmentCompleteCallback(currentSegment);
+                }
+                currentSegment++;
+                stepIndex = 0;
             }
-            
-            const startPoint = points[currentSegment];
-            const endPoint = points[currentSegment + 1];
-            
-            // 使用内核函数移动当前段
-            this.moveBetweenPoints(
-                startPoint,
-                endPoint,
-                segmentDuration,
-                (x, y, stepIndex) => {
-                    // 传递位置和索引给步骤回调
-                    if (stepCallback) {
-                        stepCallback(x, y, stepIndex, currentSegment);
-                    }
-                },
-                () => {
-                    // 当前段完成，调用段完成回调
-                    if (segmentCompleteCallback) {
-                        segmentCompleteCallback(currentSegment);
-                    }
-                    
-                    // 移动到下一段
-                    currentSegment++;
-                    moveNextSegment();
-                }                
-            );
         };
-        
-        // 开始第一段的移动
-        moveNextSegment();
+
+        return this.timeline.createTween(
+            duration,
+            (progress) => {
+                if (progress >= 1) {
+                    // 到达终点，结束剩余的所有段
+                    completeSegmentsBefore(totalSegments);
+                    return;
+                }
+
+                // 缓动可能超出[0,1]，此时在首段或末段上外插
+                const position = pathEasing(progress);
+                let segment = 0;
+                while (segment < totalSegments - 1 && position >= boundaries[segment + 1]) {
+                    segment++;
+                }
+                completeSegmentsBefore(segment);
+
+                const span = boundaries[segment + 1] - boundaries[segment];
+                const local = segmentEasings[segment](span > 0 ? (position - boundaries[segment]) / span : 1);
+                const point = path.getPointOnSegment(segment, local);
+
+                // 传递位置和索引给步骤回调
+                if (stepCallback) {
+                    stepCallback(point.x, point.y, stepIndex++, segment);
+                }
+            },
+            () => {
+                if (completeCallback) completeCallback();
+            }
+        );
+    }
+
+    /**
+     * 计算每一段在整条路径进度中的起止位置
+     * @param {Path} path 路径
+     * @param {('segment'|'distance')} [timing='segment'] segment表示时间平均分配到每一段，distance表示按段长度分配（匀速）
+     * @returns {Array<number>} 长度为段数+1的递增数组，首项为0，末项为1
+     */
+    calculateSegmentBoundaries(path, timing = 'segment') {
+        if (timing !== 'segment' && timing !== 'distance') {
+            throw new TypeError(`未知的timing选项: ${timing}`);
+        }
+
+        const totalSegments = path.segments.length;
+        const lengths = path.getSegmentLengths();
+        const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+        const boundaries = [0];
+        let accumulated = 0;
+        for (let i = 0; i < totalSegments; i++) {
+            // 路径长度为0时无法按距离分配，退回平均分配
+            accumulated += timing === 'distance' && totalLength > 0 ? lengths[i] / totalLength : 1 / totalSegments;
+            boundaries.push(accumulated);
+        }
+        boundaries[totalSegments] = 1;
+        return boundaries;
+    }
+
+    /**
+     * 解析每段的缓动，返回与段数等长的缓动函数数组
+     * @param {function|string|Array} segmentEasing 单个缓动或缓动数组
+     * @param {number} totalSegments 段数
+     * @returns {Array<function>} 缓动函数数组
+     */
+    resolveSegmentEasings(segmentEasing, totalSegments) {
+        // [x1, y1, x2, y2]形式的数字数组表示单个cubic-bezier缓动
+        const perSegment = Array.isArray(segmentEasing) && typeof segmentEasing[0] !== 'number';
+
+        const easings = [];
+        for (let i = 0; i < totalSegments; i++) {
+            easings.push(resolveEasing(perSegment ? segmentEasing[i] : segmentEasing));
+        }
+        return easings;
     }
 
     /**
      * 沿路径移动元素，支持方向控制、循环和自定义更新回调
+     * 循环动画永远不会自然结束，需要通过返回句柄的cancel()停止
      * @param {Path} path - 路径对象
      * @param {function} updateCallback - 每帧更新回调函数
      * @param {('forward'|'backward')} direction - 移动方向
@@ -366,8 +1664,10 @@ class AnimationFramework {
      * @param {function} [completeCallback] - 动画完成回调
      * @param {boolean} [loop=false] - 是否循环动画
      * @param {boolean} [yoyo=false] - 是否在循环时反向（仅在loop=true时有效）
+     * @param {Object} [options] - 移动选项，包括easing、segmentEasing和timing，参见moveAlongPath
+     * @returns {AnimationHandle} 动画句柄
      */
-    followPath(path, updateCallback, direction = 'forward', duration = 1000, completeCallback = null, loop = false, yoyo = false) {
+    followPath(path, updateCallback, direction = 'forward', duration = 1000, completeCallback = null, loop = false, yoyo = false, options = {}) {
         if (!(path instanceof Path)) {
             throw new TypeError('path参数类型错误');
         }
@@ -379,19 +1679,21 @@ class AnimationFramework {
             throw new TypeError('require updateCallback');
         }
         
+        const handle = new AnimationHandle();
+
         // 循环计数
         let loopCount = 0;
         
-        // 准备路径点（根据方向处理）
-        let pathPoints = direction === 'forward' ? [...points] : [...points].reverse();
+        // 准备路径（根据方向处理）
+        let currentPath = direction === 'forward' ? path : path.reverse();
         
         // 当前方向
         let currentDirection = direction;
         
         // 递归执行动画（支持循环）
         const executeAnimation = () => {
-            this.moveAlongPath(
-                pathPoints,
+            handle.attach(this.moveAlongPath(
+                currentPath,
                 duration,
                 (x, y, stepIndex, segmentIndex) => {
                     // 调用原始的更新回调，更新参数顺序
@@ -403,26 +1705,93 @@ class AnimationFramework {
                     loopCount++;
                     
                     if (loop) {
-                        // 如果启用了yoyo效果，切换方向并重排点
+                        // 如果启用了yoyo效果，切换方向并反转路径
                         if (yoyo) {
                             currentDirection = currentDirection === 'forward' ? 'backward' : 'forward';
-                            pathPoints = pathPoints.reverse();
+                            currentPath = currentPath.reverse();
                         }
                         
                         // 继续下一次循环
                         executeAnimation();
                     } else {
                         // 动画结束，调用完成回调
+                        handle.complete();
                         if (completeCallback) {
                             completeCallback(loopCount);
                         }
                     }
-                }
-            );
+                },
+                options
+            ));
         };
         
         // 开始第一次动画
         executeAnimation();
+        return handle;
+    }
+
+    /**
+     * 属性补间动画：把元素的若干属性从当前值过渡到目标值
+     * 数值线性插值，颜色（十六进制、rgb/rgba、hsl/hsla、命名颜色）按RGBA插值，其他值在结束时直接切换；
+     * style中已有的属性作用于style，其余属性（x、y、width、height、分组的rotation等）作用于元素本身
+     * @param {Element} element 目标元素
+     * @param {Object} properties 目标值，例如 {backgroundColor: 'yellow', opacity: 0}
+     * @param {number} [duration=500] 持续时间（毫秒）
+     * @param {function|string|Array} [easing='linear'] 缓动函数，参见resolveEasing
+     * @returns {Tween} 动画句柄
+     */
+    animate(element, properties, duration = 500, easing = 'linear') {
+        if (!(element instanceof Element)) {
+            throw new TypeError('animate的element必须为Element实例');
+        }
+        if (!properties || typeof properties !== 'object') {
+            throw new TypeError('animate的properties必须为对象');
+        }
+
+        const ease = resolveEasing(easing);
+        const interpolators = Object.keys(properties).map(name =>
+            this.createPropertyInterpolator(element, name, properties[name]));
+
+        return this.timeline.createTween(duration, (progress) => {
+            const eased = ease(progress);
+            interpolators.forEach(interpolate => interpolate(eased, progress >= 1));
+        });
+    }
+
+    /**
+     * 创建单个属性的插值函数（私有方法）
+     * @param {Element} element 目标元素
+     * @param {string} name 属性名
+     * @param {*} to 目标值
+     * @returns {function} 插值函数 (progress, done)
+     */
+    createPropertyInterpolator(element, name, to) {
+        // 样式中没有而元素本身有的属性（例如x、width、rotation）作用于元素本身
+        const target = !(name in element.style) && name in element ? element : element.style;
+        const from = target[name];
+
+        if (typeof to === 'number') {
+            if (typeof from !== 'number') {
+                throw new TypeError(`属性${name}的当前值不是数字，无法插值`);
+            }
+            return (progress, done) => {
+                target[name] = done ? to : this.calculateLinearInterpolation(from, to, progress);
+            };
+        }
+
+        if (parseColor(to)) {
+            if (!parseColor(from)) {
+                throw new TypeError(`属性${name}的当前值不是颜色，无法插值`);
+            }
+            return (progress, done) => {
+                // 结束时写回原始的目标值，保持调用方使用的颜色格式
+                target[name] = done ? to : interpolateColor(from, to, progress);
+            };
+        }
+
+        return (progress, done) => {
+            if (done) target[name] = to;
+        };
     }
 
     // 线性插值计算方法
@@ -436,8 +1805,10 @@ class AnimationFramework {
      * @param {Path} path 移动路径
      * @param {number} duration 移动时间
      * @param {function} [completeCallback] - 动画完成回调
+     * @param {Object} [options] - 移动选项，包括easing、segmentEasing和timing，参见moveAlongPath
+     * @returns {AnimationHandle} 动画句柄
      */
-    moveBy(element, path, duration, completeCallback) {
+    moveBy(element, path, duration, completeCallback, options) {
         // 实现元素移动的逻辑
         throw new Error('子类必须实现moveBy方法');
     }
@@ -460,6 +1831,22 @@ class AnimationFramework {
         throw new Error('子类必须实现drawLink方法');
     }
 
+    /**
+     * 抽象接口，绘制分组及其子元素
+     * @param {Group} group 分组对象
+     */
+    drawGroup(group) {
+        throw new Error('子类必须实现drawGroup方法');
+    }
+
+    /**
+     * 抽象接口，绘制文本
+     * @param {Text} text 文本对象
+     */
+    drawText(text) {
+        throw new Error('子类必须实现drawText方法');
+    }
+
     /**
      * 抽象接口，设置当前元素的绘制样式
      * @param {Element} element 当前元素
@@ -470,14 +1857,28 @@ class AnimationFramework {
     }
 
     /**
-     * 抽象接口，更新绘画内容
+     * 抽象接口，立即更新绘画内容，之后的刷新由时间轴驱动
      */
     update() {
         throw new Error('子类必须实现update方法');
     }
 
+    /**
+     * 抽象接口，生成当前场景（elements和temporaryObjects）的静态快照
+     * @param {Object} [options] 选项
+     * @param {string} [options.format='svg'] 'svg'返回SVG文件内容；'png'返回PNG的data URL
+     * @param {number} [options.width] 宽度，缺省时按场景的包围盒计算
+     * @param {number} [options.height] 高度，缺省时按场景的包围盒计算
+     * @param {string} [options.background='white'] 背景颜色，'transparent'表示透明
+     * @param {string} [options.flashPhase='on'] 闪烁元素冻结的相位，'on'或'off'
+     * @returns {string} 快照内容
+     */
+    snapshot(options) {
+        throw new Error('子类必须实现snapshot方法');
+    }
+
 }
 
 
 // export
-export { Element, Box, Link, Path, AnimationFramework };
+export { Element, Box, Text, Link, Group, Path, AnimationHandle, Tween, Timeline, AnimationFramework };
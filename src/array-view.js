@@ -0,0 +1,464 @@
+'use strict';
+import { Box, Text, Link, Group, Path } from './animation.js';
+import { DataItem } from './values.js';
+import { MOVE_DURATION, SWAP_DURATION, checkFramework } from './view-utils.js';
+
+// 指针箭头的长度和相邻层级之间的高度差
+const POINTER_ARROW_LENGTH = 20;
+const POINTER_LEVEL_HEIGHT = 18;
+// 范围括号的高度和相邻层级之间的高度差
+const RANGE_HEIGHT = 8;
+const RANGE_LEVEL_HEIGHT = 14;
+
+/**
+ * 数组视图，一个包含一行格子的分组，子元素都使用分组的局部坐标，移动分组即可移动整个数组
+ *     格子：Box，自动按下标排列，下方显示下标
+ *     指针：格子上方带名称的箭头（例如i、j、low、high、pivot），移动时有动画
+ *     范围括号：下标下方的虚线括号，样式与common.css中的.range-mark一致
+ * 插入、删除和平移格子时其余格子滑动到新的位置。视图只由Box、Text、Link和Group组成，
+ * 因此在DOM、Canvas和SVG渲染框架中的显示效果相同
+ * @param {number} x 第一个格子的左上角横坐标
+ * @param {number} y 第一个格子的左上角纵坐标
+ * @param {Array<number|string>} [values] 初始值
+ * @param {Object} [options] 选项
+ * @param {string} [options.id] 分组的id，也是子元素id的前缀
+ * @param {number} [options.cellWidth=50] 格子宽度
+ * @param {number} [options.cellHeight=50] 格子高度
+ * @param {number} [options.gap=10] 格子间距
+ * @param {boolean} [options.showIndices=true] 是否显示下标
+ */
+class ArrayView extends Group {
+    constructor(x, y, values = [], { id = null, cellWidth = 50, cellHeight = 50, gap = 10, showIndices = true } = {}) {
+        super(x, y);
+        if (!Array.isArray(values)) {
+            throw new TypeError('ArrayView的values必须为数组');
+        }
+        if (id) this.id = id;
+
+        this.options = { cellWidth, cellHeight, gap, showIndices };
+        this.values = [];
+        this.cells = [];
+        this.indexLabels = [];
+        this.pointers = new Map();
+        this.ranges = new Map();
+        this.nextCellId = 0;
+
+        values.forEach((value, index) => {
+            this.values.push(value);
+            this.cells.push(this.createCell(value, index));
+        });
+        this.updateIndexLabels();
+    }
+
+    /**
+     * 数组长度
+     * @returns {number}
+     */
+    get length() {
+        return this.values.length;
+    }
+
+    /**
+     * 计算格子左上角的局部坐标
+     * @param {number} index 下标，可以超出数组范围，例如指向-1的指针
+     * @returns {Object} {x, y}
+     */
+    cellPosition(index) {
+        const { cellWidth, gap } = this.options;
+        return { x: index * (cellWidth + gap), y: 0 };
+    }
+
+    /**
+     * 获取下标对应的格子
+     * @param {number} index 下标
+     * @returns {Box}
+     */
+    getCell(index) {
+        this.checkIndex(index, this.length - 1);
+        return this.cells[index];
+    }
+
+    /**
+     * 获取下标对应的值
+     * @param {number} index 下标
+     * @returns {number|string|null} 值，平移后空出的格子为null
+     */
+    getValue(index) {
+        this.checkIndex(index, this.length - 1);
+        return this.values[index];
+    }
+
+    /**
+     * 修改下标对应的值，没有动画效果
+     * @param {number} index 下标
+     * @param {number|string|null} value 新的值
+     */
+    setValue(index, value) {
+        this.checkIndex(index, this.length - 1);
+        this.values[index] = value;
+        this.cells[index].setLabel(value);
+    }
+
+    // 检查下标是否在[0, max]范围内
+    checkIndex(index, max) {
+        if (!Number.isInteger(index) || index < 0 || index > max) {
+            throw new RangeError(`下标 ${index} 超出范围 [0, ${max}]`);
+        }
+    }
+
+    // 创建格子并加入分组
+    createCell(value, index) {
+        const { cellWidth, cellHeight } = this.options;
+        const position = this.cellPosition(index);
+        const cell = new Box(position.x, position.y, cellWidth, cellHeight, value);
+        cell.id = `${this.id}_cell_${this.nextCellId++}`;
+        this.add(cell);
+        return cell;
+    }
+
+    // 使下标标签的数量与数组长度一致
+    updateIndexLabels() {
+        const { cellWidth, cellHeight, showIndices } = this.options;
+        const count = showIndices ? this.length : 0;
+        while (this.indexLabels.length > count) {
+            this.remove(this.indexLabels.pop());
+        }
+        while (this.indexLabels.length < count) {
+            const index = this.indexLabels.length;
+            const label = new Text(this.cellPosition(index).x + cellWidth / 2, cellHeight + 4, index, 'center', 'top');
+            label.id = `${this.id}_index_${index}`;
+            label.style.textSize = 12;
+            label.style.textColor = '#666';
+            this.add(label);
+            this.indexLabels.push(label);
+        }
+    }
+
+    /**
+     * 按当前的值重新排列所有子元素，没有动画效果
+     */
+    layout() {
+        this.cells.forEach((cell, index) => {
+            const position = this.cellPosition(index);
+            cell.moveTo(position.x, position.y);
+        });
+        this.updateIndexLabels();
+        this.pointers.forEach(pointer => {
+            pointer.group.moveTo(this.pointerX(pointer.index), 0);
+        });
+        this.ranges.forEach(range => this.updateRangePath(range));
+    }
+
+    // 把格子沿直线移动到指定下标的位置
+    slideCell(framework, cell, index, duration) {
+        const target = this.cellPosition(index);
+        if (cell.x === target.x && cell.y === target.y) {
+            return Promise.resolve();
+        }
+        return framework.moveBy(cell, new Path([{ x: cell.x, y: cell.y }, target]), duration);
+    }
+
+    /**
+     * 在指定位置插入一个值，后面的格子右移一格，新的格子淡入
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} index 插入位置，等于长度时追加到末尾
+     * @param {number|string} value 插入的值
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @returns {Promise<Box>} 动画结束时兑现为新的格子
+     */
+    async insert(framework, index, value, duration = MOVE_DURATION) {
+        checkFramework(framework, 'ArrayView');
+        this.checkIndex(index, this.length);
+
+        this.values.splice(index, 0, value);
+        const cell = this.createCell(value, index);
+        cell.style.opacity = 0;
+        this.cells.splice(index, 0, cell);
+        this.updateIndexLabels();
+        framework.timeline.requestFrame();
+
+        await Promise.all(this.cells.slice(index + 1).map((other, offset) =>
+            this.slideCell(framework, other, index + 1 + offset, duration)));
+        await framework.animate(cell, { opacity: 1 }, duration);
+        return cell;
+    }
+
+    /**
+     * 删除指定位置的值，格子淡出后后面的格子左移一格
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} index 删除位置
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @returns {Promise<number|string|null>} 动画结束时兑现为删除的值
+     */
+    async delete(framework, index, duration = MOVE_DURATION) {
+        checkFramework(framework, 'ArrayView');
+        this.checkIndex(index, this.length - 1);
+
+        const [value] = this.values.splice(index, 1);
+        const [cell] = this.cells.splice(index, 1);
+        await framework.animate(cell, { opacity: 0 }, duration);
+        this.remove(cell);
+        framework.timeline.requestFrame();
+
+        await Promise.all(this.cells.slice(index).map((other, offset) =>
+            this.slideCell(framework, other, index + offset, duration)));
+        this.updateIndexLabels();
+        framework.timeline.requestFrame();
+        return value;
+    }
+
+    /**
+     * 把[start, end]范围内的格子整体平移offset格，数组长度不变
+     * 被覆盖的格子淡出，空出的位置补上值为null的空格子，例如插入排序中把有序部分右移一格
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} start 起始下标（包含）
+     * @param {number} end 结束下标（包含）
+     * @param {number} offset 平移的格数，负数表示左移
+     * @param {number} [duration=300] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async shift(framework, start, end, offset, duration = MOVE_DURATION) {
+        checkFramework(framework, 'ArrayView');
+        this.checkIndex(start, this.length - 1);
+        this.checkIndex(end, this.length - 1);
+        if (start > end) {
+            throw new RangeError(`平移范围 [${start}, ${end}] 无效`);
+        }
+        if (!Number.isInteger(offset) || start + offset < 0 || end + offset > this.length - 1) {
+            throw new RangeError(`平移 ${offset} 格后超出数组范围`);
+        }
+        if (offset === 0) return;
+
+        const inSource = index => index >= start && index <= end;
+        const inTarget = index => index >= start + offset && index <= end + offset;
+        const cells = this.cells.slice();
+        const values = this.values.slice();
+
+        const covered = [];
+        const filled = [];
+        for (let index = Math.min(start, start + offset); index <= Math.max(end, end + offset); index++) {
+            if (inTarget(index) && !inSource(index)) {
+                covered.push(cells[index]);
+            }
+            if (inSource(index) && !inTarget(index)) {
+                const empty = this.createCell(null, index);
+                empty.style.opacity = 0;
+                this.cells[index] = empty;
+                this.values[index] = null;
+                filled.push(empty);
+            }
+        }
+        for (let index = start; index <= end; index++) {
+            this.cells[index + offset] = cells[index];
+            this.values[index + offset] = values[index];
+        }
+        framework.timeline.requestFrame();
+
+        await Promise.all([
+            ...cells.slice(start, end + 1).map((cell, k) => this.slideCell(framework, cell, start + k + offset, duration)),
+            ...covered.map(cell => framework.animate(cell, { opacity: 0 }, duration))
+        ]);
+        covered.forEach(cell => this.remove(cell));
+        await Promise.all(filled.map(cell => framework.animate(cell, { opacity: 1 }, duration)));
+    }
+
+    /**
+     * 交换两个下标的值，两个格子沿上下两段圆弧交换位置
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} i 第一个下标
+     * @param {number} j 第二个下标
+     * @param {number} [duration=600] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async swap(framework, i, j, duration = SWAP_DURATION) {
+        checkFramework(framework, 'ArrayView');
+        this.checkIndex(i, this.length - 1);
+        this.checkIndex(j, this.length - 1);
+        if (i === j) return;
+
+        const first = this.cells[i];
+        const second = this.cells[j];
+        const from = this.cellPosition(i);
+        const to = this.cellPosition(j);
+        await Promise.all([
+            framework.moveBy(first, DataItem.swapArc(from, to), duration),
+            framework.moveBy(second, DataItem.swapArc(to, from), duration)
+        ]);
+        // 圆弧终点有浮点误差，动画结束后对齐到格子位置
+        first.moveTo(to.x, to.y);
+        second.moveTo(from.x, from.y);
+        [this.cells[i], this.cells[j]] = [second, first];
+        [this.values[i], this.values[j]] = [this.values[j], this.values[i]];
+    }
+
+    // 指针分组的横坐标（格子中心）
+    pointerX(index) {
+        return this.cellPosition(index).x + this.options.cellWidth / 2;
+    }
+
+    /**
+     * 在格子上方添加一个命名指针，已有同名指针时先移除
+     * 多个指针可能指向同一个格子时，使用不同的level把名称错开
+     * @param {string} name 指针名称，同时作为显示的文本
+     * @param {number} index 指向的下标，可以超出数组范围
+     * @param {Object} [options] 选项
+     * @param {string} [options.color='#1565c0'] 颜色
+     * @param {number} [options.level=0] 层级，层级越高名称越靠上
+     * @returns {Group} 指针分组，原点位于格子上边缘的中点
+     */
+    addPointer(name, index, { color = '#1565c0', level = 0 } = {}) {
+        if (!Number.isInteger(index)) {
+            throw new TypeError('指针下标必须为整数');
+        }
+        this.removePointer(name);
+
+        const group = createPointer(`${this.id}_pointer_${name}`, name, { color, level });
+        group.moveTo(this.pointerX(index), 0);
+        this.add(group);
+        this.pointers.set(name, { name, index, group });
+        return group;
+    }
+
+    /**
+     * 把指针移动到另一个下标
+     * @param {AnimationFramework} framework 动画框架
+     * @param {string} name 指针名称
+     * @param {number} index 新的下标
+     * @param {number} [duration=300] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async movePointer(framework, name, index, duration = MOVE_DURATION) {
+        checkFramework(framework, 'ArrayView');
+        const pointer = this.getPointer(name);
+        if (!Number.isInteger(index)) {
+            throw new TypeError('指针下标必须为整数');
+        }
+        pointer.index = index;
+        const { group } = pointer;
+        const x = this.pointerX(index);
+        if (group.x === x) return;
+        await framework.moveBy(group, new Path([{ x: group.x, y: group.y }, { x, y: group.y }]), duration);
+    }
+
+    /**
+     * 获取指针当前指向的下标
+     * @param {string} name 指针名称
+     * @returns {number}
+     */
+    pointerIndex(name) {
+        return this.getPointer(name).index;
+    }
+
+    // 按名称查找指针
+    getPointer(name) {
+        const pointer = this.pointers.get(name);
+        if (!pointer) {
+            throw new Error(`未知的指针: ${name}`);
+        }
+        return pointer;
+    }
+
+    /**
+     * 移除指针
+     * @param {string} name 指针名称
+     */
+    removePointer(name) {
+        const pointer = this.pointers.get(name);
+        if (pointer) {
+            this.remove(pointer.group);
+            this.pointers.delete(name);
+        }
+    }
+
+    /**
+     * 在下标下方画出范围括号，标记[start, end]区间，已有同名括号时更新其位置
+     * @param {string} name 括号名称
+     * @param {number} start 起始下标（包含）
+     * @param {number} end 结束下标（包含）
+     * @param {Object} [options] 选项
+     * @param {number} [options.level=0] 层级，层级越高括号越靠下，用于嵌套的范围
+     * @param {string} [options.color='#666'] 颜色
+     * @returns {Link} 范围括号
+     */
+    markRange(name, start, end, { level = 0, color = '#666' } = {}) {
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start > end) {
+            throw new RangeError(`范围 [${start}, ${end}] 无效`);
+        }
+
+        let range = this.ranges.get(name);
+        if (!range) {
+            const link = new Link(new Path([{ x: 0, y: 0 }, { x: 0, y: 0 }]), 'dashed');
+            link.id = `${this.id}_range_${name}`;
+            link.style.borderWidth = 2;
+            this.add(link);
+            range = { name, link };
+            this.ranges.set(name, range);
+        }
+        Object.assign(range, { start, end, level });
+        range.link.style.borderColor = color;
+        this.updateRangePath(range);
+        return range.link;
+    }
+
+    // 按范围的下标和层级计算括号的路径
+    updateRangePath(range) {
+        const { cellWidth, cellHeight, showIndices } = this.options;
+        const left = this.cellPosition(range.start).x;
+        const right = this.cellPosition(range.end).x + cellWidth;
+        const top = cellHeight + (showIndices ? 22 : 6) + range.level * RANGE_LEVEL_HEIGHT;
+        const bottom = top + RANGE_HEIGHT;
+        range.link.path = new Path([
+            { x: left, y: top },
+            { x: left, y: bottom },
+            { x: right, y: bottom },
+            { x: right, y: top }
+        ]);
+        range.link.moveTo(left, top);
+    }
+
+    /**
+     * 移除范围括号
+     * @param {string} name 括号名称
+     */
+    clearRange(name) {
+        const range = this.ranges.get(name);
+        if (range) {
+            this.remove(range.link);
+            this.ranges.delete(name);
+        }
+    }
+}
+
+/**
+ * 创建一个带名称的指针：名称下方是指向下方的箭头，箭头尖端位于分组原点上方4像素处
+ * 数组视图和链表视图共用
+ * @param {string} id 指针分组的id，也是名称和箭头id的前缀
+ * @param {string} name 指针名称，同时作为显示的文本
+ * @param {Object} [options] 选项
+ * @param {string} [options.color='#1565c0'] 颜色
+ * @param {number} [options.level=0] 层级，层级越高名称越靠上
+ * @returns {Group} 指针分组，位于(0, 0)
+ */
+function createPointer(id, name, { color = '#1565c0', level = 0 } = {}) {
+    if (typeof name !== 'string' || name === '') {
+        throw new TypeError('指针名称必须为非空字符串');
+    }
+
+    const top = -(POINTER_ARROW_LENGTH + 4 + level * POINTER_LEVEL_HEIGHT);
+    const label = new Text(0, top - 2, name, 'center', 'bottom');
+    label.id = `${id}_label`;
+    label.style.textColor = color;
+    label.style.textSize = 14;
+    const arrow = new Link(new Path([{ x: 0, y: top }, { x: 0, y: -4 }]), 'solid', false, true);
+    arrow.id = `${id}_arrow`;
+    arrow.style.borderColor = color;
+    arrow.style.borderWidth = 2;
+    arrow.style.arrowSize = 8;
+
+    const group = new Group(0, 0, [label, arrow]);
+    group.id = id;
+    return group;
+}
+
+// export
+export { ArrayView, createPointer };
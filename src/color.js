@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * 颜色解析和插值，支持十六进制、rgb/rgba、hsl/hsla和CSS命名颜色
+ */
+
+// CSS命名颜色
+const NAMED_COLORS = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+    beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+    blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+    chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+    darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b', darkolivegreen: '#556b2f',
+    darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f',
+    darkslateblue: '#483d8b', darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+    deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969', dodgerblue: '#1e90ff',
+    firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc',
+    ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+    greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+    indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa', lavenderblush: '#fff0f5',
+    lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+    lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1',
+    lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6',
+    magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3',
+    mediumpurple: '#9370db', mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc',
+    mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+    navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23',
+    orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98',
+    paleturquoise: '#afeeee', palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f',
+    pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+    red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513', salmon: '#fa8072',
+    sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0',
+    skyblue: '#87ceeb', slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+    springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+    tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3', white: '#ffffff',
+    whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+// 解析rgb()/hsl()中的数值，支持百分比
+function parseChannel(value, max) {
+    value = value.trim();
+    if (value.endsWith('%')) {
+        return parseFloat(value) / 100 * max;
+    }
+    return parseFloat(value);
+}
+
+function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360 / 360;
+    if (s === 0) {
+        return [l * 255, l * 255, l * 255];
+    }
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hue = t => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [hue(h + 1 / 3) * 255, hue(h) * 255, hue(h - 1 / 3) * 255];
+}
+
+/**
+ * 解析颜色字符串
+ * @param {string} color 颜色字符串
+ * @returns {Object|null} {r, g, b, a}，r/g/b在[0,255]，a在[0,1]；无法解析时返回null
+ */
+function parseColor(color) {
+    if (typeof color !== 'string') return null;
+    let value = color.trim().toLowerCase();
+
+    if (value === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+    }
+    if (NAMED_COLORS[value]) {
+        value = NAMED_COLORS[value];
+    }
+
+    const hex = value.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            digits = digits.split('').map(d => d + d).join('');
+        }
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        return {
+            r: parseInt(digits.substr(0, 2), 16),
+            g: parseInt(digits.substr(2, 2), 16),
+            b: parseInt(digits.substr(4, 2), 16),
+            a: digits.length === 8 ? parseInt(digits.substr(6, 2), 16) / 255 : 1
+        };
+    }
+
+    const functional = value.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (functional) {
+        const parts = functional[2].split(/[\s,/]+/).filter(part => part !== '');
+        if (parts.length < 3) return null;
+        const a = parts.length > 3 ? parseChannel(parts[3], 1) : 1;
+
+        let rgb;
+        if (functional[1].startsWith('rgb')) {
+            rgb = parts.slice(0, 3).map(part => parseChannel(part, 255));
+        } else {
+            rgb = hslToRgb(parseFloat(parts[0]), parseChannel(parts[1], 1), parseChannel(parts[2], 1));
+        }
+        if (rgb.some(isNaN) || isNaN(a)) return null;
+        return { r: rgb[0], g: rgb[1], b: rgb[2], a };
+    }
+
+    return null;
+}
+
+/**
+ * 把颜色对象格式化为rgb()/rgba()字符串
+ * @param {Object} color {r, g, b, a}
+ * @returns {string} 颜色字符串
+ */
+function formatColor({ r, g, b, a }) {
+    const clamp = v => Math.round(Math.min(Math.max(v, 0), 255));
+    if (a >= 1) {
+        return `rgb(${clamp(r)}, ${clamp(g)}, ${clamp(b)})`;
+    }
+    return `rgba(${clamp(r)}, ${clamp(g)}, ${clamp(b)}, ${Math.round(Math.max(a, 0) * 1000) / 1000})`;
+}
+
+/**
+ * 在两个颜色之间插值
+ * 一端完全透明时沿用另一端的色相，避免淡入淡出时经过黑色
+ * @param {string} from 起始颜色
+ * @param {string} to 结束颜色
+ * @param {number} progress 进度
+ * @returns {string} 插值后的颜色字符串
+ */
+function interpolateColor(from, to, progress) {
+    const start = parseColor(from);
+    const end = parseColor(to);
+    if (!start || !end) {
+        throw new TypeError(`无法解析的颜色: ${!start ? from : to}`);
+    }
+
+    const startRGB = start.a === 0 ? end : start;
+    const endRGB = end.a === 0 ? start : end;
+    const mix = (a, b) => a + (b - a) * progress;
+    return formatColor({
+        r: mix(startRGB.r, endRGB.r),
+        g: mix(startRGB.g, endRGB.g),
+        b: mix(startRGB.b, endRGB.b),
+        a: mix(start.a, end.a)
+    });
+}
+
+// export
+export { parseColor, formatColor, interpolateColor };
@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * 缓动函数库，每个缓动函数把[0,1]区间的线性进度映射为新的进度
+ * back和elastic类的缓动会短暂超出[0,1]区间，用来表现回弹的效果
+ */
+
+// 由easeIn函数派生easeOut和easeInOut函数
+function easeOut(easeIn) {
+    return t => 1 - easeIn(1 - t);
+}
+
+function easeInOut(easeIn) {
+    return t => (t < 0.5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2);
+}
+
+const BACK_OVERSHOOT = 1.70158;
+
+const easeInQuad = t => t * t;
+const easeInCubic = t => t * t * t;
+const easeInBack = t => t * t * ((BACK_OVERSHOOT + 1) * t - BACK_OVERSHOOT);
+const easeInElastic = t => {
+    if (t === 0 || t === 1) return t;
+    return -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.075) * (2 * Math.PI) / 0.3);
+};
+const easeOutBounce = t => {
+    const n = 7.5625;
+    const d = 2.75;
+    if (t < 1 / d) {
+        return n * t * t;
+    } else if (t < 2 / d) {
+        t -= 1.5 / d;
+        return n * t * t + 0.75;
+    } else if (t < 2.5 / d) {
+        t -= 2.25 / d;
+        return n * t * t + 0.9375;
+    }
+    t -= 2.625 / d;
+    return n * t * t + 0.984375;
+};
+const easeInBounce = t => 1 - easeOutBounce(1 - t);
+
+/**
+ * 内置的缓动函数，可以通过名称引用
+ */
+const Easing = {
+    linear: t => t,
+    easeInQuad,
+    easeOutQuad: easeOut(easeInQuad),
+    easeInOutQuad: easeInOut(easeInQuad),
+    easeInCubic,
+    easeOutCubic: easeOut(easeInCubic),
+    easeInOutCubic: easeInOut(easeInCubic),
+    easeInBack,
+    easeOutBack: easeOut(easeInBack),
+    easeInOutBack: easeInOut(easeInBack),
+    easeInElastic,
+    easeOutElastic: easeOut(easeInElastic),
+    easeInOutElastic: easeInOut(easeInElastic),
+    easeInBounce,
+    easeOutBounce,
+    easeInOutBounce: easeInOut(easeInBounce)
+};
+
+/**
+ * 创建与CSS cubic-bezier(x1, y1, x2, y2)等价的缓动函数
+ * @param {number} x1 第一个控制点的x坐标，必须在[0,1]区间
+ * @param {number} y1 第一个控制点的y坐标
+ * @param {number} x2 第二个控制点的x坐标，必须在[0,1]区间
+ * @param {number} y2 第二个控制点的y坐标
+ * @returns {function} 缓动函数
+ */
+function cubicBezier(x1, y1, x2, y2) {
+    if ([x1, y1, x2, y2].some(v => typeof v !== 'number' || isNaN(v))) {
+        throw new TypeError('cubicBezier参数必须为数字类型');
+    }
+    if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+        throw new RangeError('cubicBezier控制点的x坐标必须在[0,1]区间');
+    }
+
+    // 三次贝塞尔的多项式系数
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+
+    const sampleX = s => ((ax * s + bx) * s + cx) * s;
+    const sampleY = s => ((ay * s + by) * s + cy) * s;
+    const sampleDerivativeX = s => (3 * ax * s + 2 * bx) * s + cx;
+
+    // 由x反求曲线参数s：先用牛顿迭代，不收敛时退回二分法
+    const solveX = x => {
+        let s = x;
+        for (let i = 0; i < 8; i++) {
+            const error = sampleX(s) - x;
+            if (Math.abs(error) < 1e-7) return s;
+            const derivative = sampleDerivativeX(s);
+            if (Math.abs(derivative) < 1e-6) break;
+            s -= error / derivative;
+        }
+
+        let low = 0;
+        let high = 1;
+        s = x;
+        while (low < high) {
+            const value = sampleX(s);
+            if (Math.abs(value - x) < 1e-7) return s;
+            if (x > value) {
+                low = s;
+            } else {
+                high = s;
+            }
+            if (high - low < 1e-7) break;
+            s = (low + high) / 2;
+        }
+        return s;
+    };
+
+    return t => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return sampleY(solveX(t));
+    };
+}
+
+/**
+ * 把缓动描述解析为缓动函数
+ * 支持函数、Easing中的名称、'cubic-bezier(x1, y1, x2, y2)'字符串和[x1, y1, x2, y2]数组
+ * @param {function|string|Array} [easing='linear'] 缓动描述
+ * @returns {function} 缓动函数
+ */
+function resolveEasing(easing = 'linear') {
+    if (typeof easing === 'function') {
+        return easing;
+    }
+    if (Array.isArray(easing) && easing.length === 4) {
+        return cubicBezier(...easing);
+    }
+    if (typeof easing === 'string') {
+        if (Easing[easing]) {
+            return Easing[easing];
+        }
+        const match = easing.match(/^cubic-bezier\(([^)]*)\)$/);
+        if (match) {
+            return cubicBezier(...match[1].split(',').map(Number));
+        }
+    }
+    throw new TypeError(`未知的缓动函数: ${easing}`);
+}
+
+// export
+export { Easing, cubicBezier, resolveEasing };
@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * 动画GIF编码器，把RGBA像素帧编码为GIF89a格式
+ * 每帧使用局部颜色表：颜色数不超过256时使用精确的调色板，否则退回到均匀量化的252色调色板
+ * alpha小于128的像素编码为透明色
+ */
+
+// 颜色过多时使用的均匀调色板：红6级、绿7级、蓝6级
+const UNIFORM_LEVELS = [6, 7, 6];
+
+// 按小端序写入16位整数
+function writeUint16(bytes, value) {
+    bytes.push(value & 0xff, (value >> 8) & 0xff);
+}
+
+/**
+ * 为一帧像素生成调色板和颜色索引
+ * @param {Uint8ClampedArray|Uint8Array} pixels RGBA像素
+ * @returns {Object} {palette: [[r, g, b], ...], indices: Uint8Array, transparentIndex: number}
+ */
+function quantize(pixels) {
+    const count = pixels.length / 4;
+    const indices = new Uint8Array(count);
+    const palette = [];
+    const colorIndex = new Map();
+    let transparentIndex = -1;
+    let exact = true;
+
+    for (let i = 0; i < count; i++) {
+        const offset = i * 4;
+        if (pixels[offset + 3] < 128) {
+            if (transparentIndex < 0) {
+                transparentIndex = palette.length;
+                palette.push([0, 0, 0]);
+            }
+            indices[i] = transparentIndex;
+            continue;
+        }
+
+        const key = (pixels[offset] << 16) | (pixels[offset + 1] << 8) | pixels[offset + 2];
+        let index = colorIndex.get(key);
+        if (index === undefined) {
+            if (palette.length >= 256) {
+                exact = false;
+                break;
+            }
+            index = palette.length;
+            colorIndex.set(key, index);
+            palette.push([pixels[offset], pixels[offset + 1], pixels[offset + 2]]);
+        }
+        indices[i] = index;
+    }
+
+    if (exact) {
+        return { palette, indices, transparentIndex };
+    }
+
+    // 均匀量化，最后一个索引留给透明色
+    const [levelsR, levelsG, levelsB] = UNIFORM_LEVELS;
+    const uniform = [];
+    for (let r = 0; r < levelsR; r++) {
+        for (let g = 0; g < levelsG; g++) {
+            for (let b = 0; b < levelsB; b++) {
+                uniform.push([
+                    Math.round(r * 255 / (levelsR - 1)),
+                    Math.round(g * 255 / (levelsG - 1)),
+                    Math.round(b * 255 / (levelsB - 1))
+                ]);
+            }
+        }
+    }
+    const uniformTransparent = uniform.length;
+    uniform.push([0, 0, 0]);
+
+    const level = (value, levels) => Math.round(value * (levels - 1) / 255);
+    let hasTransparent = false;
+    for (let i = 0; i < count; i++) {
+        const offset = i * 4;
+        if (pixels[offset + 3] < 128) {
+            indices[i] = uniformTransparent;
+            hasTransparent = true;
+            continue;
+        }
+        indices[i] = level(pixels[offset], levelsR) * levelsG * levelsB
+            + level(pixels[offset + 1], levelsG) * levelsB
+            + level(pixels[offset + 2], levelsB);
+    }
+    return { palette: uniform, indices, transparentIndex: hasTransparent ? uniformTransparent : -1 };
+}
+
+/**
+ * GIF使用的变长LZW压缩
+ * @param {Uint8Array} indices 颜色索引
+ * @param {number} minCodeSize 最小码长
+ * @returns {Array<number>} 压缩后的字节
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bufferBits = 0;
+
+    const emit = code => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            output.push(buffer & 0xff);
+            buffer >>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let current = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (current << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            current = code;
+            continue;
+        }
+
+        emit(current);
+        if (nextCode === 4096) {
+            // 码表已满，重置
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        current = index;
+    }
+    emit(current);
+    emit(endCode);
+
+    if (bufferBits > 0) {
+        output.push(buffer & 0xff);
+    }
+    return output;
+}
+
+/**
+ * 动画GIF编码器
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @param {Object} [options] 选项
+ * @param {number} [options.repeat=0] 循环次数，0表示无限循环，-1表示不循环
+ */
+class GIFEncoder {
+    constructor(width, height, { repeat = 0 } = {}) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+            throw new RangeError('GIF宽高必须为正整数');
+        }
+        if (!Number.isInteger(repeat) || repeat < -1 || repeat > 0xffff) {
+            throw new RangeError('repeat必须为-1到65535之间的整数');
+        }
+
+        this.width = width;
+        this.height = height;
+        this.frameCount = 0;
+        this.bytes = [];
+        this.finished = false;
+
+        this.writeHeader(repeat);
+    }
+
+    // 写入文件头、逻辑屏幕描述符和循环扩展
+    writeHeader(repeat) {
+        const bytes = this.bytes;
+        for (const char of 'GIF89a') {
+            bytes.push(char.charCodeAt(0));
+        }
+        writeUint16(bytes, this.width);
+        writeUint16(bytes, this.height);
+        bytes.push(0x00, 0x00, 0x00); // 不使用全局颜色表
+
+        if (repeat >= 0) {
+            bytes.push(0x21, 0xff, 0x0b);
+            for (const char of 'NETSCAPE2.0') {
+                bytes.push(char.charCodeAt(0));
+            }
+            bytes.push(0x03, 0x01);
+            writeUint16(bytes, repeat);
+            bytes.push(0x00);
+        }
+    }
+
+    /**
+     * 添加一帧
+     * @param {Uint8ClampedArray|Uint8Array} pixels RGBA像素，长度为width * height * 4
+     * @param {number} [delay=100] 这一帧的显示时间（毫秒），GIF的精度为10毫秒
+     */
+    addFrame(pixels, delay = 100) {
+        if (this.finished) {
+            throw new Error('GIF已经编码完成，不能再添加帧');
+        }
+        if (!pixels || pixels.length !== this.width * this.height * 4) {
+            throw new RangeError('帧的像素数量与GIF宽高不一致');
+        }
+
+        const bytes = this.bytes;
+        const { palette, indices, transparentIndex } = quantize(pixels);
+        // 颜色表的长度必须是2的幂
+        const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+        const minCodeSize = Math.max(2, tableBits);
+
+        // 图形控制扩展：延迟时间和透明色，带透明色的帧在显示下一帧前清除，避免残留上一帧的画面
+        bytes.push(0x21, 0xf9, 0x04);
+        bytes.push(transparentIndex >= 0 ? (2 << 2) | 1 : 1 << 2);
+        writeUint16(bytes, Math.round(delay / 10));
+        bytes.push(transparentIndex >= 0 ? transparentIndex : 0, 0x00);
+
+        // 图像描述符和局部颜色表
+        bytes.push(0x2c);
+        writeUint16(bytes, 0);
+        writeUint16(bytes, 0);
+        writeUint16(bytes, this.width);
+        writeUint16(bytes, this.height);
+        bytes.push(0x80 | (tableBits - 1));
+        for (let i = 0; i < (1 << tableBits); i++) {
+            const color = palette[i] || [0, 0, 0];
+            bytes.push(color[0], color[1], color[2]);
+        }
+
+        // 图像数据，按255字节分块
+        bytes.push(minCodeSize);
+        const data = lzwEncode(indices, minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            bytes.push(block.length, ...block);
+        }
+        bytes.push(0x00);
+
+        this.frameCount++;
+    }
+
+    /**
+     * 结束编码
+     * @returns {Uint8Array} GIF文件内容
+     */
+    finish() {
+        if (!this.finished) {
+            this.bytes.push(0x3b);
+            this.finished = true;
+        }
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+// export
+export { GIFEncoder, quantize, lzwEncode };
@@ -0,0 +1,164 @@
+'use strict';
+import { GraphView } from './graph-view.js';
+import { STEP_DURATION } from './view-utils.js';
+
+/**
+ * 图算法动画库
+ * 所有算法使用GraphView提供的同一套视觉语言：
+ *     frontier：已经发现、等待处理的节点（队列、栈或优先队列中的节点）
+ *     current：正在处理的节点
+ *     visited：处理完毕的节点
+ *     relaxEdge：检查一条边，小圆点沿边从当前节点移动到邻居
+ *     tree：选中的边，组成遍历树或最短路径树
+ * 统一的入口为 visualizeGraph(name, view, framework, start)
+ */
+
+// 广度优先搜索：逐层处理节点，节点下方标出层数
+async function breadthFirstSearch(view, framework, start, duration) {
+    const order = [];
+    const parents = new Map([[start, null]]);
+    const levels = new Map([[start, 0]]);
+    const queue = [start];
+    view.setNote(start, 0);
+    await view.setNodeState(framework, start, 'frontier', duration);
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        await view.visitNode(framework, current, duration);
+        order.push(current);
+        for (const { name } of view.neighbors(current)) {
+            await view.relaxEdge(framework, current, name, duration);
+            if (!parents.has(name)) {
+                parents.set(name, current);
+                levels.set(name, levels.get(current) + 1);
+                view.setNote(name, levels.get(name));
+                queue.push(name);
+                await Promise.all([
+                    view.setEdgeState(framework, current, name, 'tree', duration),
+                    view.setNodeState(framework, name, 'frontier', duration)
+                ]);
+            }
+        }
+        await view.setNodeState(framework, current, 'visited', duration);
+    }
+    return { order, parents };
+}
+
+// 深度优先搜索：递归访问第一个未发现的邻居，回溯后继续检查其余的邻居
+// 递归栈中的节点保持frontier状态
+async function depthFirstSearch(view, framework, start, duration) {
+    const order = [];
+    const parents = new Map([[start, null]]);
+
+    const visit = async current => {
+        await view.visitNode(framework, current, duration);
+        order.push(current);
+        for (const { name } of view.neighbors(current)) {
+            await view.relaxEdge(framework, current, name, duration);
+            if (!parents.has(name)) {
+                parents.set(name, current);
+                await Promise.all([
+                    view.setEdgeState(framework, current, name, 'tree', duration),
+                    view.setNodeState(framework, current, 'frontier', duration)
+                ]);
+                await visit(name);
+                await view.setNodeState(framework, current, 'current', duration);
+            }
+        }
+        await view.setNodeState(framework, current, 'visited', duration);
+    };
+
+    await visit(start);
+    return { order, parents };
+}
+
+// Dijkstra算法：每次取出距离最小的未确定节点，用它松弛出边，节点下方标出当前的最短距离
+// 没有权重的边按权重1处理
+async function dijkstra(view, framework, start, duration) {
+    if (view.edges.some(edge => edge.weight !== null && edge.weight < 0)) {
+        throw new RangeError('Dijkstra算法不支持负权边');
+    }
+
+    const distances = new Map();
+    const previous = new Map();
+    view.nodes.forEach((node, name) => {
+        distances.set(name, name === start ? 0 : Infinity);
+        previous.set(name, null);
+        view.setNote(name, name === start ? 0 : '∞');
+    });
+    await view.setNodeState(framework, start, 'frontier', duration);
+
+    const order = [];
+    const done = new Set();
+    for (;;) {
+        // 距离相同时取先加入的节点
+        let current = null;
+        view.nodes.forEach((node, name) => {
+            if (!done.has(name) && distances.get(name) < Infinity
+                && (current === null || distances.get(name) < distances.get(current))) {
+                current = name;
+            }
+        });
+        if (current === null) break;
+
+        done.add(current);
+        order.push(current);
+        await view.visitNode(framework, current, duration);
+        for (const { name, weight } of view.neighbors(current)) {
+            if (done.has(name)) continue;
+            await view.relaxEdge(framework, current, name, duration);
+            const distance = distances.get(current) + (weight === null ? 1 : weight);
+            if (distance < distances.get(name)) {
+                // 最短路径树中原来连向该节点的边恢复默认状态
+                const updates = [
+                    view.setEdgeState(framework, current, name, 'tree', duration),
+                    view.setNodeState(framework, name, 'frontier', duration)
+                ];
+                if (previous.get(name) !== null) {
+                    updates.push(view.setEdgeState(framework, previous.get(name), name, 'default', duration));
+                }
+                distances.set(name, distance);
+                previous.set(name, current);
+                view.setNote(name, distance);
+                await Promise.all(updates);
+            }
+        }
+        await view.setNodeState(framework, current, 'visited', duration);
+    }
+    return { order, distances, previous };
+}
+
+// 算法名称到实现的映射
+const GRAPH_ALGORITHMS = {
+    bfs: breadthFirstSearch,
+    dfs: depthFirstSearch,
+    dijkstra
+};
+
+/**
+ * 在图视图上用动画演示图算法，开始前清除视图上已有的状态和注释
+ * @param {string} name 算法名称：bfs、dfs或dijkstra
+ * @param {GraphView} view 图视图，需要已经加入动画框架
+ * @param {AnimationFramework|null} framework 动画框架，为null时不播放动画，直接得到结果
+ * @param {string|number} start 起点名称
+ * @param {Object} [options] 选项
+ * @param {number} [options.stepDuration=400] 每一步的动画时间（毫秒）
+ * @returns {Promise<Object>} bfs和dfs返回 {order, parents}；dijkstra返回 {order, distances, previous}，
+ *     order为节点的处理顺序，parents、distances和previous为Map，键为节点名称（与GraphView.nodes相同，不转换为字符串），
+ *     parents和previous的值为节点在遍历树中的父节点
+ */
+async function visualizeGraph(name, view, framework, start, { stepDuration = STEP_DURATION } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(GRAPH_ALGORITHMS, name)) {
+        throw new Error(`未知的图算法: ${name}`);
+    }
+    if (!(view instanceof GraphView)) {
+        throw new TypeError('visualizeGraph的view必须为GraphView实例');
+    }
+    view.getNode(start);
+
+    view.resetStates();
+    return GRAPH_ALGORITHMS[name](view, framework, start, stepDuration);
+}
+
+// export
+export { visualizeGraph, GRAPH_ALGORITHMS };
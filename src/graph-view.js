@@ -0,0 +1,505 @@
+'use strict';
+import { Box, Text, Link, Group, Path } from './animation.js';
+import { STEP_DURATION, checkFramework } from './view-utils.js';
+
+// 节点状态对应的背景色
+const GRAPH_COLORS = {
+    default: 'white',
+    frontier: '#fff3b0',
+    current: '#ffcc80',
+    visited: '#c8e6c9'
+};
+// 边状态对应的样式：active为正在检查的边，tree为选中的边（遍历树、最短路径树或生成树）
+const EDGE_STYLES = {
+    default: { borderColor: '#757575', borderWidth: 2 },
+    active: { borderColor: '#ff9800', borderWidth: 4 },
+    tree: { borderColor: '#2e7d32', borderWidth: 4 }
+};
+// 有向图中两个方向都有边时，两条边各自向左侧偏移的距离
+const PARALLEL_OFFSET = 6;
+// 边权标签到边的距离
+const LABEL_OFFSET = 10;
+// 力导向布局的迭代次数
+const FORCE_ITERATIONS = 300;
+
+/**
+ * 图的边，在绑定的两个节点之间画直线，bend不为0时整条线向起点到终点方向的左侧平移
+ */
+class GraphLink extends Link {
+    constructor(directed) {
+        super(new Path([{ x: 0, y: 0 }, { x: 0, y: 0 }]), 'solid', false, directed);
+        this.bend = 0;
+    }
+
+    updatePath() {
+        if (!super.updatePath()) {
+            return false;
+        }
+        if (this.bend) {
+            const [start, end] = this.path.points;
+            const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+            const dx = (end.y - start.y) / length * this.bend;
+            const dy = -(end.x - start.x) / length * this.bend;
+            this.path = new Path([{ x: start.x + dx, y: start.y + dy }, { x: end.x + dx, y: end.y + dy }]);
+            this.x = start.x + dx;
+            this.y = start.y + dy;
+        }
+        return true;
+    }
+}
+
+/**
+ * 边权标签，绘制前放到边的中点左侧，节点移动时跟随边移动
+ */
+class EdgeLabel extends Text {
+    constructor(link, text) {
+        super(0, 0, text, 'center', 'middle');
+        this.link = link;
+        this.style.textSize = 12;
+        this.style.textColor = '#424242';
+        this.updatePosition();
+    }
+
+    updatePosition() {
+        this.link.updatePath();
+        const [start, end] = this.link.path.points;
+        const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+        this.x = (start.x + end.x) / 2 + (end.y - start.y) / length * LABEL_OFFSET;
+        this.y = (start.y + end.y) / 2 - (end.x - start.x) / length * LABEL_OFFSET;
+    }
+
+    draw(framework) {
+        this.updatePosition();
+        super.draw(framework);
+    }
+}
+
+// 环形布局：节点从正上方开始顺时针均匀分布在圆上
+function circularLayout(count, edges, { width, height, nodeSize }) {
+    const radius = Math.max(0, Math.min(width, height) / 2 - nodeSize / 2);
+    if (count === 1) {
+        return [{ x: width / 2, y: height / 2 }];
+    }
+    return Array.from({ length: count }, (_, i) => {
+        const angle = -Math.PI / 2 + 2 * Math.PI * i / count;
+        return { x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle) };
+    });
+}
+
+// 网格布局：按添加顺序逐行排列，节点位于格子中心
+function gridLayout(count, edges, { width, height, columns }) {
+    const cols = columns || Math.max(1, Math.ceil(Math.sqrt(count)));
+    const rows = Math.max(1, Math.ceil(count / cols));
+    return Array.from({ length: count }, (_, i) => ({
+        x: (i % cols + 0.5) * width / cols,
+        y: (Math.floor(i / cols) + 0.5) * height / rows
+    }));
+}
+
+// 力导向布局（Fruchterman–Reingold）：节点之间相互排斥，边把两端拉近
+// 从环形布局出发，温度逐步降低，没有随机数，相同的图总是得到相同的布局
+function forceLayout(count, edges, options) {
+    const { width, height, nodeSize } = options;
+    const positions = circularLayout(count, edges, options);
+    if (count < 2) return positions;
+
+    const k = Math.sqrt(width * height / count);
+    const margin = nodeSize / 2;
+    for (let iteration = 0; iteration < FORCE_ITERATIONS; iteration++) {
+        const temperature = width / 10 * (1 - iteration / FORCE_ITERATIONS);
+        const displacement = positions.map(() => ({ x: 0, y: 0 }));
+        const push = (i, j, force) => {
+            let dx = positions[i].x - positions[j].x;
+            let dy = positions[i].y - positions[j].y;
+            let distance = Math.hypot(dx, dy);
+            if (distance < 0.01) {
+                // 重合的节点按下标错开
+                dx = i - j;
+                dy = 0;
+                distance = Math.abs(dx);
+            }
+            const f = force(distance) / distance;
+            displacement[i].x += dx * f;
+            displacement[i].y += dy * f;
+            displacement[j].x -= dx * f;
+            displacement[j].y -= dy * f;
+        };
+
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                push(i, j, distance => k * k / distance);
+            }
+        }
+        edges.forEach(([i, j]) => push(i, j, distance => -distance * distance / k));
+
+        positions.forEach((position, i) => {
+            const { x, y } = displacement[i];
+            const length = Math.hypot(x, y);
+            if (length > 0) {
+                const step = Math.min(length, temperature) / length;
+                position.x = Math.min(width - margin, Math.max(margin, position.x + x * step));
+                position.y = Math.min(height - margin, Math.max(margin, position.y + y * step));
+            }
+        });
+    }
+    return positions;
+}
+
+// 布局名称到布局函数的映射，布局函数返回节点中心的坐标
+const GRAPH_LAYOUTS = {
+    circular: circularLayout,
+    grid: gridLayout,
+    force: forceLayout
+};
+
+/**
+ * 图视图，一个包含节点和边的分组
+ * 每个节点是一个分组，包含圆形的Box和可选的注释文本（例如最短距离）；
+ * 边为绑定在节点上的Link，有向图的边带箭头，带权边在边的一侧显示权重。
+ * 节点按环形、网格或力导向布局放在 width × height 的区域内，所有布局都是确定的。
+ * 动画原语：visitNode访问节点，relaxEdge检查一条边，setNodeState和setEdgeState为节点和边着色。
+ * 带framework参数的方法在framework为null时不播放动画，直接完成
+ * @param {number} x 布局区域左上角横坐标
+ * @param {number} y 布局区域左上角纵坐标
+ * @param {Object} [graph] 图的数据
+ * @param {Array<string|number>} [graph.nodes] 节点名称
+ * @param {Array<Array>} [graph.edges] 边 [from, to] 或 [from, to, weight]
+ * @param {Object} [options] 选项
+ * @param {string} [options.id] 分组的id，也是子元素id的前缀
+ * @param {boolean} [options.directed=false] 是否为有向图
+ * @param {number} [options.nodeSize=40] 节点的直径
+ * @param {number} [options.width=400] 布局区域的宽度
+ * @param {number} [options.height=300] 布局区域的高度
+ * @param {string} [options.layout='circular'] 布局：'circular'、'grid'或'force'
+ * @param {number} [options.columns] 网格布局的列数，缺省时取接近正方形的列数
+ */
+class GraphView extends Group {
+    constructor(x, y, { nodes = [], edges = [] } = {}, {
+        id = null, directed = false, nodeSize = 40, width = 400, height = 300, layout = 'circular', columns = null
+    } = {}) {
+        super(x, y);
+        if (!Array.isArray(nodes) || !Array.isArray(edges)) {
+            throw new TypeError('GraphView的nodes和edges必须为数组');
+        }
+        checkLayout(layout);
+        if (id) this.id = id;
+
+        this.options = { directed, nodeSize, width, height, layout, columns };
+        this.nodes = new Map();
+        this.edges = [];
+
+        nodes.forEach(name => this.addNode(name));
+        edges.forEach(([from, to, weight = null]) => this.addEdge(from, to, weight));
+        this.layout();
+    }
+
+    /**
+     * 添加节点，新节点放在区域的左上角，需要调用layout或relayout重新布局
+     * @param {string|number} name 节点名称，显示在节点中
+     * @returns {Object} 节点 {name, group, box, note, state}
+     */
+    addNode(name) {
+        if (typeof name !== 'string' && typeof name !== 'number') {
+            throw new TypeError('GraphView的节点名称必须为字符串或数字');
+        }
+        if (this.nodes.has(name)) {
+            throw new Error(`节点 ${name} 已经存在`);
+        }
+
+        const { nodeSize } = this.options;
+        const group = new Group(0, 0);
+        group.id = `${this.id}_node_${this.nodes.size}`;
+        const box = new Box(0, 0, nodeSize, nodeSize, name);
+        box.id = `${group.id}_circle`;
+        box.style.borderRadius = nodeSize / 2;
+        box.style.backgroundColor = GRAPH_COLORS.default;
+        group.add(box);
+        this.add(group);
+
+        const node = { name, group, box, note: null, state: 'default' };
+        this.nodes.set(name, node);
+        return node;
+    }
+
+    /**
+     * 添加边，无向图中同一对节点之间只能有一条边
+     * @param {string|number} from 起点名称
+     * @param {string|number} to 终点名称
+     * @param {number|null} [weight=null] 权重，不为null时显示在边的一侧
+     * @returns {Object} 边 {from, to, weight, link, label, state}
+     */
+    addEdge(from, to, weight = null) {
+        const source = this.getNode(from);
+        const target = this.getNode(to);
+        if (from === to) {
+            throw new Error(`不支持自环: ${from}`);
+        }
+        if (weight !== null && typeof weight !== 'number') {
+            throw new TypeError('边的权重必须为数字或null');
+        }
+        if (this.edges.some(edge => edge.from === from && edge.to === to) || (!this.options.directed && this.findEdge(to, from))) {
+            throw new Error(`边 ${from} - ${to} 已经存在`);
+        }
+
+        const { directed } = this.options;
+        const link = new GraphLink(directed);
+        link.id = `${this.id}_edge_${this.edges.length}`;
+        Object.assign(link.style, EDGE_STYLES.default);
+        this.add(link);
+        link.bind(source.box, target.box, { sourceAnchor: 'edge', targetAnchor: 'edge' });
+
+        // 有向图中两个方向的边错开
+        const reverse = directed ? this.findEdge(to, from) : null;
+        if (reverse) {
+            link.bend = PARALLEL_OFFSET;
+            reverse.link.bend = PARALLEL_OFFSET;
+        }
+
+        let label = null;
+        if (weight !== null) {
+            label = new EdgeLabel(link, weight);
+            label.id = `${link.id}_label`;
+            this.add(label);
+        }
+
+        const edge = { from, to, weight, link, label, state: 'default' };
+        this.edges.push(edge);
+        return edge;
+    }
+
+    /**
+     * 按名称查找节点，不存在时抛出异常
+     * @param {string|number} name 节点名称
+     * @returns {Object} 节点
+     */
+    getNode(name) {
+        const node = this.nodes.get(name);
+        if (!node) {
+            throw new Error(`未知的节点: ${name}`);
+        }
+        return node;
+    }
+
+    /**
+     * 查找两个节点之间的边，无向图不区分方向
+     * @param {string|number} from 起点名称
+     * @param {string|number} to 终点名称
+     * @returns {Object|null} 边
+     */
+    findEdge(from, to) {
+        return this.edges.find(edge => (edge.from === from && edge.to === to) ||
+            (!this.options.directed && edge.from === to && edge.to === from)) || null;
+    }
+
+    /**
+     * 按加边顺序返回节点的邻居，有向图只包含出边
+     * @param {string|number} name 节点名称
+     * @returns {Array<Object>} {name, edge, weight}
+     */
+    neighbors(name) {
+        this.getNode(name);
+        const result = [];
+        this.edges.forEach(edge => {
+            if (edge.from === name) {
+                result.push({ name: edge.to, edge, weight: edge.weight });
+            } else if (edge.to === name && !this.options.directed) {
+                result.push({ name: edge.from, edge, weight: edge.weight });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 计算每个节点分组的局部坐标（节点外接正方形的左上角）
+     * @param {string} [layout] 布局名称，缺省使用options.layout
+     * @returns {Map<string|number, Object>} 节点名称到 {x, y} 的映射
+     */
+    computeLayout(layout = this.options.layout) {
+        checkLayout(layout);
+        const names = [...this.nodes.keys()];
+        const indices = new Map(names.map((name, i) => [name, i]));
+        const edges = this.edges.map(edge => [indices.get(edge.from), indices.get(edge.to)]);
+        const centers = GRAPH_LAYOUTS[layout](names.length, edges, this.options);
+
+        const half = this.options.nodeSize / 2;
+        return new Map(names.map((name, i) => [name, { x: centers[i].x - half, y: centers[i].y - half }]));
+    }
+
+    /**
+     * 把所有节点放到布局计算的位置，没有动画效果
+     * @param {string} [layout] 布局名称，同时成为之后的默认布局
+     */
+    layout(layout = this.options.layout) {
+        this.options.layout = layout;
+        this.computeLayout(layout).forEach((position, name) => this.nodes.get(name).group.moveTo(position.x, position.y));
+    }
+
+    /**
+     * 所有节点同时滑动到新布局计算的位置，边跟随节点移动
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {string} [layout] 布局名称，同时成为之后的默认布局
+     * @param {number} [duration=400] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async relayout(framework, layout = this.options.layout, duration = STEP_DURATION) {
+        if (!framework) {
+            this.layout(layout);
+            return;
+        }
+        checkFramework(framework, 'GraphView');
+        const positions = this.computeLayout(layout);
+        this.options.layout = layout;
+        const moves = [];
+        positions.forEach((position, name) => {
+            const { group } = this.nodes.get(name);
+            if (group.x !== position.x || group.y !== position.y) {
+                moves.push(framework.moveBy(group, new Path([{ x: group.x, y: group.y }, position]), duration));
+            }
+        });
+        await Promise.all(moves);
+    }
+
+    /**
+     * 设置节点的状态，背景色渐变为状态对应的颜色
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {string|number} name 节点名称
+     * @param {string} state 'default'、'frontier'、'current'或'visited'
+     * @param {number} [duration=400] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async setNodeState(framework, name, state, duration = STEP_DURATION) {
+        const node = this.getNode(name);
+        if (!Object.prototype.hasOwnProperty.call(GRAPH_COLORS, state)) {
+            throw new Error(`未知的节点状态: ${state}`);
+        }
+        node.state = state;
+        if (framework) {
+            await framework.animate(node.box, { backgroundColor: GRAPH_COLORS[state] }, duration);
+        } else {
+            node.box.style.backgroundColor = GRAPH_COLORS[state];
+        }
+    }
+
+    /**
+     * 设置边的状态，颜色和线宽渐变为状态对应的样式
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {string|number} from 起点名称
+     * @param {string|number} to 终点名称
+     * @param {string} state 'default'、'active'或'tree'
+     * @param {number} [duration=400] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async setEdgeState(framework, from, to, state, duration = STEP_DURATION) {
+        const edge = this.requireEdge(from, to);
+        if (!Object.prototype.hasOwnProperty.call(EDGE_STYLES, state)) {
+            throw new Error(`未知的边状态: ${state}`);
+        }
+        edge.state = state;
+        if (framework) {
+            await framework.animate(edge.link, EDGE_STYLES[state], duration);
+        } else {
+            Object.assign(edge.link.style, EDGE_STYLES[state]);
+        }
+    }
+
+    // 查找边，不存在时抛出异常
+    requireEdge(from, to) {
+        const edge = this.findEdge(from, to);
+        if (!edge) {
+            throw new Error(`没有从 ${from} 到 ${to} 的边`);
+        }
+        return edge;
+    }
+
+    /**
+     * 访问节点：节点变为current状态并停顿一段时间，调用方随后决定节点的下一个状态
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {string|number} name 节点名称
+     * @param {number} [duration=400] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async visitNode(framework, name, duration = STEP_DURATION) {
+        await this.setNodeState(framework, name, 'current', duration / 2);
+        if (framework) {
+            await framework.timeline.createTween(duration / 2, () => {});
+        }
+    }
+
+    /**
+     * 检查（松弛）一条边：边高亮，一个小圆点从from沿边移动到to，然后边恢复原来的状态
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {string|number} from 起点名称
+     * @param {string|number} to 终点名称
+     * @param {number} [duration=400] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async relaxEdge(framework, from, to, duration = STEP_DURATION) {
+        const edge = this.requireEdge(from, to);
+        if (!framework) return;
+        checkFramework(framework, 'GraphView');
+
+        const { state } = edge;
+        Object.assign(edge.link.style, EDGE_STYLES.active);
+        edge.link.updatePath();
+        const points = edge.from === from ? edge.link.path.points : [...edge.link.path.points].reverse();
+        const size = 10;
+        const dot = new Box(points[0].x - size / 2, points[0].y - size / 2, size, size);
+        dot.id = `${edge.link.id}_dot`;
+        dot.style.borderRadius = size / 2;
+        dot.style.backgroundColor = EDGE_STYLES.active.borderColor;
+        dot.style.borderColor = EDGE_STYLES.active.borderColor;
+        this.add(dot);
+        const path = new Path(points.map(point => ({ x: point.x - size / 2, y: point.y - size / 2 })));
+        await framework.moveBy(dot, path, duration);
+        this.remove(dot);
+        Object.assign(edge.link.style, EDGE_STYLES[state]);
+    }
+
+    /**
+     * 设置节点下方的注释文本，例如最短距离，text为null时移除注释
+     * @param {string|number} name 节点名称
+     * @param {string|number|null} text 注释
+     */
+    setNote(name, text) {
+        const node = this.getNode(name);
+        if (text === null) {
+            if (node.note) node.group.remove(node.note);
+            node.note = null;
+            return;
+        }
+        if (!node.note) {
+            const { nodeSize } = this.options;
+            node.note = new Text(nodeSize / 2, nodeSize + 4, text, 'center', 'top');
+            node.note.id = `${node.group.id}_note`;
+            node.note.style.textSize = 12;
+            node.note.style.textColor = '#1565c0';
+            node.group.add(node.note);
+        }
+        node.note.setText(text);
+    }
+
+    /**
+     * 所有节点和边恢复默认状态，并移除注释，没有动画效果
+     */
+    resetStates() {
+        this.nodes.forEach(node => {
+            node.state = 'default';
+            node.box.style.backgroundColor = GRAPH_COLORS.default;
+            this.setNote(node.name, null);
+        });
+        this.edges.forEach(edge => {
+            edge.state = 'default';
+            Object.assign(edge.link.style, EDGE_STYLES.default);
+        });
+    }
+}
+
+// 检查布局名称
+function checkLayout(layout) {
+    if (!Object.prototype.hasOwnProperty.call(GRAPH_LAYOUTS, layout)) {
+        throw new Error(`未知的布局: ${layout}`);
+    }
+}
+
+// export
+export { GraphView, GRAPH_COLORS, GRAPH_LAYOUTS };
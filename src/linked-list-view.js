@@ -0,0 +1,587 @@
+'use strict';
+import { Box, Link, Group, Path } from './animation.js';
+import { createPointer } from './array-view.js';
+import { MOVE_DURATION, checkFramework } from './view-utils.js';
+
+// 插入和删除时节点离开所在行的距离
+const DROP_DISTANCE = 60;
+// 回环链接在节点下方绕行的深度
+const LOOP_DEPTH = 24;
+// 空指针域显示的符号
+const NULL_LABEL = '∧';
+
+/**
+ * 链表中的指针箭头，绑定在两个节点的格子上
+ * route为'straight'时是直线；为'below'时从两个格子的底部出发，在节点下方绕行，
+ * 用于指回较远的节点（例如环）或跨过中间节点的链接
+ */
+class ListLink extends Link {
+    constructor() {
+        super(new Path([{ x: 0, y: 0 }, { x: 0, y: 0 }]), 'solid', false, true);
+        this.route = 'straight';
+    }
+
+    updatePath() {
+        if (this.route !== 'below' || !this.source || !this.target) {
+            return super.updatePath();
+        }
+
+        let start = this.source.getAnchorPoint('bottom');
+        let end = this.target.getAnchorPoint('bottom');
+        if (this.parent) {
+            start = this.parent.worldToLocal(start);
+            end = this.parent.worldToLocal(end);
+        }
+        const bottom = Math.max(start.y, end.y) + LOOP_DEPTH;
+        this.path = new Path([start, { x: start.x, y: bottom }, { x: end.x, y: bottom }, end]);
+        this.x = start.x;
+        this.y = start.y;
+        return true;
+    }
+}
+
+/**
+ * 链表视图，一个包含一行节点的分组，nodes按从头到尾的顺序从左向右排列
+ * 单链表的节点为[值|next]，双链表的节点为[prev|值|next]，指针域用绑定在格子上的箭头连接到目标节点，
+ * 空指针显示为“∧”，双链表中next箭头在上、prev箭头在下
+ * 插入、删除和反转时箭头的端点移动到新的目标（重新连线），然后节点滑动到新的位置；
+ * 名为head的指针始终跟随第一个节点
+ * @param {number} x 第一个节点的左上角横坐标
+ * @param {number} y 第一个节点的左上角纵坐标
+ * @param {Array<number|string>} [values] 初始值
+ * @param {Object} [options] 选项
+ * @param {string} [options.id] 分组的id，也是子元素id的前缀
+ * @param {boolean} [options.doubly=false] 是否为双链表
+ * @param {number} [options.valueWidth=50] 值域的宽度
+ * @param {number} [options.fieldWidth=20] 指针域的宽度
+ * @param {number} [options.height=40] 节点高度
+ * @param {number} [options.spacing=40] 相邻节点之间的距离
+ */
+class LinkedListView extends Group {
+    constructor(x, y, values = [], { id = null, doubly = false, valueWidth = 50, fieldWidth = 20, height = 40, spacing = 40 } = {}) {
+        super(x, y);
+        if (!Array.isArray(values)) {
+            throw new TypeError('LinkedListView的values必须为数组');
+        }
+        if (id) this.id = id;
+
+        this.options = { doubly, valueWidth, fieldWidth, height, spacing };
+        this.nodes = [];
+        this.pointers = new Map();
+        this.nextNodeId = 0;
+
+        values.forEach((value, index) => {
+            const node = this.createNode(value);
+            node.group.moveTo(this.slotX(index), 0);
+            this.nodes.push(node);
+        });
+        this.nodes.forEach((node, index) => {
+            node.next = this.nodes[index + 1] || null;
+            node.prev = doubly ? this.nodes[index - 1] || null : null;
+        });
+        this.updateLinks();
+    }
+
+    /**
+     * 节点数量
+     * @returns {number}
+     */
+    get length() {
+        return this.nodes.length;
+    }
+
+    /**
+     * 节点宽度
+     * @returns {number}
+     */
+    get nodeWidth() {
+        const { doubly, valueWidth, fieldWidth } = this.options;
+        return valueWidth + fieldWidth * (doubly ? 2 : 1);
+    }
+
+    /**
+     * 计算第index个节点左上角的局部横坐标
+     * @param {number} index 节点位置，可以超出范围，例如指向null的指针
+     * @returns {number}
+     */
+    slotX(index) {
+        return index * (this.nodeWidth + this.options.spacing);
+    }
+
+    /**
+     * 获取节点的值
+     * @param {number} index 节点位置
+     * @returns {number|string}
+     */
+    getValue(index) {
+        return this.getNode(index).value;
+    }
+
+    /**
+     * 从第一个节点出发沿next访问到的值，遇到环时在回到已访问的节点前停止
+     * @returns {Array<number|string>}
+     */
+    toArray() {
+        const values = [];
+        const visited = new Set();
+        for (let node = this.nodes[0]; node && !visited.has(node); node = node.next) {
+            visited.add(node);
+            values.push(node.value);
+        }
+        return values;
+    }
+
+    /**
+     * 从第一个节点出发沿next访问时是否会回到已访问的节点
+     * @returns {boolean}
+     */
+    hasCycle() {
+        const visited = new Set();
+        for (let node = this.nodes[0]; node; node = node.next) {
+            if (visited.has(node)) return true;
+            visited.add(node);
+        }
+        return false;
+    }
+
+    // 按位置获取节点
+    getNode(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.length) {
+            throw new RangeError(`节点位置 ${index} 超出范围 [0, ${this.length - 1}]`);
+        }
+        return this.nodes[index];
+    }
+
+    // 箭头在格子中的高度，双链表的next箭头在上、prev箭头在下
+    arrowY(kind) {
+        const { doubly, height } = this.options;
+        if (!doubly) return height / 2;
+        return kind === 'next' ? height * 0.35 : height * 0.65;
+    }
+
+    // 创建节点并加入分组，节点的格子上添加连线用的锚点
+    createNode(value) {
+        const { doubly, valueWidth, fieldWidth, height } = this.options;
+        const id = `${this.id}_node_${this.nextNodeId++}`;
+        const cells = [];
+        const addCell = (name, width, label) => {
+            const x = cells.reduce((sum, cell) => sum + cell.width, 0);
+            const cell = new Box(x, 0, width, height, label);
+            cell.id = `${id}_${name}`;
+            ['next', 'prev'].forEach(kind => {
+                const y = this.arrowY(kind);
+                cell.addPort(`left-${kind}`, 0, y);
+                cell.addPort(`center-${kind}`, width / 2, y);
+                cell.addPort(`right-${kind}`, width, y);
+            });
+            cells.push(cell);
+            return cell;
+        };
+
+        const node = { id, value, next: null, prev: null };
+        node.prevCell = doubly ? addCell('prev', fieldWidth, NULL_LABEL) : null;
+        node.valueBox = addCell('value', valueWidth, value);
+        node.nextCell = addCell('next', fieldWidth, NULL_LABEL);
+        node.group = new Group(0, 0, cells);
+        node.group.id = id;
+        node.nextLink = new ListLink();
+        node.nextLink.id = `${id}_next_link`;
+        node.prevLink = null;
+        if (doubly) {
+            node.prevLink = new ListLink();
+            node.prevLink.id = `${id}_prev_link`;
+        }
+        this.add(node.group);
+        return node;
+    }
+
+    /**
+     * 按节点的指针域连接箭头：指向右边相邻的节点时从节点右侧连到目标的左侧，
+     * 指向左边相邻的节点时从节点左侧连到目标的右侧，其余情况在节点下方绕行；
+     * 节点不在同一行时（插入和删除的过程中）总是使用直线
+     * @param {Object} node 节点
+     * @param {string} kind 'next'或'prev'
+     */
+    updateLink(node, kind) {
+        const link = node[`${kind}Link`];
+        const target = node[kind];
+        if (!link) return;
+
+        node[`${kind}Cell`].setLabel(target ? '' : NULL_LABEL);
+        if (!target) {
+            link.unbind();
+            this.remove(link);
+            return;
+        }
+        if (link.parent !== this) {
+            this.add(link);
+        }
+
+        const from = this.nodes.indexOf(node);
+        const to = this.nodes.indexOf(target);
+        const sameRow = node.group.y === target.group.y;
+        if (to === from + 1 || (to > from && !sameRow)) {
+            link.route = 'straight';
+            link.bind(node.nextCell, target.prevCell || target.valueBox, {
+                sourceAnchor: kind === 'next' ? 'center-next' : `right-${kind}`,
+                targetAnchor: `left-${kind}`
+            });
+        } else if (to === from - 1 || (to < from && !sameRow)) {
+            link.route = 'straight';
+            link.bind(node.prevCell || node.valueBox, target.nextCell, {
+                sourceAnchor: kind === 'prev' ? 'center-prev' : `left-${kind}`,
+                targetAnchor: `right-${kind}`
+            });
+        } else {
+            link.route = 'below';
+            link.bind(node[`${kind}Cell`], target.valueBox, { sourceAnchor: 'bottom', targetAnchor: 'bottom' });
+        }
+    }
+
+    /**
+     * 按所有节点的指针域重新连接箭头，没有动画效果
+     */
+    updateLinks() {
+        this.nodes.forEach(node => {
+            this.updateLink(node, 'next');
+            this.updateLink(node, 'prev');
+        });
+    }
+
+    /**
+     * 修改节点的next，没有动画效果，例如制造一个环
+     * @param {number} index 节点位置
+     * @param {number|null} targetIndex 目标节点的位置，null表示空指针
+     */
+    setNext(index, targetIndex) {
+        const node = this.getNode(index);
+        node.next = targetIndex === null ? null : this.getNode(targetIndex);
+        this.updateLink(node, 'next');
+    }
+
+    /**
+     * 修改节点的指针域，箭头的两端从原来的位置移动到新的位置
+     * @param {AnimationFramework} framework 动画框架
+     * @param {Object} node 节点
+     * @param {string} kind 'next'或'prev'
+     * @param {Object|null} target 新的目标节点
+     * @param {number} [duration=300] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async rewire(framework, node, kind, target, duration = MOVE_DURATION) {
+        const link = node[`${kind}Link`];
+        if (!link || node[kind] === target) return;
+
+        const wasLinked = link.parent === this;
+        if (wasLinked) link.updatePath();
+        const from = wasLinked ? { start: link.path.getStartPoint(), end: link.path.getEndPoint() } : null;
+
+        node[kind] = target;
+        this.updateLink(node, kind);
+        let to;
+        if (target) {
+            link.updatePath();
+            to = { start: link.path.getStartPoint(), end: link.path.getEndPoint() };
+        } else {
+            // 改为空指针时箭头收缩到起点，动画结束前箭头保留在分组中
+            this.add(link);
+            to = { start: from.start, end: from.start };
+        }
+        const origin = from || { start: to.start, end: to.start };
+
+        const { source, target: targetCell, sourceAnchor, targetAnchor } = link;
+        link.unbind();
+        const lerp = (a, b, progress) => ({ x: a.x + (b.x - a.x) * progress, y: a.y + (b.y - a.y) * progress });
+        await framework.timeline.createTween(duration, progress => {
+            link.path = new Path([lerp(origin.start, to.start, progress), lerp(origin.end, to.end, progress)]);
+            link.moveTo(link.path.getStartPoint().x, link.path.getStartPoint().y);
+        });
+
+        if (target) {
+            link.bind(source, targetCell, { sourceAnchor, targetAnchor });
+        } else {
+            this.remove(link);
+        }
+        framework.timeline.requestFrame();
+    }
+
+    /**
+     * 把所有节点和指针滑动到按nodes顺序排列的位置，然后重新连接箭头
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} [duration=300] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async slide(framework, duration = MOVE_DURATION) {
+        const moves = [];
+        const moveTo = (element, x, y) => {
+            if (element.x !== x || element.y !== y) {
+                moves.push(framework.moveBy(element, new Path([{ x: element.x, y: element.y }, { x, y }]), duration));
+            }
+        };
+        this.nodes.forEach((node, index) => moveTo(node.group, this.slotX(index), 0));
+        this.followHead();
+        this.pointers.forEach(pointer => moveTo(pointer.group, this.pointerX(pointer), 0));
+        await Promise.all(moves);
+        this.updateLinks();
+        framework.timeline.requestFrame();
+    }
+
+    /**
+     * 在指定位置插入节点：新节点出现在下方，先连接新节点的指针域，再修改前驱的指针域，最后滑入所在行
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} index 插入位置，等于长度时追加到末尾
+     * @param {number|string} value 插入的值
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async insertAt(framework, index, value, duration = MOVE_DURATION) {
+        checkFramework(framework, 'LinkedListView');
+        if (!Number.isInteger(index) || index < 0 || index > this.length) {
+            throw new RangeError(`插入位置 ${index} 超出范围 [0, ${this.length}]`);
+        }
+
+        const prev = this.nodes[index - 1] || null;
+        const next = this.nodes[index] || null;
+        const node = this.createNode(value);
+        node.group.moveTo(this.slotX(index), this.options.height + DROP_DISTANCE);
+        node.group.style.opacity = 0;
+        this.nodes.splice(index, 0, node);
+        this.updateLinks();
+        await framework.animate(node.group, { opacity: 1 }, duration);
+
+        await this.rewire(framework, node, 'next', next, duration);
+        await this.rewire(framework, node, 'prev', this.options.doubly ? prev : null, duration);
+        if (prev) await this.rewire(framework, prev, 'next', node, duration);
+        if (next && this.options.doubly) await this.rewire(framework, next, 'prev', node, duration);
+        await this.slide(framework, duration);
+    }
+
+    /**
+     * 删除指定位置的节点：节点移到下方，指向它的指针域改为指向它的后继（双链表还修改后继的prev），
+     * 节点淡出后其余节点滑动到新的位置
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} index 节点位置
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @returns {Promise<number|string>} 动画结束时兑现为删除的值
+     */
+    async delete(framework, index, duration = MOVE_DURATION) {
+        checkFramework(framework, 'LinkedListView');
+        const node = this.getNode(index);
+        const { x } = node.group;
+        await framework.moveBy(node.group, new Path([{ x, y: 0 }, { x, y: this.options.height + DROP_DISTANCE }]), duration);
+
+        for (const other of this.nodes) {
+            if (other !== node && other.next === node) {
+                await this.rewire(framework, other, 'next', node.next === node ? null : node.next, duration);
+            }
+            if (other !== node && other.prev === node) {
+                await this.rewire(framework, other, 'prev', node.prev === node ? null : node.prev, duration);
+            }
+        }
+        await framework.animate(node.group, { opacity: 0 }, duration);
+
+        [node.group, node.nextLink, node.prevLink].forEach(element => {
+            if (element && element.parent === this) this.remove(element);
+        });
+        this.nodes.splice(index, 1);
+        // 指向被删除节点的指针改为指向它的后继
+        this.pointers.forEach(pointer => {
+            if (pointer.node === node) {
+                pointer.node = node.next === node ? null : node.next;
+                pointer.slot = index;
+            }
+        });
+        await this.slide(framework, duration);
+        return node.value;
+    }
+
+    /**
+     * 原地反转链表，prev、curr、next三个指针逐个节点移动，每一步把curr的next改为指向prev；
+     * 双链表同时把prev改为指向原来的后继。反转结束后节点滑动到新的顺序
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async reverse(framework, duration = MOVE_DURATION) {
+        checkFramework(framework, 'LinkedListView');
+        if (this.hasCycle() || this.toArray().length !== this.length) {
+            throw new Error('链表中有环或有无法从头访问的节点，不能反转');
+        }
+        if (this.length === 0) return;
+
+        let prev = null;
+        let curr = this.nodes[0];
+        this.addPointer('prev', -1, { color: '#888' });
+        this.addPointer('curr', 0, { color: '#d32f2f', level: 1 });
+        this.addPointer('next', 0, { color: '#2e7d32', level: 2 });
+        while (curr) {
+            const next = curr.next;
+            await this.movePointerTo(framework, 'next', next, duration);
+            await this.rewire(framework, curr, 'next', prev, duration);
+            if (this.options.doubly) {
+                await this.rewire(framework, curr, 'prev', next, duration);
+            }
+            prev = curr;
+            curr = next;
+            await Promise.all([
+                this.movePointerTo(framework, 'prev', prev, duration),
+                this.movePointerTo(framework, 'curr', curr, duration)
+            ]);
+        }
+
+        ['prev', 'curr', 'next'].forEach(name => this.removePointer(name));
+        this.nodes.reverse();
+        await this.slide(framework, duration);
+    }
+
+    /**
+     * 用快慢指针（Floyd算法）检测环：slow每次走一步，fast每次走两步，相遇说明有环；
+     * 然后slow回到头节点，两个指针每次各走一步，再次相遇的节点就是环的入口
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} [duration=300] 每一步的动画时间（毫秒）
+     * @returns {Promise<number>} 环入口节点的位置，没有环时为-1
+     */
+    async detectCycle(framework, duration = MOVE_DURATION) {
+        checkFramework(framework, 'LinkedListView');
+        if (this.length === 0) return -1;
+
+        let slow = this.nodes[0];
+        let fast = this.nodes[0];
+        this.addPointer('slow', 0, { color: '#1565c0' });
+        this.addPointer('fast', 0, { color: '#d32f2f', level: 1 });
+        const step = () => Promise.all([
+            this.movePointerTo(framework, 'slow', slow, duration),
+            this.movePointerTo(framework, 'fast', fast, duration)
+        ]);
+
+        let meeting = null;
+        while (fast && fast.next) {
+            slow = slow.next;
+            fast = fast.next.next;
+            await step();
+            if (slow === fast) {
+                meeting = slow;
+                await this.flashNode(framework, meeting, duration);
+                break;
+            }
+        }
+
+        let entry = -1;
+        if (meeting) {
+            slow = this.nodes[0];
+            await step();
+            while (slow !== fast) {
+                slow = slow.next;
+                fast = fast.next;
+                await step();
+            }
+            await this.flashNode(framework, slow, duration);
+            entry = this.nodes.indexOf(slow);
+        }
+        this.removePointer('slow');
+        this.removePointer('fast');
+        framework.timeline.requestFrame();
+        return entry;
+    }
+
+    // 让节点闪烁一段时间，在补间动画的完成回调中停止闪烁
+    flashNode(framework, node, duration) {
+        framework.addFlash(node.group);
+        return framework.timeline.createTween(duration * 2, () => {}, () => framework.removeFlash(node.group));
+    }
+
+    // 指针分组的横坐标，指向null的指针放在链表末尾之后（反转中的prev放在头节点之前）
+    pointerX(pointer) {
+        const { node, slot } = pointer;
+        const x = node ? node.group.x : this.slotX(slot);
+        return x + (node ? node.valueBox.x : (this.options.doubly ? this.options.fieldWidth : 0)) + this.options.valueWidth / 2;
+    }
+
+    /**
+     * 在节点上方添加一个命名指针，已有同名指针时先移除
+     * @param {string} name 指针名称，同时作为显示的文本
+     * @param {number} index 指向的节点位置，-1或长度表示指向null，分别显示在链表的前面和后面
+     * @param {Object} [options] 选项，参见createPointer
+     * @returns {Group} 指针分组
+     */
+    addPointer(name, index, options = {}) {
+        if (!Number.isInteger(index) || index < -1 || index > this.length) {
+            throw new RangeError(`节点位置 ${index} 超出范围 [-1, ${this.length}]`);
+        }
+        this.removePointer(name);
+
+        const group = createPointer(`${this.id}_pointer_${name}`, name, options);
+        const pointer = { name, group, node: this.nodes[index] || null, slot: index };
+        group.moveTo(this.pointerX(pointer), 0);
+        this.add(group);
+        this.pointers.set(name, pointer);
+        return group;
+    }
+
+    /**
+     * 把指针移动到另一个节点
+     * @param {AnimationFramework} framework 动画框架
+     * @param {string} name 指针名称
+     * @param {number} index 节点位置，-1或长度表示指向null
+     * @param {number} [duration=300] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async movePointer(framework, name, index, duration = MOVE_DURATION) {
+        checkFramework(framework, 'LinkedListView');
+        if (!Number.isInteger(index) || index < -1 || index > this.length) {
+            throw new RangeError(`节点位置 ${index} 超出范围 [-1, ${this.length}]`);
+        }
+        await this.movePointerTo(framework, name, this.nodes[index] || null, duration, index);
+    }
+
+    // 把指针移动到节点上方，node为null时移动到slot对应的位置，缺省为链表末尾之后
+    async movePointerTo(framework, name, node, duration, slot = this.length) {
+        const pointer = this.pointers.get(name);
+        if (!pointer) {
+            throw new Error(`未知的指针: ${name}`);
+        }
+        pointer.node = node;
+        pointer.slot = slot;
+        const { group } = pointer;
+        const x = this.pointerX(pointer);
+        if (group.x === x) return;
+        await framework.moveBy(group, new Path([{ x: group.x, y: group.y }, { x, y: group.y }]), duration);
+    }
+
+    /**
+     * 获取指针当前指向的节点位置
+     * @param {string} name 指针名称
+     * @returns {number} 节点位置，指向null时为-1
+     */
+    pointerIndex(name) {
+        const pointer = this.pointers.get(name);
+        if (!pointer) {
+            throw new Error(`未知的指针: ${name}`);
+        }
+        return pointer.node ? this.nodes.indexOf(pointer.node) : -1;
+    }
+
+    // head指针跟随第一个节点
+    followHead() {
+        const head = this.pointers.get('head');
+        if (head) {
+            head.node = this.nodes[0] || null;
+            head.slot = 0;
+        }
+    }
+
+    /**
+     * 移除指针
+     * @param {string} name 指针名称
+     */
+    removePointer(name) {
+        const pointer = this.pointers.get(name);
+        if (pointer) {
+            this.remove(pointer.group);
+            this.pointers.delete(name);
+        }
+    }
+}
+
+// export
+export { LinkedListView };
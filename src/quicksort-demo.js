@@ -0,0 +1,351 @@
+'use strict';
+import { Box, Text, Path, AnimationFramework } from './animation.js';
+import { IntValue, DataItem, DataArray } from './values.js';
+import {
+    PlaybackController, moveAction, animateAction, setAction, addTemporaryAction, removeTemporaryAction
+} from './animation-playback.js';
+
+// 基准值副本和已排序格子的背景色
+const PIVOT_COLOR = '#fff3b0';
+const SORTED_COLOR = '#c8e6c9';
+
+/**
+ * 快速排序动画演示，也是编写新算法演示的参考示例，提供两种运行方式：
+ *     record(controller)：把每一步记录为由可逆动作组成的回放步骤，之后由PlaybackController播放、暂停、单步和跳转，
+ *         适合配合PlaybackControls控制条使用
+ *     run()：算法直接通过IntValue、DataItem和DataArray操作数据，所有动画都用await等待结束，只能从头播放到尾
+ * 同一个演示对象只能使用其中一种方式，两种方式的画面相同：
+ *     1. markRange标记当前分区的范围
+ *     2. 基准值复制一份，从数组中移动到“暂存区”
+ *     3. 右指针从右向左、左指针从左向右移动，比较时参与比较的格子会闪烁
+ *     4. 两个格子沿圆弧交换位置
+ *     5. 基准值归位后标记为已排序，暂存区中的副本淡出
+ * @param {AnimationFramework} framework 动画框架
+ * @param {Array<number>} data 待排序的数据
+ * @param {Object} [options] 选项
+ * @param {number} [options.x=20] 场景左上角横坐标
+ * @param {number} [options.y=20] 场景左上角纵坐标
+ * @param {number} [options.cellWidth=50] 格子宽度
+ * @param {number} [options.cellHeight=50] 格子高度
+ * @param {number} [options.gap=10] 格子间距
+ * @param {number} [options.stepDuration=300] 指针移动和比较停顿的时间（毫秒）
+ */
+class QuickSortDemo {
+    constructor(framework, data, { x = 20, y = 20, cellWidth = 50, cellHeight = 50, gap = 10, stepDuration = 300 } = {}) {
+        if (!(framework instanceof AnimationFramework)) {
+            throw new TypeError('QuickSortDemo的framework必须为AnimationFramework实例');
+        }
+        if (!Array.isArray(data) || data.some(value => typeof value !== 'number')) {
+            throw new TypeError('待排序的数据必须为数字数组');
+        }
+
+        this.framework = framework;
+        this.data = data;
+        this.options = { x, y, cellWidth, cellHeight, gap, stepDuration };
+        this.arr = null;
+        this.pivotSlot = null;
+        this.pointers = null;
+    }
+
+    /**
+     * 创建场景：暂存区、数组和左右指针
+     */
+    createScene() {
+        const { x, y, cellWidth, cellHeight, gap } = this.options;
+        const framework = this.framework;
+
+        const title = new Text(x, y + cellHeight / 2, '暂存区 Pivot =', 'left', 'middle');
+        framework.addElement(title);
+        this.pivotSlot = new Box(x + 130, y, cellWidth, cellHeight);
+        this.pivotSlot.style.borderStyle = 'dashed';
+        this.pivotSlot.style.borderColor = '#999';
+        framework.addElement(this.pivotSlot);
+
+        const arrayY = y + cellHeight + 40;
+        this.arr = new DataArray(this.data).createView(framework, { id: 'data', x, y: arrayY, cellWidth, cellHeight, gap });
+
+        // 指针放在范围括号的下方，左右指针上下错开，重合时也能看清
+        this.pointers = {
+            left: this.createPointer('↑L', 'blue', arrayY + cellHeight + 36),
+            right: this.createPointer('↑R', 'red', arrayY + cellHeight + 56)
+        };
+    }
+
+    // 创建一个隐藏的指针
+    createPointer(text, color, y) {
+        const pointer = new Text(0, y, text, 'center', 'top');
+        pointer.style.textColor = color;
+        pointer.visible = false;
+        this.framework.addElement(pointer);
+        return pointer;
+    }
+
+    // 格子中心的横坐标
+    cellCenterX(index) {
+        return this.arr.cellPosition(index).x + this.options.cellWidth / 2;
+    }
+
+    /**
+     * 把指针移动到指定的格子下方
+     * @param {Text} pointer 指针
+     * @param {IntValue} index 下标
+     * @returns {Promise} 移动结束时完成
+     */
+    async movePointer(pointer, index) {
+        const target = { x: this.cellCenterX(index), y: pointer.y };
+        if (!pointer.visible) {
+            pointer.moveTo(target.x, target.y);
+            pointer.visible = true;
+            this.framework.timeline.requestFrame();
+            return;
+        }
+        if (pointer.x === target.x) return;
+        await this.framework.moveBy(pointer, new Path([{ x: pointer.x, y: pointer.y }, target]), this.options.stepDuration);
+    }
+
+    /**
+     * 等待一段时间，让比较的闪烁能被看清
+     * @returns {Tween} 动画句柄
+     */
+    wait() {
+        return this.framework.timeline.createTween(this.options.stepDuration, () => {});
+    }
+
+    /**
+     * 把格子标记为已排序
+     * @param {IntValue} index 下标
+     * @returns {Tween} 动画句柄
+     */
+    markSorted(index) {
+        return this.framework.animate(this.arr.getItem(index).view, { backgroundColor: SORTED_COLOR }, this.options.stepDuration);
+    }
+
+    /**
+     * 把整个排序过程记录为回放步骤，之后通过控制器播放，例如 demo.record(controller); controller.play();
+     * 记录时只在普通数组上运行算法，画面保持初始状态，由控制器执行步骤时更新：
+     * 指针和基准值副本的移动用moveAction，范围括号和基准值副本用addTemporaryAction添加、removeTemporaryAction移除，
+     * 标记已排序用animateAction，格子交换用swapCellsAction
+     * @param {PlaybackController} controller 回放控制器，必须使用演示的动画框架
+     * @returns {Array<number>} 排序后的数据
+     */
+    record(controller) {
+        if (!(controller instanceof PlaybackController) || controller.framework !== this.framework) {
+            throw new TypeError('controller必须为使用同一个动画框架的PlaybackController实例');
+        }
+        if (!this.arr) {
+            this.createScene();
+        }
+
+        const { stepDuration } = this.options;
+        const values = this.arr.arr.map(item => item.getValue());
+        // 格子的视图固定在各自的位置，交换时只交换标签
+        const cells = this.arr.arr.map(item => item.view);
+        // 记录到当前步骤为止指针所在的下标，null表示隐藏
+        const pointerIndices = { left: null, right: null };
+        let range = null;
+        let pivotCount = 0;
+
+        // 把指针移动到指定格子下方的动作，第一次出现时直接显示
+        const movePointer = (name, index) => {
+            const pointer = this.pointers[name];
+            const from = pointerIndices[name];
+            const x = this.cellCenterX(index);
+            pointerIndices[name] = index;
+            if (from === null) {
+                return [setAction(pointer, 'x', x), setAction(pointer, 'visible', true)];
+            }
+            if (from === index) return [];
+            return [moveAction(pointer, new Path([{ x: this.cellCenterX(from), y: pointer.y }, { x, y: pointer.y }]), stepDuration)];
+        };
+        const markSorted = index => animateAction(cells[index], { backgroundColor: SORTED_COLOR }, stepDuration);
+        const swap = (label, i, j) => {
+            controller.record(label, swapCellsAction(cells[i], cells[j], stepDuration * 2));
+            [values[i], values[j]] = [values[j], values[i]];
+        };
+
+        const partition = (low, high) => {
+            // 选择第一个元素作为基准值，复制一份移动到暂存区
+            const pivotValue = values[low];
+            const source = cells[low];
+            const pivot = new Box(source.x, source.y, source.width, source.height, pivotValue);
+            pivot.id = `${this.arr.layout.id}_pivot_${pivotCount++}`;
+            pivot.style.backgroundColor = PIVOT_COLOR;
+            const mark = this.arr.createRangeMark(low, high);
+            controller.record(`分区[${low}, ${high}]，基准值${pivotValue}移入暂存区`, [
+                ...(range ? [removeTemporaryAction(range)] : []),
+                addTemporaryAction(mark),
+                addTemporaryAction(pivot),
+                moveAction(pivot, new Path([
+                    { x: source.x, y: source.y },
+                    { x: this.pivotSlot.x, y: this.pivotSlot.y }
+                ]), stepDuration * 2),
+                ...movePointer('left', low),
+                ...movePointer('right', high)
+            ]);
+            range = mark;
+
+            let left = low;
+            let right = high;
+            while (left < right) {
+                // 从右向左找到第一个小于等于基准值的元素
+                while (left < right && values[right] > pivotValue) {
+                    controller.record(`a[${right}]=${values[right]} > ${pivotValue}，右指针左移`, movePointer('right', right - 1));
+                    right--;
+                }
+                // 从左向右找到第一个大于基准值的元素
+                while (left < right && values[left] <= pivotValue) {
+                    controller.record(`a[${left}]=${values[left]} ≤ ${pivotValue}，左指针右移`, movePointer('left', left + 1));
+                    left++;
+                }
+                if (left < right) {
+                    swap(`交换a[${left}]=${values[left]}和a[${right}]=${values[right]}`, left, right);
+                }
+            }
+
+            // 将基准值放到中间位置，暂存区中的副本移除
+            if (right !== low) {
+                swap(`基准值${pivotValue}归位到a[${right}]`, low, right);
+            }
+            controller.record(`a[${right}]=${pivotValue}已排序`, [markSorted(right), removeTemporaryAction(pivot)]);
+            return right;
+        };
+
+        const quickSort = (low, high) => {
+            if (low < high) {
+                const pivotIndex = partition(low, high);
+                quickSort(low, pivotIndex - 1);
+                quickSort(pivotIndex + 1, high);
+            } else if (low === high) {
+                // 只有一个元素的分区已经有序
+                controller.record(`a[${low}]=${values[low]}已排序`, markSorted(low));
+            }
+        };
+
+        quickSort(0, values.length - 1);
+        controller.record('排序完成', [
+            ...(range ? [removeTemporaryAction(range)] : []),
+            setAction(this.pointers.left, 'visible', false),
+            setAction(this.pointers.right, 'visible', false)
+        ]);
+        return values;
+    }
+
+    /**
+     * 运行演示
+     * @returns {Promise<Array<number>>} 排序后的数据
+     */
+    async run() {
+        if (!this.arr) {
+            this.createScene();
+        }
+        await this.quickSort(new IntValue(0), new IntValue(this.arr.length() - 1));
+
+        this.arr.clearRange();
+        this.pointers.left.visible = false;
+        this.pointers.right.visible = false;
+        this.framework.timeline.requestFrame();
+        return this.arr.arr.map(item => item.getValue());
+    }
+
+    // 快速排序算法
+    async quickSort(low, high) {
+        if (low.lessThan(high).getValue()) {
+            // 执行分区操作
+            const pivotIndex = await this.partition(low, high);
+            // 递归对左右两部分排序
+            await this.quickSort(low, pivotIndex.sub(1));
+            await this.quickSort(pivotIndex.add(1), high);
+        } else if (low.equals(high).getValue()) {
+            // 只有一个元素的分区已经有序
+            await this.markSorted(low);
+        }
+    }
+
+    async partition(low, high) {
+        const arr = this.arr;
+        const { left: leftPointer, right: rightPointer } = this.pointers;
+        arr.markRange(low, high);
+
+        // 选择第一个元素作为基准值，复制一份移动到暂存区
+        const source = arr.getItem(low).view;
+        const pivot = arr.getItem(low).clone().createView(this.framework, {
+            x: source.x, y: source.y, width: source.width, height: source.height
+        });
+        pivot.view.style.backgroundColor = PIVOT_COLOR;
+        await this.framework.moveBy(pivot.view, new Path([
+            { x: source.x, y: source.y },
+            { x: this.pivotSlot.x, y: this.pivotSlot.y }
+        ]), this.options.stepDuration * 2);
+
+        let left = low.clone();
+        let right = high.clone();
+        await Promise.all([this.movePointer(leftPointer, left), this.movePointer(rightPointer, right)]);
+
+        while (left.lessThan(right).getValue()) {
+            // 从右向左找到第一个小于等于基准值的元素
+            while (left.lessThan(right).and(arr.getItem(right).greatThan(pivot)).getValue()) {
+                await this.wait();
+                right.dec(1);
+                await this.movePointer(rightPointer, right);
+            }
+            // 从左向右找到第一个大于基准值的元素
+            while (left.lessThan(right).and(arr.getItem(left).lessEq(pivot)).getValue()) {
+                await this.wait();
+                left.inc(1);
+                await this.movePointer(leftPointer, left);
+            }
+            // 交换两个元素
+            if (left.lessThan(right).getValue()) {
+                await arr.getItem(left).swapWith(arr.getItem(right));
+            }
+        }
+
+        // 将基准值放到中间位置，暂存区中的副本淡出
+        await arr.getItem(low).swapWith(arr.getItem(right));
+        await Promise.all([
+            this.markSorted(right),
+            this.framework.animate(pivot.view, { opacity: 0 }, this.options.stepDuration)
+        ]);
+        pivot.removeView();
+        return right; // 返回基准值的最终位置
+    }
+}
+
+/**
+ * 交换两个格子标签的动作，画面与DataItem.swapWith相同：格子分别沿上下两段圆弧交换位置，结束后回到原位并交换标签
+ * 交换是自身的逆操作，撤销时执行同样的动画；被中断时格子立即回到原位
+ * @param {Box} first 第一个格子
+ * @param {Box} second 第二个格子
+ * @param {number} duration 动画时间（毫秒）
+ * @returns {Object} 动作
+ */
+function swapCellsAction(first, second, duration) {
+    const a = { x: first.x, y: first.y };
+    const b = { x: second.x, y: second.y };
+    const arcs = [DataItem.swapArc(a, b), DataItem.swapArc(b, a)];
+
+    const finish = framework => {
+        first.moveTo(a.x, a.y);
+        second.moveTo(b.x, b.y);
+        const label = first.label;
+        first.setLabel(second.label);
+        second.setLabel(label);
+        framework.timeline.requestFrame();
+    };
+    const swap = (framework, animated) => {
+        if (!animated) {
+            finish(framework);
+            return;
+        }
+        return framework.timeline.createTween(duration, progress => {
+            [first, second].forEach((cell, index) => {
+                const point = arcs[index].getPointAt(progress);
+                cell.moveTo(point.x, point.y);
+            });
+        }, () => finish(framework));
+    };
+    return { forward: swap, backward: swap };
+}
+
+// export
+export { QuickSortDemo };
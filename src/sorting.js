@@ -0,0 +1,537 @@
+'use strict';
+import { Box, Text, Path, AnimationFramework } from './animation.js';
+import { DataItem, DataArray } from './values.js';
+
+/**
+ * 排序算法动画库
+ * 所有算法使用同一套视觉语言，由SortVisualizer提供：
+ *     compare：参与比较的两个格子闪烁
+ *     swap：两个格子沿圆弧交换位置
+ *     write：值从一个格子飞到另一个格子（辅助数组、计数桶等），目标格子短暂变为写入色
+ *     pivot：基准值或当前候选值的格子使用基准色
+ *     sorted：已经确定位置的格子使用已排序色
+ * 统一的入口为 visualizeSort(name, data, framework)，返回排序结果和比较、交换、写入次数
+ */
+
+// 视觉语言使用的颜色
+const SORT_COLORS = {
+    pivot: '#fff3b0',
+    sorted: '#c8e6c9',
+    write: '#bbdefb'
+};
+
+// 计数排序允许的最大取值范围，避免计数桶过多
+const MAX_COUNTING_RANGE = 20;
+
+/**
+ * 排序动画的场景和公共操作，算法函数只通过这些操作修改数组
+ * 方法中的格子参数可以是主数组的下标，也可以是DataItem（例如辅助数组中的格子）
+ * @param {AnimationFramework} framework 动画框架
+ * @param {Array<number>} data 待排序的数据
+ * @param {Object} [options] 选项
+ * @param {string} [options.id='sort'] 元素id的前缀，主数组的格子为 id_下标，计数文本为 id_counters，
+ *     辅助数组的格子为 id_aux_下标，说明文字为 id_aux_caption；同一个页面有多个排序动画时需要使用不同的前缀
+ * @param {number} [options.x=20] 场景左上角横坐标
+ * @param {number} [options.y=20] 场景左上角纵坐标
+ * @param {number} [options.cellWidth=50] 格子宽度
+ * @param {number} [options.cellHeight=50] 格子高度
+ * @param {number} [options.gap=10] 格子间距
+ * @param {number} [options.stepDuration=300] 一次比较停顿的时间（毫秒），移动和交换使用两倍的时间
+ * @param {boolean} [options.showCounters=true] 是否在数组上方显示计数
+ */
+class SortVisualizer {
+    constructor(framework, data, { id = 'sort', x = 20, y = 20, cellWidth = 50, cellHeight = 50, gap = 10, stepDuration = 300, showCounters = true } = {}) {
+        if (!(framework instanceof AnimationFramework)) {
+            throw new TypeError('SortVisualizer的framework必须为AnimationFramework实例');
+        }
+        if (!Array.isArray(data) || data.some(value => typeof value !== 'number')) {
+            throw new TypeError('待排序的数据必须为数字数组');
+        }
+
+        this.framework = framework;
+        this.data = data;
+        this.options = { id, x, y, cellWidth, cellHeight, gap, stepDuration, showCounters };
+        this.counters = { comparisons: 0, swaps: 0, writes: 0 };
+        this.arr = null;
+        this.auxiliary = null;
+        this.auxiliaryCaption = null;
+        this.counterText = null;
+    }
+
+    /**
+     * 创建场景：计数文本和主数组
+     */
+    createScene() {
+        const { id, x, y, cellWidth, cellHeight, gap, showCounters } = this.options;
+        if (showCounters) {
+            this.counterText = new Text(x, y, '', 'left', 'top');
+            this.counterText.id = `${id}_counters`;
+            this.framework.addElement(this.counterText);
+            this.updateCounters();
+        }
+        this.arr = new DataArray(this.data).createView(this.framework, {
+            id, x, y: y + 30, cellWidth, cellHeight, gap
+        });
+    }
+
+    /**
+     * 创建辅助数组，显示在主数组的下方，同时只有一个辅助数组
+     * @param {number} length 长度
+     * @param {string} caption 说明文字
+     * @param {number|null} [initial=null] 初始值，null表示空格子
+     * @returns {DataArray} 辅助数组
+     */
+    createAuxiliary(length, caption, initial = null) {
+        this.removeAuxiliary();
+        const { id, x, y, cellWidth, cellHeight, gap } = this.options;
+        const auxiliaryY = y + 30 + cellHeight + 80;
+
+        this.auxiliaryCaption = new Text(x, auxiliaryY - 22, caption, 'left', 'top');
+        this.auxiliaryCaption.id = `${id}_aux_caption`;
+        this.framework.addElement(this.auxiliaryCaption);
+        this.auxiliary = new DataArray(new Array(length).fill(initial)).createView(this.framework, {
+            id: `${id}_aux`, x, y: auxiliaryY, cellWidth, cellHeight, gap
+        });
+        return this.auxiliary;
+    }
+
+    /**
+     * 移除辅助数组
+     */
+    removeAuxiliary() {
+        if (this.auxiliary) {
+            this.auxiliary.removeView();
+            this.framework.removeElement(this.auxiliaryCaption.id);
+            this.auxiliary = null;
+            this.auxiliaryCaption = null;
+        }
+    }
+
+    // 把下标转换为主数组中的数据项
+    resolve(cell) {
+        return cell instanceof DataItem ? cell : this.arr.getItem(cell);
+    }
+
+    /**
+     * 主数组当前的值
+     * @returns {Array<number>}
+     */
+    values() {
+        return this.arr.arr.map(item => item.getValue());
+    }
+
+    /**
+     * 数组长度
+     * @returns {number}
+     */
+    length() {
+        return this.arr.length();
+    }
+
+    // 刷新计数文本
+    updateCounters() {
+        if (this.counterText) {
+            const { comparisons, swaps, writes } = this.counters;
+            this.counterText.setText(`比较 ${comparisons} 次  交换 ${swaps} 次  写入 ${writes} 次`);
+            this.framework.timeline.requestFrame();
+        }
+    }
+
+    /**
+     * 等待一次比较的时间
+     * @returns {Tween} 动画句柄
+     */
+    wait() {
+        return this.framework.timeline.createTween(this.options.stepDuration, () => {});
+    }
+
+    /**
+     * 比较两个格子，两个格子闪烁
+     * @param {number|DataItem} first 第一个格子
+     * @param {number|DataItem} second 第二个格子
+     * @returns {Promise<number>} 小于0表示first较小，等于0表示相等，大于0表示first较大
+     */
+    async compare(first, second) {
+        const a = this.resolve(first);
+        const b = this.resolve(second);
+        this.counters.comparisons++;
+        this.updateCounters();
+        // 只需要比较的闪烁，比较结果由两个值直接计算
+        a.onCompare(b);
+        await this.wait();
+        return a.getValue() - b.getValue();
+    }
+
+    /**
+     * 交换两个格子
+     * @param {number|DataItem} first 第一个格子
+     * @param {number|DataItem} second 第二个格子
+     * @returns {Promise} 交换结束时完成
+     */
+    async swap(first, second) {
+        const a = this.resolve(first);
+        const b = this.resolve(second);
+        this.counters.swaps++;
+        this.updateCounters();
+        await a.swapWith(b, this.options.stepDuration * 2);
+    }
+
+    /**
+     * 把值从一个格子写到另一个格子，值沿直线飞过去
+     * @param {number|DataItem} from 来源格子
+     * @param {number|DataItem} to 目标格子
+     * @param {number} [value] 写入的值，默认为来源格子的值
+     * @param {number|string} [label] 飞行中显示的标签，默认为写入的值
+     * @returns {Promise} 写入结束时完成
+     */
+    async moveValue(from, to, value = undefined, label = undefined) {
+        const source = this.resolve(from);
+        const target = this.resolve(to);
+        value = value === undefined ? source.getValue() : value;
+        label = label === undefined ? value : label;
+        this.counters.writes++;
+        this.updateCounters();
+
+        const { x, y, width, height } = source.view;
+        const flying = new Box(x, y, width, height, label);
+        flying.style.backgroundColor = SORT_COLORS.write;
+        this.framework.createTemporaryElement(flying);
+        await this.framework.moveBy(flying, new Path([{ x, y }, { x: target.view.x, y: target.view.y }]),
+            this.options.stepDuration * 2);
+        this.framework.removeTemporaryElement(flying);
+        target.setValue(value);
+    }
+
+    /**
+     * 原地修改格子的值，格子短暂变为写入色
+     * @param {number|DataItem} cell 格子
+     * @param {number} value 新的值
+     * @returns {Promise} 写入结束时完成
+     */
+    async writeValue(cell, value) {
+        const item = this.resolve(cell);
+        this.counters.writes++;
+        this.updateCounters();
+
+        const previous = item.view.style.backgroundColor;
+        const half = this.options.stepDuration / 2;
+        await this.framework.animate(item.view, { backgroundColor: SORT_COLORS.write }, half);
+        item.setValue(value);
+        await this.framework.animate(item.view, { backgroundColor: previous }, half);
+    }
+
+    // 把格子的背景变为指定的颜色
+    async colorCell(cell, color) {
+        const view = this.resolve(cell).view;
+        if (view.style.backgroundColor !== color) {
+            await this.framework.animate(view, { backgroundColor: color }, this.options.stepDuration);
+        }
+    }
+
+    /**
+     * 用基准色标记格子
+     * @param {number|DataItem} cell 格子
+     * @returns {Promise}
+     */
+    markPivot(cell) {
+        return this.colorCell(cell, SORT_COLORS.pivot);
+    }
+
+    /**
+     * 清除格子的颜色标记
+     * @param {number|DataItem} cell 格子
+     * @returns {Promise}
+     */
+    clearMark(cell) {
+        return this.colorCell(cell, 'transparent');
+    }
+
+    /**
+     * 用已排序色标记格子
+     * @param {number|DataItem} cell 格子
+     * @returns {Promise}
+     */
+    markSorted(cell) {
+        return this.colorCell(cell, SORT_COLORS.sorted);
+    }
+
+    /**
+     * 用已排序色标记主数组中[start, end]范围内的格子
+     * @param {number} start 起始下标（包含）
+     * @param {number} end 结束下标（包含）
+     * @returns {Promise}
+     */
+    markSortedRange(start, end) {
+        const marks = [];
+        for (let i = start; i <= end; i++) {
+            marks.push(this.markSorted(i));
+        }
+        return Promise.all(marks);
+    }
+
+    /**
+     * 用括号标记主数组中正在处理的范围
+     * @param {number} start 起始下标（包含）
+     * @param {number} end 结束下标（包含）
+     */
+    markRange(start, end) {
+        this.arr.markRange(start, end);
+    }
+}
+
+// 冒泡排序：相邻元素比较交换，每一趟把最大值移到末尾
+async function bubbleSort(viz) {
+    for (let end = viz.length() - 1; end > 0; end--) {
+        let swapped = false;
+        for (let i = 0; i < end; i++) {
+            if (await viz.compare(i, i + 1) > 0) {
+                await viz.swap(i, i + 1);
+                swapped = true;
+            }
+        }
+        await viz.markSorted(end);
+        if (!swapped) break;
+    }
+}
+
+// 选择排序：每一趟选出未排序部分的最小值，放到未排序部分的开头
+async function selectionSort(viz) {
+    const n = viz.length();
+    for (let i = 0; i < n - 1; i++) {
+        let min = i;
+        await viz.markPivot(min);
+        for (let j = i + 1; j < n; j++) {
+            if (await viz.compare(j, min) < 0) {
+                await viz.clearMark(min);
+                min = j;
+                await viz.markPivot(min);
+            }
+        }
+        if (min !== i) {
+            await viz.swap(i, min);
+        }
+        await viz.markSorted(i);
+    }
+}
+
+// 插入排序：把每个元素向前交换到有序部分中的正确位置
+async function insertionSort(viz) {
+    await viz.markSorted(0);
+    for (let i = 1; i < viz.length(); i++) {
+        for (let j = i; j > 0 && await viz.compare(j - 1, j) > 0; j--) {
+            await viz.swap(j - 1, j);
+        }
+        await viz.markSortedRange(0, i);
+    }
+}
+
+// 希尔排序：按逐渐缩小的间隔做插入排序
+async function shellSort(viz) {
+    const n = viz.length();
+    for (let gap = Math.floor(n / 2); gap > 0; gap = Math.floor(gap / 2)) {
+        for (let i = gap; i < n; i++) {
+            for (let j = i; j >= gap && await viz.compare(j - gap, j) > 0; j -= gap) {
+                await viz.swap(j - gap, j);
+            }
+        }
+    }
+}
+
+// 堆排序：建立大顶堆，反复把堆顶交换到末尾
+async function heapSort(viz) {
+    const n = viz.length();
+    const siftDown = async (start, end) => {
+        let root = start;
+        while (2 * root + 1 <= end) {
+            let child = 2 * root + 1;
+            if (child + 1 <= end && await viz.compare(child, child + 1) < 0) {
+                child++;
+            }
+            if (await viz.compare(root, child) >= 0) return;
+            await viz.swap(root, child);
+            root = child;
+        }
+    };
+
+    for (let start = Math.floor((n - 2) / 2); start >= 0; start--) {
+        await siftDown(start, n - 1);
+    }
+    for (let end = n - 1; end > 0; end--) {
+        await viz.swap(0, end);
+        await viz.markSorted(end);
+        await siftDown(0, end - 1);
+    }
+}
+
+// 归并排序：自顶向下，合并时先把区间复制到辅助数组，再从辅助数组写回
+async function mergeSort(viz) {
+    const buffer = viz.createAuxiliary(viz.length(), '辅助数组');
+
+    const merge = async (low, mid, high) => {
+        viz.markRange(low, high);
+        const copies = [];
+        for (let k = low; k <= high; k++) {
+            copies.push(viz.moveValue(k, buffer.getItem(k)));
+        }
+        await Promise.all(copies);
+
+        let i = low;
+        let j = mid + 1;
+        for (let k = low; k <= high; k++) {
+            if (i > mid) {
+                await viz.moveValue(buffer.getItem(j++), k);
+            } else if (j > high) {
+                await viz.moveValue(buffer.getItem(i++), k);
+            } else if (await viz.compare(buffer.getItem(j), buffer.getItem(i)) < 0) {
+                await viz.moveValue(buffer.getItem(j++), k);
+            } else {
+                await viz.moveValue(buffer.getItem(i++), k);
+            }
+        }
+        for (let k = low; k <= high; k++) {
+            buffer.getItem(k).setValue(null);
+        }
+    };
+
+    const sort = async (low, high) => {
+        if (low >= high) return;
+        const mid = Math.floor((low + high) / 2);
+        await sort(low, mid);
+        await sort(mid + 1, high);
+        await merge(low, mid, high);
+    };
+    await sort(0, viz.length() - 1);
+}
+
+// 快速排序：以区间最后一个元素为基准（Lomuto划分）
+async function quickSort(viz) {
+    const sort = async (low, high) => {
+        if (low > high) return;
+        if (low === high) {
+            await viz.markSorted(low);
+            return;
+        }
+        viz.markRange(low, high);
+        await viz.markPivot(high);
+        let i = low;
+        for (let j = low; j < high; j++) {
+            if (await viz.compare(j, high) < 0) {
+                if (i !== j) await viz.swap(i, j);
+                i++;
+            }
+        }
+        if (i !== high) await viz.swap(i, high);
+        await viz.markSorted(i);
+        await sort(low, i - 1);
+        await sort(i + 1, high);
+    };
+    await sort(0, viz.length() - 1);
+}
+
+// 计数排序：统计每个值出现的次数，再按值从小到大写回，只支持取值范围不大的整数
+async function countingSort(viz) {
+    const values = viz.values();
+    if (values.some(value => !Number.isInteger(value))) {
+        throw new TypeError('计数排序只支持整数');
+    }
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (max - min + 1 > MAX_COUNTING_RANGE) {
+        throw new RangeError(`计数排序的取值范围不能超过${MAX_COUNTING_RANGE}`);
+    }
+
+    const counts = viz.createAuxiliary(max - min + 1, `计数（下标 + ${min} 为对应的值）`, 0);
+    for (let i = 0; i < values.length; i++) {
+        const bucket = counts.getItem(values[i] - min);
+        await viz.moveValue(i, bucket, bucket.getValue() + 1, values[i]);
+    }
+
+    let k = 0;
+    for (let b = 0; b < counts.length(); b++) {
+        const bucket = counts.getItem(b);
+        while (bucket.getValue() > 0) {
+            await viz.moveValue(bucket, k, min + b);
+            bucket.setValue(bucket.getValue() - 1);
+            await viz.markSorted(k);
+            k++;
+        }
+    }
+}
+
+// 基数排序：按十进制位从低到高做稳定的分配，只支持非负整数
+async function radixSort(viz) {
+    const n = viz.length();
+    const initial = viz.values();
+    if (initial.some(value => !Number.isInteger(value) || value < 0)) {
+        throw new TypeError('基数排序只支持非负整数');
+    }
+
+    const output = viz.createAuxiliary(n, '按当前位分配后的结果');
+    const max = Math.max(...initial);
+    for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {
+        const digit = value => Math.floor(value / exp) % 10;
+        const values = viz.values();
+
+        // 每个数字在输出中的结束位置
+        const positions = new Array(10).fill(0);
+        values.forEach(value => positions[digit(value)]++);
+        for (let d = 1; d < 10; d++) {
+            positions[d] += positions[d - 1];
+        }
+        // 从后向前分配，保持稳定
+        for (let i = n - 1; i >= 0; i--) {
+            await viz.moveValue(i, output.getItem(--positions[digit(values[i])]));
+        }
+
+        const copies = [];
+        for (let i = 0; i < n; i++) {
+            copies.push(viz.moveValue(output.getItem(i), i));
+        }
+        await Promise.all(copies);
+        for (let i = 0; i < n; i++) {
+            output.getItem(i).setValue(null);
+        }
+    }
+}
+
+// 排序算法名称到算法函数的映射
+const SORTING_ALGORITHMS = {
+    bubble: bubbleSort,
+    selection: selectionSort,
+    insertion: insertionSort,
+    shell: shellSort,
+    heap: heapSort,
+    merge: mergeSort,
+    quick: quickSort,
+    counting: countingSort,
+    radix: radixSort
+};
+
+/**
+ * 用动画演示排序算法
+ * @param {string} name 算法名称：bubble、selection、insertion、shell、heap、merge、quick、counting或radix
+ * @param {Array<number>} data 待排序的数据
+ * @param {AnimationFramework} framework 动画框架
+ * @param {Object} [options] 选项，参见SortVisualizer
+ * @returns {Promise<Object>} {values, comparisons, swaps, writes}，values为排序后的数据
+ */
+async function visualizeSort(name, data, framework, options = {}) {
+    if (!Object.prototype.hasOwnProperty.call(SORTING_ALGORITHMS, name)) {
+        throw new Error(`未知的排序算法: ${name}`);
+    }
+
+    const viz = new SortVisualizer(framework, data, options);
+    viz.createScene();
+    // 少于两个元素时已经有序
+    if (viz.length() > 1) {
+        await SORTING_ALGORITHMS[name](viz);
+    }
+
+    viz.removeAuxiliary();
+    viz.arr.clearRange();
+    await viz.markSortedRange(0, viz.length() - 1);
+    return { values: viz.values(), ...viz.counters };
+}
+
+// export
+export { visualizeSort, SortVisualizer, SORTING_ALGORITHMS, SORT_COLORS };
@@ -0,0 +1,639 @@
+'use strict';
+import { Box, Text, Link, Group, Path, Element } from './animation.js';
+import { createPointer } from './array-view.js';
+import { MOVE_DURATION, checkFramework } from './view-utils.js';
+
+// 溢出时的颜色
+const OVERFLOW_COLOR = '#e53935';
+const OVERFLOW_BACKGROUND = '#ffcdd2';
+// 没有容量限制时容器至少显示的格数
+const MIN_SLOTS = 4;
+// 进出口到容器的距离
+const ENTRY_DISTANCE = 24;
+
+/**
+ * 栈和队列视图的公共部分：元素的创建、飞入飞出和溢出状态
+ * 元素都是分组中的Box，可以像其他元素一样使用moveBy移动；
+ * 入栈和入队可以指定from元素，新元素从from所在的位置飞入，例如从数组的格子飞入栈中；
+ * 出栈和出队可以指定to元素，元素飞到to所在的位置后移除
+ */
+class ContainerView extends Group {
+    constructor(x, y, values, { id, capacity, cellWidth, cellHeight, gap }, name) {
+        super(x, y);
+        if (!Array.isArray(values)) {
+            throw new TypeError(`${name}的values必须为数组`);
+        }
+        if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+            throw new RangeError(`${name}的容量必须为正整数`);
+        }
+        if (capacity !== null && values.length > capacity) {
+            throw new RangeError(`初始元素个数 ${values.length} 超过容量 ${capacity}`);
+        }
+        if (id) this.id = id;
+
+        this.options = { capacity, cellWidth, cellHeight, gap };
+        this.values = [];
+        this.items = [];
+        this.nextItemId = 0;
+        this.overflowed = false;
+    }
+
+    /**
+     * 元素个数
+     * @returns {number}
+     */
+    get length() {
+        return this.values.length;
+    }
+
+    /**
+     * 是否已满，没有容量限制时总是false
+     * @returns {boolean}
+     */
+    isFull() {
+        return this.options.capacity !== null && this.length >= this.options.capacity;
+    }
+
+    // 创建元素并加入分组
+    createItem(value, position) {
+        const { cellWidth, cellHeight } = this.options;
+        const item = new Box(position.x, position.y, cellWidth, cellHeight, value);
+        item.id = `${this.id}_item_${this.nextItemId++}`;
+        this.add(item);
+        return item;
+    }
+
+    // 元素在分组中的局部坐标，对应另一个元素左上角的场景坐标
+    localPositionOf(element) {
+        if (!(element instanceof Element)) {
+            throw new TypeError('from和to必须为Element实例');
+        }
+        return this.worldToLocal(element.getAnchorPoint('top-left'));
+    }
+
+    // 新元素从from元素的位置飞到格子中，没有from时在入口处淡入后滑入格子
+    async flyIn(framework, item, entry, slot, from, duration) {
+        if (from) {
+            const start = this.localPositionOf(from);
+            item.moveTo(start.x, start.y);
+            await framework.moveBy(item, new Path([start, slot]), duration);
+            return;
+        }
+        item.moveTo(entry.x, entry.y);
+        item.style.opacity = 0;
+        await framework.animate(item, { opacity: 1 }, duration);
+        await framework.moveBy(item, new Path([entry, slot]), duration);
+    }
+
+    // 元素滑到出口后淡出，有to时直接飞到to元素的位置，最后从分组中移除
+    async flyOut(framework, item, exit, to, duration) {
+        const start = { x: item.x, y: item.y };
+        if (to) {
+            await framework.moveBy(item, new Path([start, this.localPositionOf(to)]), duration);
+        } else {
+            await framework.moveBy(item, new Path([start, exit]), duration);
+            await framework.animate(item, { opacity: 0 }, duration);
+        }
+        this.remove(item);
+    }
+
+    // 容器已满：新元素停在入口处变红后淡出，容器轮廓变红并显示提示，直到下一次出栈或出队
+    async overflow(framework, value, entry, from, duration, message) {
+        const item = this.createItem(value, entry);
+        if (from) {
+            const start = this.localPositionOf(from);
+            item.moveTo(start.x, start.y);
+            await framework.moveBy(item, new Path([start, entry]), duration);
+        } else {
+            item.style.opacity = 0;
+            await framework.animate(item, { opacity: 1 }, duration);
+        }
+        this.overflowed = true;
+        this.setOutlineColor(OVERFLOW_COLOR);
+        this.status.setText(message);
+        await framework.animate(item, { backgroundColor: OVERFLOW_BACKGROUND, borderColor: OVERFLOW_COLOR }, duration);
+        await framework.animate(item, { opacity: 0 }, duration);
+        this.remove(item);
+    }
+
+    // 清除溢出状态
+    clearOverflow() {
+        if (!this.overflowed) return;
+        this.overflowed = false;
+        this.setOutlineColor('black');
+        this.status.setText('');
+    }
+
+    // 创建溢出提示文本
+    createStatus(x, y, align) {
+        this.status = new Text(x, y, '', align, 'top');
+        this.status.id = `${this.id}_status`;
+        this.status.style.textColor = OVERFLOW_COLOR;
+        this.status.style.textSize = 14;
+        this.add(this.status);
+    }
+
+    // 把元素沿直线移动到目标位置
+    slide(framework, element, position, duration) {
+        if (element.x === position.x && element.y === position.y) {
+            return Promise.resolve();
+        }
+        return framework.moveBy(element, new Path([{ x: element.x, y: element.y }, position]), duration);
+    }
+}
+
+/**
+ * 栈视图：元素自下而上排列在一个开口向上的容器中，右侧的top标记指向栈顶元素
+ * 入栈时元素从容器上方滑入，出栈时滑出；有容量限制时，栈满后入栈显示溢出状态
+ * 分组原点(x, y)为容器内栈底元素的左下角，栈向上增长
+ * @param {number} x 栈底元素的左下角横坐标
+ * @param {number} y 栈底元素的左下角纵坐标
+ * @param {Array<number|string>} [values] 初始值，最后一个为栈顶
+ * @param {Object} [options] 选项
+ * @param {string} [options.id] 分组的id，也是子元素id的前缀
+ * @param {number|null} [options.capacity=null] 容量，null表示没有限制
+ * @param {number} [options.cellWidth=60] 元素宽度
+ * @param {number} [options.cellHeight=36] 元素高度
+ * @param {number} [options.gap=4] 元素间距，也是元素到容器的距离
+ */
+class StackView extends ContainerView {
+    constructor(x, y, values = [], { id = null, capacity = null, cellWidth = 60, cellHeight = 36, gap = 4 } = {}) {
+        super(x, y, values, { id, capacity, cellWidth, cellHeight, gap }, 'StackView');
+
+        this.outline = new Link(new Path([{ x: 0, y: 0 }, { x: 0, y: 0 }]));
+        this.outline.id = `${this.id}_outline`;
+        this.outline.style.borderWidth = 2;
+        this.add(this.outline);
+        this.createStatus(cellWidth / 2, gap + 8, 'center');
+        this.marker = createSideMarker(`${this.id}_top`, 'top');
+
+        values.forEach(value => {
+            this.values.push(value);
+            this.items.push(this.createItem(value, this.slotPosition(this.length - 1)));
+        });
+        this.layout();
+    }
+
+    /**
+     * 栈中第index个元素（0为栈底）左上角的局部坐标
+     * @param {number} index 位置
+     * @returns {Object} {x, y}
+     */
+    slotPosition(index) {
+        const { cellHeight, gap } = this.options;
+        return { x: 0, y: -(index + 1) * cellHeight - index * gap };
+    }
+
+    // 容器显示的格数
+    slotCount() {
+        return this.options.capacity === null ? Math.max(this.length, MIN_SLOTS) : this.options.capacity;
+    }
+
+    // 容器上方的入口
+    entryPosition() {
+        const { cellHeight } = this.options;
+        return { x: 0, y: this.slotPosition(this.slotCount() - 1).y - cellHeight - ENTRY_DISTANCE };
+    }
+
+    // top标记的位置，在栈顶元素的右侧
+    markerPosition(index) {
+        const { cellWidth, cellHeight, gap } = this.options;
+        return { x: cellWidth + gap * 2, y: this.slotPosition(index).y + cellHeight / 2 };
+    }
+
+    // 按格数重新画出容器
+    updateOutline() {
+        const { cellWidth, gap } = this.options;
+        const top = this.slotPosition(this.slotCount() - 1).y - gap;
+        this.outline.path = new Path([
+            { x: -gap, y: top },
+            { x: -gap, y: gap },
+            { x: cellWidth + gap, y: gap },
+            { x: cellWidth + gap, y: top }
+        ]);
+        this.outline.moveTo(-gap, top);
+    }
+
+    // 容器轮廓的颜色
+    setOutlineColor(color) {
+        this.outline.style.borderColor = color;
+    }
+
+    // 栈为空时隐藏top标记
+    updateMarker() {
+        if (this.length === 0) {
+            this.remove(this.marker);
+        } else if (this.marker.parent !== this) {
+            this.add(this.marker);
+        }
+    }
+
+    /**
+     * 按当前的值重新排列所有元素和标记，没有动画效果
+     */
+    layout() {
+        this.items.forEach((item, index) => {
+            const position = this.slotPosition(index);
+            item.moveTo(position.x, position.y);
+        });
+        this.updateOutline();
+        this.updateMarker();
+        const marker = this.markerPosition(this.length - 1);
+        this.marker.moveTo(marker.x, marker.y);
+    }
+
+    /**
+     * 栈顶的值
+     * @returns {number|string|undefined} 栈为空时为undefined
+     */
+    peek() {
+        return this.values[this.length - 1];
+    }
+
+    /**
+     * 从栈底到栈顶的所有值
+     * @returns {Array}
+     */
+    toArray() {
+        return this.values.slice();
+    }
+
+    /**
+     * 入栈：新元素从容器上方（或from元素的位置）滑到栈顶，top标记随之上移
+     * 栈满时显示溢出状态，栈不变
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number|string} value 值
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @param {Object} [options] 选项
+     * @param {Element} [options.from] 新元素出发的位置，例如数组中的格子
+     * @returns {Promise<boolean>} 是否入栈，栈满时为false
+     */
+    async push(framework, value, duration = MOVE_DURATION, { from = null } = {}) {
+        checkFramework(framework, 'StackView和QueueView');
+        if (this.isFull()) {
+            await this.overflow(framework, value, this.entryPosition(), from, duration, '栈已满，无法入栈');
+            return false;
+        }
+
+        this.values.push(value);
+        this.updateOutline();
+        const slot = this.slotPosition(this.length - 1);
+        const item = this.createItem(value, slot);
+        this.items.push(item);
+        framework.timeline.requestFrame();
+
+        await this.flyIn(framework, item, this.entryPosition(), slot, from, duration);
+        await this.moveMarker(framework, duration);
+        return true;
+    }
+
+    /**
+     * 出栈：栈顶元素滑出容器（或飞到to元素的位置）后移除，top标记随之下移
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @param {Object} [options] 选项
+     * @param {Element} [options.to] 元素飞往的位置
+     * @returns {Promise<number|string>} 出栈的值
+     */
+    async pop(framework, duration = MOVE_DURATION, { to = null } = {}) {
+        checkFramework(framework, 'StackView和QueueView');
+        if (this.length === 0) {
+            throw new Error('栈为空，无法出栈');
+        }
+        this.clearOverflow();
+
+        const value = this.values.pop();
+        const item = this.items.pop();
+        await this.flyOut(framework, item, this.entryPosition(), to, duration);
+        this.updateOutline();
+        await this.moveMarker(framework, duration);
+        return value;
+    }
+
+    // top标记移动到当前的栈顶
+    async moveMarker(framework, duration) {
+        const wasShown = this.marker.parent === this;
+        this.updateMarker();
+        if (this.length === 0) return;
+
+        const position = this.markerPosition(this.length - 1);
+        if (!wasShown) {
+            this.marker.moveTo(position.x, position.y);
+            framework.timeline.requestFrame();
+            return;
+        }
+        await this.slide(framework, this.marker, position, duration);
+    }
+}
+
+/**
+ * 队列视图：元素从左到右排成一行，左端为队头，右端为队尾，上方的front和rear指针标出队头和队尾
+ * 普通模式下元素从右侧进入管道，从左侧离开，出队后其余元素左移；
+ * 循环模式（circular为true，需要指定容量）使用固定的capacity个格子，元素不移动，
+ * front指向队头元素，rear指向下一个入队的位置，两者到达末尾后回到0；
+ * 元素从格子下方进入和离开。有容量限制时，队满后入队显示溢出状态
+ * @param {number} x 第一个格子的左上角横坐标
+ * @param {number} y 第一个格子的左上角纵坐标
+ * @param {Array<number|string>} [values] 初始值，第一个为队头
+ * @param {Object} [options] 选项
+ * @param {string} [options.id] 分组的id，也是子元素id的前缀
+ * @param {number|null} [options.capacity=null] 容量，null表示没有限制
+ * @param {boolean} [options.circular=false] 是否为循环队列
+ * @param {number} [options.cellWidth=50] 格子宽度
+ * @param {number} [options.cellHeight=50] 格子高度
+ * @param {number} [options.gap=10] 格子间距
+ */
+class QueueView extends ContainerView {
+    constructor(x, y, values = [], {
+        id = null, capacity = null, circular = false, cellWidth = 50, cellHeight = 50, gap = 10
+    } = {}) {
+        super(x, y, values, { id, capacity, cellWidth, cellHeight, gap }, 'QueueView');
+        if (circular && capacity === null) {
+            throw new Error('循环队列必须指定容量');
+        }
+
+        this.options.circular = circular;
+        // 队头元素所在的格子，只在循环模式下变化
+        this.head = 0;
+        this.slots = [];
+        this.indexLabels = [];
+        this.pipe = [];
+        if (circular) {
+            this.createSlots();
+        } else {
+            this.pipe = ['top', 'bottom'].map(side => {
+                const line = new Link(new Path([{ x: 0, y: 0 }, { x: 0, y: 0 }]));
+                line.id = `${this.id}_pipe_${side}`;
+                line.style.borderWidth = 2;
+                this.add(line);
+                return line;
+            });
+        }
+        // 循环模式的提示放在进出口的下方
+        this.createStatus(0, circular ? cellHeight * 2 + ENTRY_DISTANCE + 8 : cellHeight + gap + 8, 'left');
+        this.pointers = {
+            front: createPointer(`${this.id}_pointer_front`, 'front', { color: '#1565c0' }),
+            rear: createPointer(`${this.id}_pointer_rear`, 'rear', { color: '#c62828', level: 1 })
+        };
+
+        values.forEach(value => {
+            this.values.push(value);
+            this.items.push(this.createItem(value, this.itemPosition(this.length - 1)));
+        });
+        this.layout();
+    }
+
+    // 循环队列的空格子和下标
+    createSlots() {
+        const { capacity, cellWidth, cellHeight } = this.options;
+        for (let index = 0; index < capacity; index++) {
+            const { x, y } = this.slotPosition(index);
+            const slot = new Box(x, y, cellWidth, cellHeight);
+            slot.id = `${this.id}_slot_${index}`;
+            slot.style.borderStyle = 'dashed';
+            slot.style.borderColor = '#999';
+            this.add(slot);
+            this.slots.push(slot);
+
+            const label = new Text(x + cellWidth / 2, cellHeight + 4, index, 'center', 'top');
+            label.id = `${this.id}_index_${index}`;
+            label.style.textSize = 12;
+            label.style.textColor = '#666';
+            this.add(label);
+            this.indexLabels.push(label);
+        }
+    }
+
+    /**
+     * 第index个格子左上角的局部坐标
+     * @param {number} index 格子下标
+     * @returns {Object} {x, y}
+     */
+    slotPosition(index) {
+        const { cellWidth, gap } = this.options;
+        return { x: index * (cellWidth + gap), y: 0 };
+    }
+
+    // 队列中第index个元素（0为队头）所在的格子
+    slotOf(index) {
+        return this.options.circular ? (this.head + index) % this.options.capacity : index;
+    }
+
+    // 队列中第index个元素的位置
+    itemPosition(index) {
+        return this.slotPosition(this.slotOf(index));
+    }
+
+    /**
+     * 队头元素所在的格子下标
+     * @returns {number}
+     */
+    get front() {
+        return this.head;
+    }
+
+    /**
+     * 队尾指针的格子下标：循环模式下为下一个入队的位置，普通模式下为队尾元素
+     * @returns {number}
+     */
+    get rear() {
+        return this.options.circular ? this.slotOf(this.length) : this.length - 1;
+    }
+
+    // 普通模式显示的格数
+    slotCount() {
+        return this.options.capacity === null ? Math.max(this.length, MIN_SLOTS) : this.options.capacity;
+    }
+
+    // 元素进入的位置：普通模式在管道右侧，循环模式在格子下方
+    entryPosition(slot) {
+        const { cellHeight, gap } = this.options;
+        if (this.options.circular) {
+            return { x: this.slotPosition(slot).x, y: cellHeight + ENTRY_DISTANCE };
+        }
+        return { x: this.slotPosition(this.slotCount()).x + gap, y: 0 };
+    }
+
+    // 元素离开的位置：普通模式在管道左侧，循环模式在格子下方
+    exitPosition(slot) {
+        const { cellWidth, gap } = this.options;
+        if (this.options.circular) {
+            return this.entryPosition(slot);
+        }
+        return { x: -cellWidth - gap * 2, y: 0 };
+    }
+
+    // 按格数重新画出管道
+    updatePipe() {
+        if (this.options.circular) return;
+        const { cellHeight, gap } = this.options;
+        const right = this.slotPosition(this.slotCount()).x;
+        [-gap / 2, cellHeight + gap / 2].forEach((y, i) => {
+            this.pipe[i].path = new Path([{ x: -gap, y }, { x: right, y }]);
+            this.pipe[i].moveTo(-gap, y);
+        });
+    }
+
+    // 容器轮廓的颜色
+    setOutlineColor(color) {
+        this.pipe.forEach(line => { line.style.borderColor = color; });
+        this.slots.forEach(slot => { slot.style.borderColor = color === 'black' ? '#999' : color; });
+    }
+
+    // 指针的目标位置，普通模式下队列为空时不显示指针
+    pointerPositions() {
+        const { cellWidth } = this.options;
+        const at = slot => ({ x: this.slotPosition(slot).x + cellWidth / 2, y: 0 });
+        if (!this.options.circular && this.length === 0) {
+            return null;
+        }
+        return { front: at(this.front), rear: at(this.rear) };
+    }
+
+    // 按队列状态显示或隐藏指针，返回指针的目标位置
+    updatePointers() {
+        const positions = this.pointerPositions();
+        Object.values(this.pointers).forEach(pointer => {
+            if (!positions) {
+                this.remove(pointer);
+            } else if (pointer.parent !== this) {
+                this.add(pointer);
+            }
+        });
+        return positions;
+    }
+
+    /**
+     * 按当前的值重新排列所有元素和指针，没有动画效果
+     */
+    layout() {
+        this.items.forEach((item, index) => {
+            const position = this.itemPosition(index);
+            item.moveTo(position.x, position.y);
+        });
+        this.updatePipe();
+        const positions = this.updatePointers();
+        if (positions) {
+            Object.entries(this.pointers).forEach(([name, pointer]) => pointer.moveTo(positions[name].x, positions[name].y));
+        }
+    }
+
+    // 指针滑动到新的位置，刚出现的指针直接放到目标位置
+    async movePointers(framework, duration) {
+        const shown = Object.values(this.pointers).map(pointer => pointer.parent === this);
+        const positions = this.updatePointers();
+        if (!positions) return;
+        framework.timeline.requestFrame();
+        await Promise.all(Object.entries(this.pointers).map(([name, pointer], i) => {
+            if (!shown[i]) {
+                pointer.moveTo(positions[name].x, positions[name].y);
+                return null;
+            }
+            return this.slide(framework, pointer, positions[name], duration);
+        }));
+    }
+
+    /**
+     * 队头的值
+     * @returns {number|string|undefined} 队列为空时为undefined
+     */
+    peek() {
+        return this.values[0];
+    }
+
+    /**
+     * 从队头到队尾的所有值
+     * @returns {Array}
+     */
+    toArray() {
+        return this.values.slice();
+    }
+
+    /**
+     * 入队：新元素从入口（或from元素的位置）滑到队尾，rear指针随之移动
+     * 队满时显示溢出状态，队列不变
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number|string} value 值
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @param {Object} [options] 选项
+     * @param {Element} [options.from] 新元素出发的位置，例如数组中的格子
+     * @returns {Promise<boolean>} 是否入队，队满时为false
+     */
+    async enqueue(framework, value, duration = MOVE_DURATION, { from = null } = {}) {
+        checkFramework(framework, 'StackView和QueueView');
+        const slot = this.slotOf(this.length);
+        if (this.isFull()) {
+            await this.overflow(framework, value, this.entryPosition(slot), from, duration, '队列已满，无法入队');
+            return false;
+        }
+
+        this.values.push(value);
+        this.updatePipe();
+        const position = this.slotPosition(slot);
+        const item = this.createItem(value, position);
+        this.items.push(item);
+        framework.timeline.requestFrame();
+
+        await this.flyIn(framework, item, this.entryPosition(slot), position, from, duration);
+        await this.movePointers(framework, duration);
+        return true;
+    }
+
+    /**
+     * 出队：队头元素离开队列（或飞到to元素的位置）后移除
+     * 普通模式下其余元素随后左移一格，循环模式下front指针后移一格
+     * @param {AnimationFramework} framework 动画框架
+     * @param {number} [duration=300] 每个阶段的动画时间（毫秒）
+     * @param {Object} [options] 选项
+     * @param {Element} [options.to] 元素飞往的位置
+     * @returns {Promise<number|string>} 出队的值
+     */
+    async dequeue(framework, duration = MOVE_DURATION, { to = null } = {}) {
+        checkFramework(framework, 'StackView和QueueView');
+        if (this.length === 0) {
+            throw new Error('队列为空，无法出队');
+        }
+        this.clearOverflow();
+
+        const slot = this.slotOf(0);
+        const value = this.values.shift();
+        const item = this.items.shift();
+        if (this.options.circular) {
+            this.head = (this.head + 1) % this.options.capacity;
+        }
+        await this.flyOut(framework, item, this.exitPosition(slot), to, duration);
+
+        if (!this.options.circular) {
+            await Promise.all(this.items.map((other, index) => this.slide(framework, other, this.itemPosition(index), duration)));
+            this.updatePipe();
+        }
+        await this.movePointers(framework, duration);
+        return value;
+    }
+}
+
+/**
+ * 创建一个从右侧指向左侧的标记，例如栈的top，分组原点为箭头尖端
+ * @param {string} id 标记分组的id，也是名称和箭头id的前缀
+ * @param {string} name 名称
+ * @param {string} [color='#1565c0'] 颜色
+ * @returns {Group}
+ */
+function createSideMarker(id, name, color = '#1565c0') {
+    const arrow = new Link(new Path([{ x: 24, y: 0 }, { x: 0, y: 0 }]), 'solid', false, true);
+    arrow.id = `${id}_arrow`;
+    arrow.style.borderColor = color;
+    arrow.style.borderWidth = 2;
+    arrow.style.arrowSize = 8;
+    const label = new Text(28, 0, name, 'left', 'middle');
+    label.id = `${id}_label`;
+    label.style.textColor = color;
+    label.style.textSize = 14;
+
+    const group = new Group(0, 0, [arrow, label]);
+    group.id = id;
+    return group;
+}
+
+// export
+export { StackView, QueueView };
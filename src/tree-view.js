@@ -0,0 +1,667 @@
+'use strict';
+import { Box, Text, Link, Group, Path } from './animation.js';
+import { STEP_DURATION, checkFramework } from './view-utils.js';
+
+// 访问节点时的边框颜色，找到目标时的边框颜色
+const VISIT_COLOR = '#ff9800';
+const FOUND_COLOR = '#2e7d32';
+// 红黑树节点的颜色
+const NODE_COLORS = {
+    red: '#e53935',
+    black: '#424242'
+};
+// 遍历顺序：前序、中序、后序和层序
+const TRAVERSAL_ORDERS = ['pre', 'in', 'post', 'level'];
+
+/**
+ * Reingold–Tilford风格的二叉树布局
+ * 自底向上计算每棵子树的左右轮廓（每一层最左和最右节点相对子树根的位置），
+ * 两棵子树之间的距离取各层轮廓不重叠所需的最小值，再自顶向下累加偏移得到每个节点的位置。
+ * 只有一个孩子的节点，孩子向左或向右偏移半个单位，以区分左右孩子
+ * @param {Object} root 根节点，孩子为left和right
+ * @returns {Map<Object, Object>} 节点到 {x, depth} 的映射，x以节点间的最小距离为单位，最左边的节点x为0
+ */
+function layoutTree(root) {
+    const offsets = new Map();
+
+    const place = node => {
+        const left = node.left ? place(node.left) : null;
+        const right = node.right ? place(node.right) : null;
+        let leftOffset = -0.5;
+        let rightOffset = 0.5;
+        if (left && right) {
+            let separation = 1;
+            const depth = Math.min(left.right.length, right.left.length);
+            for (let d = 0; d < depth; d++) {
+                separation = Math.max(separation, left.right[d] - right.left[d] + 1);
+            }
+            leftOffset = -separation / 2;
+            rightOffset = separation / 2;
+        }
+        if (node.left) offsets.set(node.left, leftOffset);
+        if (node.right) offsets.set(node.right, rightOffset);
+
+        // 合并两棵子树的轮廓
+        const contour = { left: [0], right: [0] };
+        const depth = Math.max(left ? left.left.length : 0, right ? right.left.length : 0);
+        for (let d = 0; d < depth; d++) {
+            const lefts = [];
+            const rights = [];
+            if (left && d < left.left.length) {
+                lefts.push(left.left[d] + leftOffset);
+                rights.push(left.right[d] + leftOffset);
+            }
+            if (right && d < right.left.length) {
+                lefts.push(right.left[d] + rightOffset);
+                rights.push(right.right[d] + rightOffset);
+            }
+            contour.left.push(Math.min(...lefts));
+            contour.right.push(Math.max(...rights));
+        }
+        return contour;
+    };
+
+    const positions = new Map();
+    if (!root) return positions;
+    const contour = place(root);
+    const minX = Math.min(...contour.left);
+    const assign = (node, x, depth) => {
+        positions.set(node, { x: x - minX, depth });
+        if (node.left) assign(node.left, x + offsets.get(node.left), depth + 1);
+        if (node.right) assign(node.right, x + offsets.get(node.right), depth + 1);
+    };
+    assign(root, 0, 0);
+    return positions;
+}
+
+/**
+ * 二叉树视图，一个包含节点和边的分组，节点位置由layoutTree自动计算
+ * 节点为Box（默认显示为圆形），边为绑定在父子节点上的Link，节点移动时边跟随移动。
+ * 作为二叉搜索树使用时支持动画演示的插入、查找和删除；balance为'avl'或'red-black'时，
+ * 插入和删除后通过旋转（红黑树还有变色）保持平衡，旋转后子树滑动到新的位置。
+ * 访问节点时节点边框高亮，高亮保留到下一次操作开始。
+ * 带framework参数的方法在framework为null时不播放动画，直接完成，可以用来快速建树
+ * @param {number} x 布局区域左上角横坐标
+ * @param {number} y 布局区域左上角纵坐标
+ * @param {Array} [values] 按层序给出的节点值，null表示空位置，例如 [1, 2, 3, null, 4]
+ * @param {Object} [options] 选项
+ * @param {string} [options.id] 分组的id，也是子元素id的前缀
+ * @param {number} [options.nodeSize=40] 节点的直径
+ * @param {number} [options.levelHeight=70] 相邻两层之间的距离
+ * @param {number} [options.siblingGap=20] 相邻节点之间的最小间距
+ * @param {string} [options.shape='circle'] 节点形状，'circle'或'box'
+ * @param {string|null} [options.balance=null] 平衡方式，null、'avl'或'red-black'
+ */
+class TreeView extends Group {
+    constructor(x, y, values = [], {
+        id = null, nodeSize = 40, levelHeight = 70, siblingGap = 20, shape = 'circle', balance = null
+    } = {}) {
+        super(x, y);
+        if (!Array.isArray(values)) {
+            throw new TypeError('TreeView的values必须为数组');
+        }
+        if (![null, 'avl', 'red-black'].includes(balance)) {
+            throw new Error(`未知的平衡方式: ${balance}`);
+        }
+        if (id) this.id = id;
+
+        this.options = { nodeSize, levelHeight, siblingGap, shape, balance };
+        this.root = null;
+        this.nextNodeId = 0;
+        this.orderLabels = [];
+
+        this.buildLevelOrder(values);
+        this.updateEdges();
+        this.layout();
+    }
+
+    // 按层序数组建树
+    buildLevelOrder(values) {
+        if (values.length === 0 || values[0] === null) return;
+        this.root = this.createNode(values[0]);
+        const queue = [this.root];
+        let index = 1;
+        while (queue.length > 0 && index < values.length) {
+            const node = queue.shift();
+            ['left', 'right'].forEach(side => {
+                const value = values[index++];
+                if (value !== null && value !== undefined) {
+                    const child = this.createNode(value);
+                    node[side] = child;
+                    child.parent = node;
+                    queue.push(child);
+                }
+            });
+        }
+    }
+
+    // 创建节点并加入分组，边在节点有父节点时才加入分组
+    createNode(key) {
+        const { nodeSize, shape, balance } = this.options;
+        const id = `${this.id}_node_${this.nextNodeId++}`;
+        const box = new Box(0, 0, nodeSize, nodeSize, key);
+        box.id = id;
+        if (shape === 'circle') {
+            box.style.borderRadius = nodeSize / 2;
+        }
+        const edge = new Link(new Path([{ x: 0, y: 0 }, { x: 0, y: 0 }]));
+        edge.id = `${id}_edge`;
+
+        const node = { id, key, left: null, right: null, parent: null, box, edge, color: null };
+        if (balance === 'red-black') {
+            this.paint(node, 'red');
+        }
+        this.add(box);
+        return node;
+    }
+
+    // 设置红黑树节点的颜色，没有动画效果
+    paint(node, color) {
+        node.color = color;
+        node.box.style.backgroundColor = NODE_COLORS[color];
+        node.box.style.textColor = 'white';
+    }
+
+    /**
+     * 按父子关系重新连接所有的边，没有动画效果
+     */
+    updateEdges() {
+        this.nodes().forEach(node => {
+            const { edge, parent } = node;
+            if (parent) {
+                if (edge.parent !== this) this.add(edge);
+                edge.bind(parent.box, node.box, { sourceAnchor: 'edge', targetAnchor: 'edge' });
+            } else if (edge.parent === this) {
+                edge.unbind();
+                this.remove(edge);
+            }
+        });
+    }
+
+    /**
+     * 按前序返回所有节点
+     * @returns {Array<Object>} 节点 {key, left, right, parent, box, edge, color}
+     */
+    nodes() {
+        return this.traversal('pre');
+    }
+
+    /**
+     * 按指定顺序返回节点
+     * @param {string} order 'pre'、'in'、'post'或'level'
+     * @returns {Array<Object>}
+     */
+    traversal(order) {
+        if (!TRAVERSAL_ORDERS.includes(order)) {
+            throw new Error(`未知的遍历顺序: ${order}`);
+        }
+        const result = [];
+        if (order === 'level') {
+            const queue = this.root ? [this.root] : [];
+            while (queue.length > 0) {
+                const node = queue.shift();
+                result.push(node);
+                if (node.left) queue.push(node.left);
+                if (node.right) queue.push(node.right);
+            }
+            return result;
+        }
+        const walk = node => {
+            if (!node) return;
+            if (order === 'pre') result.push(node);
+            walk(node.left);
+            if (order === 'in') result.push(node);
+            walk(node.right);
+            if (order === 'post') result.push(node);
+        };
+        walk(this.root);
+        return result;
+    }
+
+    /**
+     * 按指定顺序返回所有节点的值
+     * @param {string} [order='in'] 'pre'、'in'、'post'或'level'
+     * @returns {Array}
+     */
+    toArray(order = 'in') {
+        return this.traversal(order).map(node => node.key);
+    }
+
+    /**
+     * 查找值对应的节点，没有动画效果，不要求是二叉搜索树
+     * @param {*} key 值
+     * @returns {Object|null} 节点
+     */
+    findNode(key) {
+        return this.nodes().find(node => node.key === key) || null;
+    }
+
+    /**
+     * 计算每个节点左上角的局部坐标
+     * @returns {Map<Object, Object>} 节点到 {x, y} 的映射
+     */
+    computeLayout() {
+        const { nodeSize, levelHeight, siblingGap } = this.options;
+        const positions = new Map();
+        layoutTree(this.root).forEach(({ x, depth }, node) => {
+            positions.set(node, { x: x * (nodeSize + siblingGap), y: depth * levelHeight });
+        });
+        return positions;
+    }
+
+    /**
+     * 把所有节点放到布局计算的位置，没有动画效果
+     */
+    layout() {
+        this.computeLayout().forEach((position, node) => node.box.moveTo(position.x, position.y));
+    }
+
+    /**
+     * 所有节点同时滑动到布局计算的位置
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {number} [duration=400] 动画时间（毫秒）
+     * @returns {Promise} 动画结束时完成
+     */
+    async relayout(framework, duration = STEP_DURATION) {
+        if (!framework) {
+            this.layout();
+            return;
+        }
+        checkFramework(framework, 'TreeView');
+        const moves = [];
+        this.computeLayout().forEach((position, node) => {
+            const { box } = node;
+            if (box.x !== position.x || box.y !== position.y) {
+                moves.push(framework.moveBy(box, new Path([{ x: box.x, y: box.y }, position]), duration));
+            }
+        });
+        await Promise.all(moves);
+    }
+
+    /**
+     * 清除节点的高亮和遍历序号
+     */
+    clearHighlights() {
+        this.nodes().forEach(node => {
+            node.box.style.borderColor = 'black';
+            node.box.style.borderWidth = 1;
+        });
+        this.orderLabels.forEach(label => this.remove(label));
+        this.orderLabels = [];
+    }
+
+    // 高亮节点的边框并停顿一段时间
+    async highlight(framework, node, color, duration) {
+        node.box.style.borderColor = color;
+        node.box.style.borderWidth = 3;
+        if (framework) {
+            await framework.timeline.createTween(duration, () => {});
+        }
+    }
+
+    // 改变元素的透明度
+    async fade(framework, element, opacity, duration) {
+        if (framework) {
+            await framework.animate(element, { opacity }, duration);
+        } else {
+            element.style.opacity = opacity;
+        }
+    }
+
+    // 用新节点替换node在父节点中的位置，node为根时替换根
+    replaceChild(node, replacement) {
+        const { parent } = node;
+        if (!parent) {
+            this.root = replacement;
+        } else if (parent.left === node) {
+            parent.left = replacement;
+        } else {
+            parent.right = replacement;
+        }
+        if (replacement) replacement.parent = parent;
+    }
+
+    /**
+     * 查找值，沿查找路径逐个高亮节点，找到时目标节点以绿色边框标出
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {*} key 值
+     * @param {number} [duration=400] 每一步的动画时间（毫秒）
+     * @returns {Promise<boolean>} 是否找到
+     */
+    async search(framework, key, duration = STEP_DURATION) {
+        this.clearHighlights();
+        let node = this.root;
+        while (node) {
+            if (node.key === key) {
+                await this.highlight(framework, node, FOUND_COLOR, duration);
+                return true;
+            }
+            await this.highlight(framework, node, VISIT_COLOR, duration);
+            node = key < node.key ? node.left : node.right;
+        }
+        return false;
+    }
+
+    /**
+     * 按二叉搜索树的规则插入值：沿查找路径高亮节点，新节点在父节点处淡入，然后所有节点滑动到新的布局。
+     * 平衡树在插入后通过旋转（红黑树还有变色）恢复平衡
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {*} key 值
+     * @param {number} [duration=400] 每一步的动画时间（毫秒）
+     * @returns {Promise<boolean>} 是否插入，值已存在时返回false
+     */
+    async insert(framework, key, duration = STEP_DURATION) {
+        if (typeof key !== 'number' && typeof key !== 'string') {
+            throw new TypeError('TreeView的值必须为数字或字符串');
+        }
+        this.clearHighlights();
+
+        let parent = null;
+        let current = this.root;
+        while (current) {
+            if (current.key === key) {
+                await this.highlight(framework, current, FOUND_COLOR, duration);
+                return false;
+            }
+            await this.highlight(framework, current, VISIT_COLOR, duration);
+            parent = current;
+            current = key < current.key ? current.left : current.right;
+        }
+
+        const node = this.createNode(key);
+        if (parent) {
+            node.box.moveTo(parent.box.x, parent.box.y);
+            parent[key < parent.key ? 'left' : 'right'] = node;
+            node.parent = parent;
+        } else {
+            this.root = node;
+            this.layout();
+        }
+        node.box.style.opacity = 0;
+        this.updateEdges();
+        await Promise.all([this.relayout(framework, duration), this.fade(framework, node.box, 1, duration)]);
+
+        if (this.options.balance === 'avl') {
+            await this.rebalanceAVL(framework, parent, duration);
+        } else if (this.options.balance === 'red-black') {
+            await this.fixRedBlackInsert(framework, node, duration);
+        }
+        return true;
+    }
+
+    /**
+     * 依次插入多个值，没有动画效果，用来快速建树
+     * @param {Array} keys 值
+     * @returns {Promise<number>} 插入的节点数
+     */
+    async insertAll(keys) {
+        let count = 0;
+        for (const key of keys) {
+            if (await this.insert(null, key)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * 按二叉搜索树的规则删除值：叶子节点直接淡出；只有一个孩子时孩子所在的子树上移；
+     * 有两个孩子时用右子树中的最小值（后继）替换，再删除后继节点。平衡树删除后通过旋转（红黑树还有变色）恢复平衡
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {*} key 值
+     * @param {number} [duration=400] 每一步的动画时间（毫秒）
+     * @returns {Promise<boolean>} 是否删除，值不存在时返回false
+     */
+    async delete(framework, key, duration = STEP_DURATION) {
+        if (!(await this.search(framework, key, duration))) {
+            return false;
+        }
+
+        let node = this.findNode(key);
+        if (node.left && node.right) {
+            // 沿右子树的左链找到后继，后继的值飞到被删除的节点上
+            let successor = node.right;
+            await this.highlight(framework, successor, VISIT_COLOR, duration);
+            while (successor.left) {
+                successor = successor.left;
+                await this.highlight(framework, successor, VISIT_COLOR, duration);
+            }
+            await this.moveKey(framework, successor, node, duration);
+            node = successor;
+        }
+
+        const child = node.left || node.right;
+        const parent = node.parent;
+        const side = parent && parent.left === node ? 'left' : 'right';
+        await Promise.all([
+            this.fade(framework, node.box, 0, duration),
+            node.edge.parent === this ? this.fade(framework, node.edge, 0, duration) : null
+        ]);
+        this.replaceChild(node, child);
+        this.remove(node.box);
+        if (node.edge.parent === this) this.remove(node.edge);
+        this.updateEdges();
+        await this.relayout(framework, duration);
+
+        if (this.options.balance === 'avl') {
+            await this.rebalanceAVL(framework, parent, duration);
+        } else if (this.options.balance === 'red-black' && node.color === 'black') {
+            await this.fixRedBlackDelete(framework, child, parent, side, duration);
+        }
+        return true;
+    }
+
+    // 把from节点的值复制到to节点，值沿直线飞过去
+    async moveKey(framework, from, to, duration) {
+        if (framework) {
+            const { nodeSize } = this.options;
+            const flying = new Box(from.box.x, from.box.y, nodeSize, nodeSize, from.key);
+            flying.style.borderRadius = from.box.style.borderRadius;
+            flying.style.backgroundColor = '#fff3b0';
+            this.add(flying);
+            await framework.moveBy(flying, new Path([{ x: from.box.x, y: from.box.y }, { x: to.box.x, y: to.box.y }]), duration);
+            this.remove(flying);
+        }
+        to.key = from.key;
+        to.box.setLabel(from.key);
+    }
+
+    /**
+     * 按指定顺序遍历，逐个高亮节点并在节点旁标出访问序号
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {string} [order='in'] 'pre'、'in'、'post'或'level'
+     * @param {number} [duration=400] 每一步的动画时间（毫秒）
+     * @returns {Promise<Array>} 按访问顺序排列的值
+     */
+    async traverse(framework, order = 'in', duration = STEP_DURATION) {
+        const nodes = this.traversal(order);
+        this.clearHighlights();
+        const { nodeSize } = this.options;
+        for (let i = 0; i < nodes.length; i++) {
+            const { box } = nodes[i];
+            const label = new Text(box.x + nodeSize, box.y, i + 1, 'left', 'bottom');
+            label.id = `${this.id}_order_${i}`;
+            label.style.textSize = 12;
+            label.style.textColor = VISIT_COLOR;
+            this.add(label);
+            this.orderLabels.push(label);
+            await this.highlight(framework, nodes[i], VISIT_COLOR, duration);
+        }
+        return nodes.map(node => node.key);
+    }
+
+    /**
+     * 以节点为轴左旋：右孩子成为子树的根，右孩子原来的左子树成为节点的右子树
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {*} key 旋转轴节点的值
+     * @param {number} [duration=400] 动画时间（毫秒）
+     * @returns {Promise} 子树滑动到新的位置时完成
+     */
+    rotateLeft(framework, key, duration = STEP_DURATION) {
+        return this.rotate(framework, this.requireNode(key), 'left', duration);
+    }
+
+    /**
+     * 以节点为轴右旋：左孩子成为子树的根，左孩子原来的右子树成为节点的左子树
+     * @param {AnimationFramework|null} framework 动画框架
+     * @param {*} key 旋转轴节点的值
+     * @param {number} [duration=400] 动画时间（毫秒）
+     * @returns {Promise} 子树滑动到新的位置时完成
+     */
+    rotateRight(framework, key, duration = STEP_DURATION) {
+        return this.rotate(framework, this.requireNode(key), 'right', duration);
+    }
+
+    // 查找节点，不存在时抛出异常
+    requireNode(key) {
+        const node = this.findNode(key);
+        if (!node) {
+            throw new Error(`树中没有值为 ${key} 的节点`);
+        }
+        return node;
+    }
+
+    // 旋转并重新连接边，然后所有节点滑动到新的布局
+    async rotate(framework, node, direction, duration) {
+        const [inner, outer] = direction === 'left' ? ['left', 'right'] : ['right', 'left'];
+        const pivot = node[outer];
+        if (!pivot) {
+            throw new Error(`节点 ${node.key} 没有${outer === 'right' ? '右' : '左'}孩子，不能${direction === 'left' ? '左' : '右'}旋`);
+        }
+
+        node[outer] = pivot[inner];
+        if (pivot[inner]) pivot[inner].parent = node;
+        this.replaceChild(node, pivot);
+        pivot[inner] = node;
+        node.parent = pivot;
+
+        this.updateEdges();
+        await this.relayout(framework, duration);
+    }
+
+    // 子树高度，空树为0
+    height(node) {
+        return node ? 1 + Math.max(this.height(node.left), this.height(node.right)) : 0;
+    }
+
+    // 平衡因子：左子树高度减右子树高度
+    balanceFactor(node) {
+        return this.height(node.left) - this.height(node.right);
+    }
+
+    // 从start向上检查平衡因子，失衡时做单旋转或双旋转
+    async rebalanceAVL(framework, start, duration) {
+        for (let node = start; node;) {
+            const parent = node.parent;
+            const factor = this.balanceFactor(node);
+            if (factor > 1) {
+                if (this.balanceFactor(node.left) < 0) {
+                    await this.rotate(framework, node.left, 'left', duration);
+                }
+                await this.rotate(framework, node, 'right', duration);
+            } else if (factor < -1) {
+                if (this.balanceFactor(node.right) > 0) {
+                    await this.rotate(framework, node.right, 'right', duration);
+                }
+                await this.rotate(framework, node, 'left', duration);
+            }
+            node = parent;
+        }
+    }
+
+    // 红黑树节点变色，颜色渐变
+    async recolor(framework, node, color, duration) {
+        node.color = color;
+        if (framework) {
+            await framework.animate(node.box, { backgroundColor: NODE_COLORS[color] }, duration);
+        } else {
+            this.paint(node, color);
+        }
+    }
+
+    // 红黑树插入后的修正：叔节点为红色时变色并上移，否则旋转后变色
+    async fixRedBlackInsert(framework, node, duration) {
+        let current = node;
+        while (current.parent && current.parent.color === 'red') {
+            let parent = current.parent;
+            const grandparent = parent.parent;
+            const parentSide = grandparent.left === parent ? 'left' : 'right';
+            const uncle = grandparent[parentSide === 'left' ? 'right' : 'left'];
+
+            if (uncle && uncle.color === 'red') {
+                await Promise.all([
+                    this.recolor(framework, parent, 'black', duration),
+                    this.recolor(framework, uncle, 'black', duration),
+                    this.recolor(framework, grandparent, 'red', duration)
+                ]);
+                current = grandparent;
+                continue;
+            }
+
+            // 当前节点是内侧孙子时先转成外侧
+            const innerSide = parentSide === 'left' ? 'right' : 'left';
+            if (parent[innerSide] === current) {
+                await this.rotate(framework, parent, parentSide, duration);
+                current = parent;
+                parent = current.parent;
+            }
+            await Promise.all([
+                this.recolor(framework, parent, 'black', duration),
+                this.recolor(framework, grandparent, 'red', duration)
+            ]);
+            await this.rotate(framework, grandparent, innerSide, duration);
+        }
+        if (this.root.color !== 'black') {
+            await this.recolor(framework, this.root, 'black', duration);
+        }
+    }
+
+    // 红黑树删除黑色节点后的修正：current为顶替的孩子（可能为空），按兄弟节点的颜色变色、旋转或继续上移
+    async fixRedBlackDelete(framework, current, parent, side, duration) {
+        const isBlack = node => !node || node.color === 'black';
+        while (current !== this.root && isBlack(current)) {
+            const other = side === 'left' ? 'right' : 'left';
+            let sibling = parent[other];
+
+            // 兄弟为红色：旋转后兄弟变为黑色
+            if (sibling.color === 'red') {
+                await Promise.all([
+                    this.recolor(framework, sibling, 'black', duration),
+                    this.recolor(framework, parent, 'red', duration)
+                ]);
+                await this.rotate(framework, parent, side, duration);
+                sibling = parent[other];
+            }
+
+            // 兄弟的两个孩子都是黑色：兄弟变红，缺少的黑色节点上移到父节点
+            if (isBlack(sibling.left) && isBlack(sibling.right)) {
+                await this.recolor(framework, sibling, 'red', duration);
+                current = parent;
+                parent = current.parent;
+                side = parent && parent.left === current ? 'left' : 'right';
+                continue;
+            }
+
+            // 兄弟的近侧孩子为红色、远侧孩子为黑色时，先转成远侧孩子为红色
+            if (isBlack(sibling[other])) {
+                await Promise.all([
+                    this.recolor(framework, sibling[side], 'black', duration),
+                    this.recolor(framework, sibling, 'red', duration)
+                ]);
+                await this.rotate(framework, sibling, other, duration);
+                sibling = parent[other];
+            }
+            await Promise.all([
+                this.recolor(framework, sibling, parent.color, duration),
+                this.recolor(framework, parent, 'black', duration),
+                this.recolor(framework, sibling[other], 'black', duration)
+            ]);
+            await this.rotate(framework, parent, side, duration);
+            current = this.root;
+        }
+        if (current && current.color !== 'black') {
+            await this.recolor(framework, current, 'black', duration);
+        }
+    }
+}
+
+// export
+export { TreeView, layoutTree };
@@ -0,0 +1,434 @@
+'use strict';
+import { Box, Text, Link, Path, AnimationFramework } from './animation.js';
+
+/**
+ * 带可视化的值类型，算法代码通过这些类型操作数据，数据的变化同步到动画框架中
+ * DataArray.createView把数组布局为一行Box，DataItem.swapWith让两个格子沿圆弧交换位置，
+ * markRange在格子下方画出范围括号，比较操作会让参与比较的格子短暂闪烁
+ */
+
+// 比较时格子闪烁的时间（毫秒）
+const HIGHLIGHT_DURATION = 400;
+// 交换动画的时间（毫秒）
+const SWAP_DURATION = 600;
+
+// 每个格子正在进行的高亮次数，连续比较同一个格子时在最后一次结束后才停止闪烁
+const highlightCounts = new WeakMap();
+
+// 辅助函数
+function asVal(value) {
+    if (value instanceof IntValue) {
+        return value.getValue();
+    } else {
+        return value;
+    }
+}
+
+/**
+ * 让元素闪烁一段时间
+ * @param {AnimationFramework} framework 动画框架
+ * @param {Element} element 元素
+ * @param {number} duration 闪烁时间（毫秒）
+ * @returns {Tween} 动画句柄
+ */
+function highlight(framework, element, duration) {
+    const count = highlightCounts.get(element) || 0;
+    highlightCounts.set(element, count + 1);
+    if (count === 0 && !framework.flashingElements.includes(element)) {
+        framework.addFlash(element);
+    }
+    return framework.timeline.createTween(duration, () => {}, () => {
+        const remaining = highlightCounts.get(element) - 1;
+        highlightCounts.set(element, remaining);
+        if (remaining === 0) {
+            framework.removeFlash(element);
+        }
+    });
+}
+
+/**
+ * 整数值
+ * @param {number|IntValue} value 初始值
+ */
+class IntValue {
+    constructor(value) {
+        if (value instanceof IntValue) {
+            this.value = value.getValue();
+        } else {
+            this.value = value;
+        }
+    }
+
+    getValue() {
+        return this.value;
+    }
+
+    setValue(value) {
+        this.value = asVal(value);
+    }
+
+    inc(value) {
+        this.setValue(this.value + asVal(value));
+        return this;
+    }
+
+    dec(value) {
+        this.setValue(this.value - asVal(value));
+        return this;
+    }
+
+    add(other) {
+        return new IntValue(this.value + asVal(other));
+    }
+
+    sub(other) {
+        return new IntValue(this.value - asVal(other));
+    }
+
+    mul(other) {
+        return new IntValue(this.value * asVal(other));
+    }
+
+    div(other) {
+        return new IntValue(this.value / asVal(other));
+    }
+
+    /**
+     * 比较操作的钩子，子类可以在比较时显示动画
+     * @param {*} other 比较的另一方
+     */
+    onCompare(other) {
+    }
+
+    lessThan(other) {
+        this.onCompare(other);
+        return new BooleanValue(this.value < asVal(other));
+    }
+
+    greatThan(other) {
+        this.onCompare(other);
+        return new BooleanValue(this.value > asVal(other));
+    }
+
+    lessEq(other) {
+        this.onCompare(other);
+        return new BooleanValue(this.value <= asVal(other));
+    }
+
+    greatEq(other) {
+        this.onCompare(other);
+        return new BooleanValue(this.value >= asVal(other));
+    }
+
+    equals(other) {
+        this.onCompare(other);
+        return new BooleanValue(this.value === asVal(other));
+    }
+
+    notEquals(other) {
+        this.onCompare(other);
+        return new BooleanValue(this.value !== asVal(other));
+    }
+
+    clone() {
+        return new IntValue(this.value);
+    }
+
+    toString() {
+        return this.value.toString();
+    }
+}
+
+/**
+ * 数据项，可以显示为一个带标签的Box
+ * @param {number|IntValue} value 初始值
+ */
+class DataItem extends IntValue {
+    constructor(value) {
+        if (value instanceof IntValue) {
+            super(value.getValue());
+        } else {
+            super(value);
+        }
+        this.framework = null;
+        this.view = null;
+        this.highlightDuration = HIGHLIGHT_DURATION;
+    }
+
+    /**
+     * 创建数据项的视图，已有的视图会先移除
+     * @param {AnimationFramework} framework 动画框架
+     * @param {Object} [options] 选项
+     * @param {string} [options.id] 视图元素的id
+     * @param {number} [options.x=0] 左上角横坐标
+     * @param {number} [options.y=0] 左上角纵坐标
+     * @param {number} [options.width=50] 宽度
+     * @param {number} [options.height=50] 高度
+     * @returns {DataItem} 当前数据项
+     */
+    createView(framework, { id = null, x = 0, y = 0, width = 50, height = 50 } = {}) {
+        if (!(framework instanceof AnimationFramework)) {
+            throw new TypeError('createView的framework必须为AnimationFramework实例');
+        }
+        this.removeView();
+
+        const box = new Box(x, y, width, height, this.value);
+        if (id) box.id = id;
+        this.framework = framework;
+        this.view = box;
+        framework.addElement(box);
+        return this;
+    }
+
+    /**
+     * 移除数据项的视图
+     */
+    removeView() {
+        if (this.view) {
+            this.framework.removeElement(this.view.id);
+        }
+        this.framework = null;
+        this.view = null;
+    }
+
+    setValue(value) {
+        super.setValue(value);
+        if (this.view) {
+            this.view.setLabel(this.value);
+            this.framework.timeline.requestFrame();
+        }
+    }
+
+    // 与另一个数据项比较时，两个格子短暂闪烁
+    onCompare(other) {
+        [this, other].forEach(item => {
+            if (item instanceof DataItem && item.view) {
+                highlight(item.framework, item.view, item.highlightDuration);
+            }
+        });
+    }
+
+    /**
+     * 与另一个数据项交换值，两个数据项都有视图时，格子分别沿上下两段圆弧交换位置
+     * 动画结束后格子回到原来的位置并交换标签和样式，每个数据项的视图和id始终对应它所在的位置
+     * @param {DataItem} other 另一个数据项
+     * @param {number} [duration=600] 动画时间（毫秒）
+     * @returns {Promise} 交换结束时完成
+     */
+    async swapWith(other, duration = SWAP_DURATION) {
+        if (other === this) return;
+        if (this.view && other.view && this.framework === other.framework) {
+            const first = { x: this.view.x, y: this.view.y };
+            const second = { x: other.view.x, y: other.view.y };
+            if (first.x !== second.x || first.y !== second.y) {
+                await Promise.all([
+                    this.framework.moveBy(this.view, DataItem.swapArc(first, second), duration),
+                    other.framework.moveBy(other.view, DataItem.swapArc(second, first), duration)
+                ]);
+                // 格子回到原位，交换样式后与动画结束时的画面一致，标签由swapDataWith交换
+                this.view.moveTo(first.x, first.y);
+                other.view.moveTo(second.x, second.y);
+                const style = { ...this.view.style };
+                Object.assign(this.view.style, other.view.style);
+                Object.assign(other.view.style, style);
+            }
+        }
+        this.swapDataWith(other);
+    }
+
+    /**
+     * 计算交换动画的半圆路径，从from出发顺时针经过半圆到达to
+     * 两个格子使用同一个圆，一个经过上半圆，另一个经过下半圆
+     * @param {Object} from 起点 {x, y}
+     * @param {Object} to 终点 {x, y}
+     * @returns {Path} 圆弧路径
+     */
+    static swapArc(from, to) {
+        const cx = (from.x + to.x) / 2;
+        const cy = (from.y + to.y) / 2;
+        const radius = Math.hypot(to.x - from.x, to.y - from.y) / 2;
+        const startAngle = Math.atan2(from.y - cy, from.x - cx);
+        return Path.arc(cx, cy, radius, startAngle, startAngle + Math.PI);
+    }
+
+    swapDataWith(other) {
+        const temp = this.value;
+        this.setValue(other.getValue());
+        other.setValue(temp);
+    }
+
+    clone() {
+        return new DataItem(this.value);
+    }
+}
+
+/**
+ * 数组，元素为DataItem，可以显示为一行格子
+ * @param {Array<number>} arr 初始值
+ */
+class DataArray {
+    constructor(arr) {
+        this.arr = [];
+        for (let i = 0; i < arr.length; i++) {
+            this.arr.push(new DataItem(arr[i]));
+        }
+        this.framework = null;
+        this.layout = null;
+        this.indexLabels = [];
+        this.rangeMark = null;
+    }
+
+    /**
+     * 创建数组的视图：每个数据项一个带值标签的Box，格子下方显示下标
+     * 格子的id为 id + '_' + 下标
+     * @param {AnimationFramework} framework 动画框架
+     * @param {Object} [options] 选项
+     * @param {string} [options.id='array'] 视图元素id的前缀
+     * @param {number} [options.x=0] 第一个格子的左上角横坐标
+     * @param {number} [options.y=0] 第一个格子的左上角纵坐标
+     * @param {number} [options.cellWidth=50] 格子宽度
+     * @param {number} [options.cellHeight=50] 格子高度
+     * @param {number} [options.gap=10] 格子间距
+     * @param {boolean} [options.showIndices=true] 是否显示下标
+     * @returns {DataArray} 当前数组
+     */
+    createView(framework, { id = 'array', x = 0, y = 0, cellWidth = 50, cellHeight = 50, gap = 10, showIndices = true } = {}) {
+        if (!(framework instanceof AnimationFramework)) {
+            throw new TypeError('createView的framework必须为AnimationFramework实例');
+        }
+        this.removeView();
+        this.framework = framework;
+        this.layout = { id, x, y, cellWidth, cellHeight, gap, showIndices };
+
+        this.arr.forEach((item, index) => {
+            const position = this.cellPosition(index);
+            item.createView(framework, { id: `${id}_${index}`, ...position, width: cellWidth, height: cellHeight });
+            if (showIndices) {
+                const label = new Text(position.x + cellWidth / 2, position.y + cellHeight + 4, index, 'center', 'top');
+                label.id = `${id}_index_${index}`;
+                label.style.textSize = 12;
+                label.style.textColor = '#666';
+                framework.addElement(label);
+                this.indexLabels.push(label);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * 移除数组的视图
+     */
+    removeView() {
+        this.arr.forEach(item => item.removeView());
+        this.indexLabels.forEach(label => this.framework.removeElement(label.id));
+        this.indexLabels = [];
+        this.clearRange();
+        this.framework = null;
+        this.layout = null;
+    }
+
+    /**
+     * 计算格子左上角的坐标
+     * @param {number|IntValue} index 下标
+     * @returns {Object} {x, y}
+     */
+    cellPosition(index) {
+        if (!this.layout) {
+            throw new Error('数组还没有创建视图');
+        }
+        const { x, y, cellWidth, gap } = this.layout;
+        return { x: x + asVal(index) * (cellWidth + gap), y };
+    }
+
+    /**
+     * 在格子下方画出范围括号，标记[start, end]区间，同时只显示一个范围
+     * @param {number|IntValue} start 起始下标（包含）
+     * @param {number|IntValue} end 结束下标（包含）
+     * @returns {Link} 范围括号，没有视图时返回null
+     */
+    markRange(start, end) {
+        this.clearRange();
+        if (!this.layout) return null;
+
+        this.rangeMark = this.createRangeMark(start, end);
+        this.framework.createTemporaryElement(this.rangeMark);
+        return this.rangeMark;
+    }
+
+    /**
+     * 创建标记[start, end]区间的范围括号，不添加到画面中，例如录制回放步骤时由addTemporaryAction添加
+     * @param {number|IntValue} start 起始下标（包含）
+     * @param {number|IntValue} end 结束下标（包含）
+     * @returns {Link} 范围括号，id为 id + '_range'
+     */
+    createRangeMark(start, end) {
+        const left = this.cellPosition(start).x;
+        const { cellWidth, cellHeight, showIndices } = this.layout;
+        const right = this.cellPosition(end).x + cellWidth;
+        // 括号放在下标的下方
+        const top = this.layout.y + cellHeight + (showIndices ? 22 : 6);
+        const bottom = top + 8;
+        const path = new Path([
+            { x: left, y: top },
+            { x: left, y: bottom },
+            { x: right, y: bottom },
+            { x: right, y: top }
+        ]);
+        const mark = new Link(path, 'solid');
+        mark.id = `${this.layout.id}_range`;
+        mark.style.borderColor = '#666';
+        mark.style.borderWidth = 2;
+        return mark;
+    }
+
+    /**
+     * 移除范围括号
+     */
+    clearRange() {
+        if (this.rangeMark) {
+            this.framework.removeTemporaryElement(this.rangeMark);
+            this.rangeMark = null;
+        }
+    }
+
+    getItem(index) {
+        return this.arr[asVal(index)];
+    }
+
+    setItem(index, value) {
+        this.arr[asVal(index)] = value;
+    }
+
+    length() {
+        return this.arr.length;
+    }
+
+    toString() {
+        return this.arr.join(', ');
+    }
+}
+
+/**
+ * 布尔值
+ * @param {boolean} value 值
+ */
+class BooleanValue {
+    constructor(value) {
+        this.value = value;
+    }
+
+    getValue() {
+        return this.value;
+    }
+
+    and(other) {
+        return new BooleanValue(this.value && other.getValue());
+    }
+
+    toString() {
+        return this.value.toString();
+    }
+}
+
+// export
+export { asVal, IntValue, DataItem, DataArray, BooleanValue };
@@ -0,0 +1,25 @@
+'use strict';
+import { AnimationFramework } from './animation.js';
+
+/**
+ * 数据结构视图共用的常量和辅助函数，新的视图从这里取默认的动画时间和参数检查，不要在各自的模块中重复定义
+ */
+
+// 默认的动画时间（毫秒）：移动一个元素、交换两个元素、算法演示的一步
+const MOVE_DURATION = 300;
+const SWAP_DURATION = 600;
+const STEP_DURATION = 400;
+
+/**
+ * 检查视图方法的动画框架参数
+ * @param {AnimationFramework} framework 动画框架
+ * @param {string} owner 报错时使用的视图名称，例如'ArrayView'
+ */
+function checkFramework(framework, owner) {
+    if (!(framework instanceof AnimationFramework)) {
+        throw new TypeError(`${owner}的framework必须为AnimationFramework实例`);
+    }
+}
+
+// export
+export { MOVE_DURATION, SWAP_DURATION, STEP_DURATION, checkFramework };
@@ -0,0 +1,80 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { Element, Box, Link, Path, Tween, Timeline, AnimationFramework } from '../src/animation.js';
+
+// 属性补间动画测试，使用固定步长的时间轴
+
+describe('AnimationFramework.animate', () => {
+    let timeline;
+    let framework;
+    let box;
+
+    beforeEach(() => {
+        timeline = new Timeline({ fixedStep: 10 });
+        framework = new AnimationFramework();
+        framework.setTimeline(timeline);
+        box = new Box(0, 0, 50, 50);
+    });
+
+    it('should interpolate numeric style and geometry properties', () => {
+        const tween = framework.animate(box, { borderWidth: 5, width: 100, opacity: 0 }, 100);
+        expect(tween).toBeInstanceOf(Tween);
+
+        timeline.step(5);
+        expect(box.style.borderWidth).toBe(3);
+        expect(box.width).toBe(75);
+        expect(box.style.opacity).toBe(0.5);
+
+        timeline.step(5);
+        expect(box.style.borderWidth).toBe(5);
+        expect(box.width).toBe(100);
+        expect(box.style.opacity).toBe(0);
+    });
+
+    it('should interpolate colors and keep the target format at the end', async () => {
+        box.style.backgroundColor = '#000000';
+        const tween = framework.animate(box, { backgroundColor: 'white', borderColor: 'hsl(0, 100%, 50%)' }, 100);
+
+        timeline.step(5);
+        expect(box.style.backgroundColor).toBe('rgb(128, 128, 128)');
+        expect(box.style.borderColor).toBe('rgb(128, 0, 0)');
+
+        timeline.step(5);
+        expect(box.style.backgroundColor).toBe('white');
+        expect(box.style.borderColor).toBe('hsl(0, 100%, 50%)');
+        await expect(tween).resolves.toBe(true);
+    });
+
+    it('should apply easing', () => {
+        framework.animate(box, { height: 150 }, 100, 'easeInQuad');
+
+        timeline.step(5);
+        expect(box.height).toBe(75);
+    });
+
+    it('should switch non interpolable values at the end', () => {
+        framework.animate(box, { borderStyle: 'dashed' }, 100);
+
+        timeline.step(9);
+        expect(box.style.borderStyle).toBe('solid');
+        timeline.step();
+        expect(box.style.borderStyle).toBe('dashed');
+    });
+
+    it('should fade out links', () => {
+        const link = new Link(new Path([{ x: 0, y: 0 }, { x: 10, y: 0 }]));
+        framework.animate(link, { opacity: 0, borderColor: 'red' }, 100);
+
+        timeline.step(10);
+        expect(link.style.opacity).toBe(0);
+        expect(link.style.borderColor).toBe('red');
+    });
+
+    it('should validate arguments', () => {
+        expect(() => framework.animate({}, { opacity: 0 })).toThrow(TypeError);
+        expect(() => framework.animate(box, null)).toThrow(TypeError);
+        expect(() => framework.animate(box, { backgroundColor: 5 })).toThrow(TypeError);
+        expect(() => framework.animate(box, { borderStyle: 'red' })).toThrow(TypeError);
+    });
+});
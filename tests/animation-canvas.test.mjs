@@ -6,7 +6,7 @@ import { JSDOM } from 'jsdom';
  * @jest-environment jsdom
  */
 import { CanvasAnimationFramework } from '../src/animation-canvas.js';
-import { Element, Box, Link, Path } from '../src/animation.js';
+import { Element, Box, Text, Link, Path, Group } from '../src/animation.js';
 
 // 手动设置全局 DOM 环境
 beforeAll(() => {
@@ -46,10 +46,20 @@ describe('CanvasAnimationFramework', () => {
             setLineDash: jest.fn(),
             strokeStyle: '',
             lineWidth: 1,
+            quadraticCurveTo: jest.fn(),
+            bezierCurveTo: jest.fn(),
+            arc: jest.fn(),
+            fillText: jest.fn(),
+            measureText: jest.fn(() => ({ width: 40 })),
             clearRect: jest.fn(),
             rect: jest.fn(),
             fill: jest.fn(),
-            fillStyle: ''
+            fillStyle: '',
+            save: jest.fn(),
+            restore: jest.fn(),
+            translate: jest.fn(),
+            rotate: jest.fn(),
+            scale: jest.fn()
         };
 
         canvas.getContext = jest.fn(() => context);
@@ -98,6 +108,88 @@ describe('CanvasAnimationFramework', () => {
         });
     });
 
+    // 测试文本绘制
+    describe('Text Drawing', () => {
+        it('should draw box label centered', () => {
+            const box = new Box(10, 20, 100, 50, 8);
+            box.style.textColor = 'green';
+            box.style.textSize = 20;
+            box.style.fontName = 'Courier';
+
+            framework.drawBox(box);
+
+            expect(context.fillText).toHaveBeenCalledWith('8', 60, 45);
+            expect(context.textAlign).toBe('center');
+            expect(context.textBaseline).toBe('middle');
+            expect(context.fillStyle).toBe('green');
+            expect(context.font).toBe('20px Courier');
+        });
+
+        it('should not draw empty box label', () => {
+            framework.drawBox(new Box(10, 20, 100, 50));
+            expect(context.fillText).not.toHaveBeenCalled();
+        });
+
+        it('should draw text with alignment', () => {
+            const text = new Text(30, 40, 'pivot', 'right', 'bottom');
+
+            framework.drawText(text);
+
+            expect(context.fillText).toHaveBeenCalledWith('pivot', 30, 40);
+            expect(context.textAlign).toBe('right');
+            expect(context.textBaseline).toBe('bottom');
+        });
+
+        it('should draw underline manually', () => {
+            const text = new Text(0, 0, 'i');
+            text.style.textDecoration = 'underline';
+
+            framework.drawText(text);
+
+            expect(context.moveTo).toHaveBeenCalledWith(0, 16);
+            expect(context.lineTo).toHaveBeenCalledWith(40, 16);
+        });
+
+        it('should not draw invisible text', () => {
+            const text = new Text(0, 0, 'i');
+            text.visible = false;
+            framework.drawText(text);
+            expect(context.fillText).not.toHaveBeenCalled();
+        });
+    });
+
+    // 测试Group绘制
+    describe('Group Drawing', () => {
+        it('should draw children inside the group transform', () => {
+            const box = new Box(10, 0, 20, 20);
+            const group = new Group(100, 50, [box]);
+            group.setRotation(90);
+            group.setScale(2, 3);
+
+            framework.drawGroup(group);
+
+            expect(context.save).toHaveBeenCalled();
+            expect(context.translate).toHaveBeenCalledWith(100, 50);
+            expect(context.rotate).toHaveBeenCalledWith(Math.PI / 2);
+            expect(context.scale).toHaveBeenCalledWith(2, 3);
+            // 子元素使用局部坐标绘制
+            expect(context.rect).toHaveBeenCalledWith(10, 0, 20, 20);
+            expect(context.restore).toHaveBeenCalled();
+        });
+
+        it('should combine group opacity with children', () => {
+            const box = new Box(0, 0, 20, 20);
+            box.style.opacity = 0.5;
+            const group = new Group(0, 0, [box]);
+            group.style.opacity = 0.5;
+
+            framework.drawGroup(group);
+
+            expect(context.globalAlpha).toBe(0.25);
+            expect(framework.inheritedOpacity).toBe(1);
+        });
+    });
+
     // 测试Link绘制
     describe('Link Drawing', () => {
         it('should draw link path', () => {
@@ -112,28 +204,96 @@ describe('CanvasAnimationFramework', () => {
             expect(context.stroke).toHaveBeenCalled();
         });
 
-        it('should draw start arrow', () => {
-            const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 100 }]);
+        it('should draw curve segments', () => {
+            const path = new Path([{ x: 0, y: 0 }])
+                .quadraticTo(50, -50, 100, 0)
+                .cubicTo(120, 20, 140, 20, 160, 0)
+                .arcTo(200, 0, 20);
+            const link = new Link(path);
+
+            framework.drawLink(link);
+
+            expect(context.quadraticCurveTo).toHaveBeenCalledWith(50, -50, 100, 0);
+            expect(context.bezierCurveTo).toHaveBeenCalledWith(120, 20, 140, 20, 160, 0);
+            const [cx, cy, radius, startAngle, endAngle, anticlockwise] = context.arc.mock.calls[0];
+            expect(cx).toBeCloseTo(180);
+            expect(cy).toBeCloseTo(0);
+            expect(radius).toBe(20);
+            expect(startAngle).toBeCloseTo(Math.PI);
+            expect(endAngle).toBeCloseTo(0);
+            expect(anticlockwise).toBe(false);
+        });
+
+        it('should draw start arrow along the first segment', () => {
+            const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
             const link = new Link(path, 'solid', true, false);
 
             framework.drawLink(link);
 
+            // 起点箭头朝外，指向-x方向
             expect(context.moveTo).toHaveBeenCalledWith(0, 0);
-            expect(context.lineTo).toHaveBeenCalledWith(10, 5);
-            expect(context.lineTo).toHaveBeenCalledWith(10, -5);
+            const [[x1, y1], [x2, y2]] = context.lineTo.mock.calls.slice(-2);
+            expect(x1).toBeCloseTo(10);
+            expect(y1).toBeCloseTo(-5);
+            expect(x2).toBeCloseTo(10);
+            expect(y2).toBeCloseTo(5);
             expect(context.closePath).toHaveBeenCalled();
+            expect(context.fill).toHaveBeenCalled();
         });
 
-        it('should draw end arrow', () => {
-            const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 100 }]);
+        it('should rotate end arrow along the last segment', () => {
+            const path = new Path([{ x: 0, y: 0 }, { x: 0, y: 100 }]);
             const link = new Link(path, 'solid', false, true);
 
             framework.drawLink(link);
 
-            expect(context.moveTo).toHaveBeenCalledWith(100, 100);
-            expect(context.lineTo).toHaveBeenCalledWith(90, 105);
-            expect(context.lineTo).toHaveBeenCalledWith(90, 95);
-            expect(context.closePath).toHaveBeenCalled();
+            expect(context.moveTo).toHaveBeenCalledWith(0, 100);
+            const [[x1, y1], [x2, y2]] = context.lineTo.mock.calls.slice(-2);
+            expect(x1).toBeCloseTo(-5);
+            expect(y1).toBeCloseTo(90);
+            expect(x2).toBeCloseTo(5);
+            expect(y2).toBeCloseTo(90);
+        });
+
+        it('should follow the tangent of curved paths', () => {
+            // 二次曲线在终点的切线方向为从控制点指向终点，即+y方向
+            const path = new Path([{ x: 0, y: 0 }]).quadraticTo(100, 0, 100, 100);
+            const link = new Link(path, 'solid', false, 'open-triangle');
+            link.style.arrowSize = 20;
+
+            framework.drawLink(link);
+
+            const [[x1, y1], [x2, y2]] = context.lineTo.mock.calls.slice(-2);
+            expect(x1).toBeCloseTo(90);
+            expect(y1).toBeCloseTo(80);
+            expect(x2).toBeCloseTo(110);
+            expect(y2).toBeCloseTo(80);
+            // 空心三角只描边
+            expect(context.fill).not.toHaveBeenCalled();
+        });
+
+        it('should draw diamond and circle markers', () => {
+            const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
+            const link = new Link(path, 'solid', 'circle', 'diamond');
+
+            framework.drawLink(link);
+
+            const [cx, cy, radius] = context.arc.mock.calls[0];
+            expect(cx).toBeCloseTo(5);
+            expect(cy).toBeCloseTo(0);
+            expect(radius).toBe(5);
+            // 菱形的尾端
+            expect(context.lineTo.mock.calls.some(([x, y]) => Math.abs(x - 90) < 1e-9 && Math.abs(y) < 1e-9)).toBe(true);
+            expect(context.fill).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not draw markers for none', () => {
+            const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
+            const link = new Link(path, 'solid', 'none', false);
+
+            framework.drawLink(link);
+
+            expect(context.closePath).not.toHaveBeenCalled();
         });
     });
 
@@ -151,6 +311,15 @@ describe('CanvasAnimationFramework', () => {
             expect(context.setLineDash).toHaveBeenCalledWith([]);
         });
 
+        it('should apply opacity', () => {
+            const element = new Element(10, 20);
+            element.style.opacity = 0.4;
+
+            framework.activeDrawStyle(element, element.style);
+
+            expect(context.globalAlpha).toBe(0.4);
+        });
+
         it('should apply dashed line style', () => {
             const element = new Element(10, 20);
             element.style.borderStyle = 'dashed';
@@ -0,0 +1,163 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { JSDOM } from 'jsdom';
+import { PlaybackControls } from '../src/animation-controls.js';
+import { PlaybackController, moveAction, setAction } from '../src/animation-playback.js';
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { Box, Path } from '../src/animation.js';
+
+let dom;
+
+// 手动设置全局 DOM 环境
+beforeAll(() => {
+    dom = new JSDOM('<!DOCTYPE html>');
+    global.document = dom.window.document;
+    global.window = dom.window;
+});
+
+describe('PlaybackControls', () => {
+    let framework;
+    let controller;
+    let controls;
+    let box;
+
+    // 在document上触发按键
+    const press = (key, target = document.body) => {
+        const event = new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        target.dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="controls"></div>';
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+        controller = new PlaybackController(framework);
+        box = new Box(0, 0, 20, 20, 1);
+        framework.addElement(box);
+        controller.record('右移', moveAction(box, new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]), 100));
+        controller.record('修改标签', setAction(box, 'label', 2));
+        controller.record('下移', moveAction(box, new Path([{ x: 100, y: 0 }, { x: 100, y: 100 }]), 100));
+        controls = new PlaybackControls('controls', controller);
+    });
+
+    afterEach(() => {
+        controls.destroy();
+    });
+
+    test('should mount the control bar into the container', () => {
+        const root = document.querySelector('#controls .playback-controls');
+        expect(root).not.toBeNull();
+        expect(document.querySelectorAll('#playback-controls-styles')).toHaveLength(1);
+        expect(root.querySelector('.playback-counter').textContent).toBe('0 / 3');
+        expect(root.querySelector('.playback-scrubber').max).toBe('3');
+        expect(root.querySelector('.playback-step-back').disabled).toBe(true);
+        expect(root.querySelector('.playback-speed-value').textContent).toBe('1x');
+
+        const markers = root.querySelectorAll('.playback-marker');
+        expect(Array.from(markers).map(marker => marker.title)).toEqual(['右移', '修改标签', '下移']);
+        expect(markers[2].style.left).toBe('100%');
+
+        expect(() => new PlaybackControls('missing', controller)).toThrow('Container element "missing" not found');
+        expect(() => new PlaybackControls(document.body, {})).toThrow(TypeError);
+    });
+
+    test('buttons should drive the controller', async () => {
+        document.querySelector('.playback-step-forward').click();
+        await framework.run();
+        expect(controller.position).toBe(1);
+        expect(document.querySelector('.playback-counter').textContent).toBe('1 / 3');
+
+        const play = document.querySelector('.playback-play');
+        play.click();
+        expect(play.textContent).toBe('暂停');
+        play.click();
+        expect(play.textContent).toBe('播放');
+        expect(controller.playing).toBe(false);
+
+        // 暂停前开始的“修改标签”一步会先完成，再后退一步
+        document.querySelector('.playback-step-back').click();
+        expect(box.label).toBe(1);
+        await framework.run();
+        expect(controller.position).toBe(1);
+
+        document.querySelector('.playback-step-back').click();
+        await framework.run();
+        expect(controller.position).toBe(0);
+        expect(box.x).toBe(0);
+    });
+
+    test('scrubber and speed slider should seek and change the speed', () => {
+        const scrubber = document.querySelector('.playback-scrubber');
+        scrubber.value = '2';
+        scrubber.dispatchEvent(new dom.window.Event('input'));
+        expect(controller.position).toBe(2);
+        expect(box).toMatchObject({ x: 100, label: 2 });
+        expect(document.querySelector('.playback-label').textContent).toBe('修改标签');
+
+        const speed = document.querySelector('.playback-speed-input');
+        speed.value = '2';
+        speed.dispatchEvent(new dom.window.Event('input'));
+        expect(framework.timeline.playbackRate).toBe(2);
+        expect(document.querySelector('.playback-speed-value').textContent).toBe('2x');
+    });
+
+    test('failed operations should be passed to onError', async () => {
+        const errors = [];
+        controls.destroy();
+        controls = new PlaybackControls('controls', controller, { onError: error => errors.push(error) });
+        press('End');
+        controller.record('出错', { forward() { throw new Error('动作失败'); }, backward() {} });
+
+        document.querySelector('.playback-step-forward').click();
+        await framework.run();
+        await Promise.resolve();
+        expect(errors.map(error => error.message)).toEqual(['动作失败']);
+
+        // 同步抛出的错误同样交给onError
+        await controls.perform(c => c.seek(-1));
+        expect(errors[1]).toBeInstanceOf(RangeError);
+
+        // 没有onError时返回被拒绝的Promise
+        controls.destroy();
+        controls = new PlaybackControls('controls', controller);
+        await expect(controls.perform(c => c.seek(10))).rejects.toThrow(RangeError);
+        await expect(controls.perform(c => c.seek(0))).resolves.toBeUndefined();
+        expect(() => new PlaybackControls('controls', controller, { onError: 'log' })).toThrow('onError必须为函数');
+    });
+
+    test('keyboard shortcuts should control playback', async () => {
+        expect(press('End').defaultPrevented).toBe(true);
+        expect(controller.position).toBe(3);
+        press('Home');
+        expect(controller.position).toBe(0);
+
+        press('ArrowRight');
+        await framework.run();
+        expect(controller.position).toBe(1);
+
+        press(' ');
+        expect(controller.playing).toBe(true);
+        press(' ');
+        expect(controller.playing).toBe(false);
+
+        // 输入框中的按键不处理
+        const input = document.createElement('input');
+        document.body.appendChild(input);
+        expect(press('Home', input).defaultPrevented).toBe(false);
+        expect(controller.position).toBe(1);
+    });
+
+    test('destroy should remove the control bar and the shortcuts', () => {
+        const listener = jest.spyOn(controller, 'seek');
+        controls.destroy();
+        expect(document.querySelector('.playback-controls')).toBeNull();
+        press('End');
+        expect(listener).not.toHaveBeenCalled();
+
+        // afterEach中再次destroy
+        controls = new PlaybackControls('controls', controller, { keyboard: false });
+        press('End');
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
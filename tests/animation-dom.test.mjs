@@ -7,7 +7,7 @@ import { JSDOM } from 'jsdom';
  * @jest-environment jsdom
  */
 import { DOMAnimationFramework } from '../src/animation-dom.js';
-import { Element, Box, Link, Path } from '../src/animation.js';
+import { Element, Box, Text, Link, Path, Group, Timeline } from '../src/animation.js';
 
 // 手动设置全局 DOM 环境
 beforeAll(() => {
@@ -105,6 +105,19 @@ describe('DOMAnimationFramework', () => {
             expect(domElement.style.backgroundColor).toBe('blue');
         });
 
+        it('should update opacity and size of existing box', () => {
+            const box = new Box(10, 20, 100, 50);
+            framework.drawBox(box);
+
+            box.style.opacity = 0.5;
+            box.width = 120;
+            framework.drawBox(box);
+
+            const domElement = root.querySelector('div');
+            expect(domElement.style.opacity).toBe('0.5');
+            expect(domElement.style.width).toBe('120px');
+        });
+
         it('should update existing box', () => {
             const box = new Box(10, 20, 100, 50);
             framework.drawBox(box);
@@ -119,8 +132,134 @@ describe('DOMAnimationFramework', () => {
         });
     });
 
+    // 测试文本渲染
+    describe('Text Rendering', () => {
+        it('should render box label with font styles', () => {
+            const box = new Box(10, 20, 50, 40, 3);
+            box.style.textColor = 'red';
+            box.style.textSize = 20;
+            box.style.fontName = 'Courier';
+
+            framework.drawBox(box);
+
+            const domElement = framework.elementMap.get(box.id);
+            expect(domElement.textContent).toBe('3');
+            expect(domElement.style.color).toBe('red');
+            expect(domElement.style.fontSize).toBe('20px');
+            expect(domElement.style.fontFamily).toBe('Courier');
+            expect(domElement.style.textAlign).toBe('center');
+            expect(domElement.style.lineHeight).toBe('40px');
+
+            box.setLabel(9);
+            framework.drawBox(box);
+            expect(domElement.textContent).toBe('9');
+        });
+
+        it('should render text element aligned to its anchor', () => {
+            const text = new Text(100, 50, 'low', 'center', 'middle');
+            text.style.textDecoration = 'underline';
+
+            framework.drawText(text);
+
+            const domElement = framework.elementMap.get(text.id);
+            expect(domElement.textContent).toBe('low');
+            expect(domElement.style.left).toBe('100px');
+            expect(domElement.style.top).toBe('50px');
+            expect(domElement.style.transform).toBe('translate(-50%, -50%)');
+            expect(domElement.style.textDecoration).toBe('underline');
+        });
+    });
+
+    // 测试Group渲染
+    describe('Group Rendering', () => {
+        it('should nest children inside the group node', () => {
+            const box = new Box(10, 0, 20, 20);
+            const group = new Group(100, 50, [box]);
+            group.setRotation(45);
+            group.setScale(2);
+            framework.addElement(group);
+
+            framework.update();
+
+            const groupNode = framework.elementMap.get(group.id);
+            const boxNode = framework.elementMap.get(box.id);
+            expect(groupNode.parentNode).toBe(root);
+            expect(boxNode.parentNode).toBe(groupNode);
+            expect(groupNode.style.left).toBe('100px');
+            expect(groupNode.style.transform).toBe('rotate(45deg) scale(2, 2)');
+            expect(boxNode.style.left).toBe('10px');
+        });
+
+        it('should flash children with the group', () => {
+            const box = new Box(0, 0, 20, 20);
+            const group = new Group(0, 0, [box]);
+            framework.addElement(group);
+
+            framework.addFlash(group);
+            framework.update();
+            expect(framework.elementMap.get(box.id).classList.contains('flashing')).toBe(true);
+
+            framework.removeFlash(group);
+            framework.update();
+            expect(framework.elementMap.get(box.id).classList.contains('flashing')).toBe(false);
+        });
+
+        it('should prune nodes of children that left the group', () => {
+            const box = new Box(0, 0, 20, 20);
+            const inner = new Box(0, 0, 10, 10);
+            const nested = new Group(30, 0, [inner]);
+            const group = new Group(0, 0, [box, nested]);
+            const other = new Group(100, 0);
+            framework.addElement(group);
+            framework.addElement(other);
+            framework.update();
+
+            // 移出的子分组连同子孙一起移除，移到其他分组的子元素在新的分组中绘制
+            group.remove(nested);
+            other.add(box);
+            framework.update();
+
+            const groupNode = framework.elementMap.get(group.id);
+            expect(groupNode.childNodes).toHaveLength(0);
+            expect(framework.elementMap.has(nested.id)).toBe(false);
+            expect(framework.elementMap.has(inner.id)).toBe(false);
+            expect(framework.elementMap.get(box.id).parentNode).toBe(framework.elementMap.get(other.id));
+        });
+
+        it('should remove children with the group', () => {
+            const box = new Box(0, 0, 20, 20);
+            const group = new Group(0, 0, [box]);
+            framework.addElement(group);
+            framework.update();
+
+            framework.removeElement(group.id);
+
+            expect(framework.elementMap.has(box.id)).toBe(false);
+            expect(root.children).toHaveLength(0);
+        });
+    });
+
     // 测试Link渲染
     describe('Link Rendering', () => {
+        it('should keep bound links attached while elements move', () => {
+            const timeline = new Timeline({ fixedStep: 10 });
+            framework.setTimeline(timeline);
+            const box1 = new Box(0, 0, 20, 20);
+            const box2 = new Box(100, 0, 20, 20);
+            const link = framework.createLink(box1, box2, 'solid', false, false);
+            framework.addElement(box1);
+            framework.addElement(box2);
+            framework.addElement(link);
+
+            box2.moveBy(framework, new Path([{ x: 100, y: 0 }, { x: 0, y: 100 }]), 100);
+            timeline.step(10);
+
+            const domElement = framework.elementMap.get(link.id);
+            expect(link.path.getEndPoint()).toEqual({ x: 10, y: 110 });
+            expect(domElement.style.width).toBe('100px');
+            expect(domElement.style.transform).toBe('rotate(90deg)');
+        });
+
         it('should create DOM element for link', () => {
             const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 100 }]);
             const link = new Link(path);
@@ -133,32 +272,81 @@ describe('DOMAnimationFramework', () => {
             expect(domElement.style.transform).toContain('rotate(45deg)');
         });
 
+        it('should render curved link as SVG path', () => {
+            const path = new Path([{ x: 0, y: 50 }]).quadraticTo(50, 0, 100, 50);
+            const link = new Link(path, 'dashed');
+            link.style.borderColor = 'blue';
+
+            framework.drawLink(link);
+
+            const svgElement = framework.elementMap.get(link.id);
+            expect(svgElement.tagName.toLowerCase()).toBe('svg');
+            const pathElement = svgElement.querySelector('path');
+            expect(pathElement.getAttribute('d')).toBe('M 0 50 Q 50 0 100 50');
+            expect(pathElement.getAttribute('stroke')).toBe('blue');
+            expect(pathElement.getAttribute('stroke-dasharray')).toBe('5 10');
+            expect(pathElement.getAttribute('fill')).toBe('none');
+        });
+
+        it('should switch node type when path shape changes', () => {
+            const link = new Link(new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]));
+            framework.drawLink(link);
+            expect(framework.elementMap.get(link.id).tagName.toLowerCase()).toBe('div');
+
+            link.path = new Path([{ x: 0, y: 0 }, { x: 50, y: 50 }, { x: 100, y: 0 }]);
+            framework.drawLink(link);
+
+            expect(framework.elementMap.get(link.id).tagName.toLowerCase()).toBe('svg');
+            expect(root.querySelectorAll('.link-element')).toHaveLength(1);
+        });
+
         it('should render start arrow', () => {
             const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
             const link = new Link(path, 'solid', true, false);
 
             framework.drawLink(link);
 
+            // 带箭头的链接使用SVG绘制
             const domElement = root.querySelector('.link-element');
-            expect(domElement.dataset.arrows).toBe('true,false');
-            
-            // 检查伪元素是否存在
-            const beforeContent = getComputedStyle(domElement, '::before').content;
-            expect(beforeContent).not.toBe('none');
+            expect(domElement.tagName.toLowerCase()).toBe('svg');
+            const markers = domElement.querySelectorAll('.link-marker');
+            expect(markers).toHaveLength(1);
+            expect(markers[0].getAttribute('data-marker')).toBe('triangle');
+            expect(markers[0].getAttribute('points')).toBe('0,0 10,-5 10,5');
         });
 
-        it('should render end arrow', () => {
+        it('should render end arrow rotated along the path', () => {
+            const path = new Path([{ x: 0, y: 0 }, { x: 0, y: 100 }]);
+            const link = new Link(path, 'solid', false, 'diamond');
+            link.style.borderColor = 'blue';
+
+            framework.drawLink(link);
+
+            const marker = root.querySelector('.link-marker');
+            const points = marker.getAttribute('points').split(' ').map(p => p.split(',').map(Number));
+            expect(points[0]).toEqual([0, 100]);
+            expect(points[2]).toEqual([0, 90]);
+            expect(marker.getAttribute('fill')).toBe('blue');
+        });
+
+        it('should render circle and open triangle markers', () => {
             const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
-            const link = new Link(path, 'solid', false, true);
+            const link = new Link(path, 'solid', 'circle', 'open-triangle');
+            link.style.arrowSize = 20;
 
             framework.drawLink(link);
 
-            const domElement = root.querySelector('.link-element');
-            expect(domElement.dataset.arrows).toBe('false,true');
-            
-            // 检查伪元素是否存在
-            const afterContent = getComputedStyle(domElement, '::after').content;
-            expect(afterContent).not.toBe('none');
+            const circle = root.querySelector('circle.link-marker');
+            expect(circle.getAttribute('cx')).toBe('10');
+            expect(circle.getAttribute('r')).toBe('10');
+            const triangle = root.querySelector('polygon.link-marker');
+            expect(triangle.getAttribute('fill')).toBe('none');
+
+            // 去掉箭头后恢复为div
+            link.startArrow = 'none';
+            link.endArrow = false;
+            framework.drawLink(link);
+            expect(framework.elementMap.get(link.id).tagName.toLowerCase()).toBe('div');
         });
     });
 
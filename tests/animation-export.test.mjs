@@ -0,0 +1,148 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FrameExporter } from '../src/animation-export.js';
+import { Box, Path } from '../src/animation.js';
+import { parseColor } from '../src/color.js';
+import { decodeGIF } from './helpers/gif-decoder.mjs';
+
+/**
+ * 测试用的光栅画布，只实现clearRect、fillRect和矩形填充，足以验证导出的帧内容
+ * 不依赖canvas包的原生模块
+ */
+function createRasterCanvas(width, height) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    let pendingRect = null;
+
+    const paint = (x, y, w, h, color, onlyEmpty) => {
+        const rgba = parseColor(color);
+        for (let row = Math.max(0, Math.round(y)); row < Math.min(height, Math.round(y + h)); row++) {
+            for (let col = Math.max(0, Math.round(x)); col < Math.min(width, Math.round(x + w)); col++) {
+                const offset = (row * width + col) * 4;
+                if (onlyEmpty && pixels[offset + 3] !== 0) continue;
+                pixels.set([rgba.r, rgba.g, rgba.b, Math.round(rgba.a * 255)], offset);
+            }
+        }
+    };
+
+    const context = {
+        fillStyle: 'black',
+        strokeStyle: 'black',
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        clearRect: () => pixels.fill(0),
+        fillRect(x, y, w, h) {
+            paint(x, y, w, h, this.fillStyle, this.globalCompositeOperation === 'destination-over');
+        },
+        rect: (x, y, w, h) => { pendingRect = { x, y, w, h }; },
+        fill() {
+            if (pendingRect) paint(pendingRect.x, pendingRect.y, pendingRect.w, pendingRect.h, this.fillStyle, false);
+        },
+        beginPath: () => { pendingRect = null; },
+        getImageData: () => ({ data: new Uint8ClampedArray(pixels) }),
+        measureText: () => ({ width: 0 }),
+        save: () => {},
+        restore() {
+            this.globalCompositeOperation = 'source-over';
+        }
+    };
+    ['stroke', 'moveTo', 'lineTo', 'closePath', 'setLineDash', 'fillText', 'arc',
+        'quadraticCurveTo', 'bezierCurveTo', 'translate', 'rotate', 'scale'].forEach(name => {
+        context[name] = () => {};
+    });
+
+    return {
+        width,
+        height,
+        getContext: () => context,
+        toBuffer: () => Buffer.from(pixels)
+    };
+}
+
+// 一个红色方块从左向右移动的场景
+function movingBox(framework) {
+    const box = new Box(0, 0, 2, 2);
+    box.style.backgroundColor = 'red';
+    framework.addElement(box);
+    return framework.moveBy(box, new Path([{ x: 0, y: 0 }, { x: 8, y: 0 }]), 400);
+}
+
+describe('FrameExporter', () => {
+    let exporter;
+
+    beforeEach(() => {
+        exporter = new FrameExporter({ width: 10, height: 2, fps: 10, createCanvas: createRasterCanvas });
+    });
+
+    it('should validate options', () => {
+        expect(() => new FrameExporter({ width: 0, height: 10 })).toThrow(RangeError);
+        expect(() => new FrameExporter({ width: 10, height: 10, fps: 0 })).toThrow(RangeError);
+    });
+
+    it('should capture frames on a fixed clock until the animation ends', async () => {
+        const times = [];
+        const count = await exporter.capture(movingBox, (canvas, { index, time }) => times.push([index, time]));
+
+        // 400毫秒的动画，每帧100毫秒，加上初始帧共5帧
+        expect(count).toBe(5);
+        expect(times).toEqual([[0, 0], [1, 100], [2, 200], [3, 300], [4, 400]]);
+    });
+
+    it('should follow awaited animation sequences', async () => {
+        const count = await exporter.capture(async framework => {
+            await movingBox(framework);
+            await movingBox(framework);
+        }, () => {});
+        expect(count).toBe(9);
+    });
+
+    it('should honour the frame range', async () => {
+        const indices = [];
+        await exporter.capture(movingBox, (canvas, { index }) => indices.push(index), { startFrame: 1, endFrame: 3 });
+        expect(indices).toEqual([1, 2]);
+
+        await expect(exporter.capture(movingBox, () => {}, { startFrame: 3, endFrame: 3 })).rejects.toThrow(RangeError);
+    });
+
+    it('should rethrow scene errors', async () => {
+        await expect(exporter.capture(() => {
+            throw new Error('broken scene');
+        }, () => {})).rejects.toThrow('broken scene');
+    });
+
+    it('should encode an animated gif with the moving box', async () => {
+        const gif = decodeGIF(await exporter.encodeGIF(movingBox, { repeat: 0 }));
+
+        expect(gif.width).toBe(10);
+        expect(gif.frames).toHaveLength(5);
+        expect(gif.frames[0].delay).toBe(100);
+
+        // 方块左上角的像素：第0帧在x=0，最后一帧在x=8；背景为白色
+        const colorAt = (frame, x) => frame.palette[frame.indices[x]];
+        expect(colorAt(gif.frames[0], 0)).toEqual([255, 0, 0]);
+        expect(colorAt(gif.frames[0], 9)).toEqual([255, 255, 255]);
+        expect(colorAt(gif.frames[4], 0)).toEqual([255, 255, 255]);
+        expect(colorAt(gif.frames[4], 8)).toEqual([255, 0, 0]);
+    });
+
+    it('should write a png sequence and a gif file', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'cartoon-export-'));
+        try {
+            const files = await exporter.exportPNGSequence(movingBox, join(directory, 'frames'), { endFrame: 2 });
+            expect(files.map(file => file.slice(directory.length + 1))).toEqual([
+                join('frames', 'frame_0000.png'),
+                join('frames', 'frame_0001.png')
+            ]);
+            expect(await readdir(join(directory, 'frames'))).toHaveLength(2);
+
+            await exporter.exportGIF(movingBox, join(directory, 'box.gif'));
+            const bytes = await readFile(join(directory, 'box.gif'));
+            expect(bytes.subarray(0, 6).toString()).toBe('GIF89a');
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -6,7 +6,7 @@ import { JSDOM } from 'jsdom';
 /**
  * @jest-environment jsdom
  */
-import { Element, Box, Link, Path, AnimationFramework } from '../src/animation.js';
+import { Element, Box, Link, Path, AnimationHandle, Timeline, AnimationFramework } from '../src/animation.js';
 
 // 手动设置全局 DOM 环境
 beforeAll(() => {
@@ -423,4 +423,179 @@ describe('followPath', () => {
         });
     });
 
+    describe('animation handle', () => {
+        it('should resolve the handle with true when the move completes', async () => {
+            jest.useFakeTimers();
+
+            const completeCallback = jest.fn();
+            const handle = framework.moveBetweenPoints({ x: 0, y: 0 }, { x: 100, y: 0 }, 100, null, completeCallback);
+
+            expect(handle).toBeInstanceOf(AnimationHandle);
+            expect(handle.state).toBe('running');
+
+            jest.advanceTimersByTime(1000);
+
+            expect(completeCallback).toHaveBeenCalled();
+            expect(handle.state).toBe('finished');
+            await expect(handle.finished).resolves.toBe(true);
+            await expect(handle).resolves.toBe(true);
+
+            jest.useRealTimers();
+        });
+
+        it('should stop a looping followPath when cancelled', async () => {
+            jest.useFakeTimers();
+
+            const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }]);
+            const updateCallback = jest.fn();
+            const completeCallback = jest.fn();
+
+            const handle = framework.followPath(path, updateCallback, 'forward', 100, completeCallback, true, true);
+
+            jest.advanceTimersByTime(1000);
+            expect(updateCallback).toHaveBeenCalled();
+
+            handle.cancel();
+            const callCount = updateCallback.mock.calls.length;
+
+            jest.advanceTimersByTime(1000);
+
+            expect(updateCallback).toHaveBeenCalledTimes(callCount);
+            expect(completeCallback).not.toHaveBeenCalled();
+            expect(handle.state).toBe('cancelled');
+            await expect(handle.finished).resolves.toBe(false);
+
+            jest.useRealTimers();
+        });
+
+        it('should pause and resume moveAlongPath', async () => {
+            jest.useFakeTimers();
+
+            const points = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }];
+            const stepCallback = jest.fn();
+            const completeCallback = jest.fn();
+
+            const handle = framework.moveAlongPath(points, 100000, stepCallback, null, completeCallback);
+
+            jest.advanceTimersByTime(10);
+            handle.pause();
+            expect(handle.state).toBe('paused');
+            const callCount = stepCallback.mock.calls.length;
+
+            jest.advanceTimersByTime(1000);
+            expect(stepCallback).toHaveBeenCalledTimes(callCount);
+
+            handle.resume();
+            expect(handle.state).toBe('running');
+            jest.advanceTimersByTime(100000);
+
+            expect(stepCallback.mock.calls.length).toBeGreaterThan(callCount);
+            expect(completeCallback).toHaveBeenCalled();
+            await expect(handle).resolves.toBe(true);
+
+            jest.useRealTimers();
+        });
+
+        it('should ignore pause and cancel after completion', async () => {
+            const handle = new AnimationHandle();
+            handle.complete();
+            handle.pause();
+            handle.cancel();
+
+            expect(handle.state).toBe('finished');
+            await expect(handle).resolves.toBe(true);
+        });
+    });
+
+    describe('constant speed', () => {
+        let timeline;
+
+        beforeEach(() => {
+            timeline = new Timeline({ fixedStep: 10 });
+            framework.setTimeline(timeline);
+        });
+
+        it('should spread time by segment length', () => {
+            // 第一段长度25，第二段长度75
+            const points = [{ x: 0, y: 0 }, { x: 25, y: 0 }, { x: 25, y: 75 }];
+            const stepCallback = jest.fn();
+            const segmentCompleteCallback = jest.fn();
+
+            framework.moveAlongPath(points, 100, stepCallback, segmentCompleteCallback, null, { timing: 'distance' });
+
+            timeline.step(2);
+            expect(stepCallback).toHaveBeenLastCalledWith(20, 0, 1, 0);
+
+            timeline.step(1);
+            expect(segmentCompleteCallback).toHaveBeenCalledWith(0);
+            let lastCall = stepCallback.mock.calls[stepCallback.mock.calls.length - 1];
+            expect(lastCall[1]).toBeCloseTo(5);
+            expect(lastCall[3]).toBe(1);
+
+            timeline.step(3);
+            lastCall = stepCallback.mock.calls[stepCallback.mock.calls.length - 1];
+            expect(lastCall[0]).toBeCloseTo(25);
+            expect(lastCall[1]).toBeCloseTo(35);
+        });
+
+        it('should keep evenly timed segments by default', () => {
+            const points = [{ x: 0, y: 0 }, { x: 25, y: 0 }, { x: 25, y: 75 }];
+            const stepCallback = jest.fn();
+
+            framework.moveAlongPath(points, 100, stepCallback, null, null);
+
+            timeline.step(2);
+            expect(stepCallback).toHaveBeenLastCalledWith(10, 0, 1, 0);
+        });
+
+        it('should move followPath at constant speed', () => {
+            const path = new Path([{ x: 0, y: 0 }, { x: 25, y: 0 }, { x: 25, y: 75 }]);
+            const updateCallback = jest.fn();
+
+            framework.followPath(path, updateCallback, 'forward', 100, null, false, false, { timing: 'distance' });
+
+            // 匀速运动时任意时刻的位置都等于按弧长取得的点
+            for (let i = 1; i < 10; i++) {
+                timeline.step();
+                const [x, y] = updateCallback.mock.calls[updateCallback.mock.calls.length - 1];
+                const expected = path.getPointAt(i / 10);
+                expect(x).toBeCloseTo(expected.x);
+                expect(y).toBeCloseTo(expected.y);
+            }
+        });
+
+        it('should follow an arc accurately', () => {
+            const path = new Path([{ x: 0, y: 0 }]).arcTo(100, 0, 50);
+            const updateCallback = jest.fn();
+
+            framework.followPath(path, updateCallback, 'forward', 100);
+
+            for (let i = 0; i < 10; i++) {
+                timeline.step();
+                const [x, y] = updateCallback.mock.calls[updateCallback.mock.calls.length - 1];
+                // 每一帧的位置都在圆上
+                expect(Math.hypot(x - 50, y)).toBeCloseTo(50);
+                expect(y).toBeLessThanOrEqual(0.0001);
+            }
+            expect(updateCallback).toHaveBeenLastCalledWith(100, 0, 9, 0, 0, 'forward');
+        });
+
+        it('should follow a curve backward', () => {
+            const path = new Path([{ x: 0, y: 0 }]).quadraticTo(50, 100, 100, 0);
+            const updateCallback = jest.fn();
+
+            framework.followPath(path, updateCallback, 'backward', 100);
+
+            timeline.step(5);
+            const [x, y] = updateCallback.mock.calls[4];
+            expect(x).toBeCloseTo(50);
+            expect(y).toBeCloseTo(50);
+        });
+
+        it('should reject unknown timing', () => {
+            const points = [{ x: 0, y: 0 }, { x: 25, y: 0 }];
+            expect(() => framework.moveAlongPath(points, 100, null, null, null, { timing: 'fast' })).toThrow(TypeError);
+        });
+    });
+
 });
\ No newline at end of file
@@ -0,0 +1,196 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import {
+    PlaybackController, moveAction, animateAction, flashAction, setAction, addTemporaryAction
+} from '../src/animation-playback.js';
+import { Box, Path } from '../src/animation.js';
+
+// 使用固定步长的录制渲染器，动画进度完全由测试控制
+
+describe('PlaybackController', () => {
+    let framework;
+    let controller;
+    let box;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+        controller = new PlaybackController(framework);
+        box = new Box(0, 0, 20, 20, 1);
+        framework.addElement(box);
+
+        controller.record('右移', moveAction(box, new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]), 100));
+        controller.record('变色并修改标签', [animateAction(box, { backgroundColor: 'red' }, 50), setAction(box, 'label', 2)]);
+        controller.record('下移', moveAction(box, new Path([{ x: 100, y: 0 }, { x: 100, y: 100 }]), 100));
+    });
+
+    test('should validate the framework and recorded actions', () => {
+        expect(() => new PlaybackController({})).toThrow(TypeError);
+        expect(() => controller.record('无效', { forward() {} })).toThrow('动作必须包含forward和backward方法');
+        expect(() => controller.record(1, [])).toThrow(TypeError);
+        expect(controller.getState()).toEqual({ position: 0, length: 3, playing: false, label: '' });
+    });
+
+    test('play should run all steps in order and emit events', async () => {
+        const events = [];
+        ['play', 'step', 'end'].forEach(name => controller.on(name, () => events.push(name)));
+
+        const played = controller.play();
+        await framework.run();
+        await played;
+
+        expect(events).toEqual(['play', 'step', 'step', 'step', 'end']);
+        expect(box).toMatchObject({ x: 100, y: 100, label: 2 });
+        expect(box.style.backgroundColor).toBe('red');
+        expect(controller.getState()).toEqual({ position: 3, length: 3, playing: false, label: '下移' });
+    });
+
+    test('stepForward and stepBack should animate one step at a time', async () => {
+        const stepped = controller.stepForward();
+        framework.timeline.step(5);
+        expect(box.x).toBe(50);
+        expect(controller.position).toBe(0);
+        framework.timeline.step(5);
+        expect(await stepped).toBe(true);
+        expect(controller.position).toBe(1);
+
+        const second = controller.stepForward();
+        await framework.run();
+        await second;
+        const back = controller.stepBack();
+        framework.timeline.step(2);
+        // 撤销时补间回原来的颜色，标签立即恢复
+        expect(box.label).toBe(1);
+        expect(box.style.backgroundColor).not.toBe('red');
+        await framework.run();
+        await back;
+        expect(box.style.backgroundColor).toBe('transparent');
+        expect(controller.position).toBe(1);
+
+        const backAgain = controller.stepBack();
+        await framework.run();
+        await backAgain;
+        expect(box.x).toBe(0);
+        expect(await controller.stepBack()).toBe(false);
+    });
+
+    test('pause should freeze the current step and play should resume it', async () => {
+        const played = controller.play();
+        framework.timeline.step(3);
+        controller.pause();
+        expect(controller.playing).toBe(false);
+        framework.timeline.step(5);
+        expect(box.x).toBe(30);
+
+        const resumed = controller.play();
+        await framework.run();
+        await Promise.all([played, resumed]);
+        expect(controller.position).toBe(3);
+        expect(box).toMatchObject({ x: 100, y: 100 });
+    });
+
+    test('seek should jump instantly in both directions', async () => {
+        const seeks = [];
+        controller.on('seek', detail => seeks.push(detail));
+
+        controller.seek(3);
+        expect(box).toMatchObject({ x: 100, y: 100, label: 2 });
+        expect(box.style.backgroundColor).toBe('red');
+
+        controller.seek(1);
+        expect(box).toMatchObject({ x: 100, y: 0, label: 1 });
+        expect(box.style.backgroundColor).toBe('transparent');
+
+        controller.seek(0);
+        expect(box).toMatchObject({ x: 0, y: 0 });
+        expect(seeks).toEqual([{ from: 0, to: 3 }, { from: 3, to: 1 }, { from: 1, to: 0 }]);
+        expect(() => controller.seek(4)).toThrow(RangeError);
+    });
+
+    test('seek during playback should complete the running step first', async () => {
+        const played = controller.play();
+        framework.timeline.step(4);
+
+        controller.seek(2);
+        await played;
+        expect(controller.playing).toBe(false);
+        expect(controller.position).toBe(2);
+        expect(box).toMatchObject({ x: 100, y: 0, label: 2 });
+        // 被中断的动画不再移动元素
+        framework.timeline.step(10);
+        expect(box.x).toBe(100);
+    });
+
+    test('change listeners should receive the state and can be removed', () => {
+        const listener = jest.fn();
+        const off = controller.on('change', listener);
+
+        controller.seek(2);
+        expect(listener).toHaveBeenLastCalledWith({ position: 2, length: 3, playing: false, label: '变色并修改标签' });
+
+        off();
+        controller.seek(0);
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('flash and temporary element actions should be reversible', () => {
+        const mark = new Box(0, 30, 60, 5);
+        controller.clear();
+        controller.record('比较', [flashAction(box), addTemporaryAction(mark)]);
+
+        controller.seek(1);
+        expect(framework.flashingElements).toEqual([box]);
+        expect(framework.temporaryObjects).toEqual([mark]);
+
+        controller.seek(0);
+        expect(framework.flashingElements).toEqual([]);
+        expect(framework.temporaryObjects).toEqual([]);
+    });
+
+    test('interrupting a step should only finish the actions that are still running', async () => {
+        const mark = new Box(0, 30, 60, 5);
+        // 不是幂等的动作：每次执行都把计数加一，动画版本在50毫秒后加一
+        let count = 0;
+        const counter = {
+            forward: (fw, animated) => animated
+                ? fw.timeline.createTween(50, () => {}, () => { count++; })
+                : void count++,
+            backward: () => { count--; }
+        };
+        controller.clear();
+        controller.record('混合', [
+            addTemporaryAction(mark),
+            counter,
+            moveAction(box, new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]), 500)
+        ]);
+        controller.record('结束', setAction(box, 'label', 2));
+
+        controller.stepForward();
+        framework.timeline.step(10);
+        expect(count).toBe(1);
+        expect(box.x).toBeLessThan(100);
+
+        // 中断时只有移动还没有完成
+        controller.stepForward();
+        expect(framework.temporaryObjects).toEqual([mark]);
+        expect(count).toBe(1);
+        expect(box.x).toBe(100);
+        await framework.run();
+        expect(controller.position).toBe(2);
+        expect(box.label).toBe(2);
+
+        // 后退时同样只撤销一次
+        controller.seek(1);
+        controller.stepBack();
+        framework.timeline.step(10);
+        controller.seek(1);
+        expect(count).toBe(1);
+        expect(framework.temporaryObjects).toEqual([mark]);
+        expect(box.x).toBe(100);
+
+        // 临时元素不会重复添加
+        framework.createTemporaryElement(mark);
+        expect(framework.temporaryObjects).toEqual([mark]);
+    });
+});
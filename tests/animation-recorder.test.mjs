@@ -0,0 +1,137 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { RecordingAnimationFramework, describeElement } from '../src/animation-recorder.js';
+import { Box, Text, Link, Path, Group, Timeline } from '../src/animation.js';
+
+// 录制渲染器不需要DOM，直接在node环境中运行
+
+describe('RecordingAnimationFramework', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    it('should use a fixed step timeline by default', () => {
+        expect(framework.timeline.fixedStep).toBe(10);
+        expect(new RecordingAnimationFramework().timeline.fixedStep).toBe(20);
+
+        const timeline = new Timeline({ fixedStep: 5 });
+        expect(new RecordingAnimationFramework({ timeline }).timeline).toBe(timeline);
+    });
+
+    it('should record draw calls and element states per tick', () => {
+        const box = new Box(0, 0, 20, 20, 3);
+        box.id = 'box';
+        framework.addElement(box);
+
+        framework.moveBy(box, new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]), 50);
+        framework.timeline.step(5);
+
+        expect(framework.frames).toHaveLength(5);
+        expect(framework.frames.map(frame => frame.time)).toEqual([10, 20, 30, 40, 50]);
+        expect(framework.frames.map(frame => frame.elements.box.x)).toEqual([20, 40, 60, 80, 100]);
+        expect(framework.frames[0].calls).toEqual([{ method: 'drawBox', id: 'box' }]);
+        expect(framework.frames[4].elements.box).toEqual({
+            id: 'box',
+            type: 'Box',
+            x: 100,
+            y: 0,
+            visible: true,
+            flashing: false,
+            style: box.style,
+            width: 20,
+            height: 20,
+            label: '3'
+        });
+    });
+
+    it('should record groups, texts and links', () => {
+        const box = new Box(0, 0, 20, 20);
+        box.id = 'child';
+        const group = new Group(100, 0, [box]);
+        group.id = 'group';
+        const text = new Text(0, 50, 'pivot');
+        text.id = 'text';
+        const link = framework.createLink(box, text, 'solid', false, true);
+        link.id = 'link';
+        [group, text, link].forEach(element => framework.addElement(element));
+        framework.addFlash(group);
+
+        framework.update();
+
+        const frame = framework.frames[0];
+        expect(frame.calls.map(call => call.method)).toEqual(['drawGroup', 'drawBox', 'drawText', 'drawLink']);
+        expect(frame.elements.child.parent).toBe('group');
+        expect(frame.elements.child.flashing).toBe(true);
+        expect(frame.elements.group.children).toEqual(['child']);
+        expect(frame.elements.text.text).toBe('pivot');
+        expect(frame.elements.link.points).toEqual([{ x: 110, y: 10 }, { x: 0, y: 50 }]);
+        expect(frame.elements.link.source).toBe('child');
+    });
+
+    it('should run awaited animation scripts to the end', async () => {
+        const box = new Box(0, 0, 10, 10);
+        framework.addElement(box);
+
+        const script = async () => {
+            await framework.moveBy(box, new Path([{ x: 0, y: 0 }, { x: 50, y: 0 }]), 50);
+            await framework.moveBy(box, new Path([{ x: 50, y: 0 }, { x: 50, y: 50 }]), 50);
+        };
+        const done = script();
+
+        const steps = await framework.run();
+        await done;
+
+        expect(steps).toBe(10);
+        expect(box.x).toBe(50);
+        expect(box.y).toBe(50);
+        expect(framework.frames).toHaveLength(10);
+    });
+
+    it('should stop running flashing scenes after maxSteps', async () => {
+        const box = new Box(0, 0, 10, 10);
+        framework.addElement(box);
+        framework.addFlash(box);
+
+        expect(await framework.run({ maxSteps: 3 })).toBe(3);
+    });
+
+    it('should produce the same log for the same script', async () => {
+        const record = async () => {
+            const recorder = new RecordingAnimationFramework();
+            const box = new Box(0, 0, 10, 10);
+            box.id = 'box';
+            recorder.addElement(box);
+            recorder.animate(box, { x: 100, backgroundColor: 'red' }, 100, 'easeInOutQuad');
+            await recorder.run();
+            return JSON.stringify(recorder);
+        };
+
+        const log = await record();
+        expect(await record()).toBe(log);
+        expect(JSON.parse(log).frames).toHaveLength(5);
+    });
+
+    it('should clear frames', () => {
+        framework.update();
+        framework.clear();
+        expect(framework.getSceneLog()).toEqual({ fixedStep: 10, frames: [] });
+    });
+});
+
+describe('describeElement', () => {
+    it('should copy path geometry', () => {
+        const framework = new RecordingAnimationFramework();
+        const path = new Path([{ x: 0, y: 0 }]).quadraticTo(50, 50, 100, 0);
+        const link = new Link(path, 'dashed', 'circle', false);
+
+        const state = describeElement(link, framework);
+        path.points[0].x = 10;
+
+        expect(state.points[0].x).toBe(0);
+        expect(state.segments).toEqual([{ type: 'quadratic', cp: { x: 50, y: 50 } }]);
+        expect(state.startArrow).toBe('circle');
+    });
+});
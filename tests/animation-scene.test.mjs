@@ -0,0 +1,184 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { parsePath, describePath, loadScene } from '../src/animation-scene.js';
+import { Box, Text, Link, Path, Group, AnimationFramework } from '../src/animation.js';
+
+// 场景格式与渲染方式无关，使用录制渲染器在node环境中测试
+
+const SCENE = {
+    version: 1,
+    elements: [
+        { type: 'box', id: 'a', x: 0, y: 0, width: 40, height: 40, label: 3, style: { backgroundColor: 'yellow' } },
+        { type: 'text', id: 'caption', x: 20, y: 60, text: 'pivot', align: 'center' },
+        {
+            type: 'group', id: 'g', x: 100, y: 0, rotation: 90, children: [
+                { type: 'box', id: 'b', x: 0, y: 0, width: 40, height: 40, label: 'b', ports: { out: { x: 40, y: 20 } } }
+            ]
+        },
+        { type: 'link', id: 'l', source: 'a', target: 'b', sourceAnchor: 'right', targetAnchor: 'out', endArrow: 'triangle' },
+        { type: 'link', id: 'arc', path: { points: [{ x: 0, y: 100 }, { x: 50, y: 100 }], segments: [{ type: 'quadratic', cp: { x: 25, y: 80 } }] }, lineStyle: 'dashed' }
+    ],
+    timeline: [
+        { action: 'moveBy', target: 'a', path: [{ x: 0, y: 0 }, { x: 0, y: 100 }], duration: 100 },
+        {
+            action: 'parallel', actions: [
+                { action: 'animate', target: 'a', properties: { backgroundColor: 'red' }, duration: 50 },
+                { action: 'wait', duration: 100 }
+            ]
+        },
+        { action: 'setLabel', target: 'a', label: 7 },
+        { action: 'hide', target: 'caption' }
+    ]
+};
+
+describe('Scene format', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    test('loadScene should create elements, groups and bound links', () => {
+        const elements = framework.loadScene(SCENE);
+
+        expect(framework.elements.map(element => element.id)).toEqual(['a', 'caption', 'g', 'l', 'arc']);
+        expect(elements.get('a')).toBeInstanceOf(Box);
+        expect(elements.get('a').label).toBe(3);
+        expect(elements.get('a').style.backgroundColor).toBe('yellow');
+        expect(elements.get('caption')).toBeInstanceOf(Text);
+        expect(elements.get('caption').align).toBe('center');
+
+        const group = elements.get('g');
+        expect(group).toBeInstanceOf(Group);
+        expect(group.rotation).toBe(90);
+        expect(elements.get('b').parent).toBe(group);
+
+        const link = elements.get('l');
+        expect(link).toBeInstanceOf(Link);
+        expect(link.source).toBe(elements.get('a'));
+        expect(link.target).toBe(elements.get('b'));
+        expect(link.endArrow).toBe('triangle');
+        expect(link.path.getStartPoint()).toEqual({ x: 40, y: 20 });
+        const end = link.path.getEndPoint();
+        expect(end.x).toBeCloseTo(80);
+        expect(end.y).toBeCloseTo(40);
+
+        const arc = elements.get('arc');
+        expect(arc.source).toBeNull();
+        expect(arc.style.borderStyle).toBe('dashed');
+        expect(arc.path.segments[0]).toEqual({ type: 'quadratic', cp: { x: 25, y: 80 } });
+    });
+
+    test('loadScene should accept JSON strings and replace the current scene', () => {
+        const old = new Box(0, 0, 10, 10);
+        framework.addElement(old);
+        framework.addFlash(old);
+        framework.createTemporaryElement(new Box(0, 0, 5, 5));
+
+        framework.loadScene(JSON.stringify({ elements: [{ type: 'box', id: 'x', x: 1, y: 2, width: 3, height: 4, flashing: true }] }));
+
+        expect(framework.elements.map(element => element.id)).toEqual(['x']);
+        expect(framework.temporaryObjects).toEqual([]);
+        expect(framework.flashingElements.map(element => element.id)).toEqual(['x']);
+    });
+
+    test('loadScene should reject invalid scenes without touching the current scene', () => {
+        const old = new Box(0, 0, 10, 10);
+        framework.addElement(old);
+
+        const box = { type: 'box', id: 'a', x: 0, y: 0, width: 10, height: 10 };
+        expect(() => framework.loadScene({ elements: [{ ...box, type: 'circle' }] })).toThrow('未知的元素类型: circle');
+        expect(() => framework.loadScene({ elements: [box, box] })).toThrow('元素id重复: a');
+        expect(() => framework.loadScene({ elements: [{ type: 'link', id: 'l', source: 'a', target: 'missing' }, box] }))
+            .toThrow('链接l的端点元素不存在');
+        expect(() => framework.loadScene({ elements: [box], timeline: [{ action: 'jump', target: 'a' }] }))
+            .toThrow('未知的场景动作: jump');
+        expect(() => framework.loadScene({ elements: [box], timeline: [{ action: 'flash', target: 'b' }] }))
+            .toThrow('动作flash的目标元素不存在: b');
+        expect(() => framework.loadScene({ version: 2 })).toThrow('不支持的场景格式版本: 2');
+
+        expect(framework.elements).toEqual([old]);
+    });
+
+    test('playScene should run the timeline actions in order', async () => {
+        const elements = framework.loadScene(SCENE);
+        const a = elements.get('a');
+
+        let done = false;
+        framework.playScene().then(() => { done = true; });
+        await framework.run();
+
+        expect(done).toBe(true);
+        expect(a.y).toBe(100);
+        expect(a.style.backgroundColor).toBe('red');
+        expect(a.label).toBe(7);
+        expect(elements.get('caption').visible).toBe(false);
+        // 移动100毫秒，之后并行的动作取最长的100毫秒
+        expect(framework.timeline.now()).toBe(200);
+    });
+
+    test('serializeScene should round-trip the loaded scene', () => {
+        framework.loadScene(SCENE);
+        const serialized = framework.serializeScene();
+
+        expect(serialized.version).toBe(1);
+        expect(serialized.timeline).toEqual(SCENE.timeline);
+        expect(serialized.elements[0]).toEqual({
+            type: 'box', id: 'a', x: 0, y: 0, width: 40, height: 40, label: 3, style: { backgroundColor: 'yellow' }
+        });
+        expect(serialized.elements[2].children[0].ports).toEqual({ out: { x: 40, y: 20 } });
+        expect(serialized.elements[3]).toEqual({
+            type: 'link', id: 'l', lineStyle: 'solid', source: 'a', target: 'b',
+            sourceAnchor: 'right', targetAnchor: 'out', startArrow: false, endArrow: 'triangle'
+        });
+        expect(serialized.elements[4].path.segments).toEqual([{ type: 'quadratic', cp: { x: 25, y: 80 } }]);
+
+        const other = new RecordingAnimationFramework();
+        other.loadScene(JSON.parse(JSON.stringify(serialized)));
+        expect(other.serializeScene()).toEqual(serialized);
+    });
+
+    test('serializeScene should describe elements created in code', () => {
+        const box = new Box(10, 20, 30, 40);
+        box.id = 'box';
+        box.visible = false;
+        const link = new Link(new Path([{ x: 0, y: 0 }, { x: 10, y: 0 }]), 'dotted', true);
+        link.id = 'link';
+        link.style.borderColor = 'blue';
+        framework.addElement(box);
+        framework.addElement(link);
+
+        expect(framework.serializeScene()).toEqual({
+            version: 1,
+            elements: [
+                { type: 'box', id: 'box', x: 10, y: 20, width: 30, height: 40, label: '', visible: false },
+                {
+                    type: 'link', id: 'link', lineStyle: 'dotted', path: { points: [{ x: 0, y: 0 }, { x: 10, y: 0 }] },
+                    startArrow: true, endArrow: false, style: { borderColor: 'blue' }
+                }
+            ],
+            timeline: []
+        });
+    });
+
+    test('the scene module should add its functions as framework methods', () => {
+        expect(Object.keys(AnimationFramework.prototype)).not.toContain('loadScene');
+        expect(typeof AnimationFramework.prototype.playScene).toBe('function');
+
+        // 方法与自由函数等价
+        const other = new RecordingAnimationFramework();
+        loadScene(other, SCENE);
+        framework.loadScene(SCENE);
+        expect(framework.serializeScene()).toEqual(other.serializeScene());
+    });
+
+    test('parsePath and describePath should convert path descriptions', () => {
+        expect(parsePath([{ x: 0, y: 0 }, { x: 1, y: 1 }]).points).toEqual([{ x: 0, y: 0 }, { x: 1, y: 1 }]);
+        expect(() => parsePath('M 0 0')).toThrow(TypeError);
+
+        const arc = Path.arc(0, 0, 10, 0, Math.PI);
+        expect(parsePath(describePath(arc)).segments).toEqual(arc.segments);
+    });
+});
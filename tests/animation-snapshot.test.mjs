@@ -0,0 +1,155 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { JSDOM } from 'jsdom';
+import { DOMAnimationFramework } from '../src/animation-dom.js';
+import { CanvasAnimationFramework } from '../src/animation-canvas.js';
+import { sceneToSVG, getSceneBounds } from '../src/animation-snapshot.js';
+import { Box, Text, Link, Path, Group, Timeline } from '../src/animation.js';
+
+let dom;
+
+// 手动设置全局 DOM 环境
+beforeAll(() => {
+    dom = new JSDOM('<!DOCTYPE html>');
+    global.document = dom.window.document;
+    global.window = dom.window;
+});
+
+// 测试用的画布，记录绘制时的描边颜色
+function createSnapshotCanvas() {
+    const strokes = [];
+    const context = {
+        fillStyle: '',
+        globalAlpha: 1,
+        set strokeStyle(value) {
+            strokes.push(value);
+        },
+        get strokeStyle() {
+            return strokes[strokes.length - 1];
+        }
+    };
+    ['clearRect', 'beginPath', 'rect', 'fill', 'stroke', 'setLineDash', 'moveTo', 'lineTo', 'closePath',
+        'fillText', 'fillRect', 'save', 'restore', 'arc', 'translate', 'rotate', 'scale'].forEach(name => {
+        context[name] = jest.fn();
+    });
+    context.measureText = () => ({ width: 10 });
+
+    return {
+        strokes,
+        context,
+        getContext: () => context,
+        toDataURL: jest.fn(() => 'data:image/png;base64,AAAA')
+    };
+}
+
+describe('Snapshot', () => {
+    let framework;
+    let box;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="testRoot"></div>';
+        framework = new DOMAnimationFramework('testRoot');
+        // 固定步长的时间轴不会启动帧循环，闪烁元素不会让测试无法结束
+        framework.setTimeline(new Timeline({ fixedStep: 10 }));
+        box = new Box(10, 20, 40, 30, '<5>');
+        framework.addElement(box);
+    });
+
+    describe('SVG', () => {
+        it('should serialise elements to a standalone svg', () => {
+            const text = new Text(60, 25, 'pivot', 'center', 'middle');
+            const link = framework.createLink(box, text, 'dashed', false, true);
+            framework.addElement(text);
+            framework.createTemporaryElement(link);
+
+            const svg = framework.snapshot({ format: 'svg', width: 200, height: 100, background: 'ivory' });
+            const document = new dom.window.DOMParser().parseFromString(svg, 'image/svg+xml');
+            const root = document.documentElement;
+
+            expect(root.tagName).toBe('svg');
+            expect(root.getAttribute('width')).toBe('200');
+            expect(root.getAttribute('viewBox')).toBe('0 0 200 100');
+            expect(root.querySelector('rect').getAttribute('fill')).toBe('ivory');
+            // 标签中的特殊字符被转义
+            expect(svg).toContain('&lt;5&gt;');
+            expect(root.querySelector('g[transform="translate(10, 20)"] text').textContent).toBe('<5>');
+            expect(Array.from(root.querySelectorAll('text')).map(t => t.textContent)).toEqual(['<5>', 'pivot']);
+            expect(root.querySelector('path').getAttribute('stroke-dasharray')).toBe('5 10');
+            expect(root.querySelectorAll('polygon')).toHaveLength(1);
+        });
+
+        it('should freeze flashing elements at the chosen phase', () => {
+            framework.addFlash(box);
+
+            const on = framework.snapshot({ flashPhase: 'on' });
+            const off = framework.snapshot({ flashPhase: 'off' });
+
+            expect(on).toContain('stroke="red"');
+            expect(off).not.toContain('stroke="red"');
+            expect(off).toContain('stroke="black"');
+            // 快照中没有CSS动画
+            expect(on).not.toContain('animation');
+        });
+
+        it('should size the snapshot from the scene bounds by default', () => {
+            const group = new Group(100, 100, [new Box(0, 0, 20, 20)]);
+            framework.addElement(group);
+
+            expect(getSceneBounds(framework.elements)).toEqual({ right: 120, bottom: 120 });
+            const svg = framework.snapshot();
+            expect(svg).toContain('width="130" height="130"');
+            expect(svg).toContain('rotate(0)');
+        });
+
+        it('should skip invisible elements and transparent background', () => {
+            box.visible = false;
+            const svg = sceneToSVG(framework, { width: 10, height: 10, background: 'transparent' });
+            expect(svg).not.toContain('<rect');
+        });
+
+        it('should validate options', () => {
+            expect(() => framework.snapshot({ format: 'jpeg' })).toThrow(TypeError);
+            expect(() => framework.snapshot({ flashPhase: 'half' })).toThrow(TypeError);
+            expect(() => framework.snapshot({ width: 0, height: 10 })).toThrow(RangeError);
+        });
+    });
+
+    describe('PNG', () => {
+        it('should render dom scenes on a separate canvas', () => {
+            const canvas = createSnapshotCanvas();
+            framework.addFlash(box);
+
+            const url = framework.snapshot({ format: 'png', width: 80, height: 60, canvas });
+
+            expect(url).toBe('data:image/png;base64,AAAA');
+            expect(canvas.width).toBe(80);
+            expect(canvas.height).toBe(60);
+            expect(canvas.context.rect).toHaveBeenCalledWith(10, 20, 40, 30);
+            expect(canvas.strokes).toContain('red');
+            expect(canvas.context.fillRect).toHaveBeenCalledWith(0, 0, 80, 60);
+        });
+
+        it('should render canvas scenes without touching the visible canvas', () => {
+            const visible = createSnapshotCanvas();
+            const canvasFramework = new CanvasAnimationFramework(visible);
+            canvasFramework.setTimeline(new Timeline({ fixedStep: 10 }));
+            canvasFramework.addElement(box);
+            canvasFramework.addFlash(box);
+
+            const offscreen = createSnapshotCanvas();
+            canvasFramework.snapshot({ format: 'png', canvas: offscreen, flashPhase: 'off', background: 'transparent' });
+
+            expect(visible.context.rect).not.toHaveBeenCalled();
+            expect(offscreen.context.rect).toHaveBeenCalledWith(10, 20, 40, 30);
+            expect(offscreen.strokes).not.toContain('red');
+            expect(offscreen.context.fillRect).not.toHaveBeenCalled();
+        });
+
+        it('should return svg for canvas renderer by default', () => {
+            const canvasFramework = new CanvasAnimationFramework(createSnapshotCanvas());
+            canvasFramework.addElement(new Link(new Path([{ x: 0, y: 0 }, { x: 50, y: 50 }]), 'solid', 'circle'));
+            expect(canvasFramework.snapshot()).toContain('<circle');
+        });
+    });
+});
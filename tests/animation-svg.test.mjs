@@ -0,0 +1,207 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { JSDOM } from 'jsdom';
+import { SVGAnimationFramework } from '../src/animation-svg.js';
+import { Box, Text, Link, Path, Group, Timeline } from '../src/animation.js';
+
+// 手动设置全局 DOM 环境
+beforeAll(() => {
+    const dom = new JSDOM('<!DOCTYPE html>');
+    global.document = dom.window.document;
+    global.window = dom.window;
+});
+
+describe('SVGAnimationFramework', () => {
+    let framework;
+    let root;
+    let timeline;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="testRoot"></div>';
+        root = document.getElementById('testRoot');
+        framework = new SVGAnimationFramework('testRoot');
+        timeline = new Timeline({ fixedStep: 10 });
+        framework.setTimeline(timeline);
+    });
+
+    describe('Initialization', () => {
+        it('should create svg inside container', () => {
+            expect(root.querySelector('svg')).toBe(framework.svg);
+            expect(framework.svg.querySelector('style')).toBeTruthy();
+            expect(framework.elementMap).toBeInstanceOf(Map);
+        });
+
+        it('should use existing svg root', () => {
+            document.body.innerHTML = '<svg id="scene" xmlns="http://www.w3.org/2000/svg"></svg>';
+            const svgFramework = new SVGAnimationFramework('scene');
+            expect(svgFramework.svg).toBe(document.getElementById('scene'));
+        });
+
+        it('should throw error if root element not found', () => {
+            expect(() => new SVGAnimationFramework('nonExistentRoot')).toThrow(
+                'Root element with id "nonExistentRoot" not found'
+            );
+        });
+    });
+
+    describe('Box Rendering', () => {
+        it('should render box as rect with label', () => {
+            const box = new Box(10, 20, 100, 50, 7);
+            box.style.borderColor = 'red';
+            box.style.borderStyle = 'dashed';
+            box.style.backgroundColor = 'yellow';
+            framework.drawBox(box);
+
+            const node = framework.elementMap.get(box.id);
+            expect(node.getAttribute('transform')).toBe('translate(10, 20)');
+            const rect = node.querySelector('rect');
+            expect(rect.getAttribute('width')).toBe('100');
+            expect(rect.getAttribute('stroke')).toBe('red');
+            expect(rect.getAttribute('stroke-dasharray')).toBe('5 10');
+            expect(rect.getAttribute('fill')).toBe('yellow');
+
+            const label = node.querySelector('text');
+            expect(label.textContent).toBe('7');
+            expect(label.getAttribute('x')).toBe('50');
+            expect(label.getAttribute('text-anchor')).toBe('middle');
+
+            box.setLabel('');
+            framework.drawBox(box);
+            expect(node.querySelector('text')).toBeNull();
+        });
+
+        it('should hide invisible box', () => {
+            const box = new Box(0, 0, 10, 10);
+            box.visible = false;
+            framework.drawBox(box);
+            expect(framework.elementMap.get(box.id).getAttribute('display')).toBe('none');
+        });
+    });
+
+    describe('Text Rendering', () => {
+        it('should map alignment to svg attributes', () => {
+            const text = new Text(100, 50, 'low', 'right', 'middle');
+            text.style.textColor = 'blue';
+            framework.drawText(text);
+
+            const node = framework.elementMap.get(text.id);
+            expect(node.tagName).toBe('text');
+            expect(node.textContent).toBe('low');
+            expect(node.getAttribute('text-anchor')).toBe('end');
+            expect(node.getAttribute('dominant-baseline')).toBe('central');
+            expect(node.getAttribute('fill')).toBe('blue');
+        });
+    });
+
+    describe('Link Rendering', () => {
+        it('should render multi-point path with markers', () => {
+            const path = new Path([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }]);
+            const link = new Link(path, 'dotted', 'circle', true);
+            framework.drawLink(link);
+
+            const node = framework.elementMap.get(link.id);
+            const pathNode = node.querySelector('path');
+            expect(pathNode.getAttribute('d')).toBe(path.toSVGPathData());
+            expect(pathNode.getAttribute('fill')).toBe('none');
+            expect(pathNode.getAttribute('stroke-dasharray')).toBe('2 5');
+
+            const markers = node.querySelectorAll('.link-marker');
+            expect(markers).toHaveLength(2);
+            expect(markers[0].tagName).toBe('circle');
+            // 终点箭头沿最后一段朝下
+            expect(markers[1].getAttribute('points')).toBe('50,50 45,40 55,40');
+        });
+    });
+
+    describe('Group Rendering', () => {
+        it('should nest children in transformed group', () => {
+            const box = new Box(10, 0, 20, 20);
+            const group = new Group(100, 50, [box]);
+            group.setRotation(30);
+            framework.addElement(group);
+            framework.update();
+
+            const groupNode = framework.elementMap.get(group.id);
+            expect(groupNode.parentNode).toBe(framework.svg);
+            expect(groupNode.getAttribute('transform')).toBe('translate(100, 50) rotate(30) scale(1, 1)');
+            expect(framework.elementMap.get(box.id).parentNode).toBe(groupNode);
+
+            framework.removeElement(group.id);
+            expect(framework.elementMap.has(box.id)).toBe(false);
+            expect(framework.svg.querySelector('g')).toBeNull();
+        });
+
+        it('should prune nodes of children that left the group', () => {
+            const box = new Box(0, 0, 20, 20);
+            const inner = new Box(0, 0, 10, 10);
+            const nested = new Group(30, 0, [inner]);
+            const group = new Group(0, 0, [box, nested]);
+            const other = new Group(100, 0);
+            framework.addElement(group);
+            framework.addElement(other);
+            framework.update();
+
+            // 移出的子分组连同子孙一起移除，移到其他分组的子元素在新的分组中绘制
+            group.remove(nested);
+            other.add(box);
+            framework.update();
+
+            const groupNode = framework.elementMap.get(group.id);
+            expect(groupNode.childNodes).toHaveLength(0);
+            expect(framework.elementMap.has(nested.id)).toBe(false);
+            expect(framework.elementMap.has(inner.id)).toBe(false);
+            expect(framework.elementMap.get(box.id).parentNode).toBe(framework.elementMap.get(other.id));
+        });
+    });
+
+    describe('Animation', () => {
+        it('should move element along path', async () => {
+            const box = new Box(0, 0, 10, 10);
+            framework.addElement(box);
+            framework.update();
+
+            const handle = framework.moveBy(box, new Path([{ x: 0, y: 0 }, { x: 100, y: 50 }]), 100);
+            timeline.step(10);
+
+            await expect(handle).resolves.toBe(true);
+            expect(framework.elementMap.get(box.id).getAttribute('transform')).toBe('translate(100, 50)');
+        });
+
+        it('should keep bound links attached', () => {
+            const box1 = new Box(0, 0, 20, 20);
+            const box2 = new Box(100, 0, 20, 20);
+            const link = framework.createLink(box1, box2, 'solid', false, true, { targetAnchor: 'edge' });
+            [box1, box2, link].forEach(element => framework.addElement(element));
+
+            framework.moveBy(box2, new Path([{ x: 100, y: 0 }, { x: 0, y: 100 }]), 100);
+            timeline.step(10);
+
+            const pathNode = framework.elementMap.get(link.id).querySelector('path');
+            expect(pathNode.getAttribute('d')).toBe('M 10 10 L 10 100');
+        });
+
+        it('should apply flash effect', () => {
+            const box = new Box(0, 0, 10, 10);
+            framework.drawBox(box);
+
+            framework.addFlash(box);
+            const node = framework.elementMap.get(box.id);
+            expect(node.classList.contains('flashing')).toBe(true);
+
+            framework.removeFlash(box);
+            expect(node.classList.contains('flashing')).toBe(false);
+        });
+
+        it('should remove temporary element nodes', () => {
+            const box = new Box(0, 0, 10, 10);
+            framework.createTemporaryElement(box);
+            framework.update();
+            expect(framework.elementMap.has(box.id)).toBe(true);
+
+            framework.removeTemporaryElement(box);
+            expect(framework.elementMap.has(box.id)).toBe(false);
+            expect(framework.svg.querySelector('g')).toBeNull();
+        });
+    });
+});
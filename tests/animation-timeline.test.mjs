@@ -0,0 +1,171 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { Box, Path, Tween, Timeline, AnimationFramework } from '../src/animation.js';
+
+// 时间轴测试，全部使用固定步长模式，不需要模拟performance.now和requestAnimationFrame
+
+describe('Timeline', () => {
+    let timeline;
+
+    beforeEach(() => {
+        timeline = new Timeline({ fixedStep: 10 });
+    });
+
+    describe('Tween', () => {
+        it('should advance tweens by fixed steps', () => {
+            const updateCallback = jest.fn();
+            const completeCallback = jest.fn();
+            const tween = timeline.createTween(100, updateCallback, completeCallback);
+
+            expect(tween).toBeInstanceOf(Tween);
+            expect(updateCallback).not.toHaveBeenCalled();
+
+            timeline.step(5);
+            expect(updateCallback).toHaveBeenCalledTimes(5);
+            expect(updateCallback).toHaveBeenLastCalledWith(0.5, 4);
+            expect(completeCallback).not.toHaveBeenCalled();
+
+            timeline.step(5);
+            expect(updateCallback).toHaveBeenLastCalledWith(1, 9);
+            expect(completeCallback).toHaveBeenCalledTimes(1);
+            expect(tween.state).toBe('finished');
+            expect(timeline.tweens).toHaveLength(0);
+        });
+
+        it('should not advance paused tweens', () => {
+            const updateCallback = jest.fn();
+            const tween = timeline.createTween(100, updateCallback);
+
+            timeline.step(2);
+            tween.pause();
+            timeline.step(20);
+            expect(updateCallback).toHaveBeenCalledTimes(2);
+            expect(timeline.isIdle()).toBe(true);
+
+            tween.resume();
+            timeline.step(8);
+            expect(updateCallback).toHaveBeenLastCalledWith(1, 9);
+            expect(tween.state).toBe('finished');
+        });
+
+        it('should drop cancelled tweens', () => {
+            const completeCallback = jest.fn();
+            const tween = timeline.createTween(100, () => {}, completeCallback);
+
+            timeline.step(2);
+            tween.cancel();
+            timeline.step(20);
+
+            expect(completeCallback).not.toHaveBeenCalled();
+            expect(timeline.tweens).toHaveLength(0);
+        });
+    });
+
+    describe('Playback rate', () => {
+        it('should scale time by playback rate', () => {
+            const updateCallback = jest.fn();
+            timeline.setPlaybackRate(2);
+            timeline.createTween(100, updateCallback);
+
+            timeline.step(5);
+
+            expect(timeline.now()).toBe(100);
+            expect(updateCallback).toHaveBeenLastCalledWith(1, 4);
+        });
+
+        it('should reject invalid playback rate', () => {
+            expect(() => timeline.setPlaybackRate(0)).toThrow(RangeError);
+            expect(() => timeline.setPlaybackRate('fast')).toThrow(RangeError);
+        });
+    });
+
+    describe('Fixed step mode', () => {
+        it('should split advance into fixed steps', () => {
+            const updateCallback = jest.fn();
+            timeline.createTween(1000, updateCallback);
+
+            timeline.advance(55);
+
+            expect(updateCallback).toHaveBeenCalledTimes(6);
+            expect(timeline.now()).toBe(60);
+        });
+
+        it('should only allow step in fixed step mode', () => {
+            const realtime = new Timeline();
+            expect(() => realtime.step()).toThrow();
+        });
+    });
+
+    describe('Rendering', () => {
+        it('should call renderers after tweens on every tick', () => {
+            const order = [];
+            const renderer = { renderFrame: jest.fn(() => order.push('render')) };
+            timeline.addRenderer(renderer);
+            timeline.createTween(100, () => order.push('tween'));
+
+            timeline.step();
+
+            expect(order).toEqual(['tween', 'render']);
+            expect(renderer.renderFrame).toHaveBeenCalledWith(10);
+        });
+
+        it('should stay active while a renderer is animating', () => {
+            const renderer = { renderFrame: jest.fn(), isAnimating: () => true };
+            expect(timeline.isIdle()).toBe(true);
+
+            timeline.addRenderer(renderer);
+            expect(timeline.isIdle()).toBe(false);
+
+            timeline.removeRenderer(renderer);
+            expect(timeline.isIdle()).toBe(true);
+        });
+    });
+
+    describe('AnimationFramework integration', () => {
+        let framework;
+
+        beforeEach(() => {
+            framework = new AnimationFramework();
+            framework.setTimeline(timeline);
+        });
+
+        it('should register the framework as renderer', () => {
+            expect(framework.timeline).toBe(timeline);
+            expect(timeline.renderers).toContain(framework);
+        });
+
+        it('should drive followPath with the shared clock', async () => {
+            const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }]);
+            const updateCallback = jest.fn();
+
+            const handle = framework.followPath(path, updateCallback, 'forward', 200);
+
+            timeline.step(10);
+            expect(updateCallback).toHaveBeenCalledWith(100, 0, 9, 0, 0, 'forward');
+            expect(updateCallback).toHaveBeenLastCalledWith(100, 0, 0, 1, 0, 'forward');
+
+            timeline.step(10);
+            expect(updateCallback).toHaveBeenLastCalledWith(100, 100, 10, 1, 0, 'forward');
+            await expect(handle).resolves.toBe(true);
+        });
+
+        it('should keep the timeline active while elements are flashing', () => {
+            const box = new Box(0, 0, 10, 10);
+            framework.addFlash(box);
+            expect(timeline.isIdle()).toBe(false);
+
+            framework.removeFlash(box);
+            expect(timeline.isIdle()).toBe(true);
+        });
+
+        it('should move timeline renderer registration', () => {
+            const other = new Timeline({ fixedStep: 10 });
+            framework.setTimeline(other);
+
+            expect(timeline.renderers).not.toContain(framework);
+            expect(other.renderers).toContain(framework);
+            expect(() => framework.setTimeline({})).toThrow(TypeError);
+        });
+    });
+});
@@ -5,7 +5,9 @@ import {
     Element,
     Path,
     Box,
+    Text,
     Link,
+    Group,
     AnimationFramework,
 } from "../src/animation.js";
 
@@ -98,6 +100,23 @@ describe("AnimationFramework", () => {
             expect(link.startArrow).toBe(true);
             expect(link.endArrow).toBe(false);
         });
+
+        it("should follow endpoint elements after they move", () => {
+            const box1 = new Box(0, 0, 50, 50);
+            const box2 = new Box(100, 0, 50, 50);
+            const link = framework.createLink(box1, box2, "solid", false, true, {
+                sourceAnchor: "edge",
+                targetAnchor: "edge",
+            });
+            expect(link.path.points).toEqual([{ x: 50, y: 25 }, { x: 100, y: 25 }]);
+
+            box2.moveTo(0, 100);
+            framework.drawLink = jest.fn();
+            link.draw(framework);
+
+            expect(link.path.points).toEqual([{ x: 25, y: 50 }, { x: 25, y: 100 }]);
+            expect(framework.drawLink).toHaveBeenCalledWith(link);
+        });
     });
 
     // 测试元素绘制功能
@@ -162,6 +181,181 @@ describe("Box Class", () => {
     });
 });
 
+// 测试Box标签
+describe("Box Label", () => {
+    it("should default to empty label", () => {
+        const box = new Box(0, 0, 10, 10);
+        expect(box.label).toBe("");
+        expect(box.text).toBe("");
+    });
+
+    it("should show numeric values as text", () => {
+        const box = new Box(0, 0, 10, 10, 42);
+        expect(box.label).toBe(42);
+        expect(box.text).toBe("42");
+
+        box.text = 7;
+        expect(box.label).toBe(7);
+        box.setLabel(null);
+        expect(box.text).toBe("");
+    });
+
+    it("should reject invalid labels", () => {
+        expect(() => new Box(0, 0, 10, 10, {})).toThrow(TypeError);
+    });
+});
+
+// 测试Text类
+describe("Text Class", () => {
+    it("should initialize with text and alignment", () => {
+        const text = new Text(10, 20, 5, "center", "middle");
+        expect(text.text).toBe("5");
+        expect(text.align).toBe("center");
+        expect(text.baseline).toBe("middle");
+        expect(text.style.borderStyle).toBe("none");
+
+        text.setText("pivot");
+        expect(text.text).toBe("pivot");
+    });
+
+    it("should validate arguments", () => {
+        expect(() => new Text(0, 0, null)).toThrow(TypeError);
+        expect(() => new Text(0, 0, "a", "justify")).toThrow(TypeError);
+        expect(() => new Text(0, 0, "a", "left", "hanging")).toThrow(TypeError);
+    });
+
+    it("should call drawText", () => {
+        const framework = new AnimationFramework();
+        const text = new Text(0, 0, "a");
+        framework.drawText = jest.fn();
+
+        text.draw(framework);
+        expect(framework.drawText).toHaveBeenCalledWith(text);
+    });
+});
+
+// 测试链接锚点
+describe("Element Anchors", () => {
+    it("should resolve built-in anchors", () => {
+        const box = new Box(10, 20, 40, 20);
+        expect(box.getAnchorPoint()).toEqual({ x: 30, y: 30 });
+        expect(box.getAnchorPoint("top")).toEqual({ x: 30, y: 20 });
+        expect(box.getAnchorPoint("bottom-right")).toEqual({ x: 50, y: 40 });
+        expect(() => box.getAnchorPoint("middle")).toThrow();
+    });
+
+    it("should intersect the nearest edge towards a point", () => {
+        const box = new Box(0, 0, 40, 20);
+        expect(box.getAnchorPoint("edge", { x: 100, y: 10 })).toEqual({ x: 40, y: 10 });
+        expect(box.getAnchorPoint("edge", { x: 20, y: -100 })).toEqual({ x: 20, y: 0 });
+        // 对角方向先碰到上下边
+        expect(box.getAnchorPoint("edge", { x: 60, y: 50 })).toEqual({ x: 30, y: 20 });
+    });
+
+    it("should resolve named ports relative to the element", () => {
+        const box = new Box(10, 10, 40, 20);
+        box.addPort("next", 30, 10);
+        expect(box.getAnchorPoint("next")).toEqual({ x: 40, y: 20 });
+
+        box.moveTo(0, 0);
+        expect(box.getAnchorPoint("next")).toEqual({ x: 30, y: 10 });
+        expect(() => box.addPort("edge", 0, 0)).toThrow();
+    });
+
+    it("should resolve anchors of elements in rotated groups", () => {
+        const box = new Box(0, 0, 20, 20);
+        const group = new Group(100, 100, [box]);
+        group.setRotation(90);
+
+        const point = box.getAnchorPoint("right");
+        expect(point.x).toBeCloseTo(90);
+        expect(point.y).toBeCloseTo(120);
+
+        const edge = box.getAnchorPoint("edge", { x: 90, y: 200 });
+        expect(edge.x).toBeCloseTo(90);
+        expect(edge.y).toBeCloseTo(120);
+    });
+});
+
+// 测试Group类
+describe("Group Class", () => {
+    it("should manage children and parent references", () => {
+        const box = new Box(0, 0, 10, 10);
+        const group = new Group(100, 50, [box]);
+        expect(group.children).toEqual([box]);
+        expect(box.parent).toBe(group);
+
+        // 加入其他分组时从原分组中移除
+        const other = new Group(0, 0);
+        other.add(box);
+        expect(group.children).toEqual([]);
+        expect(box.parent).toBe(other);
+
+        other.remove(box);
+        expect(box.parent).toBeNull();
+    });
+
+    it("should reject invalid children", () => {
+        const group = new Group(0, 0);
+        expect(() => group.add({})).toThrow(TypeError);
+        expect(() => group.add(group)).toThrow();
+        expect(() => new Group(0, 0, {})).toThrow(TypeError);
+    });
+
+    it("should convert between local and world coordinates", () => {
+        const group = new Group(100, 50);
+        group.setRotation(90);
+        group.setScale(2);
+        const box = new Box(10, 0, 10, 10);
+        group.add(box);
+
+        const world = box.toWorld({ x: box.x, y: box.y });
+        expect(world.x).toBeCloseTo(100);
+        expect(world.y).toBeCloseTo(70);
+
+        const local = group.worldToLocal(world);
+        expect(local.x).toBeCloseTo(10);
+        expect(local.y).toBeCloseTo(0);
+    });
+
+    it("should apply nested group transforms", () => {
+        const outer = new Group(100, 0);
+        const inner = new Group(10, 10);
+        outer.add(inner);
+        outer.setScale(2);
+
+        expect(inner.localToWorld({ x: 5, y: 0 })).toEqual({ x: 130, y: 20 });
+    });
+
+    it("should flash children with the group", () => {
+        const framework = new AnimationFramework();
+        const box = new Box(0, 0, 10, 10);
+        const group = new Group(0, 0, [box]);
+
+        framework.addFlash(group);
+        expect(framework.isFlashing(box)).toBe(true);
+        framework.removeFlash(group);
+        expect(framework.isFlashing(box)).toBe(false);
+    });
+
+    it("should link children by world position", () => {
+        const framework = new AnimationFramework();
+        const group = new Group(100, 100, [new Box(0, 0, 20, 20)]);
+        const link = framework.createLink(group.children[0], new Box(0, 0, 20, 20));
+
+        expect(link.path.getStartPoint()).toEqual({ x: 110, y: 110 });
+    });
+
+    it("should call drawGroup", () => {
+        const framework = new AnimationFramework();
+        const group = new Group(0, 0);
+        framework.drawGroup = jest.fn();
+
+        group.draw(framework);
+        expect(framework.drawGroup).toHaveBeenCalledWith(group);
+    });
+});
+
 // 测试Link类
 describe("Link Class", () => {
     it("should initialize with path and styles", () => {
@@ -176,6 +370,57 @@ describe("Link Class", () => {
         expect(link.startArrow).toBe(true);
         expect(link.endArrow).toBe(true);
     });
+
+    it("should accept marker types for arrows", () => {
+        const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
+        const link = new Link(path, "solid", "diamond", true);
+
+        const markers = link.getMarkers();
+        expect(markers.map((m) => m.type)).toEqual(["diamond", "triangle"]);
+        expect(markers[0].angle).toBeCloseTo(Math.PI);
+        expect(markers[1].angle).toBeCloseTo(0);
+        expect(markers[1].size).toBe(10);
+
+        expect(() => new Link(path, "solid", "star")).toThrow(TypeError);
+    });
+
+    it("should compute marker outlines", () => {
+        const marker = { type: "triangle", x: 0, y: 0, angle: Math.PI / 2, size: 10 };
+        const outline = Link.getMarkerOutline(marker);
+        expect(outline.filled).toBe(true);
+        expect(outline.points[1].x).toBeCloseTo(-5);
+        expect(outline.points[1].y).toBeCloseTo(-10);
+
+        const circle = Link.getMarkerOutline({ ...marker, type: "circle" });
+        expect(circle.circle.x).toBeCloseTo(0);
+        expect(circle.circle.y).toBeCloseTo(-5);
+        expect(circle.circle.radius).toBe(5);
+    });
+
+    it("should bind to named ports", () => {
+        const node = new Box(0, 0, 60, 30);
+        node.addPort("next", 45, 15);
+        const next = new Box(100, 0, 60, 30);
+        const link = new Link(new Path([{ x: 0, y: 0 }, { x: 1, y: 1 }]));
+
+        link.bind(node, next, { sourceAnchor: "next", targetAnchor: "left" });
+        expect(link.path.points).toEqual([{ x: 45, y: 15 }, { x: 100, y: 15 }]);
+
+        next.moveTo(100, 60);
+        link.updatePath();
+        expect(link.path.getEndPoint()).toEqual({ x: 100, y: 75 });
+
+        // 解除绑定后不再跟随
+        link.unbind();
+        next.moveTo(0, 0);
+        expect(link.updatePath()).toBe(false);
+        expect(link.path.getEndPoint()).toEqual({ x: 100, y: 75 });
+    });
+
+    it("should reject invalid endpoints", () => {
+        const link = new Link(new Path([{ x: 0, y: 0 }, { x: 1, y: 1 }]));
+        expect(() => link.bind({}, new Box(0, 0, 1, 1))).toThrow(TypeError);
+    });
 });
 
 // 测试Path类
@@ -190,5 +435,116 @@ describe("Path Class", () => {
         expect(path.getStartPoint()).toEqual({ x: 10, y: 10 });
         expect(path.getEndPoint()).toEqual({ x: 100, y: 100 });
     });
+
+    it("should compute segment tangents", () => {
+        const path = new Path([{ x: 0, y: 0 }, { x: 0, y: 100 }])
+            .quadraticTo(100, 100, 100, 0)
+            .arcTo(200, 0, 50);
+
+        expect(path.getSegmentTangent(0, 0)).toBeCloseTo(Math.PI / 2);
+        expect(path.getSegmentTangent(1, 0)).toBeCloseTo(0);
+        expect(path.getSegmentTangent(1, 1)).toBeCloseTo(-Math.PI / 2);
+        // 顺时针的半圆从左端出发时朝上
+        expect(path.getSegmentTangent(2, 0)).toBeCloseTo(-Math.PI / 2);
+        expect(path.getSegmentTangent(2, 1)).toBeCloseTo(Math.PI / 2);
+    });
+
+    it("should measure segment lengths and total length", () => {
+        const path = new Path([
+            { x: 0, y: 0 },
+            { x: 30, y: 40 },
+            { x: 30, y: 140 },
+        ]);
+
+        expect(path.getSegmentLengths()).toEqual([50, 100]);
+        expect(path.getLength()).toBe(150);
+    });
+
+    it("should return points by arc length", () => {
+        const path = new Path([
+            { x: 0, y: 0 },
+            { x: 50, y: 0 },
+            { x: 50, y: 150 },
+        ]);
+
+        expect(path.getPointAt(0)).toEqual({ x: 0, y: 0 });
+        expect(path.getPointAt(0.125)).toEqual({ x: 25, y: 0 });
+        expect(path.getPointAt(0.25)).toEqual({ x: 50, y: 0 });
+        expect(path.getPointAt(0.5)).toEqual({ x: 50, y: 50 });
+        expect(path.getPointAt(1)).toEqual({ x: 50, y: 150 });
+        expect(path.getPointAt(2)).toEqual({ x: 50, y: 150 });
+        expect(() => path.getPointAt("half")).toThrow(TypeError);
+    });
+
+    it("should build curve segments", () => {
+        const path = new Path([{ x: 0, y: 0 }])
+            .lineTo(10, 0)
+            .quadraticTo(20, -10, 30, 0)
+            .cubicTo(40, 10, 50, 10, 60, 0)
+            .arcTo(80, 0, 10);
+
+        expect(path.points).toHaveLength(5);
+        expect(path.segments.map(segment => segment.type)).toEqual(["line", "quadratic", "cubic", "arc"]);
+        expect(path.hasCurves()).toBe(true);
+        expect(path.getEndPoint()).toEqual({ x: 80, y: 0 });
+        expect(() => new Path([{ x: 0, y: 0 }, { x: 1, y: 1 }], [{ type: "spline" }])).toThrow(TypeError);
+    });
+
+    it("should evaluate bezier segments", () => {
+        const path = new Path([{ x: 0, y: 0 }]).quadraticTo(50, 100, 100, 0);
+
+        expect(path.getSegmentPoint(0, 0.5)).toEqual({ x: 50, y: 50 });
+        // 弧长的一半也在对称轴上
+        const middle = path.getPointAt(0.5);
+        expect(middle.x).toBeCloseTo(50);
+        expect(middle.y).toBeCloseTo(50);
+        // 解析解约为147.89
+        expect(path.getLength()).toBeCloseTo(147.89, 0);
+    });
+
+    it("should hop over the top with a clockwise arc", () => {
+        const path = new Path([{ x: 0, y: 0 }]).arcTo(100, 0, 50);
+
+        expect(path.getLength()).toBeCloseTo(Math.PI * 50);
+        const top = path.getPointAt(0.5);
+        expect(top.x).toBeCloseTo(50);
+        expect(top.y).toBeCloseTo(-50);
+
+        const below = new Path([{ x: 0, y: 0 }]).arcTo(100, 0, 50, true).getPointAt(0.5);
+        expect(below.y).toBeCloseTo(50);
+        expect(() => new Path([{ x: 0, y: 0 }]).arcTo(100, 0, 10)).toThrow(RangeError);
+    });
+
+    it("should create arcs like canvas", () => {
+        const path = Path.arc(0, 0, 10, 0, Math.PI / 2);
+
+        expect(path.getStartPoint().x).toBeCloseTo(10);
+        expect(path.getEndPoint().y).toBeCloseTo(10);
+        expect(path.getLength()).toBeCloseTo(Math.PI * 5);
+        expect(Path.arc(0, 0, 10, 0, Math.PI / 2, true).getLength()).toBeCloseTo(Math.PI * 15);
+    });
+
+    it("should reverse curve paths", () => {
+        const path = new Path([{ x: 0, y: 0 }]).cubicTo(10, 20, 30, 40, 50, 0).arcTo(100, 0, 25);
+        const reversed = path.reverse();
+
+        expect(reversed.getStartPoint()).toEqual({ x: 100, y: 0 });
+        expect(reversed.segments[0].anticlockwise).toBe(true);
+        expect(reversed.segments[1].cp1).toEqual({ x: 30, y: 40 });
+        const point = path.getPointAt(0.3);
+        const reversedPoint = reversed.getPointAt(0.7);
+        expect(reversedPoint.x).toBeCloseTo(point.x, 1);
+        expect(reversedPoint.y).toBeCloseTo(point.y, 1);
+    });
+
+    it("should compute bounds and SVG path data", () => {
+        const path = new Path([{ x: 0, y: 0 }]).lineTo(10, 0).arcTo(30, 0, 10);
+
+        const bounds = path.getBounds();
+        expect(bounds.x).toBeCloseTo(0);
+        expect(bounds.y).toBeCloseTo(-10);
+        expect(bounds.width).toBeCloseTo(30);
+        expect(path.toSVGPathData()).toBe("M 0 0 L 10 0 A 10 10 0 0 1 30 0");
+    });
 });
 
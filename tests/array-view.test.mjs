@@ -0,0 +1,215 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { ArrayView } from '../src/array-view.js';
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { DOMAnimationFramework } from '../src/animation-dom.js';
+import { SVGAnimationFramework } from '../src/animation-svg.js';
+import { Group, Link, Text } from '../src/animation.js';
+import { setupDOM, play } from './helpers/animation.mjs';
+
+setupDOM();
+
+// 格子左上角的横坐标
+const cellXs = view => view.cells.map(cell => cell.x);
+
+describe('ArrayView', () => {
+    let framework;
+    let view;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+        view = new ArrayView(10, 40, [3, 6, 8], { id: 'arr', cellWidth: 40, cellHeight: 30, gap: 5 });
+        framework.addElement(view);
+    });
+
+    test('should lay out the cells and index labels in local coordinates', () => {
+        expect(view).toBeInstanceOf(Group);
+        expect(view.length).toBe(3);
+        expect(view.cells.map(cell => [cell.id, cell.x, cell.y, cell.label])).toEqual([
+            ['arr_cell_0', 0, 0, 3], ['arr_cell_1', 45, 0, 6], ['arr_cell_2', 90, 0, 8]
+        ]);
+        expect(view.indexLabels.map(label => [label.id, label.text, label.x, label.y])).toEqual([
+            ['arr_index_0', '0', 20, 34], ['arr_index_1', '1', 65, 34], ['arr_index_2', '2', 110, 34]
+        ]);
+        // 移动分组即可移动整个数组
+        expect(view.getCell(1).getAnchorPoint('top-left')).toEqual({ x: 55, y: 40 });
+
+        view.setValue(1, 7);
+        expect([view.getValue(1), view.getCell(1).label]).toEqual([7, 7]);
+        expect(() => view.getValue(3)).toThrow(RangeError);
+        expect(() => new ArrayView(0, 0, 'abc')).toThrow(TypeError);
+        expect(new ArrayView(0, 0, [1], { showIndices: false }).indexLabels).toEqual([]);
+    });
+
+    test('insert should slide the following cells and fade the new cell in', async () => {
+        const inserting = view.insert(framework, 1, 5, 100);
+        framework.timeline.step(5);
+        // 右移过程中新格子还是透明的
+        const [, cell] = view.cells;
+        expect(cell.style.opacity).toBe(0);
+        expect(view.cells[2].x).toBeGreaterThan(45);
+        expect(view.cells[2].x).toBeLessThan(90);
+
+        await framework.run({ maxSteps: 10000 });
+        expect(await inserting).toBe(cell);
+        expect(cell.style.opacity).toBe(1);
+        expect(view.values).toEqual([3, 5, 6, 8]);
+        expect(cellXs(view)).toEqual([0, 45, 90, 135]);
+        expect(view.indexLabels.map(label => label.text)).toEqual(['0', '1', '2', '3']);
+
+        await play(framework, () => view.insert(framework, 4, 9, 100));
+        expect(view.values).toEqual([3, 5, 6, 8, 9]);
+        await expect(view.insert(framework, 7, 1)).rejects.toThrow(RangeError);
+    });
+
+    test('delete should fade the cell out and close the gap', async () => {
+        const removed = view.getCell(0);
+        const value = await play(framework, () => view.delete(framework, 0, 100));
+
+        expect(value).toBe(3);
+        expect(view.values).toEqual([6, 8]);
+        expect(view.children).not.toContain(removed);
+        expect(cellXs(view)).toEqual([0, 45]);
+        expect(view.indexLabels).toHaveLength(2);
+        expect(view.children.filter(child => child instanceof Text)).toHaveLength(2);
+    });
+
+    test('shift should move a block of cells and leave empty cells behind', async () => {
+        view = new ArrayView(0, 0, [1, 2, 3, 4], { id: 'shift' });
+        framework.addElement(view);
+        const moved = view.cells.slice(0, 2);
+        const covered = view.getCell(2);
+
+        await play(framework, () => view.shift(framework, 0, 1, 1, 100));
+        expect(view.values).toEqual([null, 1, 2, 4]);
+        expect(view.cells.slice(1, 3)).toEqual(moved);
+        expect(view.children).not.toContain(covered);
+        expect(view.getCell(0).label).toBe('');
+        expect(view.getCell(0).style.opacity).toBe(1);
+        expect(cellXs(view)).toEqual([0, 60, 120, 180]);
+
+        await play(framework, () => view.shift(framework, 1, 3, -1, 100));
+        expect(view.values).toEqual([1, 2, 4, null]);
+        expect(view.cells.filter(cell => view.children.includes(cell))).toHaveLength(4);
+        await expect(view.shift(framework, 2, 3, 1)).rejects.toThrow('平移 1 格后超出数组范围');
+    });
+
+    test('swap should exchange two cells along arcs', async () => {
+        const [first, , third] = view.cells;
+        const swapping = view.swap(framework, 0, 2, 100);
+        framework.timeline.step(5);
+        expect(first.y).toBeLessThan(0);
+        expect(third.y).toBeGreaterThan(0);
+
+        await framework.run({ maxSteps: 10000 });
+        await swapping;
+        expect(view.values).toEqual([8, 6, 3]);
+        expect(view.cells).toEqual([third, view.cells[1], first]);
+        expect(cellXs(view)).toEqual([0, 45, 90]);
+        expect(first.y).toBe(0);
+    });
+
+    test('pointers should sit above the cells and animate when moved', async () => {
+        const pointer = view.addPointer('i', 0);
+        view.addPointer('j', 0, { color: 'red', level: 1 });
+        expect(pointer.id).toBe('arr_pointer_i');
+        expect(pointer.x).toBe(20);
+        const [label, arrow] = pointer.children;
+        expect(label.text).toBe('i');
+        expect(arrow).toBeInstanceOf(Link);
+        expect(arrow.endArrow).toBe(true);
+        // 箭头指向格子的上边缘，第二层的名称更靠上
+        expect(arrow.path.getEndPoint()).toEqual({ x: 0, y: -4 });
+        const other = view.pointers.get('j').group.children[0];
+        expect(other.y).toBeLessThan(label.y);
+        expect(other.style.textColor).toBe('red');
+
+        const moving = view.movePointer(framework, 'i', 2, 100);
+        const positions = [];
+        for (let i = 0; i < 10; i++) {
+            framework.timeline.step(1);
+            positions.push(pointer.x);
+        }
+        await moving;
+        expect(positions[4]).toBeCloseTo(65);
+        expect(pointer.x).toBe(110);
+        expect(view.pointerIndex('i')).toBe(2);
+
+        // 指针可以指向数组范围之外
+        await play(framework, () => view.movePointer(framework, 'i', -1, 100));
+        expect(pointer.x).toBe(-25);
+
+        view.removePointer('i');
+        expect(view.children).not.toContain(pointer);
+        await expect(view.movePointer(framework, 'i', 0)).rejects.toThrow('未知的指针: i');
+        expect(() => view.addPointer('', 0)).toThrow(TypeError);
+    });
+
+    test('markRange should draw dashed brackets below the indices', () => {
+        const range = view.markRange('range', 0, 1);
+        expect(range.id).toBe('arr_range_range');
+        expect(range.style.borderStyle).toBe('dashed');
+        expect(range.path.points).toEqual([{ x: 0, y: 52 }, { x: 0, y: 60 }, { x: 85, y: 60 }, { x: 85, y: 52 }]);
+
+        // 同名括号更新位置，不同层级的括号上下错开
+        expect(view.markRange('range', 1, 2)).toBe(range);
+        expect(range.path.points[0]).toEqual({ x: 45, y: 52 });
+        const inner = view.markRange('inner', 1, 1, { level: 1, color: 'blue' });
+        expect(inner.path.points[0].y).toBe(66);
+        expect(inner.style.borderColor).toBe('blue');
+
+        view.clearRange('range');
+        expect(view.children).not.toContain(range);
+        expect(view.ranges.has('inner')).toBe(true);
+        expect(() => view.markRange('bad', 2, 1)).toThrow(RangeError);
+    });
+
+    test('layout should snap the cells, pointers and ranges back to their slots', () => {
+        view.addPointer('i', 1);
+        view.markRange('range', 0, 2);
+        view.options.gap = 20;
+        view.getCell(0).moveTo(100, 100);
+        view.layout();
+
+        expect(cellXs(view)).toEqual([0, 60, 120]);
+        expect(view.getCell(0).y).toBe(0);
+        expect(view.pointers.get('i').group.x).toBe(80);
+        expect(view.ranges.get('range').link.path.getEndPoint().x).toBe(160);
+    });
+});
+
+describe('ArrayView rendering', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="root"></div>';
+    });
+
+    test.each([
+        ['DOM', () => new DOMAnimationFramework('root')],
+        ['SVG', () => new SVGAnimationFramework('root')]
+    ])('%s renderer should keep the nodes in sync with the view', (name, createFramework) => {
+        const framework = createFramework();
+        const view = new ArrayView(20, 40, [1, 2], { id: 'arr' });
+        framework.addElement(view);
+        view.addPointer('i', 0);
+        view.markRange('range', 0, 1);
+        framework.update();
+
+        const groupNode = framework.elementMap.get('arr');
+        expect(groupNode.querySelectorAll('.animation-group')).toHaveLength(1);
+        expect(framework.elementMap.get('arr_cell_1').parentNode).toBe(groupNode);
+        expect(framework.elementMap.get('arr_pointer_i_arrow')).toBeTruthy();
+        expect(framework.elementMap.get('arr_range_range')).toBeTruthy();
+
+        // 离开分组的子元素的节点在下一次绘制时移除
+        const pointerNode = framework.elementMap.get('arr_pointer_i');
+        const rangeNode = framework.elementMap.get('arr_range_range');
+        view.removePointer('i');
+        view.clearRange('range');
+        framework.update();
+        expect(pointerNode.isConnected).toBe(false);
+        expect(rangeNode.isConnected).toBe(false);
+        expect(framework.elementMap.has('arr_pointer_i_label')).toBe(false);
+        expect(groupNode.childNodes).toHaveLength(view.children.length);
+    });
+});
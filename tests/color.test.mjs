@@ -0,0 +1,59 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { parseColor, formatColor, interpolateColor } from '../src/color.js';
+
+describe('Color', () => {
+    describe('parseColor', () => {
+        it('should parse hex colors', () => {
+            expect(parseColor('#ff8000')).toEqual({ r: 255, g: 128, b: 0, a: 1 });
+            expect(parseColor('#f80')).toEqual({ r: 255, g: 136, b: 0, a: 1 });
+            expect(parseColor('#ff000080').a).toBeCloseTo(0.5, 2);
+        });
+
+        it('should parse rgb and rgba colors', () => {
+            expect(parseColor('rgb(1, 2, 3)')).toEqual({ r: 1, g: 2, b: 3, a: 1 });
+            expect(parseColor('rgba(1, 2, 3, 0.5)')).toEqual({ r: 1, g: 2, b: 3, a: 0.5 });
+            expect(parseColor('rgb(100%, 0%, 0%)')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+        });
+
+        it('should parse hsl colors', () => {
+            const color = parseColor('hsl(120, 100%, 50%)');
+            expect(color.r).toBeCloseTo(0);
+            expect(color.g).toBeCloseTo(255);
+            expect(color.b).toBeCloseTo(0);
+            expect(parseColor('hsla(0, 0%, 50%, 0.25)').a).toBe(0.25);
+        });
+
+        it('should parse named colors', () => {
+            expect(parseColor('Red')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+            expect(parseColor('transparent')).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+        });
+
+        it('should return null for invalid colors', () => {
+            expect(parseColor('dashed')).toBeNull();
+            expect(parseColor('#12')).toBeNull();
+            expect(parseColor(12)).toBeNull();
+        });
+    });
+
+    describe('interpolateColor', () => {
+        it('should interpolate between colors of different formats', () => {
+            expect(interpolateColor('black', '#ffffff', 0.5)).toBe('rgb(128, 128, 128)');
+            expect(interpolateColor('rgb(0, 0, 0)', 'hsl(0, 100%, 50%)', 1)).toBe('rgb(255, 0, 0)');
+        });
+
+        it('should keep the hue when fading from transparent', () => {
+            expect(interpolateColor('transparent', 'red', 0.5)).toBe('rgba(255, 0, 0, 0.5)');
+        });
+
+        it('should throw for invalid colors', () => {
+            expect(() => interpolateColor('red', 'solid', 0.5)).toThrow(TypeError);
+        });
+
+        it('should format colors', () => {
+            expect(formatColor({ r: 300, g: -5, b: 10.4, a: 1 })).toBe('rgb(255, 0, 10)');
+            expect(formatColor({ r: 0, g: 0, b: 0, a: 0.3333 })).toBe('rgba(0, 0, 0, 0.333)');
+        });
+    });
+});
@@ -0,0 +1,125 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { Easing, cubicBezier, resolveEasing } from '../src/easing.js';
+import { Path, Timeline, AnimationFramework } from '../src/animation.js';
+
+describe('Easing', () => {
+    // 所有缓动函数都必须从0开始到1结束
+    describe('Built-in easings', () => {
+        Object.entries(Easing).forEach(([name, ease]) => {
+            it(`${name} should start at 0 and end at 1`, () => {
+                expect(ease(0)).toBeCloseTo(0, 5);
+                expect(ease(1)).toBeCloseTo(1, 5);
+            });
+        });
+
+        it('should be symmetric for in-out easings', () => {
+            expect(Easing.easeInOutQuad(0.5)).toBeCloseTo(0.5);
+            expect(Easing.easeInOutCubic(0.25)).toBeCloseTo(1 - Easing.easeInOutCubic(0.75));
+        });
+
+        it('should overshoot for back easing', () => {
+            expect(Easing.easeInBack(0.2)).toBeLessThan(0);
+            expect(Easing.easeOutBack(0.8)).toBeGreaterThan(1);
+        });
+
+        it('should stay within range for bounce easing', () => {
+            for (let t = 0; t <= 1; t += 0.05) {
+                expect(Easing.easeOutBounce(t)).toBeGreaterThanOrEqual(0);
+                expect(Easing.easeOutBounce(t)).toBeLessThanOrEqual(1.0001);
+            }
+        });
+    });
+
+    describe('cubicBezier', () => {
+        it('should behave linearly for linear control points', () => {
+            const ease = cubicBezier(0.25, 0.25, 0.75, 0.75);
+            expect(ease(0.3)).toBeCloseTo(0.3, 4);
+            expect(ease(0.8)).toBeCloseTo(0.8, 4);
+        });
+
+        it('should match the CSS ease curve', () => {
+            const ease = cubicBezier(0.25, 0.1, 0.25, 1);
+            expect(ease(0.5)).toBeCloseTo(0.8024, 3);
+        });
+
+        it('should reject control points outside of range', () => {
+            expect(() => cubicBezier(-0.1, 0, 1, 1)).toThrow(RangeError);
+            expect(() => cubicBezier('a', 0, 1, 1)).toThrow(TypeError);
+        });
+    });
+
+    describe('resolveEasing', () => {
+        it('should resolve names, functions and bezier descriptions', () => {
+            const custom = t => t;
+            expect(resolveEasing()).toBe(Easing.linear);
+            expect(resolveEasing('easeInQuad')).toBe(Easing.easeInQuad);
+            expect(resolveEasing(custom)).toBe(custom);
+            expect(resolveEasing('cubic-bezier(0.25, 0.1, 0.25, 1)')(0.5)).toBeCloseTo(0.8024, 3);
+            expect(resolveEasing([0.25, 0.1, 0.25, 1])(0.5)).toBeCloseTo(0.8024, 3);
+        });
+
+        it('should throw for unknown easing', () => {
+            expect(() => resolveEasing('wobble')).toThrow(TypeError);
+        });
+    });
+});
+
+describe('Path motion with easing', () => {
+    let timeline;
+    let framework;
+
+    beforeEach(() => {
+        timeline = new Timeline({ fixedStep: 10 });
+        framework = new AnimationFramework();
+        framework.setTimeline(timeline);
+    });
+
+    it('should ease moveBetweenPoints', () => {
+        const stepCallback = jest.fn();
+        framework.moveBetweenPoints({ x: 0, y: 0 }, { x: 100, y: 0 }, 100, stepCallback, null, 'easeInQuad');
+
+        timeline.step(5);
+        expect(stepCallback).toHaveBeenLastCalledWith(25, 0, 4);
+
+        timeline.step(5);
+        expect(stepCallback).toHaveBeenLastCalledWith(100, 0, 9);
+    });
+
+    it('should apply easing to the whole path', () => {
+        const stepCallback = jest.fn();
+        const points = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }];
+        framework.moveAlongPath(points, 100, stepCallback, null, null, { easing: 'easeInQuad' });
+
+        // 整条路径进度0.25，仍然在第一段的中点
+        timeline.step(5);
+        expect(stepCallback).toHaveBeenLastCalledWith(50, 0, 4, 0);
+    });
+
+    it('should apply easing to every segment', () => {
+        const stepCallback = jest.fn();
+        const points = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }];
+        framework.moveAlongPath(points, 200, stepCallback, null, null, { segmentEasing: ['linear', 'easeInQuad'] });
+
+        timeline.step(3);
+        expect(stepCallback).toHaveBeenLastCalledWith(30, 0, 2, 0);
+
+        // 第二段进度0.5，经过easeInQuad后为0.25
+        timeline.step(12);
+        expect(stepCallback).toHaveBeenLastCalledWith(100, 25, 5, 1);
+    });
+
+    it('should pass easing options through followPath', async () => {
+        const updateCallback = jest.fn();
+        const path = new Path([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
+        const handle = framework.followPath(path, updateCallback, 'forward', 100, null, false, false, { easing: 'easeOutQuad' });
+
+        timeline.step(5);
+        expect(updateCallback.mock.calls[4][0]).toBeCloseTo(75);
+
+        timeline.step(5);
+        await expect(handle).resolves.toBe(true);
+        expect(updateCallback).toHaveBeenLastCalledWith(100, 0, 9, 0, 0, 'forward');
+    });
+});
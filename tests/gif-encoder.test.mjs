@@ -0,0 +1,90 @@
+"use strict";
+
+import { describe, expect, test, jest } from "@jest/globals";
+import { GIFEncoder, quantize, lzwEncode } from '../src/gif-encoder.js';
+import { decodeGIF, lzwDecode } from './helpers/gif-decoder.mjs';
+
+// 生成纯色的RGBA像素
+function solid(width, height, [r, g, b, a = 255]) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels.set([r, g, b, a], i * 4);
+    }
+    return pixels;
+}
+
+describe('quantize', () => {
+    it('should build an exact palette for few colors', () => {
+        const pixels = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255, 255, 0, 0, 255, 0, 0, 0, 0]);
+        const { palette, indices, transparentIndex } = quantize(pixels);
+
+        expect(palette).toEqual([[255, 0, 0], [0, 0, 255], [0, 0, 0]]);
+        expect(Array.from(indices)).toEqual([0, 1, 0, 2]);
+        expect(transparentIndex).toBe(2);
+    });
+
+    it('should fall back to a uniform palette for many colors', () => {
+        const pixels = new Uint8ClampedArray(300 * 4);
+        for (let i = 0; i < 300; i++) {
+            pixels.set([i % 256, Math.floor(i / 256) * 100, 50, 255], i * 4);
+        }
+        const { palette, indices } = quantize(pixels);
+
+        expect(palette.length).toBeLessThanOrEqual(256);
+        // 纯黑映射到调色板的第一个颜色
+        expect(palette[indices[0]]).toEqual([0, 0, 51]);
+    });
+});
+
+describe('lzwEncode', () => {
+    it('should round-trip long sequences through table resets', () => {
+        const indices = new Uint8Array(20000);
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = (i * 7 + (i >> 5)) % 16;
+        }
+        expect(lzwDecode(lzwEncode(indices, 4), 4)).toEqual(Array.from(indices));
+    });
+});
+
+describe('GIFEncoder', () => {
+    it('should encode frames with delays and loop extension', () => {
+        const encoder = new GIFEncoder(4, 3, { repeat: 0 });
+        encoder.addFrame(solid(4, 3, [255, 255, 255]), 50);
+        const second = solid(4, 3, [255, 255, 255]);
+        second.set([255, 0, 0, 255], 0);
+        encoder.addFrame(second, 120);
+
+        const gif = decodeGIF(encoder.finish());
+
+        expect(gif.header).toBe('GIF89a');
+        expect(gif.width).toBe(4);
+        expect(gif.height).toBe(3);
+        expect(gif.repeat).toBe(0);
+        expect(gif.frames).toHaveLength(2);
+        expect(gif.frames[0].delay).toBe(50);
+        expect(gif.frames[1].delay).toBe(120);
+        expect(gif.frames[0].indices).toHaveLength(12);
+
+        const frame = gif.frames[1];
+        expect(frame.palette[frame.indices[0]]).toEqual([255, 0, 0]);
+        expect(frame.palette[frame.indices[1]]).toEqual([255, 255, 255]);
+    });
+
+    it('should mark transparent pixels', () => {
+        const encoder = new GIFEncoder(2, 2, { repeat: -1 });
+        encoder.addFrame(solid(2, 2, [0, 0, 0, 0]));
+
+        const gif = decodeGIF(encoder.finish());
+        expect(gif.repeat).toBeNull();
+        expect(gif.frames[0].transparentIndex).toBe(0);
+        expect(gif.frames[0].indices).toEqual([0, 0, 0, 0]);
+    });
+
+    it('should validate frames', () => {
+        const encoder = new GIFEncoder(2, 2);
+        expect(() => encoder.addFrame(new Uint8ClampedArray(4))).toThrow(RangeError);
+        encoder.finish();
+        expect(() => encoder.addFrame(solid(2, 2, [0, 0, 0]))).toThrow();
+        expect(() => new GIFEncoder(0, 2)).toThrow(RangeError);
+    });
+});
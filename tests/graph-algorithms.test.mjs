@@ -0,0 +1,106 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { visualizeGraph, GRAPH_ALGORITHMS } from '../src/graph-algorithms.js';
+import { GraphView, GRAPH_COLORS } from '../src/graph-view.js';
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { play } from './helpers/animation.mjs';
+
+//   A --- B --- E
+//   |     |
+//   C --- D     F（孤立）
+const UNWEIGHTED = {
+    nodes: ['A', 'B', 'C', 'D', 'E', 'F'],
+    edges: [['A', 'B'], ['A', 'C'], ['B', 'D'], ['C', 'D'], ['B', 'E']]
+};
+
+const WEIGHTED = {
+    nodes: ['s', 'a', 'b', 'c', 't'],
+    edges: [['s', 'a', 4], ['s', 'b', 1], ['b', 'a', 2], ['a', 'c', 1], ['b', 'c', 5], ['c', 't', 3]]
+};
+
+// 处于tree状态的边
+const treeEdges = view => view.edges.filter(edge => edge.state === 'tree').map(edge => `${edge.from}${edge.to}`);
+
+describe('graph algorithms', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    test('should provide bfs, dfs and dijkstra', () => {
+        expect(Object.keys(GRAPH_ALGORITHMS)).toEqual(['bfs', 'dfs', 'dijkstra']);
+    });
+
+    test('bfs should visit the graph level by level', async () => {
+        const view = new GraphView(0, 0, UNWEIGHTED, { id: 'g' });
+        framework.addElement(view);
+        const result = await play(framework, () => visualizeGraph('bfs', view, framework, 'A', { stepDuration: 20 }));
+
+        expect(result.order).toEqual(['A', 'B', 'C', 'D', 'E']);
+        expect(result.parents).toEqual(new Map([['A', null], ['B', 'A'], ['C', 'A'], ['D', 'B'], ['E', 'B']]));
+        expect(['A', 'B', 'D', 'E'].map(name => view.getNode(name).note.text)).toEqual(['0', '1', '2', '2']);
+        expect(treeEdges(view)).toEqual(['AB', 'AC', 'BD', 'BE']);
+        // 不可达的节点保持默认状态
+        expect(view.getNode('F').state).toBe('default');
+        expect(['A', 'B', 'C', 'D', 'E'].every(name => view.getNode(name).box.style.backgroundColor === GRAPH_COLORS.visited)).toBe(true);
+
+        // B被处理之前C已经进入队列
+        const frames = framework.frames.map(frame => frame.elements);
+        const colorOf = (elements, index) => elements[`g_node_${index}_circle`].style.backgroundColor;
+        const bCurrent = frames.findIndex(elements => colorOf(elements, 1) === GRAPH_COLORS.current);
+        expect(colorOf(frames[bCurrent], 2)).toBe(GRAPH_COLORS.frontier);
+    });
+
+    test('dfs should go deep before backtracking', async () => {
+        const view = new GraphView(0, 0, UNWEIGHTED);
+        framework.addElement(view);
+        const result = await play(framework, () => visualizeGraph('dfs', view, framework, 'A', { stepDuration: 20 }));
+
+        expect(result.order).toEqual(['A', 'B', 'D', 'C', 'E']);
+        expect(result.parents).toEqual(new Map([['A', null], ['B', 'A'], ['D', 'B'], ['C', 'D'], ['E', 'B']]));
+        expect(treeEdges(view)).toEqual(['AB', 'BD', 'CD', 'BE']);
+        expect(view.getNode('A').state).toBe('visited');
+    });
+
+    test('dijkstra should update distances and the shortest path tree', async () => {
+        const view = new GraphView(0, 0, WEIGHTED, { directed: true });
+        framework.addElement(view);
+        const result = await play(framework, () => visualizeGraph('dijkstra', view, framework, 's', { stepDuration: 20 }));
+
+        expect(result.order).toEqual(['s', 'b', 'a', 'c', 't']);
+        expect(result.distances).toEqual(new Map([['s', 0], ['a', 3], ['b', 1], ['c', 4], ['t', 7]]));
+        expect(result.previous).toEqual(new Map([['s', null], ['a', 'b'], ['b', 's'], ['c', 'a'], ['t', 'c']]));
+        expect(view.getNode('t').note.text).toBe('7');
+        // s→a和b→c被更短的路径取代
+        expect(treeEdges(view)).toEqual(['sb', 'ba', 'ac', 'ct']);
+
+        // 不带动画也能得到同样的结果，不可达的节点距离为无穷大
+        const other = new GraphView(0, 0, { nodes: [1, 2, 3], edges: [[1, 2]] });
+        const unreachable = await visualizeGraph('dijkstra', other, null, 1);
+        expect(unreachable.distances).toEqual(new Map([[1, 0], [2, 1], [3, Infinity]]));
+        expect(other.getNode(3).note.text).toBe('∞');
+    });
+
+    test('results should keep number and string node names apart', async () => {
+        // 与GraphView.nodes一样，1和'1'是不同的节点
+        const view = new GraphView(0, 0, { nodes: [1, '1', 2], edges: [[1, 2], ['1', 2]] });
+        const bfs = await visualizeGraph('bfs', view, null, 1);
+        expect(bfs.order).toEqual([1, 2, '1']);
+        expect(bfs.parents).toEqual(new Map([[1, null], [2, 1], ['1', 2]]));
+
+        const shortest = await visualizeGraph('dijkstra', view, null, '1');
+        expect(shortest.distances.get('1')).toBe(0);
+        expect(shortest.distances.get(1)).toBe(2);
+        expect(shortest.previous.get(1)).toBe(2);
+    });
+
+    test('should validate the algorithm, the start node and the weights', async () => {
+        const view = new GraphView(0, 0, { nodes: ['a', 'b'], edges: [['a', 'b', -1]] });
+        await expect(visualizeGraph('prim', view, null, 'a')).rejects.toThrow('未知的图算法: prim');
+        await expect(visualizeGraph('bfs', {}, null, 'a')).rejects.toThrow(TypeError);
+        await expect(visualizeGraph('bfs', view, null, 'z')).rejects.toThrow('未知的节点: z');
+        await expect(visualizeGraph('dijkstra', view, null, 'a')).rejects.toThrow(RangeError);
+    });
+});
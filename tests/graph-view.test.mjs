@@ -0,0 +1,196 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { GraphView, GRAPH_COLORS } from '../src/graph-view.js';
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { SVGAnimationFramework } from '../src/animation-svg.js';
+import { Group, Link, Text } from '../src/animation.js';
+import { setupDOM, play } from './helpers/animation.mjs';
+
+setupDOM();
+
+// 节点中心的坐标
+const centerOf = (view, name) => {
+    const { group } = view.getNode(name);
+    const half = view.options.nodeSize / 2;
+    return { x: group.x + half, y: group.y + half };
+};
+
+const SQUARE = {
+    nodes: ['A', 'B', 'C', 'D'],
+    edges: [['A', 'B', 4], ['B', 'C', 1], ['C', 'D', 2], ['D', 'A', 7]]
+};
+
+describe('GraphView', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    test('should create circular nodes, weighted edges and labels', () => {
+        const view = new GraphView(10, 10, SQUARE, { id: 'g', width: 200, height: 200 });
+        framework.addElement(view);
+
+        expect(view).toBeInstanceOf(Group);
+        const a = view.getNode('A');
+        expect(a.group.id).toBe('g_node_0');
+        expect(a.box.style.borderRadius).toBe(20);
+        expect(a.box.label).toBe('A');
+
+        const edge = view.findEdge('B', 'A');
+        expect(edge.link).toBeInstanceOf(Link);
+        expect(edge.link.id).toBe('g_edge_0');
+        expect(edge.link.endArrow).toBe(false);
+        expect(edge.label.text).toBe('4');
+        expect(view.neighbors('A').map(({ name, weight }) => [name, weight])).toEqual([['B', 4], ['D', 7]]);
+
+        // 边连接两个节点的圆周，标签在边的中点旁边
+        edge.link.updatePath();
+        const [start, end] = edge.link.path.points;
+        const a0 = centerOf(view, 'A');
+        const b0 = centerOf(view, 'B');
+        expect(Math.hypot(start.x - a0.x, start.y - a0.y)).toBeCloseTo(20);
+        expect(Math.hypot(end.x - b0.x, end.y - b0.y)).toBeCloseTo(20);
+        edge.label.updatePosition();
+        const middle = { x: (a0.x + b0.x) / 2, y: (a0.y + b0.y) / 2 };
+        expect(Math.hypot(edge.label.x - middle.x, edge.label.y - middle.y)).toBeCloseTo(10);
+
+        expect(() => view.addEdge('A', 'B')).toThrow('边 A - B 已经存在');
+        expect(() => view.addEdge('A', 'A')).toThrow('不支持自环: A');
+        expect(() => view.addEdge('A', 'Z')).toThrow('未知的节点: Z');
+        expect(() => view.addNode('A')).toThrow('节点 A 已经存在');
+        expect(() => new GraphView(0, 0, {}, { layout: 'tree' })).toThrow('未知的布局: tree');
+    });
+
+    test('directed edges should carry arrows and separate opposite directions', () => {
+        const view = new GraphView(0, 0, { nodes: [1, 2, 3], edges: [[1, 2], [2, 1], [2, 3]] }, { directed: true });
+        const forward = view.findEdge(1, 2);
+        const backward = view.findEdge(2, 1);
+        expect(forward).not.toBe(backward);
+        expect(forward.link.endArrow).toBe(true);
+        expect(forward.label).toBeNull();
+        expect([forward.link.bend, backward.link.bend, view.findEdge(2, 3).link.bend]).toEqual([6, 6, 0]);
+        expect(view.findEdge(3, 2)).toBeNull();
+        expect(view.neighbors(2).map(({ name }) => name)).toEqual([1, 3]);
+        expect(view.neighbors(3)).toEqual([]);
+
+        // 两条边分别向各自的左侧平移，互不重合
+        forward.link.updatePath();
+        backward.link.updatePath();
+        const [f0, f1] = forward.link.path.points;
+        const [b0, b1] = backward.link.path.points;
+        expect(Math.hypot(f0.x - b1.x, f0.y - b1.y)).toBeCloseTo(12);
+        expect(Math.hypot(f1.x - b0.x, f1.y - b0.y)).toBeCloseTo(12);
+    });
+
+    test('circular and grid layouts should place nodes deterministically', () => {
+        const view = new GraphView(0, 0, SQUARE, { width: 200, height: 200 });
+        // 从正上方开始顺时针排列
+        expect(centerOf(view, 'A')).toEqual({ x: 100, y: 20 });
+        expect(centerOf(view, 'B').x).toBeCloseTo(180);
+        expect(centerOf(view, 'B').y).toBeCloseTo(100);
+
+        view.layout('grid');
+        expect(['A', 'B', 'C', 'D'].map(name => centerOf(view, name))).toEqual([
+            { x: 50, y: 50 }, { x: 150, y: 50 }, { x: 50, y: 150 }, { x: 150, y: 150 }
+        ]);
+        view.options.columns = 4;
+        view.layout();
+        expect(centerOf(view, 'D')).toEqual({ x: 175, y: 100 });
+    });
+
+    test('force layout should be deterministic and keep nodes inside the area', () => {
+        const graph = {
+            nodes: [1, 2, 3, 4, 5, 6],
+            edges: [[1, 2], [2, 3], [3, 1], [4, 5], [5, 6], [6, 4], [3, 4]]
+        };
+        const first = new GraphView(0, 0, graph, { layout: 'force' });
+        const second = new GraphView(0, 0, graph, { layout: 'force' });
+        expect(first.computeLayout()).toEqual(second.computeLayout());
+
+        const centers = graph.nodes.map(name => centerOf(first, name));
+        centers.forEach(({ x, y }) => {
+            expect(x).toBeGreaterThanOrEqual(20);
+            expect(x).toBeLessThanOrEqual(380);
+            expect(y).toBeGreaterThanOrEqual(20);
+            expect(y).toBeLessThanOrEqual(280);
+        });
+        // 没有节点重叠，相连的节点比不相连的节点更近
+        const distance = (a, b) => Math.hypot(centers[a].x - centers[b].x, centers[a].y - centers[b].y);
+        for (let i = 0; i < 6; i++) {
+            for (let j = i + 1; j < 6; j++) {
+                expect(distance(i, j)).toBeGreaterThan(40);
+            }
+        }
+        expect(distance(0, 1)).toBeLessThan(distance(0, 5));
+    });
+
+    test('relayout should glide the nodes with their edges and labels', async () => {
+        const view = new GraphView(0, 0, SQUARE, { id: 'g', width: 200, height: 200 });
+        framework.addElement(view);
+        await play(framework, () => view.relayout(framework, 'grid', 100));
+        expect(view.options.layout).toBe('grid');
+        expect(centerOf(view, 'A')).toEqual({ x: 50, y: 50 });
+
+        // 动画过程中边和标签跟随节点
+        const states = framework.frames.map(frame => frame.elements);
+        const middle = states[Math.floor(states.length / 2)];
+        expect(middle.g_node_0.x).toBeGreaterThan(30);
+        expect(middle.g_node_0.x).toBeLessThan(80);
+        const labels = states.map(elements => elements.g_edge_0_label.x);
+        expect(new Set(labels).size).toBeGreaterThan(2);
+    });
+
+    test('state primitives should colour nodes and edges', async () => {
+        const view = new GraphView(0, 0, SQUARE, { id: 'g' });
+        framework.addElement(view);
+
+        await play(framework, () => view.setNodeState(framework, 'A', 'frontier', 100));
+        expect(view.getNode('A').box.style.backgroundColor).toBe(GRAPH_COLORS.frontier);
+        await play(framework, () => view.visitNode(framework, 'B', 100));
+        expect(view.getNode('B').state).toBe('current');
+        await play(framework, () => view.setEdgeState(framework, 'B', 'A', 'tree', 100));
+        expect(view.findEdge('A', 'B').link.style.borderWidth).toBe(4);
+
+        // 松弛时小圆点从起点移动到终点，结束后边恢复原来的样式
+        await play(framework, () => view.relaxEdge(framework, 'C', 'B', 100));
+        const dots = framework.frames.map(frame => frame.elements.g_edge_1_dot).filter(Boolean);
+        expect(dots.length).toBeGreaterThan(2);
+        const c = centerOf(view, 'C');
+        const b = centerOf(view, 'B');
+        const distanceTo = (point, dot) => Math.hypot(dot.x + 5 - point.x, dot.y + 5 - point.y);
+        expect(distanceTo(c, dots[0])).toBeLessThan(distanceTo(b, dots[0]));
+        expect(distanceTo(b, dots[dots.length - 1])).toBeLessThan(distanceTo(c, dots[dots.length - 1]));
+        expect(view.children.some(child => child.id === 'g_edge_1_dot')).toBe(false);
+        expect(view.findEdge('B', 'C').link.style.borderColor).toBe('#757575');
+
+        view.setNote('A', 5);
+        const note = view.getNode('A').note;
+        expect(note).toBeInstanceOf(Text);
+        expect([note.text, note.x, note.y]).toEqual(['5', 20, 44]);
+        view.setNote('A', '∞');
+        expect(view.getNode('A').group.children).toHaveLength(2);
+
+        view.resetStates();
+        expect(view.getNode('A').note).toBeNull();
+        expect(view.getNode('A').box.style.backgroundColor).toBe('white');
+        expect(view.findEdge('A', 'B').state).toBe('default');
+        await expect(view.setNodeState(framework, 'A', 'done')).rejects.toThrow('未知的节点状态: done');
+        await expect(view.relaxEdge(framework, 'A', 'C')).rejects.toThrow('没有从 A 到 C 的边');
+    });
+
+    test('SVG renderer should draw nodes, arrows and labels', () => {
+        document.body.innerHTML = '<div id="root"></div>';
+        const svg = new SVGAnimationFramework('root');
+        const view = new GraphView(0, 0, { nodes: ['s', 't'], edges: [['s', 't', 3]] }, { id: 'svg', directed: true });
+        svg.addElement(view);
+        view.setNote('s', 0);
+        svg.update();
+
+        expect(svg.elementMap.get('svg_node_0_circle')).toBeTruthy();
+        expect(svg.elementMap.get('svg_node_0_note')).toBeTruthy();
+        expect(svg.elementMap.get('svg_edge_0')).toBeTruthy();
+        expect(svg.elementMap.get('svg_edge_0_label').textContent).toBe('3');
+    });
+});
@@ -0,0 +1,31 @@
+'use strict';
+import { beforeAll } from '@jest/globals';
+import { JSDOM } from 'jsdom';
+
+// 数据结构视图的测试共用的工具
+
+/**
+ * 在beforeAll中手动设置全局 DOM 环境，供DOM和SVG渲染器使用
+ */
+function setupDOM() {
+    beforeAll(() => {
+        const dom = new JSDOM('<!DOCTYPE html>');
+        global.document = dom.window.document;
+        global.window = dom.window;
+    });
+}
+
+/**
+ * 执行一个动画操作直到结束
+ * @param {RecordingAnimationFramework} framework 录制渲染器
+ * @param {function} operation 开始动画的操作
+ * @returns {*} 操作的返回值，通常为动画结束时完成的Promise
+ */
+async function play(framework, operation) {
+    const result = operation();
+    await framework.run({ maxSteps: 100000 });
+    return result;
+}
+
+// export
+export { setupDOM, play };
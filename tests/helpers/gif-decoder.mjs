@@ -0,0 +1,118 @@
+'use strict';
+
+// 测试用的GIF解码工具，由GIF编码器和导出器的测试共用
+
+/**
+ * 测试用的GIF解码器，只支持编码器生成的结构：局部颜色表、图形控制扩展和应用扩展
+ * @returns {Object} {width, height, repeat, frames: [{delay, transparentIndex, palette, indices}]}
+ */
+function decodeGIF(bytes) {
+    let pos = 0;
+    const readUint16 = () => {
+        const value = bytes[pos] | (bytes[pos + 1] << 8);
+        pos += 2;
+        return value;
+    };
+    const readBlocks = () => {
+        const data = [];
+        while (bytes[pos] !== 0) {
+            const size = bytes[pos++];
+            data.push(...bytes.slice(pos, pos + size));
+            pos += size;
+        }
+        pos++;
+        return data;
+    };
+
+    const header = String.fromCharCode(...bytes.slice(0, 6));
+    pos = 6;
+    const result = { header, width: readUint16(), height: readUint16(), repeat: null, frames: [] };
+    pos += 3;
+
+    let control = {};
+    while (pos < bytes.length) {
+        const introducer = bytes[pos++];
+        if (introducer === 0x3b) break;
+        if (introducer === 0x21) {
+            const label = bytes[pos++];
+            if (label === 0xf9) {
+                pos++;
+                const packed = bytes[pos++];
+                const delay = readUint16() * 10;
+                const transparentIndex = packed & 1 ? bytes[pos] : -1;
+                pos += 2;
+                control = { delay, transparentIndex };
+            } else {
+                const data = readBlocks();
+                result.repeat = data[12] | (data[13] << 8);
+            }
+            continue;
+        }
+
+        // 图像描述符
+        pos += 8;
+        const packed = bytes[pos++];
+        const tableSize = 1 << ((packed & 0x07) + 1);
+        const palette = [];
+        for (let i = 0; i < tableSize; i++) {
+            palette.push([bytes[pos], bytes[pos + 1], bytes[pos + 2]]);
+            pos += 3;
+        }
+        const minCodeSize = bytes[pos++];
+        const indices = lzwDecode(readBlocks(), minCodeSize);
+        result.frames.push({ ...control, palette, indices });
+        control = {};
+    }
+    return result;
+}
+
+function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let table = [];
+    let previous = null;
+    let bitPos = 0;
+
+    const reset = () => {
+        table = [];
+        for (let i = 0; i < clearCode; i++) table.push([i]);
+        table.push(null, null);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    while (bitPos + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++) {
+            const bit = (data[(bitPos + i) >> 3] >> ((bitPos + i) & 7)) & 1;
+            code |= bit << i;
+        }
+        bitPos += codeSize;
+
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) break;
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+        } else {
+            entry = [...previous, previous[0]];
+        }
+        output.push(...entry);
+        if (previous) {
+            table.push([...previous, entry[0]]);
+            if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+        }
+        previous = entry;
+    }
+    return output;
+}
+
+// export
+export { decodeGIF, lzwDecode };
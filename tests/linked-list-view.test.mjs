@@ -0,0 +1,191 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { LinkedListView } from '../src/linked-list-view.js';
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { Group, Link } from '../src/animation.js';
+import { play } from './helpers/animation.mjs';
+
+// 节点分组的横坐标
+const nodeXs = list => list.nodes.map(node => node.group.x);
+
+describe('LinkedListView', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    test('should lay out singly linked nodes joined by arrows', () => {
+        const list = new LinkedListView(10, 20, [1, 2, 3], { id: 'list' });
+        framework.addElement(list);
+
+        expect(list).toBeInstanceOf(Group);
+        expect(list.toArray()).toEqual([1, 2, 3]);
+        expect(nodeXs(list)).toEqual([0, 110, 220]);
+        const [first, second, last] = list.nodes;
+        expect(first.group.children.map(cell => [cell.id, cell.x, cell.width, cell.label])).toEqual([
+            ['list_node_0_value', 0, 50, 1], ['list_node_0_next', 50, 20, '']
+        ]);
+        // 最后一个节点的next为空
+        expect(last.nextCell.label).toBe('∧');
+        expect(list.children).not.toContain(last.nextLink);
+
+        // 箭头从next域的中心指向下一个节点的左边缘
+        const link = first.nextLink;
+        expect(link).toBeInstanceOf(Link);
+        expect(link.endArrow).toBe(true);
+        expect(link.source).toBe(first.nextCell);
+        expect(link.target).toBe(second.valueBox);
+        link.updatePath();
+        expect(link.path.points).toEqual([{ x: 60, y: 20 }, { x: 110, y: 20 }]);
+        expect(() => new LinkedListView(0, 0, 'abc')).toThrow(TypeError);
+    });
+
+    test('should lay out doubly linked nodes with next and prev arrows', () => {
+        const list = new LinkedListView(0, 0, [1, 2], { doubly: true });
+        const [first, second] = list.nodes;
+        expect(first.group.children.map(cell => cell.x)).toEqual([0, 20, 70]);
+        expect(first.prevCell.label).toBe('∧');
+        expect(second.prev).toBe(first);
+
+        first.nextLink.updatePath();
+        second.prevLink.updatePath();
+        // next箭头在上、prev箭头在下
+        expect(first.nextLink.path.points).toEqual([{ x: 80, y: 14 }, { x: 130, y: 14 }]);
+        expect(second.prevLink.path.points).toEqual([{ x: 140, y: 26 }, { x: 90, y: 26 }]);
+    });
+
+    test('setNext should route links back to earlier nodes below the list', () => {
+        const list = new LinkedListView(0, 0, [1, 2, 3, 4]);
+        list.setNext(3, 1);
+        const link = list.nodes[3].nextLink;
+        expect(link.route).toBe('below');
+        link.updatePath();
+        expect(link.path.points).toEqual([{ x: 390, y: 40 }, { x: 390, y: 64 }, { x: 135, y: 64 }, { x: 135, y: 40 }]);
+        expect(list.toArray()).toEqual([1, 2, 3, 4]);
+
+        list.setNext(3, null);
+        expect(list.children).not.toContain(link);
+        expect(list.nodes[3].nextCell.label).toBe('∧');
+    });
+
+    test('insertAt should wire the new node before sliding it into the row', async () => {
+        const list = new LinkedListView(0, 0, [1, 3], { id: 'list' });
+        framework.addElement(list);
+        list.addPointer('head', 0);
+
+        await play(framework, () => list.insertAt(framework, 1, 2, 50));
+        expect(list.toArray()).toEqual([1, 2, 3]);
+        expect(nodeXs(list)).toEqual([0, 110, 220]);
+        expect(list.nodes[1].group.y).toBe(0);
+        expect(list.nodes[1].group.style.opacity).toBe(1);
+        expect(list.nodes[0].nextLink.target).toBe(list.nodes[1].valueBox);
+
+        // 新节点先连向后继，前驱的箭头随后才移动到新节点
+        const newNode = list.nodes[1];
+        const frames = framework.frames.map(frame => frame.elements);
+        const firstLinked = frames.findIndex(elements => elements[`${newNode.id}_next_link`]);
+        const rewired = frames.findIndex(elements => {
+            const link = elements[`${list.nodes[0].id}_next_link`];
+            return link && link.points.length === 2 && link.points[1].y > 60;
+        });
+        expect(firstLinked).toBeGreaterThan(0);
+        expect(rewired).toBeGreaterThan(firstLinked);
+
+        // 插入到头部时head指针跟随新的头节点
+        await play(framework, () => list.insertAt(framework, 0, 0, 50));
+        expect(list.toArray()).toEqual([0, 1, 2, 3]);
+        expect(list.pointerIndex('head')).toBe(0);
+        expect(list.pointers.get('head').group.x).toBe(25);
+        await expect(list.insertAt(framework, 9, 1)).rejects.toThrow(RangeError);
+    });
+
+    test('delete should bypass the node and close the gap', async () => {
+        const list = new LinkedListView(0, 0, [1, 2, 3], { doubly: true });
+        framework.addElement(list);
+        const removed = list.nodes[1];
+
+        expect(await play(framework, () => list.delete(framework, 1, 50))).toBe(2);
+        expect(list.toArray()).toEqual([1, 3]);
+        expect(list.children).not.toContain(removed.group);
+        const [first, last] = list.nodes;
+        expect(first.next).toBe(last);
+        expect(last.prev).toBe(first);
+        expect(nodeXs(list)).toEqual([0, 130]);
+        expect(first.nextLink.route).toBe('straight');
+
+        await play(framework, () => list.delete(framework, 1, 50));
+        expect(first.nextCell.label).toBe('∧');
+        expect(list.children.filter(child => child instanceof Link)).toHaveLength(0);
+    });
+
+    test.each([false, true])('reverse should rewire every node in place (doubly: %s)', async doubly => {
+        const list = new LinkedListView(0, 0, [1, 2, 3], { doubly });
+        framework.addElement(list);
+        list.addPointer('head', 0);
+        const [a, b, c] = list.nodes;
+
+        await play(framework, () => list.reverse(framework, 20));
+
+        // 第一步把第一个节点的next改为空，此时curr指针仍在第一个节点上
+        const frames = framework.frames.map(frame => frame.elements);
+        const firstStep = frames.find(elements => elements[a.nextCell.id].label === '∧');
+        const center = doubly ? 45 : 25;
+        expect(firstStep[`${list.id}_pointer_curr`].x).toBe(center);
+        expect(firstStep[`${list.id}_pointer_next`].x).toBe(list.slotX(1) + center);
+        expect(list.toArray()).toEqual([3, 2, 1]);
+        expect(list.nodes).toEqual([c, b, a]);
+        expect(nodeXs(list)).toEqual(doubly ? [0, 130, 260] : [0, 110, 220]);
+        expect(c.next).toBe(b);
+        expect(list.pointerIndex('head')).toBe(0);
+        expect([...list.pointers.keys()]).toEqual(['head']);
+        if (doubly) {
+            expect([a.prev, b.prev, c.prev]).toEqual([b, c, null]);
+        }
+        // 反转后所有箭头都指向右边的相邻节点
+        expect(list.nodes.slice(0, 2).every(node => node.nextLink.route === 'straight' &&
+            node.nextLink.sourceAnchor === 'center-next')).toBe(true);
+    });
+
+    test('reverse should refuse a list with a cycle', async () => {
+        const list = new LinkedListView(0, 0, [1, 2]);
+        list.setNext(1, 0);
+        await expect(list.reverse(framework)).rejects.toThrow('链表中有环');
+    });
+
+    test('detectCycle should find the entry of a cycle with slow and fast pointers', async () => {
+        const list = new LinkedListView(0, 0, [1, 2, 3, 4, 5, 6]);
+        framework.addElement(list);
+        list.setNext(5, 2);
+
+        expect(await play(framework, () => list.detectCycle(framework, 20))).toBe(2);
+
+        // fast指针每次走两步，经过第5个节点后绕回环中
+        const fastPositions = framework.frames
+            .map(frame => frame.elements[`${list.id}_pointer_fast`])
+            .filter(Boolean)
+            .map(state => state.x);
+        expect(fastPositions).toContain(list.slotX(4) + 25);
+        expect(fastPositions.lastIndexOf(list.slotX(2) + 25)).toBeGreaterThan(fastPositions.indexOf(list.slotX(4) + 25));
+        expect(list.pointers.size).toBe(0);
+        expect(framework.flashingElements).toEqual([]);
+
+        const acyclic = new LinkedListView(0, 0, [1, 2, 3]);
+        framework.addElement(acyclic);
+        expect(await play(framework, () => acyclic.detectCycle(framework, 20))).toBe(-1);
+        expect(await new LinkedListView(0, 0, []).detectCycle(framework)).toBe(-1);
+    });
+
+    test('pointers can point past either end of the list', async () => {
+        const list = new LinkedListView(0, 0, [1, 2]);
+        framework.addElement(list);
+        list.addPointer('p', -1);
+        expect(list.pointers.get('p').group.x).toBe(-85);
+        await play(framework, () => list.movePointer(framework, 'p', 2, 50));
+        expect(list.pointers.get('p').group.x).toBe(245);
+        expect(list.pointerIndex('p')).toBe(-1);
+        expect(() => list.addPointer('q', 5)).toThrow(RangeError);
+        await expect(list.movePointer(framework, 'q', 0)).rejects.toThrow('未知的指针: q');
+    });
+});
@@ -0,0 +1,113 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { PlaybackController } from '../src/animation-playback.js';
+import { QuickSortDemo } from '../src/quicksort-demo.js';
+
+// 用录制渲染器运行完整的演示，检查画面与算法的每一步是否同步
+
+describe('QuickSortDemo', () => {
+    test('should validate its arguments', () => {
+        expect(() => new QuickSortDemo({}, [1])).toThrow(TypeError);
+        expect(() => new QuickSortDemo(new RecordingAnimationFramework(), [1, 'a'])).toThrow('待排序的数据必须为数字数组');
+    });
+
+    test('should sort the data and leave every cell in its slot', async () => {
+        const framework = new RecordingAnimationFramework({ fixedStep: 10 });
+        const demo = new QuickSortDemo(framework, [3, 6, 8, 10, 1, 2, 1], { stepDuration: 20 });
+
+        const result = demo.run();
+        await framework.run({ maxSteps: 100000 });
+
+        expect(await result).toEqual([1, 1, 2, 3, 6, 8, 10]);
+        demo.arr.arr.forEach((item, index) => {
+            expect(item.view.label).toBe(item.getValue());
+            expect({ x: item.view.x, y: item.view.y }).toEqual(demo.arr.cellPosition(index));
+            expect(item.view.style.backgroundColor).toBe('#c8e6c9');
+        });
+        // 结束后只剩暂存区、数组和下标，范围括号、指针和基准值副本都已移除或隐藏
+        expect(framework.temporaryObjects).toEqual([]);
+        expect(framework.flashingElements).toEqual([]);
+        expect(demo.pointers.left.visible).toBe(false);
+        expect(framework.elements).toHaveLength(2 + 7 * 2 + 2);
+    });
+
+    test('should move the pivot copy into the pivot slot and walk the pointers', async () => {
+        const framework = new RecordingAnimationFramework({ fixedStep: 10 });
+        const demo = new QuickSortDemo(framework, [2, 3, 1], { stepDuration: 20 });
+
+        demo.run();
+        await framework.run({ maxSteps: 100000 });
+
+        // 在录制的帧中找到基准值副本到达暂存区的一帧
+        const slot = demo.pivotSlot;
+        const pivotFrames = framework.frames.filter(frame => Object.values(frame.elements).some(state =>
+            state.type === 'Box' && state.id !== slot.id && state.x === slot.x && state.y === slot.y));
+        expect(pivotFrames.length).toBeGreaterThan(0);
+        expect(Object.values(pivotFrames[0].elements).find(state => state.x === slot.x && state.id !== slot.id).label).toBe('2');
+
+        // 右指针从最后一格出发向左移动
+        const rightPointer = demo.pointers.right;
+        const positions = framework.frames
+            .map(frame => frame.elements[rightPointer.id])
+            .filter(state => state && state.visible)
+            .map(state => state.x);
+        expect(positions[0]).toBe(demo.cellCenterX(2));
+        expect(Math.min(...positions)).toBeLessThan(demo.cellCenterX(2));
+
+        // 每次分区都画出了范围括号
+        const ranges = framework.frames.filter(frame => frame.elements.data_range);
+        expect(ranges.length).toBeGreaterThan(0);
+    });
+
+    test('record should turn every partition step into reversible playback steps', async () => {
+        const framework = new RecordingAnimationFramework({ fixedStep: 10 });
+        const controller = new PlaybackController(framework);
+        const demo = new QuickSortDemo(framework, [3, 6, 8, 10, 1, 2, 1], { stepDuration: 20 });
+        const labels = () => demo.arr.arr.map(item => item.view.label);
+        const colors = () => demo.arr.arr.map(item => item.view.style.backgroundColor);
+
+        expect(demo.record(controller)).toEqual([1, 1, 2, 3, 6, 8, 10]);
+        // 记录时画面保持初始状态
+        expect(labels()).toEqual([3, 6, 8, 10, 1, 2, 1]);
+        const labelsOf = controller.steps.map(step => step.label);
+        expect(labelsOf.slice(0, 4)).toEqual([
+            '分区[0, 6]，基准值3移入暂存区', 'a[0]=3 ≤ 3，左指针右移', '交换a[1]=6和a[6]=1', 'a[6]=6 > 3，右指针左移'
+        ]);
+        expect(labelsOf[labelsOf.length - 1]).toBe('排序完成');
+
+        // 跳转到结尾和开头
+        controller.seek(controller.steps.length);
+        expect(labels()).toEqual([1, 1, 2, 3, 6, 8, 10]);
+        expect(new Set(colors())).toEqual(new Set(['#c8e6c9']));
+        expect(framework.temporaryObjects).toEqual([]);
+        expect(demo.pointers.left.visible).toBe(false);
+        controller.seek(0);
+        expect(labels()).toEqual([3, 6, 8, 10, 1, 2, 1]);
+        expect(new Set(colors())).toEqual(new Set(['transparent']));
+        expect(framework.temporaryObjects).toEqual([]);
+
+        // 连续播放，格子始终留在自己的位置，id与下标对应
+        const played = controller.play();
+        await framework.run({ maxSteps: 100000 });
+        await played;
+        expect(controller.position).toBe(controller.steps.length);
+        expect(labels()).toEqual([1, 1, 2, 3, 6, 8, 10]);
+        demo.arr.arr.forEach((item, index) => {
+            expect(item.view.id).toBe(`data_${index}`);
+            expect({ x: item.view.x, y: item.view.y }).toEqual(demo.arr.cellPosition(index));
+        });
+
+        // 单步后退到第一次交换之前，交换被撤销
+        controller.seek(3);
+        const stepped = controller.stepBack();
+        await framework.run({ maxSteps: 100000 });
+        await stepped;
+        expect(labels()).toEqual([3, 6, 8, 10, 1, 2, 1]);
+        expect(framework.temporaryObjects.map(element => element.id)).toEqual(['data_range', 'data_pivot_0']);
+
+        expect(() => demo.record({})).toThrow(TypeError);
+        expect(() => demo.record(new PlaybackController(new RecordingAnimationFramework()))).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { visualizeSort, SortVisualizer, SORTING_ALGORITHMS, SORT_COLORS } from '../src/sorting.js';
+
+// 用录制渲染器运行每个排序算法的完整动画
+
+async function runSort(name, data, options = {}) {
+    const framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    const result = visualizeSort(name, data, framework, { stepDuration: 10, ...options });
+    await framework.run({ maxSteps: 100000 });
+    return { framework, result: await result };
+}
+
+// 逆序对的数量，也就是冒泡排序和插入排序需要的交换次数
+function countInversions(data) {
+    let count = 0;
+    for (let i = 0; i < data.length; i++) {
+        for (let j = i + 1; j < data.length; j++) {
+            if (data[i] > data[j]) count++;
+        }
+    }
+    return count;
+}
+
+describe('visualizeSort', () => {
+    const data = [5, 3, 8, 1, 9, 2, 3];
+    const sorted = [1, 2, 3, 3, 5, 8, 9];
+
+    test.each(Object.keys(SORTING_ALGORITHMS))('%s should sort the data and leave a clean scene', async name => {
+        const { framework, result } = await runSort(name, data);
+
+        expect(result.values).toEqual(sorted);
+        expect(result.comparisons + result.swaps + result.writes).toBeGreaterThan(0);
+
+        // 只剩计数文本、格子和下标，格子都在原位且标记为已排序
+        expect(framework.elements).toHaveLength(1 + data.length * 2);
+        expect(framework.temporaryObjects).toEqual([]);
+        expect(framework.flashingElements).toEqual([]);
+        sorted.forEach((value, index) => {
+            // 格子固定在原位，id与下标对应
+            const cell = framework.elements.find(element => element.id === `sort_${index}`);
+            expect(cell.x).toBe(20 + index * 60);
+            expect(cell.label).toBe(value);
+            expect(cell.y).toBe(50);
+            expect(cell.style.backgroundColor).toBe(SORT_COLORS.sorted);
+        });
+        expect(framework.elements.find(element => element.id === 'sort_counters').text)
+            .toBe(`比较 ${result.comparisons} 次  交换 ${result.swaps} 次  写入 ${result.writes} 次`);
+    });
+
+    test('should count comparisons, swaps and writes', async () => {
+        const inversions = countInversions(data);
+
+        const bubble = (await runSort('bubble', data)).result;
+        expect(bubble.swaps).toBe(inversions);
+        expect(bubble.writes).toBe(0);
+
+        const insertion = (await runSort('insertion', data)).result;
+        expect(insertion.swaps).toBe(inversions);
+
+        const selection = (await runSort('selection', data)).result;
+        expect(selection.comparisons).toBe(data.length * (data.length - 1) / 2);
+        expect(selection.swaps).toBeLessThan(data.length);
+
+        // 计数排序不比较，每个元素写入计数桶一次、写回数组一次
+        const counting = (await runSort('counting', data)).result;
+        expect(counting).toMatchObject({ comparisons: 0, swaps: 0, writes: data.length * 2 });
+
+        // 归并排序每一层复制和写回各一次
+        const merge = (await runSort('merge', [4, 3, 2, 1])).result;
+        expect(merge).toMatchObject({ swaps: 0, writes: 16 });
+    });
+
+    test('should handle radix sort with several digits', async () => {
+        const { result } = await runSort('radix', [170, 45, 75, 90, 802, 24, 2, 66]);
+        expect(result.values).toEqual([2, 24, 45, 66, 75, 90, 170, 802]);
+        // 三位数需要分配三趟，每趟写入输出并写回
+        expect(result.writes).toBe(8 * 2 * 3);
+    });
+
+    test('should show a buffer row while merging', async () => {
+        const { framework } = await runSort('merge', [2, 1], { id: 'merge' });
+        const frames = framework.frames.filter(frame => frame.elements.merge_aux_0);
+        expect(frames.length).toBeGreaterThan(0);
+        expect(frames.some(frame => frame.elements.merge_aux_caption.text === '辅助数组')).toBe(true);
+        expect(framework.elements.some(element => element.id === 'merge_aux_0')).toBe(false);
+        expect(framework.elements.map(element => element.id)).toEqual(expect.arrayContaining(['merge_counters', 'merge_0', 'merge_1']));
+    });
+
+    test('should mark the pivot while partitioning', async () => {
+        const { framework } = await runSort('quick', [3, 1, 2]);
+        const pivotFrames = framework.frames.filter(frame => Object.values(frame.elements)
+            .some(state => state.type === 'Box' && state.style && state.style.backgroundColor === SORT_COLORS.pivot));
+        expect(pivotFrames.length).toBeGreaterThan(0);
+    });
+
+    test('should reject invalid input', async () => {
+        const framework = new RecordingAnimationFramework();
+        await expect(visualizeSort('bogo', [1], framework)).rejects.toThrow('未知的排序算法: bogo');
+        await expect(visualizeSort('bubble', [1, 'a'], framework)).rejects.toThrow(TypeError);
+        await expect(visualizeSort('radix', [3, -1], new RecordingAnimationFramework())).rejects.toThrow('基数排序只支持非负整数');
+        await expect(visualizeSort('counting', [0, 100], new RecordingAnimationFramework())).rejects.toThrow(RangeError);
+        expect(() => new SortVisualizer({}, [1])).toThrow(TypeError);
+    });
+
+    test('should accept trivial input', async () => {
+        expect((await runSort('merge', [])).result).toEqual({ values: [], comparisons: 0, swaps: 0, writes: 0 });
+        expect((await runSort('heap', [7])).result.values).toEqual([7]);
+    });
+});
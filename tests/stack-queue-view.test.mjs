@@ -0,0 +1,191 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { StackView, QueueView } from '../src/stack-queue-view.js';
+import { ArrayView } from '../src/array-view.js';
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { SVGAnimationFramework } from '../src/animation-svg.js';
+import { Group } from '../src/animation.js';
+import { setupDOM, play } from './helpers/animation.mjs';
+
+setupDOM();
+
+// 元素左上角的局部坐标
+const positions = view => view.items.map(item => [item.x, item.y]);
+// 某个元素在所有帧中的状态
+const statesOf = (framework, id) => framework.frames.map(frame => frame.elements[id]).filter(Boolean);
+
+describe('StackView', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    test('should stack the items upwards in an open container', () => {
+        const stack = new StackView(100, 300, [1, 2], { id: 'stack', cellWidth: 60, cellHeight: 30, gap: 5 });
+        framework.addElement(stack);
+
+        expect(stack).toBeInstanceOf(Group);
+        expect(stack.toArray()).toEqual([1, 2]);
+        expect(stack.peek()).toBe(2);
+        expect(positions(stack)).toEqual([[0, -30], [0, -65]]);
+        // 没有容量限制时容器至少显示4格
+        expect(stack.outline.path.points).toEqual([
+            { x: -5, y: -140 }, { x: -5, y: 5 }, { x: 65, y: 5 }, { x: 65, y: -140 }
+        ]);
+        // top标记指向栈顶元素的右侧
+        expect(stack.children).toContain(stack.marker);
+        expect([stack.marker.x, stack.marker.y]).toEqual([70, -50]);
+        expect(stack.marker.children.map(child => child.id)).toEqual(['stack_top_arrow', 'stack_top_label']);
+
+        expect(new StackView(0, 0).children).not.toContain(new StackView(0, 0).marker);
+        expect(() => new StackView(0, 0, 'abc')).toThrow(TypeError);
+        expect(() => new StackView(0, 0, [1, 2, 3], { capacity: 2 })).toThrow('初始元素个数 3 超过容量 2');
+        expect(() => new StackView(0, 0, [], { capacity: 0 })).toThrow(RangeError);
+    });
+
+    test('push and pop should slide items in and out through the top', async () => {
+        const stack = new StackView(0, 0, [1], { id: 's', cellHeight: 30, gap: 5 });
+        framework.addElement(stack);
+
+        expect(await play(framework, () => stack.push(framework, 2, 50))).toBe(true);
+        const item = stack.items[1];
+        expect([item.x, item.y, item.label, item.style.opacity]).toEqual([0, -65, 2, 1]);
+        // 新元素在容器上方淡入，再向下滑入
+        const states = statesOf(framework, item.id);
+        expect(states[0].y).toBe(-135 - 30 - 24);
+        expect(states[0].style.opacity).toBeLessThan(1);
+        expect(stack.marker.y).toBe(-50);
+
+        expect(await play(framework, () => stack.pop(framework, 50))).toBe(2);
+        expect(stack.toArray()).toEqual([1]);
+        expect(stack.children).not.toContain(item);
+        expect(stack.marker.y).toBe(-15);
+
+        await play(framework, () => stack.pop(framework, 50));
+        expect(stack.children).not.toContain(stack.marker);
+        await expect(stack.pop(framework)).rejects.toThrow('栈为空，无法出栈');
+    });
+
+    test('pushing onto a full stack should show the overflow state', async () => {
+        const stack = new StackView(0, 0, [1, 2], { id: 's', capacity: 2 });
+        framework.addElement(stack);
+
+        expect(await play(framework, () => stack.push(framework, 3, 50))).toBe(false);
+        expect(stack.toArray()).toEqual([1, 2]);
+        expect(stack.overflowed).toBe(true);
+        expect(stack.outline.style.borderColor).toBe('#e53935');
+        expect(stack.status.text).toBe('栈已满，无法入栈');
+        expect(stack.items).toHaveLength(2);
+        expect(stack.children.filter(child => child.id && child.id.startsWith('s_item_'))).toHaveLength(2);
+        // 被拒绝的元素变红后消失
+        const rejected = statesOf(framework, 's_item_2');
+        expect(rejected.some(state => state.style.backgroundColor === '#ffcdd2')).toBe(true);
+
+        await play(framework, () => stack.pop(framework, 50));
+        expect(stack.overflowed).toBe(false);
+        expect(stack.status.text).toBe('');
+        expect(stack.outline.style.borderColor).toBe('black');
+    });
+
+    test('items can fly between an array cell and the stack', async () => {
+        const array = new ArrayView(20, 20, [7, 8], { id: 'arr' });
+        const stack = new StackView(300, 200, [], { id: 's' });
+        framework.addElement(array);
+        framework.addElement(stack);
+
+        await play(framework, () => stack.push(framework, 8, 50, { from: array.getCell(1) }));
+        const item = stack.items[0];
+        // 元素从数组格子处出发（换算为栈的局部坐标为(-220, -180)），沿直线飞入栈底
+        const [first] = statesOf(framework, item.id);
+        expect(first.x).toBeLessThan(-150);
+        expect((first.y + 36) / first.x).toBeCloseTo(144 / 220);
+        expect([item.x, item.y]).toEqual([0, -36]);
+
+        framework.frames.length = 0;
+        await play(framework, () => stack.pop(framework, 50, { to: array.getCell(0) }));
+        const last = statesOf(framework, item.id).pop();
+        expect(last.x + 300).toBeCloseTo(20, 0);
+        expect(last.y + 200).toBeCloseTo(20, 0);
+        await expect(stack.push(framework, 1, 50, { from: {} })).rejects.toThrow('from和to必须为Element实例');
+    });
+});
+
+describe('QueueView', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    test('should enqueue at the rear and dequeue from the front', async () => {
+        const queue = new QueueView(0, 0, [1, 2], { id: 'q' });
+        framework.addElement(queue);
+        expect(positions(queue)).toEqual([[0, 0], [60, 0]]);
+        expect(queue.pipe.map(line => line.path.points[1].x)).toEqual([240, 240]);
+        const { front, rear } = queue.pointers;
+        expect([front.x, rear.x]).toEqual([25, 85]);
+
+        expect(await play(framework, () => queue.enqueue(framework, 3, 50))).toBe(true);
+        // 新元素从管道右侧滑入
+        expect(statesOf(framework, 'q_item_2')[0].x).toBeGreaterThan(120);
+        expect(rear.x).toBe(145);
+
+        expect(await play(framework, () => queue.dequeue(framework, 50))).toBe(1);
+        expect(queue.toArray()).toEqual([2, 3]);
+        expect(queue.peek()).toBe(2);
+        expect(positions(queue)).toEqual([[0, 0], [60, 0]]);
+        // 队头元素从左侧离开
+        expect(Math.min(...statesOf(framework, 'q_item_0').map(state => state.x))).toBeLessThan(0);
+        expect([front.x, rear.x]).toEqual([25, 85]);
+
+        await play(framework, () => queue.dequeue(framework, 50));
+        await play(framework, () => queue.dequeue(framework, 50));
+        expect(queue.children).not.toContain(front);
+        await expect(queue.dequeue(framework)).rejects.toThrow('队列为空，无法出队');
+    });
+
+    test('circular queues should wrap front and rear around the fixed slots', async () => {
+        const queue = new QueueView(0, 0, [1, 2, 3], { id: 'cq', capacity: 4, circular: true });
+        framework.addElement(queue);
+        expect(queue.slots.map(slot => slot.x)).toEqual([0, 60, 120, 180]);
+        expect(queue.indexLabels.map(label => label.text)).toEqual(['0', '1', '2', '3']);
+        expect([queue.front, queue.rear]).toEqual([0, 3]);
+
+        await play(framework, () => queue.dequeue(framework, 50));
+        await play(framework, () => queue.enqueue(framework, 4, 50));
+        // rear绕回到0，新元素进入最后一个格子
+        expect([queue.front, queue.rear]).toEqual([1, 0]);
+        expect(queue.items.map(item => item.x)).toEqual([60, 120, 180]);
+
+        await play(framework, () => queue.enqueue(framework, 5, 50));
+        expect(queue.toArray()).toEqual([2, 3, 4, 5]);
+        expect(queue.items[3].x).toBe(0);
+        expect([queue.front, queue.rear]).toEqual([1, 1]);
+        const { front, rear } = queue.pointers;
+        expect([front.x, rear.x]).toEqual([85, 85]);
+
+        // 队满
+        expect(await play(framework, () => queue.enqueue(framework, 6, 50))).toBe(false);
+        expect(queue.status.text).toBe('队列已满，无法入队');
+        expect(queue.slots[0].style.borderColor).toBe('#e53935');
+        expect(await play(framework, () => queue.dequeue(framework, 50))).toBe(2);
+        expect(queue.slots[0].style.borderColor).toBe('#999');
+        expect([queue.front, queue.rear]).toEqual([2, 1]);
+
+        expect(() => new QueueView(0, 0, [], { circular: true })).toThrow('循环队列必须指定容量');
+    });
+
+    test('SVG renderer should draw the containers, items and markers', () => {
+        document.body.innerHTML = '<div id="root"></div>';
+        const svg = new SVGAnimationFramework('root');
+        svg.addElement(new StackView(50, 200, [1], { id: 'svgs' }));
+        svg.addElement(new QueueView(150, 100, [1], { id: 'svgq', capacity: 3, circular: true }));
+        svg.update();
+
+        ['svgs_outline', 'svgs_item_0', 'svgs_top_arrow', 'svgs_status',
+            'svgq_slot_2', 'svgq_index_2', 'svgq_item_0', 'svgq_pointer_front', 'svgq_pointer_rear_label'
+        ].forEach(id => expect(svg.elementMap.get(id)).toBeTruthy());
+    });
+});
@@ -0,0 +1,302 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { TreeView, layoutTree } from '../src/tree-view.js';
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { DOMAnimationFramework } from '../src/animation-dom.js';
+import { SVGAnimationFramework } from '../src/animation-svg.js';
+import { sceneToSVG } from '../src/animation-snapshot.js';
+import { Group, Link } from '../src/animation.js';
+import { setupDOM, play } from './helpers/animation.mjs';
+
+setupDOM();
+
+// 值到节点左上角坐标的映射
+const positionsOf = tree => Object.fromEntries(tree.nodes().map(node => [node.key, [node.box.x, node.box.y]]));
+
+// 检查二叉搜索树的父子指针、边和节点位置
+function expectConsistent(tree) {
+    const layout = tree.computeLayout();
+    tree.nodes().forEach(node => {
+        ['left', 'right'].forEach(side => {
+            if (node[side]) expect(node[side].parent).toBe(node);
+        });
+        if (node.parent) {
+            expect(node.edge.source).toBe(node.parent.box);
+            expect(node.edge.target).toBe(node.box);
+            expect(tree.children).toContain(node.edge);
+        } else {
+            expect(tree.children).not.toContain(node.edge);
+        }
+        expect([node.box.x, node.box.y]).toEqual([layout.get(node).x, layout.get(node).y]);
+    });
+    const keys = tree.toArray('in');
+    expect(keys).toEqual([...keys].sort((a, b) => a - b));
+}
+
+describe('layoutTree', () => {
+    test('should separate subtrees by their contours', () => {
+        const node = (left = null, right = null) => ({ left, right });
+        // 左子树向右伸出的节点和右子树向左伸出的节点不能重叠
+        const inner = node(node(null, node()), node(node(), null));
+        const positions = layoutTree(inner);
+        const [root, left, leftRight, right, rightLeft] = [inner, inner.left, inner.left.right, inner.right, inner.right.left];
+        expect(positions.get(root)).toEqual({ x: 1, depth: 0 });
+        expect(positions.get(leftRight).x - positions.get(left).x).toBe(0.5);
+        expect(positions.get(rightLeft).x - positions.get(leftRight).x).toBe(1);
+        expect(positions.get(right).x - positions.get(left).x).toBe(2);
+        expect(Math.min(...[...positions.values()].map(p => p.x))).toBe(0);
+        expect(layoutTree(null).size).toBe(0);
+    });
+});
+
+describe('TreeView', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    test('should build a tree from level order and lay it out automatically', () => {
+        const tree = new TreeView(10, 20, [1, 2, 3, null, 4], { id: 'tree' });
+        framework.addElement(tree);
+
+        expect(tree).toBeInstanceOf(Group);
+        expect(tree.toArray('pre')).toEqual([1, 2, 4, 3]);
+        expect(tree.toArray('level')).toEqual([1, 2, 3, 4]);
+        expect(positionsOf(tree)).toEqual({ 1: [30, 0], 2: [0, 70], 3: [60, 70], 4: [30, 140] });
+        const [root] = tree.nodes();
+        expect(root.box.id).toBe('tree_node_0');
+        expect(root.box.style.borderRadius).toBe(20);
+        expect(tree.children.filter(child => child instanceof Link)).toHaveLength(3);
+
+        // 边连接两个圆形节点的圆周
+        const edge = tree.findNode(4).edge;
+        edge.updatePath();
+        const start = edge.path.getStartPoint();
+        const end = edge.path.getEndPoint();
+        expect(Math.hypot(start.x - 20, start.y - 90)).toBeCloseTo(20);
+        expect(Math.hypot(end.x - 50, end.y - 160)).toBeCloseTo(20);
+        expect((end.y - start.y) / (end.x - start.x)).toBeCloseTo(70 / 30);
+        expect(() => new TreeView(0, 0, 'abc')).toThrow(TypeError);
+        expect(() => new TreeView(0, 0, [], { balance: 'splay' })).toThrow('未知的平衡方式: splay');
+    });
+
+    test('insert should walk the search path and glide the nodes to the new layout', async () => {
+        const tree = new TreeView(0, 0, [], { id: 'bst' });
+        framework.addElement(tree);
+        for (const key of [5, 3, 8]) {
+            expect(await play(framework, () => tree.insert(framework, key, 50))).toBe(true);
+        }
+        const root = tree.findNode(5);
+        expect(root.box.x).toBe(30);
+
+        expect(await play(framework, () => tree.insert(framework, 4, 50))).toBe(true);
+        expectConsistent(tree);
+        expect(tree.toArray('level')).toEqual([5, 3, 8, 4]);
+        // 经过的节点被高亮，新节点从父节点的位置滑出
+        expect(root.box.style.borderColor).toBe('#ff9800');
+        const node = tree.findNode(4);
+        const states = framework.frames.map(frame => frame.elements[node.id]).filter(Boolean);
+        expect(states[0].y).toBeLessThan(node.box.y);
+        expect(states[0].style.opacity).toBeLessThan(1);
+        expect(node.box.style.opacity).toBe(1);
+
+        expect(await play(framework, () => tree.insert(framework, 4, 50))).toBe(false);
+        expect(node.box.style.borderColor).toBe('#2e7d32');
+        await expect(tree.insert(framework, {})).rejects.toThrow(TypeError);
+    });
+
+    test('search should highlight the path and report whether the key exists', async () => {
+        const tree = new TreeView(0, 0, []);
+        framework.addElement(tree);
+        await tree.insertAll([8, 4, 12, 2, 6]);
+
+        expect(await play(framework, () => tree.search(framework, 6, 50))).toBe(true);
+        const borders = tree.nodes().map(node => [node.key, node.box.style.borderColor]);
+        expect(borders).toEqual([[8, '#ff9800'], [4, '#ff9800'], [2, 'black'], [6, '#2e7d32'], [12, 'black']]);
+
+        expect(await play(framework, () => tree.search(framework, 13, 50))).toBe(false);
+        expect(tree.findNode(6).box.style.borderColor).toBe('black');
+        expect(tree.findNode(12).box.style.borderColor).toBe('#ff9800');
+    });
+
+    test('delete should handle leaves, single children and two children', async () => {
+        const tree = new TreeView(0, 0, []);
+        framework.addElement(tree);
+        await tree.insertAll([50, 30, 70, 20, 40, 60, 80, 35]);
+
+        // 叶子节点
+        const leaf = tree.findNode(80);
+        expect(await play(framework, () => tree.delete(framework, 80, 50))).toBe(true);
+        expect(tree.children).not.toContain(leaf.box);
+        expect(tree.children).not.toContain(leaf.edge);
+        expectConsistent(tree);
+
+        // 只有一个孩子：子树上移
+        expect(await play(framework, () => tree.delete(framework, 40, 50))).toBe(true);
+        expect(tree.findNode(35).parent).toBe(tree.findNode(30));
+        expectConsistent(tree);
+
+        // 两个孩子：后继的值替换被删除的值
+        const root = tree.root;
+        expect(await play(framework, () => tree.delete(framework, 50, 50))).toBe(true);
+        expect(tree.root).toBe(root);
+        expect(root.key).toBe(60);
+        expect(root.box.label).toBe(60);
+        expect(tree.toArray()).toEqual([20, 30, 35, 60, 70]);
+        expectConsistent(tree);
+
+        expect(await play(framework, () => tree.delete(framework, 99, 50))).toBe(false);
+        await tree.delete(null, 60);
+        await tree.delete(null, 70);
+        expect(tree.toArray('level')).toEqual([30, 20, 35]);
+        expectConsistent(tree);
+    });
+
+    test.each([
+        ['pre', [4, 2, 1, 3, 6, 5, 7]],
+        ['in', [1, 2, 3, 4, 5, 6, 7]],
+        ['post', [1, 3, 2, 5, 7, 6, 4]],
+        ['level', [4, 2, 6, 1, 3, 5, 7]]
+    ])('traverse should number the nodes in %s order', async (order, expected) => {
+        const tree = new TreeView(0, 0, [4, 2, 6, 1, 3, 5, 7], { id: 't' });
+        framework.addElement(tree);
+        expect(await play(framework, () => tree.traverse(framework, order, 20))).toEqual(expected);
+
+        const labels = tree.orderLabels.map(label => label.text);
+        expect(labels).toEqual(expected.map((key, i) => String(i + 1)));
+        // 序号标在对应节点的右上角
+        const node = tree.findNode(expected[0]);
+        expect([tree.orderLabels[0].x, tree.orderLabels[0].y]).toEqual([node.box.x + 40, node.box.y]);
+        // 节点按访问顺序依次高亮
+        const highlighted = expected.map(key => framework.frames.findIndex(frame =>
+            frame.elements[tree.findNode(key).id].style.borderColor === '#ff9800'));
+        expect(highlighted).toEqual([...highlighted].sort((a, b) => a - b));
+
+        tree.clearHighlights();
+        expect(tree.children.some(child => child.id === 't_order_0')).toBe(false);
+    });
+
+    test('rotations should move whole subtrees to their new positions', async () => {
+        const tree = new TreeView(0, 0, [4, 2, 6, 1, 3]);
+        framework.addElement(tree);
+        const subtree = tree.findNode(3);
+        const before = subtree.box.x;
+
+        await play(framework, () => tree.rotateRight(framework, 4, 50));
+        expect(tree.root.key).toBe(2);
+        expect(tree.toArray('level')).toEqual([2, 1, 4, 3, 6]);
+        expect(subtree.parent).toBe(tree.findNode(4));
+        expectConsistent(tree);
+        // 子树在动画中逐渐滑动
+        const xs = framework.frames.map(frame => frame.elements[subtree.id].x);
+        expect(xs.some(x => x !== before && x !== subtree.box.x)).toBe(true);
+
+        await play(framework, () => tree.rotateLeft(framework, 2, 50));
+        expect(tree.toArray('level')).toEqual([4, 2, 6, 1, 3]);
+        expectConsistent(tree);
+        expect(() => tree.rotateLeft(framework, 9)).toThrow('树中没有值为 9 的节点');
+        await expect(tree.rotateLeft(framework, 6)).rejects.toThrow('节点 6 没有右孩子，不能左旋');
+    });
+
+    test('AVL trees should rebalance with single and double rotations', async () => {
+        const tree = new TreeView(0, 0, [], { balance: 'avl' });
+        framework.addElement(tree);
+        await tree.insertAll([1, 2, 3]);
+        expect(tree.toArray('level')).toEqual([2, 1, 3]);
+
+        // 先右旋再左旋
+        await play(framework, () => tree.insert(framework, 5, 20));
+        await play(framework, () => tree.insert(framework, 4, 20));
+        expect(tree.toArray('level')).toEqual([2, 1, 4, 3, 5]);
+        expectConsistent(tree);
+
+        await tree.insertAll([6, 7, 8, 9, 10]);
+        expect(tree.height(tree.root)).toBe(4);
+        await play(framework, () => tree.delete(framework, 1, 20));
+        tree.nodes().forEach(node => expect(Math.abs(tree.balanceFactor(node))).toBeLessThan(2));
+        expectConsistent(tree);
+    });
+
+    test('red-black trees should recolor and rotate after insertion and deletion', async () => {
+        const tree = new TreeView(0, 0, [], { balance: 'red-black' });
+        framework.addElement(tree);
+        await play(framework, () => tree.insert(framework, 10, 20));
+        expect(tree.root.color).toBe('black');
+        expect(tree.root.box.style.backgroundColor).toBe('#424242');
+
+        await tree.insertAll([20, 30]);
+        expect(tree.toArray('level')).toEqual([20, 10, 30]);
+        expect(tree.nodes().map(node => node.color)).toEqual(['black', 'red', 'red']);
+
+        // 叔节点为红色时变色
+        await play(framework, () => tree.insert(framework, 15, 20));
+        expect(tree.nodes().map(node => [node.key, node.color])).toEqual([
+            [20, 'black'], [10, 'black'], [15, 'red'], [30, 'black']
+        ]);
+        expect(tree.findNode(10).box.style.backgroundColor).toBe('#424242');
+
+        // 内侧孙子：两次旋转
+        await play(framework, () => tree.insert(framework, 12, 20));
+        expect(tree.toArray('level')).toEqual([20, 12, 30, 10, 15]);
+        expectConsistent(tree);
+
+        await tree.insertAll([1, 2, 3, 4, 5, 6, 7, 8]);
+        // 每条从根到空位置的路径上黑色节点数相同，红色节点没有红色孩子
+        const blackHeight = node => {
+            if (!node) return 1;
+            if (node.color === 'red') {
+                expect([node.left, node.right].every(child => !child || child.color === 'black')).toBe(true);
+            }
+            const left = blackHeight(node.left);
+            expect(blackHeight(node.right)).toBe(left);
+            return left + (node.color === 'black' ? 1 : 0);
+        };
+        blackHeight(tree.root);
+        expectConsistent(tree);
+
+        // 删除红色叶子、黑色节点和有两个孩子的节点，每次删除后都保持红黑树的性质
+        const keys = tree.toArray('in');
+        await play(framework, () => tree.delete(framework, 1, 20));
+        await play(framework, () => tree.delete(framework, 12, 20));
+        expect(tree.findNode(1)).toBeNull();
+        blackHeight(tree.root);
+        expectConsistent(tree);
+        for (const key of [20, 3, 8, 10, 15, 2]) {
+            expect(await tree.delete(null, key)).toBe(true);
+            blackHeight(tree.root);
+            expect(tree.root.color).toBe('black');
+        }
+        expectConsistent(tree);
+        expect(tree.toArray('in')).toEqual(keys.filter(key => ![1, 12, 20, 3, 8, 10, 15, 2].includes(key)));
+        expect(tree.nodes().every(node => node.box.style.backgroundColor === (node.color === 'red' ? '#e53935' : '#424242'))).toBe(true);
+    });
+});
+
+describe('TreeView rendering', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="root"></div>';
+    });
+
+    test('DOM and SVG renderers should draw circular nodes', () => {
+        const dom = new DOMAnimationFramework('root');
+        dom.addElement(new TreeView(0, 0, [1, 2], { id: 'dom' }));
+        dom.update();
+        expect(dom.elementMap.get('dom_node_0').style.borderRadius).toBe('20px');
+
+        document.body.innerHTML = '<div id="root"></div>';
+        const svg = new SVGAnimationFramework('root');
+        svg.addElement(new TreeView(0, 0, [1, 2], { id: 'svg', shape: 'box' }));
+        const tree = new TreeView(0, 0, [1], { id: 'circle' });
+        svg.addElement(tree);
+        svg.update();
+        const rect = node => node.tagName === 'rect' ? node : node.querySelector('rect');
+        expect(rect(svg.elementMap.get('circle_node_0')).getAttribute('rx')).toBe('20');
+        expect(rect(svg.elementMap.get('svg_node_0')).getAttribute('rx')).toBe('0');
+
+        const recorder = new RecordingAnimationFramework();
+        recorder.addElement(tree);
+        expect(sceneToSVG(recorder, { width: 100, height: 100 })).toContain('rx="20"');
+    });
+});
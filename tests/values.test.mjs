@@ -0,0 +1,118 @@
+"use strict";
+
+import { describe, expect, test } from "@jest/globals";
+import { RecordingAnimationFramework } from '../src/animation-recorder.js';
+import { asVal, IntValue, DataItem, DataArray, BooleanValue } from '../src/values.js';
+import { Box, Text, Link } from '../src/animation.js';
+
+// 值类型不依赖具体的渲染方式，使用录制渲染器测试
+
+describe('IntValue and BooleanValue', () => {
+    test('should calculate and compare values', () => {
+        const a = new IntValue(5);
+        expect(asVal(a)).toBe(5);
+        expect(asVal(3)).toBe(3);
+        expect(a.add(2).getValue()).toBe(7);
+        expect(a.sub(new IntValue(2)).getValue()).toBe(3);
+        expect(a.clone().inc(1).getValue()).toBe(6);
+        expect(a.getValue()).toBe(5);
+        expect(a.lessThan(6).and(a.greatEq(5)).getValue()).toBe(true);
+        expect(a.equals(new IntValue(5))).toBeInstanceOf(BooleanValue);
+        expect(a.notEquals(5).getValue()).toBe(false);
+    });
+});
+
+describe('DataItem and DataArray views', () => {
+    let framework;
+
+    beforeEach(() => {
+        framework = new RecordingAnimationFramework({ fixedStep: 10 });
+    });
+
+    test('createView should lay out labelled cells with indices', () => {
+        const arr = new DataArray([3, 6, 8]).createView(framework, { id: 'data', x: 10, y: 20, cellWidth: 40, cellHeight: 30, gap: 5 });
+
+        const cells = arr.arr.map(item => item.view);
+        expect(cells.every(cell => cell instanceof Box)).toBe(true);
+        expect(cells.map(cell => [cell.id, cell.x, cell.y, cell.label])).toEqual([
+            ['data_0', 10, 20, 3], ['data_1', 55, 20, 6], ['data_2', 100, 20, 8]
+        ]);
+        const indices = framework.elements.filter(element => element instanceof Text);
+        expect(indices.map(text => [text.text, text.x])).toEqual([['0', 30], ['1', 75], ['2', 120]]);
+
+        arr.getItem(1).setValue(9);
+        expect(cells[1].label).toBe(9);
+        arr.getItem(2).dec(1);
+        expect(cells[2].label).toBe(7);
+
+        arr.removeView();
+        expect(framework.elements).toEqual([]);
+        expect(() => new DataItem(1).createView({})).toThrow(TypeError);
+    });
+
+    test('swapWith should move the cells along opposite arcs', async () => {
+        const arr = new DataArray([1, 2]).createView(framework, { cellWidth: 40, gap: 20 });
+        const [first, second] = arr.arr;
+        const [firstCell, secondCell] = [first.view, second.view];
+        firstCell.style.backgroundColor = '#ffcdd2';
+
+        const swapped = first.swapWith(second, 100);
+        framework.timeline.step(5);
+        // 半程时两个格子分别位于圆的最高点和最低点
+        expect(firstCell.x).toBeCloseTo(30);
+        expect(firstCell.y).toBeCloseTo(-30);
+        expect(secondCell.x).toBeCloseTo(30);
+        expect(secondCell.y).toBeCloseTo(30);
+
+        await framework.run();
+        await swapped;
+        // 格子回到原位并交换标签，id仍然与下标对应
+        expect([firstCell.x, firstCell.y, secondCell.x, secondCell.y]).toEqual([0, 0, 60, 0]);
+        expect(first.getValue()).toBe(2);
+        expect(first.view).toBe(firstCell);
+        expect(second.view).toBe(secondCell);
+        expect([first.view.id, second.view.id]).toEqual(['array_0', 'array_1']);
+        expect([first.view.label, second.view.label]).toEqual([2, 1]);
+        expect([firstCell.style.backgroundColor, secondCell.style.backgroundColor]).toEqual(['transparent', '#ffcdd2']);
+    });
+
+    test('swapWith without views should only swap the values', async () => {
+        const a = new DataItem(1);
+        const b = new DataItem(2);
+        await a.swapWith(b);
+        expect([a.getValue(), b.getValue()]).toEqual([2, 1]);
+    });
+
+    test('comparisons should briefly flash the compared cells', () => {
+        const arr = new DataArray([3, 6, 8]).createView(framework);
+        const [a, b, c] = arr.arr;
+        a.highlightDuration = 50;
+
+        expect(a.lessThan(b).getValue()).toBe(true);
+        expect(framework.flashingElements).toEqual([a.view, b.view]);
+
+        framework.timeline.step(3);
+        // 同一个格子再次比较时延长闪烁
+        expect(c.greatThan(a).getValue()).toBe(true);
+        framework.timeline.step(3);
+        expect(framework.flashingElements).toEqual([a.view, b.view, c.view]);
+        framework.timeline.step(40);
+        expect(framework.flashingElements).toEqual([]);
+    });
+
+    test('markRange should draw a single bracket under the range', () => {
+        const arr = new DataArray([3, 6, 8, 1]).createView(framework, { x: 0, y: 0, cellWidth: 50, cellHeight: 50, gap: 10 });
+
+        const mark = arr.markRange(new IntValue(1), 2);
+        expect(mark).toBeInstanceOf(Link);
+        expect(framework.temporaryObjects).toEqual([mark]);
+        expect(mark.path.points).toEqual([{ x: 60, y: 72 }, { x: 60, y: 80 }, { x: 170, y: 80 }, { x: 170, y: 72 }]);
+
+        const next = arr.markRange(0, 3);
+        expect(framework.temporaryObjects).toEqual([next]);
+        arr.clearRange();
+        expect(framework.temporaryObjects).toEqual([]);
+
+        expect(new DataArray([1]).markRange(0, 0)).toBeNull();
+    });
+});